@@ -0,0 +1,34 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { updateOrder } from '../admin-orders.js';
+
+jest.mock('../order-emails.js', () => ({
+  notifyOrderStatus: jest.fn(async () => {}),
+}));
+
+function createStore(status) {
+  return createFakeSupabase({
+    orders: [{ id: 'order-1', order_number: 1001, status, paid_at: null, total: 5000 }],
+  });
+}
+
+describe('updateOrder', () => {
+  test('marks a pending order processing without marking it paid', async () => {
+    const store = createStore('pending');
+
+    await expect(updateOrder(store, 1001, { status: 'processing' })).resolves.toMatchObject({
+      status: 'processing',
+      paidAt: null,
+    });
+    expect(store.tables.orders[0].paid_at).toBeNull();
+  });
+
+  test.each(['pending', 'processing'])('refuses to complete a %s order', async (status) => {
+    const store = createStore(status);
+
+    await expect(updateOrder(store, 1001, { status: 'completed' })).rejects.toMatchObject({
+      code: 'NOT_PAID',
+      status: 409,
+    });
+    expect(store.tables.orders[0]).toMatchObject({ status, paid_at: null });
+  });
+});
@@ -0,0 +1,110 @@
+import { createFakeSupabase } from './fake-supabase.js';
+
+let remindAbandonedCarts;
+
+const NOW = new Date('2026-06-10T12:00:00Z');
+const PRODUCTS = [{ id: 'mug', title: 'Mug', price: 1500, variants: [{ id: 20, price: 1500 }] }];
+
+function cart(fields) {
+  return {
+    id: 'cart-1',
+    user_id: 'user-1',
+    email: 'jo@example.com',
+    locale: 'en',
+    items: [{ productId: 'mug', variantId: 20, quantity: 1, price: 1500 }],
+    created_at: '2026-06-08T10:00:00Z',
+    updated_at: '2026-06-08T12:00:00Z',
+    ...fields,
+  };
+}
+
+function createStore(carts, cartRecoveries = []) {
+  return createFakeSupabase({
+    product_cache: [{ id: 1, products: PRODUCTS, cached_at: new Date().toISOString() }],
+    carts,
+    cart_recoveries: cartRecoveries,
+  });
+}
+
+const ENV = { EMAIL_TRANSPORT: 'console', ORDER_TOKEN_SECRET: 'test-secret' };
+
+beforeAll(async () => {
+  Object.assign(process.env, ENV, { CART_RECOVERY_DISCOUNT_PERCENT: '10' });
+  ({ remindAbandonedCarts } = await import('../cart-recovery.js'));
+});
+
+// The console transport's output
+let logged;
+
+beforeEach(() => {
+  logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(() => {
+  for (const name of [...Object.keys(ENV), 'CART_RECOVERY_DISCOUNT_PERCENT']) {
+    delete process.env[name];
+  }
+});
+
+describe('remindAbandonedCarts', () => {
+  test('sends one reminder, with the discount, to a customer', async () => {
+    const store = createStore([cart()]);
+
+    await expect(remindAbandonedCarts(store, { now: NOW })).resolves.toMatchObject({
+      checked: 1,
+      sent: 1,
+    });
+    expect(store.tables.cart_recoveries).toEqual([
+      expect.objectContaining({ cart_id: 'cart-1', status: 'sent', discount_percent: 10 }),
+    ]);
+    expect(logged).toHaveBeenCalledWith(expect.stringContaining('To: jo@example.com'));
+  });
+
+  test('leaves guest carts alone', async () => {
+    const store = createStore([cart({ user_id: null, token_hash: 'abc' })]);
+
+    await expect(remindAbandonedCarts(store, { now: NOW })).resolves.toMatchObject({ checked: 0 });
+    expect(store.tables.cart_recoveries).toEqual([]);
+  });
+
+  test('reminds an address at most once a week, whatever the number of carts', async () => {
+    const store = createStore([
+      cart(),
+      cart({ id: 'cart-2', user_id: 'user-2', email: 'JO@example.com' }),
+    ]);
+
+    await expect(remindAbandonedCarts(store, { now: NOW })).resolves.toMatchObject({
+      sent: 1,
+      skipped: 1,
+    });
+    expect(store.tables.cart_recoveries.map((row) => [row.cart_id, row.skip_reason])).toEqual([
+      ['cart-1', null],
+      ['cart-2', 'reminded'],
+    ]);
+  });
+
+  test('offers an address a discount at most once in 90 days', async () => {
+    const store = createStore(
+      [cart()],
+      [
+        {
+          id: 'earlier',
+          cart_id: 'old-cart',
+          email: 'jo@example.com',
+          status: 'sent',
+          discount_percent: 10,
+          created_at: '2026-04-01T12:00:00Z',
+        },
+      ]
+    );
+
+    await expect(remindAbandonedCarts(store, { now: NOW })).resolves.toMatchObject({ sent: 1 });
+    expect(store.tables.cart_recoveries[1]).toMatchObject({
+      cart_id: 'cart-1',
+      status: 'sent',
+      discount_percent: null,
+    });
+  });
+});
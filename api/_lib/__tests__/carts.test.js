@@ -0,0 +1,203 @@
+import crypto from 'node:crypto';
+import { createFakeSupabase } from './fake-supabase.js';
+import {
+  cartContact,
+  describeItems,
+  getCart,
+  MAX_CART_LINES,
+  mergeGuestCart,
+  mergeItems,
+  saveCart,
+  validateCartItems,
+} from '../carts.js';
+
+const PRODUCTS = [
+  {
+    id: 'tee',
+    title: 'Tee',
+    price: 2500,
+    image: 'https://images.example/tee.png',
+    variants: [
+      { id: 10, title: 'S', price: 2500, available: true },
+      { id: 11, title: 'M', price: 2500, available: false },
+    ],
+  },
+  { id: 'mug', title: 'Mug', price: 1500, variants: [{ id: 20, title: 'Mug', price: 1500 }] },
+];
+
+const CUSTOMER = {
+  id: 'user-1',
+  email: 'jo@example.com',
+  email_confirmed_at: '2026-01-01T00:00:00Z',
+};
+
+function createStore(carts = []) {
+  return createFakeSupabase({
+    product_cache: [{ id: 1, products: PRODUCTS, cached_at: new Date().toISOString() }],
+    carts,
+  });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+describe('mergeItems', () => {
+  test('keeps the larger quantity of a line in both carts', () => {
+    expect(
+      mergeItems(
+        [
+          { productId: 'tee', variantId: 10, quantity: 2 },
+          { productId: 'mug', variantId: 20, quantity: 1 },
+        ],
+        [
+          { productId: 'tee', variantId: 10, quantity: 1 },
+          { productId: 'tee', variantId: 11, quantity: 3 },
+          { productId: 'mug', variantId: 20, quantity: 4 },
+        ]
+      )
+    ).toEqual([
+      { productId: 'tee', variantId: 10, quantity: 2 },
+      { productId: 'mug', variantId: 20, quantity: 4 },
+      { productId: 'tee', variantId: 11, quantity: 3 },
+    ]);
+  });
+});
+
+describe('validateCartItems', () => {
+  test('normalizes items and combines duplicate lines', () => {
+    expect(
+      validateCartItems([
+        { productId: 7, variantId: 10, quantity: 1, price: 2500 },
+        { productId: '7', variantId: 10, quantity: 2 },
+      ])
+    ).toEqual([{ productId: '7', variantId: 10, quantity: 2, price: 2500 }]);
+    expect(validateCartItems([])).toEqual([]);
+  });
+
+  test.each([
+    ['a cart that is not a list', { productId: 'tee', quantity: 1 }],
+    ['a zero quantity', [{ productId: 'tee', quantity: 0 }]],
+    ['a fractional quantity', [{ productId: 'tee', quantity: 1.5 }]],
+    [
+      'too many lines',
+      Array.from({ length: MAX_CART_LINES + 1 }, (_, i) => ({ productId: `p${i}`, quantity: 1 })),
+    ],
+  ])('refuses %s', (label, items) => {
+    expect(() => validateCartItems(items)).toThrow(
+      expect.objectContaining({ code: 'INVALID_ITEMS' })
+    );
+  });
+});
+
+describe('cartContact', () => {
+  test('uses the account email for customers', () => {
+    expect(cartContact({ user: CUSTOMER }, { email: 'other@example.com', locale: 'fr' })).toEqual({
+      email: 'jo@example.com',
+      locale: 'fr',
+    });
+  });
+
+  test('leaves out an address that is not confirmed', () => {
+    expect(cartContact({ user: { ...CUSTOMER, email_confirmed_at: null } })).toEqual({
+      email: null,
+    });
+  });
+
+  test('ignores an email a guest gives', () => {
+    expect(cartContact({ token: 't' }, { email: 'someone@example.com', locale: 'fr' })).toEqual({
+      locale: 'fr',
+    });
+  });
+});
+
+describe('describeItems', () => {
+  test('flags price changes, sold-out sizes and removed products', () => {
+    const catalog = new Map(PRODUCTS.map((product) => [product.id, product]));
+    const { lines, subtotal, saved } = describeItems(
+      [
+        { productId: 'tee', variantId: 10, quantity: 2, price: 2500 },
+        { productId: 'mug', variantId: 20, quantity: 1, price: 1200 },
+        { productId: 'tee', variantId: 11, quantity: 1, price: 2500 },
+        { productId: 'gone', variantId: 1, quantity: 1, price: 999 },
+      ],
+      catalog
+    );
+
+    expect(lines.map((line) => [line.productId, line.status, line.previousPrice])).toEqual([
+      ['tee', 'ok', null],
+      ['mug', 'price_changed', 1200],
+      ['tee', 'unavailable', null],
+      ['gone', 'removed', null],
+    ]);
+    expect(subtotal).toBe(2 * 2500 + 1500);
+    // Removed lines are dropped; the new price is what the shopper has now seen
+    expect(saved).toEqual([
+      { productId: 'tee', variantId: 10, quantity: 2, price: 2500 },
+      { productId: 'mug', variantId: 20, quantity: 1, price: 1500 },
+      { productId: 'tee', variantId: 11, quantity: 1, price: 2500 },
+    ]);
+  });
+});
+
+describe('saved carts', () => {
+  test('a guest cart is created with a token, of which only a hash is stored', async () => {
+    const store = createStore();
+
+    const cart = await saveCart(store, { token: null }, [{ productId: 'mug', quantity: 1 }], {
+      email: 'someone@example.com',
+    });
+
+    expect(cart.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+    expect(cart.subtotal).toBe(1500);
+    expect(store.tables.carts).toHaveLength(1);
+    expect(store.tables.carts[0]).toMatchObject({
+      user_id: null,
+      token_hash: sha256(cart.token),
+    });
+    expect(store.tables.carts[0].email).toBeUndefined();
+    expect(JSON.stringify(store.tables.carts[0])).not.toContain(cart.token);
+
+    const loaded = await getCart(store, { token: cart.token });
+    expect(loaded.token).toBeUndefined();
+    expect(loaded.items.map((line) => line.productId)).toEqual(['mug']);
+    expect(await getCart(store, { token: 'someone-else' })).toMatchObject({ items: [] });
+  });
+
+  test('an empty cart is not created', async () => {
+    const store = createStore();
+    expect(await saveCart(store, { user: CUSTOMER }, [])).toMatchObject({ items: [], subtotal: 0 });
+    expect(store.tables.carts).toHaveLength(0);
+  });
+
+  test('signing in merges the guest cart into the account cart', async () => {
+    const store = createStore([
+      {
+        id: 'guest-cart',
+        user_id: null,
+        token_hash: sha256('guest-token'),
+        locale: 'fr',
+        items: [
+          { productId: 'tee', variantId: 10, quantity: 3, price: 2500 },
+          { productId: 'mug', variantId: 20, quantity: 1, price: 1500 },
+        ],
+      },
+      {
+        id: 'account-cart',
+        user_id: CUSTOMER.id,
+        token_hash: null,
+        email: CUSTOMER.email,
+        items: [{ productId: 'tee', variantId: 10, quantity: 1, price: 2500 }],
+      },
+    ]);
+
+    const cart = await mergeGuestCart(store, CUSTOMER, 'guest-token');
+
+    expect(cart.items.map((line) => [line.productId, line.quantity])).toEqual([
+      ['tee', 3],
+      ['mug', 1],
+    ]);
+    expect(store.tables.carts.map((row) => row.id)).toEqual(['account-cart']);
+    expect(store.tables.carts[0].locale).toBe('fr');
+  });
+});
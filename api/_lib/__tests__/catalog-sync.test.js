@@ -0,0 +1,106 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { startFakeServer } from './fake-server.js';
+
+const UPDATED_AT = '2026-05-01T10:00:00+00:00';
+
+let printify;
+let syncCatalog;
+let syncProduct;
+// Products Printify lists; tests replace it
+let listed;
+
+function printifyProduct(id, fields) {
+  return {
+    id,
+    title: `Tee ${id}`,
+    visible: true,
+    updated_at: UPDATED_AT,
+    variants: [{ id: 1, title: 'S', price: 2500, is_enabled: true }],
+    images: [],
+    ...fields,
+  };
+}
+
+function storedRow(id) {
+  return {
+    id,
+    source: 'printify',
+    printify_updated_at: UPDATED_AT,
+    is_published: true,
+    deleted_at: null,
+  };
+}
+
+beforeAll(async () => {
+  printify = await startFakeServer(({ url }) => {
+    const match = url.match(/\/products\/(.+)\.json$/);
+    if (match) return { body: listed.find((product) => product.id === match[1]) };
+    return { body: { data: listed, last_page: 1 } };
+  });
+  process.env.PRINTIFY_API_BASE = printify.url;
+  process.env.PRINTIFY_API_KEY = 'test-key';
+  process.env.PRINTIFY_SHOP_ID = '42';
+  ({ syncCatalog, syncProduct } = await import('../catalog-sync.js'));
+});
+
+afterAll(() => printify.close());
+
+describe('syncCatalog', () => {
+  test('compares against every stored product, past the 1000 rows of one request', async () => {
+    const ids = Array.from({ length: 1200 }, (_, i) => `p${String(i).padStart(4, '0')}`);
+    listed = ids.slice(0, 1199).map((id) => printifyProduct(id));
+    const store = createFakeSupabase({ products: ids.map(storedRow) }, { maxRows: 1000 });
+
+    const run = await syncCatalog(store, { trigger: 'admin' });
+
+    expect(run).toMatchObject({
+      status: 'succeeded',
+      productsSeen: 1199,
+      created: 0,
+      updated: 0,
+      unchanged: 1199,
+      deleted: 1,
+    });
+    expect(store.tables.products.find((row) => row.id === 'p1199').deleted_at).not.toBeNull();
+  });
+});
+
+describe('syncProduct', () => {
+  test('swaps the product into the cached snapshot in one database call', async () => {
+    listed = [printifyProduct('p1', { title: 'New title', updated_at: '2026-05-02T10:00:00Z' })];
+    const replaced = [];
+    const store = createFakeSupabase(
+      { products: [storedRow('p1')] },
+      {
+        rpc: {
+          replace_cached_product(args) {
+            replaced.push(args);
+            return { data: null };
+          },
+        },
+      }
+    );
+
+    await expect(syncProduct(store, 'p1', { trigger: 'webhook' })).resolves.toMatchObject({
+      status: 'succeeded',
+      updated: 1,
+    });
+    expect(replaced).toEqual([
+      { p_product_id: 'p1', p_product: expect.objectContaining({ id: 'p1', title: 'New title' }) },
+    ]);
+    expect(store.tables.product_cache).toBeUndefined();
+  });
+
+  test('takes a deleted product out of the snapshot', async () => {
+    const replaced = [];
+    const store = createFakeSupabase(
+      { products: [storedRow('p1')] },
+      { rpc: { replace_cached_product: (args) => replaced.push(args) && { data: null } } }
+    );
+
+    await syncProduct(store, 'p1', { trigger: 'webhook', deleted: true });
+
+    expect(replaced).toEqual([{ p_product_id: 'p1', p_product: null }]);
+    expect(store.tables.products[0].deleted_at).not.toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { startFakeServer } from './fake-server.js';
+
+let stripe;
+let startCheckout;
+// Reply to POST /v1/checkout/sessions; tests swap it to simulate failures
+let sessionReply;
+
+const PRODUCTS = [
+  { id: 'tee', title: 'Tee', price: 2500, variants: [{ id: 10, title: 'S', price: 2500 }] },
+];
+
+const BODY = {
+  email: 'jo@example.com',
+  items: [{ productId: 'tee', quantity: 2 }],
+  shippingAddress: {
+    name: 'Jo Tremblay',
+    line1: '1 King St W',
+    city: 'Toronto',
+    province: 'ON',
+    postalCode: 'M5H 1A1',
+    country: 'CA',
+  },
+  // 5000 less 10%, plus 999 shipping and 13% HST on both
+  total: 4500 + 999 + 715,
+  promoCode: 'save10',
+};
+
+function createStore() {
+  return createFakeSupabase(
+    {
+      product_cache: [{ id: 1, products: PRODUCTS, cached_at: new Date().toISOString() }],
+      products: [{ id: 'tee', category: 'Shirts' }],
+      promotions: [
+        {
+          id: 'promo-1',
+          code: 'SAVE10',
+          type: 'percentage',
+          value: 10,
+          min_subtotal: 0,
+          product_ids: [],
+          categories: [],
+          is_active: true,
+        },
+      ],
+      orders: [],
+    },
+    {
+      handlers: {
+        // Uses of the code so far, counted through the embedded order
+        order_discounts: (query) => (query.action === 'select' ? { count: 0 } : undefined),
+      },
+    }
+  );
+}
+
+beforeAll(async () => {
+  stripe = await startFakeServer(({ url }) =>
+    url === '/v1/coupons' ? { body: { id: 'coupon_1' } } : sessionReply
+  );
+  process.env.STRIPE_API_BASE = stripe.url;
+  process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+  process.env.ORDER_TOKEN_SECRET = 'order-token-secret';
+  ({ startCheckout } = await import('../checkout.js'));
+});
+
+beforeEach(() => {
+  stripe.requests.length = 0;
+  sessionReply = { body: { id: 'cs_test_1', url: 'https://checkout.stripe.test/cs_test_1' } };
+});
+
+afterAll(() => stripe.close());
+
+describe('startCheckout', () => {
+  test('places a pending order with its discount and opens a Checkout Session', async () => {
+    const store = createStore();
+
+    const { order, session } = await startCheckout(store, BODY);
+
+    expect(session.id).toBe('cs_test_1');
+    expect(store.tables.orders).toEqual([
+      expect.objectContaining({
+        id: order.id,
+        status: 'pending',
+        discount_total: 500,
+        total: 6214,
+        stripe_session_id: 'cs_test_1',
+      }),
+    ]);
+    expect(store.tables.order_discounts).toEqual([
+      expect.objectContaining({ order_id: order.id, code: 'SAVE10', amount: 500 }),
+    ]);
+    expect(store.tables.orders[0].paid_at).toBeUndefined();
+
+    const [coupon, checkout] = stripe.requests;
+    expect(new URLSearchParams(coupon.body).get('amount_off')).toBe('500');
+    expect(new URLSearchParams(checkout.body).get('discounts[0][coupon]')).toBe('coupon_1');
+  });
+
+  test('cancels the order when Stripe refuses the session', async () => {
+    sessionReply = { status: 400, body: { error: { message: 'Invalid currency' } } };
+    const store = createStore();
+
+    await expect(startCheckout(store, BODY)).rejects.toThrow('Invalid currency');
+    expect(store.tables.orders[0].status).toBe('cancelled');
+  });
+});
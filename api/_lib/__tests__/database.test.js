@@ -0,0 +1,290 @@
+/**
+ * Integration tests against a local Supabase (Postgres with the migrations
+ * applied). `npm run test:ci` starts one and sets TEST_SUPABASE_URL,
+ * TEST_SUPABASE_ANON_KEY and TEST_SUPABASE_SERVICE_ROLE_KEY; without them the
+ * suite is skipped. See "Database Tests" in SETUP.md.
+ * Never point them at production: they write and delete rows.
+ */
+
+import crypto from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+import {
+  getPublishedProduct,
+  loadPublishedProducts,
+  markProductsDeleted,
+  upsertCatalog,
+} from '../catalog.js';
+
+const { TEST_SUPABASE_URL, TEST_SUPABASE_ANON_KEY, TEST_SUPABASE_SERVICE_ROLE_KEY } = process.env;
+const describeDatabase =
+  TEST_SUPABASE_URL && TEST_SUPABASE_ANON_KEY && TEST_SUPABASE_SERVICE_ROLE_KEY
+    ? describe
+    : describe.skip;
+
+// Everything created here is tagged with this run's ID, and removed afterwards
+const RUN = crypto.randomBytes(4).toString('hex');
+const EMAIL = `test-${RUN}@example.com`;
+const CODE = `TEST${RUN}`.toUpperCase();
+
+function client(key) {
+  return createClient(TEST_SUPABASE_URL, key, { auth: { persistSession: false } });
+}
+
+function printifyProduct(id, images) {
+  return {
+    id,
+    title: `Test tee ${RUN}`,
+    visible: true,
+    tags: ['Test shirts'],
+    variants: [
+      { id: 101, title: 'S', price: 2599, sku: `SKU-${id}`, is_enabled: true },
+      { id: 102, title: 'M', price: 2799, is_enabled: true },
+    ],
+    images: images.map((name, index) => ({
+      src: `https://images.example/${id}/${name}`,
+      is_default: index === 0,
+      variant_ids: [101],
+    })),
+  };
+}
+
+describeDatabase('database (local Supabase)', () => {
+  let service;
+  let anon;
+  const productId = `test-${RUN}`;
+
+  beforeAll(() => {
+    service = client(TEST_SUPABASE_SERVICE_ROLE_KEY);
+    anon = client(TEST_SUPABASE_ANON_KEY);
+  });
+
+  afterAll(async () => {
+    await service.from('orders').delete().eq('email', EMAIL);
+    await service
+      .from('promotions')
+      .delete()
+      .in('code', [CODE, `${CODE}B`]);
+    await service.from('products').delete().eq('id', productId);
+  });
+
+  async function createOrder(fields = {}) {
+    const { data, error } = await service
+      .from('orders')
+      .insert({ email: EMAIL, total: 5000, status: 'completed', ...fields })
+      .select()
+      .single();
+    expect(error).toBeNull();
+    return data;
+  }
+
+  describe('catalog', () => {
+    test('stores Printify products in cents with their images', async () => {
+      await upsertCatalog(service, [printifyProduct(productId, ['front.png', 'back.jpg'])]);
+
+      const product = await getPublishedProduct(anon, productId);
+      expect(product).toMatchObject({
+        id: productId,
+        price: 2599,
+        category: 'Test shirts',
+        variants: [
+          { id: 101, price: 2599 },
+          { id: 102, price: 2799 },
+        ],
+      });
+      expect(product.images.map((image) => image.url)).toEqual([
+        `https://images.example/${productId}/front.png`,
+        `https://images.example/${productId}/back.jpg`,
+      ]);
+
+      const { data: row } = await service
+        .from('products')
+        .select('sku, printify_product_id, is_published')
+        .eq('id', productId)
+        .single();
+      expect(row).toEqual({
+        sku: `SKU-${productId}`,
+        printify_product_id: productId,
+        is_published: true,
+      });
+    });
+
+    test('drops mockups Printify no longer has', async () => {
+      await upsertCatalog(service, [printifyProduct(productId, ['side.png'])]);
+
+      const { data } = await service
+        .from('product_images')
+        .select('image_url, display_order')
+        .eq('product_id', productId);
+      expect(data).toEqual([
+        { image_url: `https://images.example/${productId}/side.png`, display_order: 0 },
+      ]);
+    });
+
+    test('hides deleted products from the storefront', async () => {
+      const ids = (rows) => rows.map((row) => row.id);
+      expect(ids(await loadPublishedProducts(anon, 'id', { ids: [productId] }))).toEqual([
+        productId,
+      ]);
+
+      expect(await markProductsDeleted(service, [productId])).toBe(1);
+
+      expect(await loadPublishedProducts(anon, 'id', { ids: [productId] })).toEqual([]);
+      expect(await getPublishedProduct(anon, productId)).toBeNull();
+      const { data: images } = await anon
+        .from('product_images')
+        .select('id')
+        .eq('product_id', productId);
+      expect(images).toEqual([]);
+    });
+
+    test('swaps one product in the cached snapshot', async () => {
+      const { data: saved } = await service
+        .from('product_cache')
+        .select('*')
+        .eq('id', 1)
+        .maybeSingle();
+      const replace = (product) =>
+        service.rpc('replace_cached_product', { p_product_id: productId, p_product: product });
+      const cached = async () =>
+        (await service.from('product_cache').select('products').eq('id', 1).single()).data.products;
+
+      try {
+        await service
+          .from('product_cache')
+          .upsert({ id: 1, products: [{ id: 'a' }, { id: productId, title: 'old' }, { id: 'c' }] });
+
+        expect((await replace({ id: productId, title: 'new' })).error).toBeNull();
+        expect(await cached()).toEqual([{ id: 'a' }, { id: productId, title: 'new' }, { id: 'c' }]);
+
+        await replace(null);
+        expect(await cached()).toEqual([{ id: 'a' }, { id: 'c' }]);
+
+        await replace({ id: productId });
+        expect(await cached()).toEqual([{ id: productId }, { id: 'a' }, { id: 'c' }]);
+
+        const denied = await anon.rpc('replace_cached_product', {
+          p_product_id: productId,
+          p_product: null,
+        });
+        expect(denied.error).not.toBeNull();
+      } finally {
+        if (saved) {
+          await service.from('product_cache').upsert(saved);
+        } else {
+          await service.from('product_cache').delete().eq('id', 1);
+        }
+      }
+    });
+
+    test('is read-only for the storefront', async () => {
+      const { error } = await anon.from('products').insert({ id: `${productId}-anon`, title: 'x' });
+      expect(error).toMatchObject({ code: '42501' });
+    });
+  });
+
+  describe('orders', () => {
+    test('can only be created by the server', async () => {
+      const { error } = await anon.from('orders').insert({ email: EMAIL, total: 0 });
+      expect(error).toMatchObject({ code: '42501' });
+    });
+
+    test('tax remittance totals are not readable from the storefront', async () => {
+      const { error } = await anon.from('tax_remittance_summary').select('*');
+      expect(error).toMatchObject({ code: '42501' });
+    });
+
+    test('refunded_total is the sum of the refunds that went through', async () => {
+      const order = await createOrder();
+      const refunds = [
+        { amount: 1000, status: 'succeeded' },
+        { amount: 500, status: 'pending' },
+        { amount: 700, status: 'failed' },
+      ].map((refund, index) => ({
+        ...refund,
+        order_id: order.id,
+        stripe_refund_id: `re_test_${RUN}_${index}`,
+      }));
+      expect((await service.from('order_refunds').insert(refunds)).error).toBeNull();
+
+      const { data, error } = await service.rpc('sync_order_refunded_total', {
+        p_order_id: order.id,
+      });
+      expect(error).toBeNull();
+      expect(data).toBe(1500);
+
+      const denied = await anon.rpc('sync_order_refunded_total', { p_order_id: order.id });
+      expect(denied.error).not.toBeNull();
+    });
+
+    test('a discount code cannot be used past its limit', async () => {
+      const { data: promotion, error } = await service
+        .from('promotions')
+        .insert({ code: CODE, type: 'percentage', value: 10, max_uses: 1 })
+        .select()
+        .single();
+      expect(error).toBeNull();
+
+      const discount = (order) => ({
+        order_id: order.id,
+        promotion_id: promotion.id,
+        code: promotion.code,
+        type: 'percentage',
+        target: 'items',
+        amount: 500,
+      });
+
+      const first = await createOrder();
+      expect((await service.from('order_discounts').insert(discount(first))).error).toBeNull();
+
+      const second = await createOrder();
+      const refused = await service.from('order_discounts').insert(discount(second));
+      expect(refused.error.message).toMatch(/^DISCOUNT_UNAVAILABLE/);
+
+      // A cancelled order gives its use back
+      await service.from('orders').update({ status: 'cancelled' }).eq('id', first.id);
+      expect((await service.from('order_discounts').insert(discount(second))).error).toBeNull();
+    });
+
+    test('a customer reads the discounts of their own orders', async () => {
+      const password = crypto.randomBytes(12).toString('hex');
+      const { data: created, error } = await service.auth.admin.createUser({
+        email: EMAIL,
+        password,
+        email_confirm: true,
+      });
+      expect(error).toBeNull();
+
+      try {
+        const customer = client(TEST_SUPABASE_ANON_KEY);
+        expect(
+          (await customer.auth.signInWithPassword({ email: EMAIL, password })).error
+        ).toBeNull();
+
+        const { data: promotion } = await service
+          .from('promotions')
+          .insert({ code: `${CODE}B`, type: 'percentage', value: 10 })
+          .select()
+          .single();
+        const order = await createOrder({ customer_id: created.user.id, discount_total: 500 });
+        const line = { code: promotion.code, target: 'items', amount: 500 };
+        const inserted = await service
+          .from('order_discounts')
+          .insert({ ...line, order_id: order.id, promotion_id: promotion.id, type: 'percentage' });
+        expect(inserted.error).toBeNull();
+
+        const { data, error: readError } = await customer
+          .from('orders')
+          .select('discount_total, order_discounts(code, target, amount)')
+          .eq('id', order.id)
+          .single();
+        expect(readError).toBeNull();
+        expect(data).toEqual({ discount_total: 500, order_discounts: [line] });
+
+        const hidden = await customer.from('order_discounts').select('promotion_id');
+        expect(hidden.error).toMatchObject({ code: '42501' });
+      } finally {
+        await service.auth.admin.deleteUser(created.user.id);
+      }
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * filepath: api/_lib/__tests__/fake-server.js
+ * Local HTTP server standing in for Printify, Stripe or the FX provider in
+ * unit tests; point PRINTIFY_API_BASE, STRIPE_API_BASE or FX_API_BASE at
+ * its url before importing the module under test.
+ */
+
+import http from 'node:http';
+
+/**
+ * Start a fake API server on a free port
+ * @param {Function} respond - ({ method, url, headers, body }) => { status, body }
+ *   (status defaults to 200, body is sent as JSON)
+ * @returns {Promise<{ url: string, requests: Array<Object>, close: Function }>}
+ */
+export async function startFakeServer(respond) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const { status = 200, body: reply = {} } = (await respond(request)) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        // fetch keeps connections alive, which would hold close() open
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
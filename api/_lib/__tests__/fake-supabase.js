@@ -0,0 +1,330 @@
+/**
+ * filepath: api/_lib/__tests__/fake-supabase.js
+ * In-memory stand-in for the service-role Supabase client, for unit tests.
+ *
+ * Tables are arrays of rows, keyed by table name. Queries support what
+ * api/_lib uses: eq, neq, in, is, not(column, 'is', value), lt, lte, gt, gte
+ * and ilike filters, order, range/limit, single/maybeSingle, insert, update,
+ * upsert and delete (with select() to return the rows), and
+ * { count: 'exact', head: true }.
+ *
+ * Like PostgREST, a select returns at most `maxRows` rows, however large its
+ * range; by default there is no cap.
+ *
+ * Embedded resources are not modelled: select() embeds are ignored, and so
+ * are filters on them ('orders.status') and or() filters. Register a handler
+ * for a table to answer such queries; it gets the query and returns
+ * { data, error, count }.
+ */
+
+import crypto from 'node:crypto';
+
+/**
+ * LIKE pattern as a case-insensitive regular expression
+ * @param {string} pattern - With % and _ wildcards and \ escapes
+ * @returns {RegExp}
+ */
+function likePattern(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function same(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return a === b;
+  return String(a) === String(b);
+}
+
+const FILTERS = {
+  eq: (cell, value) => same(cell, value),
+  neq: (cell, value) => cell !== null && !same(cell, value),
+  in: (cell, values) => values.some((candidate) => same(cell, candidate)),
+  is: (cell, value) => cell === value,
+  'not.is': (cell, value) => cell !== value,
+  lt: (cell, value) => cell !== null && cell < value,
+  lte: (cell, value) => cell !== null && cell <= value,
+  gt: (cell, value) => cell !== null && cell > value,
+  gte: (cell, value) => cell !== null && cell >= value,
+  ilike: (cell, pattern) => cell !== null && likePattern(pattern).test(String(cell)),
+};
+
+/**
+ * Whether a row passes one filter
+ * @param {Object} row
+ * @param {Object} filter - { column, op, value }
+ * @returns {boolean}
+ */
+function matches(row, { column, op, value }) {
+  if (op === 'or' || column.includes('.')) return true;
+  if (!FILTERS[op]) throw new Error(`fake-supabase: unsupported filter ${op}`);
+  return FILTERS[op](row[column] ?? null, value);
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.options = {};
+    this.payload = null;
+    this.returning = false;
+    this.filters = [];
+    this.sorts = [];
+    this.start = 0;
+    this.end = null;
+    this.mode = 'many';
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.options = options;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push({ column, op, value });
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter(column, 'eq', value);
+  }
+
+  neq(column, value) {
+    return this.filter(column, 'neq', value);
+  }
+
+  in(column, values) {
+    return this.filter(column, 'in', values);
+  }
+
+  is(column, value) {
+    return this.filter(column, 'is', value);
+  }
+
+  not(column, op, value) {
+    return this.filter(column, `not.${op}`, value);
+  }
+
+  lt(column, value) {
+    return this.filter(column, 'lt', value);
+  }
+
+  lte(column, value) {
+    return this.filter(column, 'lte', value);
+  }
+
+  gt(column, value) {
+    return this.filter(column, 'gt', value);
+  }
+
+  gte(column, value) {
+    return this.filter(column, 'gte', value);
+  }
+
+  ilike(column, pattern) {
+    return this.filter(column, 'ilike', pattern);
+  }
+
+  or(expression) {
+    return this.filter(null, 'or', expression);
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sorts.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.start = from;
+    this.end = to;
+    return this;
+  }
+
+  limit(count) {
+    this.end = this.start + count - 1;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  /**
+   * Filter value of a column, for handlers
+   * @param {string} column
+   * @param {string} op - Default 'eq'
+   * @returns {*} undefined when the query doesn't filter on it
+   */
+  value(column, op = 'eq') {
+    return this.filters.find((filter) => filter.column === column && filter.op === op)?.value;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  execute() {
+    this.db.queries.push(this);
+
+    const handler = this.db.handlers[this.table];
+    if (handler) {
+      const result = handler(this, this.db);
+      if (result !== undefined) return { data: null, error: null, count: null, ...result };
+    }
+
+    const rows = this.db.table(this.table);
+    const hits = rows.filter((row) => this.filters.every((filter) => matches(row, filter)));
+    let data;
+
+    if (this.action === 'select') {
+      const end = Math.min(
+        this.end === null ? Infinity : this.end + 1,
+        this.start + this.db.maxRows
+      );
+      data = this.sorted(hits).slice(this.start, end);
+      if (this.options.head) {
+        return { data: null, error: null, count: hits.length };
+      }
+      return { ...this.shape(data), count: this.options.count ? hits.length : null };
+    }
+
+    if (this.action === 'insert') {
+      data = [].concat(this.payload).map((row) => this.db.newRow(row));
+      rows.push(...data);
+    } else if (this.action === 'update') {
+      hits.forEach((row) => Object.assign(row, this.payload));
+      data = hits;
+    } else if (this.action === 'upsert') {
+      const keys = (this.options.onConflict || 'id').split(',').map((key) => key.trim());
+      data = [].concat(this.payload).map((row) => {
+        const existing = rows.find((candidate) =>
+          keys.every((key) => same(candidate[key], row[key]))
+        );
+        if (existing) return Object.assign(existing, row);
+        const created = this.db.newRow(row);
+        rows.push(created);
+        return created;
+      });
+    } else {
+      data = hits;
+      this.db.tables[this.table] = rows.filter((row) => !hits.includes(row));
+    }
+
+    return this.returning ? this.shape(data) : { data: null, error: null };
+  }
+
+  sorted(rows) {
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending } of this.sorts) {
+        if (a[column] === b[column]) continue;
+        const before = a[column] === null || a[column] < b[column];
+        return before === ascending ? -1 : 1;
+      }
+      return 0;
+    });
+  }
+
+  shape(rows) {
+    const copies = rows.map((row) => structuredClone(row));
+    if (this.mode === 'many') return { data: copies, error: null };
+
+    if (copies.length > 1 || (copies.length === 0 && this.mode === 'single')) {
+      return {
+        data: null,
+        error: { code: 'PGRST116', message: `Expected one row, got ${copies.length}` },
+      };
+    }
+    return { data: copies[0] || null, error: null };
+  }
+}
+
+/**
+ * A fake Supabase client
+ * @param {Object} tables - { table: [rows] }; rows are kept and changed in place
+ * @param {Object} options
+ * @param {Object} options.handlers - { table: (query, db) => result | undefined }
+ * @param {Object} options.rpc - { functionName: (args, db) => { data, error } }
+ * @param {number} options.maxRows - Most rows a select returns (PostgREST's db-max-rows)
+ * @returns {Object} Client with from() and rpc(), plus tables and the queries run
+ */
+export function createFakeSupabase(
+  tables = {},
+  { handlers = {}, rpc = {}, maxRows = Infinity } = {}
+) {
+  const db = {
+    tables,
+    handlers,
+    maxRows,
+    queries: [],
+    table(name) {
+      if (!this.tables[name]) this.tables[name] = [];
+      return this.tables[name];
+    },
+    newRow(row) {
+      return {
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        ...structuredClone(row),
+      };
+    },
+    from(table) {
+      return new FakeQuery(db, table);
+    },
+    async rpc(name, args) {
+      if (!rpc[name]) {
+        return { data: null, error: { message: `function ${name} does not exist` } };
+      }
+      return { error: null, ...rpc[name](args, db) };
+    },
+  };
+  return db;
+}
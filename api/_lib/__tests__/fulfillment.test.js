@@ -0,0 +1,148 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { startFakeServer } from './fake-server.js';
+
+let printify;
+let fulfillOrder;
+let retryFailedFulfillments;
+// Reply to POST /orders.json; tests swap it to simulate failures
+let createReply;
+
+function paidOrder(fields) {
+  return {
+    id: 'order-1',
+    order_number: 1001,
+    email: 'jo@example.com',
+    status: 'completed',
+    stripe_session_id: 'cs_test_1',
+    paid_at: '2026-06-01T12:00:00Z',
+    fulfillment_status: 'unfulfilled',
+    fulfillment_attempts: 0,
+    printify_order_id: null,
+    shipping_address: {
+      name: 'Jo Anne Tremblay',
+      line1: '1 King St W',
+      city: 'Toronto',
+      province: 'ON',
+      postalCode: 'M5H 1A1',
+      country: 'CA',
+    },
+    ...fields,
+  };
+}
+
+function createStore(order) {
+  return createFakeSupabase({
+    orders: [order],
+    order_items: [{ order_id: order.id, product_id: 'tee', variant_id: '10', quantity: 2 }],
+  });
+}
+
+beforeAll(async () => {
+  printify = await startFakeServer(({ url }) =>
+    url.endsWith('/orders.json') ? createReply : { body: {} }
+  );
+  process.env.PRINTIFY_API_BASE = printify.url;
+  process.env.PRINTIFY_API_KEY = 'test-key';
+  process.env.PRINTIFY_SHOP_ID = '42';
+  ({ fulfillOrder, retryFailedFulfillments } = await import('../fulfillment.js'));
+});
+
+beforeEach(() => {
+  printify.requests.length = 0;
+  createReply = { body: { id: 'pfy-1' } };
+});
+
+afterAll(() => printify.close());
+
+describe('fulfillOrder', () => {
+  test('creates the Printify order and sends it to production', async () => {
+    const store = createStore(paidOrder());
+
+    const order = await fulfillOrder(store, 'order-1');
+
+    expect(order).toMatchObject({
+      printify_order_id: 'pfy-1',
+      fulfillment_status: 'submitted',
+      fulfillment_attempts: 1,
+    });
+    expect(printify.requests.map((request) => request.url)).toEqual([
+      '/v1/shops/42/orders.json',
+      '/v1/shops/42/orders/pfy-1/send_to_production.json',
+    ]);
+    expect(JSON.parse(printify.requests[0].body)).toMatchObject({
+      external_id: 'order-1',
+      label: 'CanadaClothes #1001',
+      line_items: [{ product_id: 'tee', variant_id: 10, quantity: 2 }],
+      address_to: {
+        first_name: 'Jo',
+        last_name: 'Anne Tremblay',
+        region: 'ON',
+        zip: 'M5H 1A1',
+      },
+    });
+  });
+
+  test.each([
+    ['an unpaid order', { status: 'pending' }],
+    ['an order Stripe has not confirmed payment for', { paid_at: null }],
+    ['an order already submitted', { fulfillment_status: 'submitted' }],
+    ['an order another run is submitting', { fulfillment_status: 'submitting' }],
+  ])('leaves alone %s', async (label, fields) => {
+    const store = createStore(paidOrder(fields));
+
+    await expect(fulfillOrder(store, 'order-1')).resolves.toBeNull();
+    expect(printify.requests).toHaveLength(0);
+  });
+
+  test('records a refused order as failed, without a retry', async () => {
+    createReply = { status: 400, body: { message: 'Invalid address' } };
+    const store = createStore(paidOrder());
+
+    await expect(fulfillOrder(store, 'order-1')).rejects.toThrow('Printify API error: 400');
+    expect(store.tables.orders[0]).toMatchObject({
+      fulfillment_status: 'failed',
+      fulfillment_attempts: 1,
+      fulfillment_error: 'Printify API error: 400',
+      fulfillment_next_attempt_at: null,
+    });
+  });
+
+  test('releases an order created by an earlier attempt without creating it again', async () => {
+    const store = createStore(
+      paidOrder({
+        fulfillment_status: 'failed',
+        fulfillment_attempts: 2,
+        printify_order_id: 'pfy-0',
+      })
+    );
+
+    await expect(fulfillOrder(store, 'order-1')).resolves.toMatchObject({
+      fulfillment_status: 'submitted',
+      fulfillment_attempts: 3,
+    });
+    expect(printify.requests.map((request) => request.url)).toEqual([
+      '/v1/shops/42/orders/pfy-0/send_to_production.json',
+    ]);
+  });
+});
+
+describe('retryFailedFulfillments', () => {
+  test('retries only orders Stripe confirmed payment for', async () => {
+    const due = {
+      fulfillment_status: 'failed',
+      fulfillment_next_attempt_at: '2026-01-01T00:00:00Z',
+    };
+    const store = createStore(paidOrder({ id: 'unpaid', paid_at: null, ...due }));
+    store.tables.orders.push(paidOrder(due));
+
+    await expect(retryFailedFulfillments(store)).resolves.toEqual({
+      attempted: 1,
+      submitted: 1,
+      failed: 0,
+    });
+    expect(store.tables.orders.map((order) => order.fulfillment_status)).toEqual([
+      'failed',
+      'submitted',
+    ]);
+  });
+});
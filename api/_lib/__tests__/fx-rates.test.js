@@ -0,0 +1,95 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { startFakeServer } from './fake-server.js';
+
+// Rates are cached per module instance, so each test loads a fresh copy
+async function loadFxRates(env) {
+  jest.resetModules();
+  Object.assign(process.env, env);
+  return import('../fx-rates.js');
+}
+
+describe('getExchangeRates', () => {
+  afterEach(() => {
+    delete process.env.FX_PROVIDER;
+    delete process.env.FX_API_BASE;
+    jest.restoreAllMocks();
+  });
+
+  test('serves the fixture rates and stores them for other instances', async () => {
+    const { getExchangeRates, FIXTURE_RATES } = await loadFxRates({ FX_PROVIDER: 'fixture' });
+    const supabase = createFakeSupabase();
+
+    const snapshot = await getExchangeRates(supabase);
+
+    expect(snapshot).toMatchObject({ base: 'CAD', rates: FIXTURE_RATES, provider: 'fixture' });
+    expect(supabase.tables.fx_rates).toEqual([
+      expect.objectContaining({ id: 1, rates: FIXTURE_RATES, provider: 'fixture' }),
+    ]);
+  });
+
+  test('asks the provider only for currencies the storefront shows', async () => {
+    const frankfurter = await startFakeServer(() => ({
+      body: { date: '2026-06-01', rates: { USD: 0.7312, EUR: 0.6701, GBP: 0.5702, JPY: 110 } },
+    }));
+    try {
+      const { getExchangeRates } = await loadFxRates({ FX_API_BASE: frankfurter.url });
+
+      const snapshot = await getExchangeRates(createFakeSupabase());
+
+      expect(frankfurter.requests[0].url).toBe('/latest?from=CAD&to=USD,EUR,GBP');
+      expect(snapshot).toMatchObject({
+        rates: { USD: 0.7312, EUR: 0.6701, GBP: 0.5702 },
+        date: '2026-06-01',
+        provider: 'frankfurter',
+      });
+      expect(snapshot.rates.JPY).toBeUndefined();
+    } finally {
+      await frankfurter.close();
+    }
+  });
+
+  test('falls back to the stored rates however old when the provider fails', async () => {
+    const frankfurter = await startFakeServer(() => ({ status: 502 }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const { getExchangeRates } = await loadFxRates({ FX_API_BASE: frankfurter.url });
+      const supabase = createFakeSupabase({
+        fx_rates: [
+          {
+            id: 1,
+            base: 'CAD',
+            rates: { USD: 0.7 },
+            rate_date: '2026-01-01',
+            provider: 'frankfurter',
+            fetched_at: '2026-01-01T16:00:00Z',
+          },
+        ],
+      });
+
+      await expect(getExchangeRates(supabase)).resolves.toMatchObject({ rates: { USD: 0.7 } });
+      await expect(getExchangeRates(createFakeSupabase())).resolves.toMatchObject({
+        rates: { USD: 0.7 },
+      });
+    } finally {
+      await frankfurter.close();
+    }
+  });
+});
+
+describe('resolveDisplayRate', () => {
+  let resolveDisplayRate;
+
+  beforeAll(async () => {
+    ({ resolveDisplayRate } = await loadFxRates({ FX_PROVIDER: 'fixture' }));
+  });
+
+  test.each([
+    ['keeps a rate close to ours (a day-old storefront)', 'USD', 0.745, 0.745],
+    ['replaces a rate far from ours', 'USD', 0.9, 0.73],
+    ['replaces a missing rate', 'EUR', undefined, 0.67],
+    ['replaces a rate that is not a number', 'GBP', 'abc', 0.57],
+    ['uses 1 for CAD', 'CAD', 0.73, 1],
+  ])('%s', async (label, currency, shown, recorded) => {
+    await expect(resolveDisplayRate(createFakeSupabase(), currency, shown)).resolves.toBe(recorded);
+  });
+});
@@ -0,0 +1,72 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { buildMessage, getTransportName, sendMail } from '../mailer.js';
+
+const MESSAGE = {
+  to: 'jo@example.com',
+  subject: 'Votre commande',
+  text: 'Merci',
+  html: '<p>Merci</p>',
+};
+
+const ENV = ['EMAIL_TRANSPORT', 'SMTP_HOST', 'EMAIL_OUTBOX_DIR', 'NODE_ENV'];
+let saved;
+
+beforeEach(() => {
+  saved = Object.fromEntries(ENV.map((name) => [name, process.env[name]]));
+  for (const name of ENV) delete process.env[name];
+});
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+describe('buildMessage', () => {
+  test('encodes a subject only when it is not ASCII', () => {
+    expect(buildMessage(MESSAGE).raw).toContain('Subject: Votre commande\r\n');
+    expect(buildMessage({ ...MESSAGE, subject: 'Reçu' }).raw).toContain(
+      `Subject: =?UTF-8?B?${Buffer.from('Reçu').toString('base64')}?=\r\n`
+    );
+  });
+});
+
+describe('sendMail', () => {
+  test('uses SMTP when SMTP_HOST is set', () => {
+    process.env.SMTP_HOST = 'smtp.example.com';
+    expect(getTransportName()).toBe('smtp');
+  });
+
+  test('fails when no transport is configured', async () => {
+    expect(getTransportName()).toBeNull();
+    await expect(sendMail(MESSAGE)).rejects.toThrow('No email transport configured');
+  });
+
+  test.each(['file', 'console'])('refuses the %s transport outside development', async (name) => {
+    process.env.EMAIL_TRANSPORT = name;
+    process.env.NODE_ENV = 'production';
+    await expect(sendMail(MESSAGE)).rejects.toThrow(`EMAIL_TRANSPORT=${name} is only allowed`);
+
+    delete process.env.NODE_ENV;
+    await expect(sendMail(MESSAGE)).rejects.toThrow(`EMAIL_TRANSPORT=${name} is only allowed`);
+  });
+
+  test('writes the message to the outbox in development', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    process.env.EMAIL_TRANSPORT = 'file';
+    process.env.EMAIL_OUTBOX_DIR = dir;
+    process.env.NODE_ENV = 'development';
+    try {
+      const { transport, response } = await sendMail(MESSAGE);
+
+      expect(transport).toBe('file');
+      expect(path.dirname(response)).toBe(dir);
+      await expect(fs.readFile(response, 'utf8')).resolves.toContain('To: jo@example.com');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,60 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { canTransition, transitionOrder } from '../order-status.js';
+
+describe('canTransition', () => {
+  test.each([
+    ['pending', 'processing', true],
+    ['pending', 'completed', true],
+    ['pending', 'cancelled', true],
+    ['processing', 'completed', true],
+    ['processing', 'cancelled', true],
+    ['completed', 'cancelled', true],
+    ['processing', 'pending', false],
+    ['completed', 'processing', false],
+    ['completed', 'completed', false],
+    ['cancelled', 'pending', false],
+    ['cancelled', 'completed', false],
+    ['refunded', 'cancelled', false],
+  ])('%s → %s: %s', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+});
+
+describe('transitionOrder', () => {
+  test('moves the order and sets the extra fields', async () => {
+    const supabase = createFakeSupabase({ orders: [{ id: 'order-1', status: 'pending' }] });
+
+    const order = await transitionOrder(supabase, 'order-1', 'completed', {
+      paid_at: '2026-01-01T00:00:00Z',
+    });
+
+    expect(order).toMatchObject({ status: 'completed', paid_at: '2026-01-01T00:00:00Z' });
+    expect(supabase.tables.orders[0].status).toBe('completed');
+  });
+
+  test('leaves the order alone when the transition is not allowed', async () => {
+    const supabase = createFakeSupabase({ orders: [{ id: 'order-1', status: 'cancelled' }] });
+
+    expect(await transitionOrder(supabase, 'order-1', 'completed')).toBeNull();
+    expect(supabase.tables.orders[0].status).toBe('cancelled');
+    expect(await transitionOrder(supabase, 'order-2', 'completed')).toBeNull();
+  });
+
+  test('only updates an order still in the status it was read in', async () => {
+    const supabase = createFakeSupabase(
+      { orders: [{ id: 'order-1', status: 'pending' }] },
+      {
+        handlers: {
+          // Another webhook delivery completes the order between the read and the write
+          orders(query, db) {
+            if (query.action === 'update') db.tables.orders[0].status = 'completed';
+          },
+        },
+      }
+    );
+
+    expect(await transitionOrder(supabase, 'order-1', 'processing')).toBeNull();
+    expect(supabase.tables.orders[0].status).toBe('completed');
+    expect(supabase.queries.at(-1).value('status')).toBe('pending');
+  });
+});
@@ -0,0 +1,158 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { quoteCart, validateOrderRequest } from '../orders.js';
+
+const PRODUCTS = [
+  { id: 'tee', title: 'Tee', price: 2500, variants: [{ id: 10, title: 'S', price: 2500 }] },
+  { id: 'mug', title: 'Mug', price: 1500, variants: [{ id: 20, title: 'Mug', price: 1500 }] },
+];
+
+const TORONTO = {
+  name: 'Jo Tremblay',
+  line1: '1 King St W',
+  city: 'Toronto',
+  province: 'ON',
+  postalCode: 'M5H 1A1',
+  country: 'CA',
+};
+
+function createStore() {
+  return createFakeSupabase({
+    product_cache: [{ id: 1, products: PRODUCTS, cached_at: new Date().toISOString() }],
+    products: [
+      { id: 'tee', category: 'Shirts' },
+      { id: 'mug', category: 'Home' },
+    ],
+  });
+}
+
+function promotion(fields) {
+  return {
+    id: 'promo-1',
+    code: 'SAVE',
+    type: 'percentage',
+    value: 10,
+    min_subtotal: 0,
+    product_ids: [],
+    categories: [],
+    ...fields,
+  };
+}
+
+describe('quoteCart', () => {
+  test('adds shipping and taxes it with the goods', async () => {
+    const quote = await quoteCart(createStore(), [{ productId: 'tee', quantity: 2 }], TORONTO);
+
+    expect(quote.subtotal).toBe(5000);
+    expect(quote.discount).toBe(0);
+    expect(quote.shipping).toMatchObject({ amount: 999, baseRate: 999, free: false });
+    expect(quote.taxableAmount).toBe(5999);
+    // ON HST 13%
+    expect(quote.tax.total).toBe(780);
+    expect(quote.total).toBe(6779);
+  });
+
+  test('ships free over the threshold and charges the remote surcharge', async () => {
+    const quote = await quoteCart(createStore(), [{ productId: 'tee', quantity: 4 }], {
+      ...TORONTO,
+      city: 'Whitehorse',
+      province: 'YT',
+      postalCode: 'Y1A 1A1',
+    });
+
+    expect(quote.shipping).toMatchObject({ amount: 1000, baseRate: 0, surcharge: 1000 });
+    // YT GST 5%
+    expect(quote.tax.total).toBe(550);
+    expect(quote.total).toBe(11550);
+  });
+
+  test('does not tax shipments to the United States', async () => {
+    const quote = await quoteCart(createStore(), [{ productId: 'mug', quantity: 1 }], {
+      ...TORONTO,
+      city: 'Buffalo',
+      province: 'NY',
+      postalCode: '14201',
+      country: 'US',
+    });
+
+    expect(quote.shipping.amount).toBe(1499);
+    expect(quote.tax).toEqual({ lines: [], total: 0 });
+    expect(quote.total).toBe(2999);
+  });
+
+  test('applies the larger of a reminder discount and a code', async () => {
+    const items = [{ productId: 'tee', quantity: 2 }];
+    const recovery = { id: 'recovery-1', discountPercent: 15 };
+
+    const reminder = await quoteCart(createStore(), items, TORONTO, {
+      recovery,
+      promotion: promotion({ value: 10 }),
+    });
+    expect(reminder.discount).toBe(750);
+    expect(reminder.discounts).toEqual([
+      { cartRecoveryId: 'recovery-1', type: 'percentage', target: 'items', amount: 750 },
+    ]);
+
+    const code = await quoteCart(createStore(), items, TORONTO, {
+      recovery,
+      promotion: promotion({ value: 20 }),
+    });
+    expect(code.discount).toBe(1000);
+    expect(code.discounts).toEqual([
+      { promotionId: 'promo-1', code: 'SAVE', type: 'percentage', target: 'items', amount: 1000 },
+    ]);
+    expect(code.taxableAmount).toBe(5000 - 1000 + 999);
+  });
+
+  test('waives the base shipping rate for a free-shipping code', async () => {
+    const quote = await quoteCart(createStore(), [{ productId: 'mug', quantity: 1 }], TORONTO, {
+      recovery: { id: 'recovery-1', discountPercent: 10 },
+      promotion: promotion({ code: 'SHIPFREE', type: 'free_shipping', value: 0 }),
+    });
+
+    expect(quote.shipping).toMatchObject({ amount: 0, baseRate: 0, free: true });
+    expect(quote.discounts.map((line) => [line.target, line.amount])).toEqual([
+      ['items', 150],
+      ['shipping', 999],
+    ]);
+    expect(quote.total).toBe(1350 + Math.round(1350 * 0.13));
+  });
+
+  test('refuses a code that covers nothing in the cart', async () => {
+    await expect(
+      quoteCart(createStore(), [{ productId: 'mug', quantity: 1 }], TORONTO, {
+        promotion: promotion({ categories: ['shirts'] }),
+      })
+    ).rejects.toMatchObject({ code: 'INVALID_PROMO_CODE', details: { reason: 'not_applicable' } });
+  });
+});
+
+describe('validateOrderRequest', () => {
+  const body = {
+    email: 'jo@example.com',
+    items: [{ productId: 'tee', quantity: 1 }],
+    shippingAddress: TORONTO,
+    total: 3952,
+  };
+
+  test('returns the normalized address', () => {
+    expect(
+      validateOrderRequest({ ...body, shippingAddress: { ...TORONTO, postalCode: 'm5h1a1' } })
+    ).toMatchObject({ postalCode: 'M5H 1A1', province: 'ON' });
+  });
+
+  test.each([
+    ['a malformed email', { email: 'jo@' }, 'INVALID_EMAIL'],
+    ['a zero quantity', { items: [{ productId: 'tee', quantity: 0 }] }, 'INVALID_ITEMS'],
+    [
+      'a negative price',
+      { items: [{ productId: 'tee', quantity: 1, price: -1 }] },
+      'INVALID_ITEMS',
+    ],
+    ['an unknown province', { shippingAddress: { ...TORONTO, province: 'ZZ' } }, 'INVALID_ADDRESS'],
+    ['a total that is not cents', { total: '39.52' }, 'INVALID_TOTAL'],
+  ])('refuses %s with %s', (label, change, code) => {
+    expect(() => validateOrderRequest({ ...body, ...change })).toThrow(
+      expect.objectContaining({ code })
+    );
+  });
+});
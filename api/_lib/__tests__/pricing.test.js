@@ -0,0 +1,182 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { startFakeServer } from './fake-server.js';
+
+let printify;
+let pricing;
+
+// Raw Printify products: a hoodie with two sizes, a hidden and a locked one
+const PRINTIFY_PRODUCTS = [
+  {
+    id: 'hoodie',
+    title: 'Hoodie',
+    variants: [
+      { id: 1, title: 'S', price: 4500, is_enabled: true },
+      { id: 2, title: 'M', price: 4700, is_enabled: true },
+    ],
+  },
+  { id: 'draft', title: 'Draft', visible: false, variants: [{ id: 3, title: 'S', price: 100 }] },
+  { id: 'locked', title: 'Locked', is_locked: true, variants: [{ id: 4, title: 'S', price: 100 }] },
+];
+
+const SNAPSHOT = [
+  {
+    id: 'tee',
+    title: 'Tee',
+    price: 2500,
+    variants: [
+      { id: 10, title: 'S', price: 2500, available: true },
+      { id: 11, title: 'M', price: 2700, available: true },
+      { id: 12, title: 'XL', price: 2900, available: false },
+    ],
+  },
+  { id: 'cap', title: 'Cap', price: 1500, variants: [{ id: 20, title: 'One size', price: 1500 }] },
+];
+
+function catalog(products = SNAPSHOT) {
+  return new Map(products.map((product) => [product.id, product]));
+}
+
+function cacheRow(hoursOld) {
+  return {
+    id: 1,
+    products: SNAPSHOT,
+    cached_at: new Date(Date.now() - hoursOld * 60 * 60 * 1000).toISOString(),
+  };
+}
+
+beforeAll(async () => {
+  printify = await startFakeServer(({ url }) =>
+    url.includes('/products.json') ? { body: { data: PRINTIFY_PRODUCTS, last_page: 1 } } : null
+  );
+  process.env.PRINTIFY_API_BASE = printify.url;
+  process.env.PRINTIFY_API_KEY = 'test-key';
+  process.env.PRINTIFY_SHOP_ID = '42';
+  pricing = await import('../pricing.js');
+});
+
+afterAll(() => printify.close());
+
+describe('priceItems', () => {
+  test('prices lines from the catalog, whatever the client sent', () => {
+    const { lines, subtotal } = pricing.priceItems(
+      [
+        { productId: 'tee', variantId: 11, quantity: 2 },
+        { productId: 'cap', quantity: 1, price: 1500 },
+      ],
+      catalog()
+    );
+
+    expect(lines).toEqual([
+      {
+        productId: 'tee',
+        variantId: 11,
+        title: 'Tee',
+        variantTitle: 'M',
+        quantity: 2,
+        unitPrice: 2700,
+        lineTotal: 5400,
+      },
+      {
+        productId: 'cap',
+        variantId: 20,
+        title: 'Cap',
+        variantTitle: 'One size',
+        quantity: 1,
+        unitPrice: 1500,
+        lineTotal: 1500,
+      },
+    ]);
+    expect(subtotal).toBe(6900);
+  });
+
+  test.each([
+    ['an unknown product', { productId: 'nope', quantity: 1 }, 'PRODUCT_NOT_FOUND', 400],
+    ['a missing size', { productId: 'tee', quantity: 1 }, 'VARIANT_REQUIRED', 400],
+    ['an unknown size', { productId: 'tee', variantId: 99, quantity: 1 }, 'VARIANT_NOT_FOUND', 400],
+    [
+      'a disabled size',
+      { productId: 'tee', variantId: 12, quantity: 1 },
+      'VARIANT_UNAVAILABLE',
+      400,
+    ],
+    [
+      'a stale price',
+      { productId: 'tee', variantId: 10, quantity: 1, price: 1999 },
+      'PRICE_CHANGED',
+      409,
+    ],
+  ])('refuses %s with %s', (label, item, code, status) => {
+    let error;
+    try {
+      pricing.priceItems([{ productId: 'cap', quantity: 1 }, item], catalog());
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(pricing.PricingError);
+    expect(error.code).toBe(code);
+    expect(error.status).toBe(status);
+    expect(error.details).toEqual([expect.objectContaining({ index: 1, code })]);
+  });
+
+  test('reports every problem', () => {
+    expect(() =>
+      pricing.priceItems(
+        [
+          { productId: 'nope', quantity: 1 },
+          { productId: 'tee', variantId: 10, quantity: 1, price: 1 },
+        ],
+        catalog()
+      )
+    ).toThrow(
+      expect.objectContaining({
+        code: 'PRODUCT_NOT_FOUND',
+        details: [
+          expect.objectContaining({ code: 'PRODUCT_NOT_FOUND' }),
+          expect.objectContaining({ code: 'PRICE_CHANGED', clientPrice: 1, currentPrice: 2500 }),
+        ],
+      })
+    );
+  });
+});
+
+describe('loadCatalog', () => {
+  test('uses a fresh product_cache snapshot', async () => {
+    printify.requests.length = 0;
+    const supabase = createFakeSupabase({ product_cache: [cacheRow(1)] });
+
+    const products = await pricing.loadCatalog(supabase);
+
+    expect([...products.keys()]).toEqual(['tee', 'cap']);
+    expect(printify.requests).toHaveLength(0);
+  });
+
+  test('falls back to Printify when the snapshot is stale, leaving out unlisted products', async () => {
+    printify.requests.length = 0;
+    const supabase = createFakeSupabase({ product_cache: [cacheRow(25)] });
+
+    const products = await pricing.loadCatalog(supabase);
+
+    expect([...products.keys()]).toEqual(['hoodie']);
+    expect(products.get('hoodie').variants.map((variant) => variant.price)).toEqual([4500, 4700]);
+    expect(printify.requests[0].url).toBe('/v1/shops/42/products.json?limit=50&page=1');
+    expect(printify.requests[0].headers.authorization).toBe('Bearer test-key');
+  });
+
+  test('is unavailable when there is no snapshot and Printify fails', async () => {
+    const failing = await startFakeServer(() => ({ status: 401 }));
+    jest.resetModules();
+    process.env.PRINTIFY_API_BASE = failing.url;
+    const { loadCatalog } = await import('../pricing.js');
+
+    try {
+      await expect(loadCatalog(createFakeSupabase())).rejects.toMatchObject({
+        code: 'CATALOG_UNAVAILABLE',
+        status: 503,
+      });
+    } finally {
+      process.env.PRINTIFY_API_BASE = printify.url;
+      await failing.close();
+    }
+  });
+});
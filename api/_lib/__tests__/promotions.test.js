@@ -0,0 +1,228 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import {
+  normalizePromoCode,
+  parsePromotion,
+  promotionDiscount,
+  resolvePromotion,
+} from '../promotions.js';
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+const LINES = [
+  { productId: 'tee', quantity: 2, unitPrice: 2500, lineTotal: 5000 },
+  { productId: 'mug', quantity: 1, unitPrice: 1500, lineTotal: 1500 },
+];
+
+function promotionRow(fields) {
+  return {
+    id: 'promo-1',
+    code: 'SUMMER',
+    type: 'percentage',
+    value: 10,
+    min_subtotal: 0,
+    product_ids: [],
+    categories: [],
+    max_uses: null,
+    max_uses_per_customer: null,
+    starts_at: null,
+    ends_at: null,
+    is_active: true,
+    ...fields,
+  };
+}
+
+/**
+ * Store with one promotion; order_discounts counts are answered from `uses`
+ * (orders that used it: { status, email }), as the embedded filter would
+ */
+function createStore(promotion, uses = []) {
+  return createFakeSupabase(
+    {
+      promotions: [promotion],
+      products: [
+        { id: 'tee', category: 'Shirts' },
+        { id: 'mug', category: 'Home' },
+      ],
+    },
+    {
+      handlers: {
+        order_discounts(query) {
+          const pattern = query.value('orders.email', 'ilike');
+          const count = uses.filter(
+            (use) =>
+              use.status !== 'cancelled' &&
+              (!pattern || use.email.toLowerCase() === pattern.replace(/\\/g, '').toLowerCase())
+          ).length;
+          return { count };
+        },
+      },
+    }
+  );
+}
+
+describe('normalizePromoCode', () => {
+  test('trims and upper-cases', () => {
+    expect(normalizePromoCode('  summer-24 ')).toBe('SUMMER-24');
+    expect(normalizePromoCode(null)).toBe('');
+  });
+});
+
+describe('resolvePromotion', () => {
+  test('returns a live code', async () => {
+    const store = createStore(promotionRow());
+    await expect(resolvePromotion(store, ' summer ', { now: NOW })).resolves.toMatchObject({
+      id: 'promo-1',
+    });
+  });
+
+  test('is null without a code', async () => {
+    await expect(resolvePromotion(createStore(promotionRow()), '')).resolves.toBeNull();
+  });
+
+  test.each([
+    ['an unknown code', promotionRow({ code: 'WINTER' }), 'not_found'],
+    ['an inactive code', promotionRow({ is_active: false }), 'not_found'],
+    ['a code not started', promotionRow({ starts_at: '2026-06-02T00:00:00Z' }), 'not_started'],
+    ['an expired code', promotionRow({ ends_at: '2026-06-01T12:00:00Z' }), 'expired'],
+  ])('refuses %s', async (label, promotion, reason) => {
+    await expect(
+      resolvePromotion(createStore(promotion), 'SUMMER', { now: NOW })
+    ).rejects.toMatchObject({ code: 'INVALID_PROMO_CODE', details: { reason } });
+  });
+
+  test('refuses a code used up, not counting cancelled orders', async () => {
+    const uses = [
+      { status: 'completed', email: 'a@example.com' },
+      { status: 'cancelled', email: 'b@example.com' },
+    ];
+
+    await expect(
+      resolvePromotion(createStore(promotionRow({ max_uses: 2 }), uses), 'SUMMER', { now: NOW })
+    ).resolves.toBeTruthy();
+    await expect(
+      resolvePromotion(
+        createStore(promotionRow({ max_uses: 2 }), [
+          ...uses,
+          { status: 'pending', email: 'c@x.ca' },
+        ]),
+        'SUMMER',
+        { now: NOW }
+      )
+    ).rejects.toMatchObject({ details: { reason: 'used_up' } });
+  });
+
+  test('refuses a customer who already used the code', async () => {
+    const store = createStore(promotionRow({ max_uses_per_customer: 1 }), [
+      { status: 'completed', email: 'First_Last@example.com' },
+    ]);
+
+    await expect(
+      resolvePromotion(store, 'SUMMER', { email: 'first_last@example.com', now: NOW })
+    ).rejects.toMatchObject({ details: { reason: 'already_used' } });
+    // The _ in the address is matched literally, not as a LIKE wildcard
+    expect(store.queries.at(-1).value('orders.email', 'ilike')).toBe('first\\_last@example.com');
+
+    await expect(
+      resolvePromotion(store, 'SUMMER', { email: 'other@example.com', now: NOW })
+    ).resolves.toBeTruthy();
+  });
+});
+
+describe('promotionDiscount', () => {
+  test('takes a percentage off the whole cart', async () => {
+    const promotion = promotionRow({ value: 15 });
+    await expect(promotionDiscount(createStore(promotion), promotion, LINES)).resolves.toEqual({
+      promotionId: 'promo-1',
+      code: 'SUMMER',
+      type: 'percentage',
+      target: 'items',
+      amount: 975,
+    });
+  });
+
+  test('only discounts the products and categories in scope', async () => {
+    const byProduct = promotionRow({ product_ids: ['mug'], value: 50 });
+    const byCategory = promotionRow({ categories: ['shirts'], value: 50 });
+
+    expect((await promotionDiscount(createStore(byProduct), byProduct, LINES)).amount).toBe(750);
+    expect((await promotionDiscount(createStore(byCategory), byCategory, LINES)).amount).toBe(2500);
+  });
+
+  test('caps a fixed amount at what it covers', async () => {
+    const promotion = promotionRow({ type: 'fixed_amount', value: 2000, product_ids: ['mug'] });
+    expect((await promotionDiscount(createStore(promotion), promotion, LINES)).amount).toBe(1500);
+  });
+
+  test('leaves free shipping to be worked out with the shipping quote', async () => {
+    const promotion = promotionRow({ type: 'free_shipping', value: 0 });
+    await expect(
+      promotionDiscount(createStore(promotion), promotion, LINES)
+    ).resolves.toMatchObject({ target: 'shipping', amount: 0 });
+  });
+
+  test('needs the minimum subtotal on covered items', async () => {
+    const promotion = promotionRow({ product_ids: ['mug'], min_subtotal: 2000 });
+    await expect(promotionDiscount(createStore(promotion), promotion, LINES)).rejects.toMatchObject(
+      {
+        code: 'INVALID_PROMO_CODE',
+        details: { reason: 'min_subtotal', minSubtotal: 2000 },
+      }
+    );
+  });
+});
+
+describe('parsePromotion', () => {
+  test('maps a staff request to promotions columns', () => {
+    expect(
+      parsePromotion({
+        code: ' spring ',
+        type: 'fixed_amount',
+        value: 1000,
+        minSubtotal: 5000,
+        categories: ['Shirts', 'Shirts ', 'Home'],
+        maxUses: 100,
+        maxUsesPerCustomer: null,
+        startsAt: '2026-03-01T00:00:00Z',
+        endsAt: '2026-04-01T00:00:00Z',
+        active: true,
+      })
+    ).toEqual({
+      code: 'SPRING',
+      type: 'fixed_amount',
+      value: 1000,
+      min_subtotal: 5000,
+      categories: ['Shirts', 'Home'],
+      max_uses: 100,
+      max_uses_per_customer: null,
+      starts_at: '2026-03-01T00:00:00.000Z',
+      ends_at: '2026-04-01T00:00:00.000Z',
+      is_active: true,
+    });
+  });
+
+  test('only checks the fields given for a partial update', () => {
+    expect(parsePromotion({ active: false }, { partial: true })).toEqual({ is_active: false });
+  });
+
+  test.each([
+    ['a short code', { code: 'AB', type: 'percentage', value: 10 }],
+    ['an unknown type', { code: 'SPRING', type: 'bogo', value: 10 }],
+    ['a percentage over 100', { code: 'SPRING', type: 'percentage', value: 101 }],
+    ['a fractional amount', { code: 'SPRING', type: 'fixed_amount', value: 9.99 }],
+    ['a zero usage limit', { code: 'SPRING', type: 'percentage', value: 10, maxUses: 0 }],
+    [
+      'a window ending before it starts',
+      {
+        code: 'SPRING',
+        type: 'percentage',
+        value: 10,
+        startsAt: '2026-04-01T00:00:00Z',
+        endsAt: '2026-03-01T00:00:00Z',
+      },
+    ],
+  ])('refuses %s', (label, body) => {
+    expect(() => parsePromotion(body)).toThrow(
+      expect.objectContaining({ code: 'INVALID_PROMOTION' })
+    );
+  });
+});
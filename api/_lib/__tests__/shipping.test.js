@@ -0,0 +1,84 @@
+import { createFakeSupabase } from './fake-supabase.js';
+import { startFakeServer } from './fake-server.js';
+
+let printify;
+let quoteShipping;
+// Reply to POST /orders/shipping.json; tests swap it
+let shippingReply;
+
+const TORONTO = {
+  line1: '1 King St W',
+  city: 'Toronto',
+  province: 'ON',
+  postalCode: 'M5H 1A1',
+  country: 'CA',
+};
+const IQALUIT = { ...TORONTO, city: 'Iqaluit', province: 'NU', postalCode: 'X0A 0H0' };
+const LINES = [{ productId: 'tee', variantId: '10', quantity: 2 }];
+
+const ENV = {
+  SHIPPING_RATE_SOURCE: 'printify',
+  PRINTIFY_API_KEY: 'test-key',
+  PRINTIFY_SHOP_ID: '42',
+  FX_PROVIDER: 'fixture',
+};
+
+beforeAll(async () => {
+  printify = await startFakeServer(() => shippingReply);
+  Object.assign(process.env, ENV, { PRINTIFY_API_BASE: printify.url });
+  ({ quoteShipping } = await import('../shipping.js'));
+});
+
+beforeEach(() => {
+  shippingReply = { body: { standard: 1000, express: 2500 } };
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(async () => {
+  for (const name of [...Object.keys(ENV), 'PRINTIFY_API_BASE']) delete process.env[name];
+  await printify.close();
+});
+
+describe('quoteShipping from Printify', () => {
+  test('converts the rate to CAD and adds the remote surcharge', async () => {
+    const quote = await quoteShipping(createFakeSupabase(), {
+      subtotal: 5000,
+      address: IQALUIT,
+      lines: LINES,
+    });
+
+    // 10.00 USD at the fixture rate of 0.73 USD per CAD
+    expect(quote).toMatchObject({ baseRate: 1370, surcharge: 1000, amount: 2370 });
+    expect(quote.source).toBe('printify');
+    expect(JSON.parse(printify.requests[0].body)).toMatchObject({
+      line_items: [{ product_id: 'tee', variant_id: 10, quantity: 2 }],
+      address_to: { country: 'CA', region: 'NU', zip: 'X0A 0H0' },
+    });
+  });
+
+  test('ships free over the rate table threshold', async () => {
+    await expect(
+      quoteShipping(createFakeSupabase(), { subtotal: 10000, address: TORONTO, lines: LINES })
+    ).resolves.toMatchObject({ amount: 0, free: true, source: 'printify' });
+  });
+
+  test.each([
+    ['no standard rate', { body: { express: 2500 } }],
+    ['a rate that is not in cents', { body: { standard: '10.00' } }],
+    ['an error', { status: 400, body: { message: 'Invalid address' } }],
+  ])('uses the rate table when Printify sends %s', async (label, reply) => {
+    shippingReply = reply;
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(
+      quoteShipping(createFakeSupabase(), { subtotal: 5000, address: IQALUIT, lines: LINES })
+    ).resolves.toMatchObject({
+      baseRate: 999,
+      surcharge: 1000,
+      amount: 1999,
+      source: 'rate_table',
+    });
+    expect(logged).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import net from 'node:net';
+import { sendSmtp, SmtpError } from '../smtp.js';
+
+/**
+ * Plain-text SMTP server without STARTTLS; `replies` overrides the reply to a
+ * command by its verb (e.g. { RCPT: '450 Mailbox busy' })
+ */
+async function startSmtpServer(replies = {}) {
+  const received = { commands: [], data: null };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    const reply = (verb, fallback) => socket.write(`${replies[verb] || fallback}\r\n`);
+
+    socket.write('220 fake.test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            received.data = data.join('\r\n');
+            data = null;
+            reply('.', '250 2.0.0 Ok: queued as 1234');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        received.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-fake.test\r\n250 AUTH PLAIN\r\n');
+        } else if (verb === 'DATA') {
+          data = [];
+          reply(verb, '354 End data with <CR><LF>.<CR><LF>');
+        } else {
+          reply(verb, verb === 'QUIT' ? '221 Bye' : '250 Ok');
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    config: { host: '127.0.0.1', port: server.address().port },
+    received,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const MESSAGE = {
+  from: 'orders@canadaclothes.ca',
+  to: 'jo@example.com',
+  raw: 'Subject: Your order\r\n\r\nThanks!\r\n.\r\n..and more',
+};
+
+describe('sendSmtp', () => {
+  test('sends the message, dot-stuffing lines that start with a period', async () => {
+    const smtp = await startSmtpServer();
+    try {
+      await expect(sendSmtp(smtp.config, MESSAGE)).resolves.toBe('2.0.0 Ok: queued as 1234');
+      expect(smtp.received.commands.slice(1)).toEqual([
+        'MAIL FROM:<orders@canadaclothes.ca>',
+        'RCPT TO:<jo@example.com>',
+        'DATA',
+        'QUIT',
+      ]);
+      // Dot-stuffed on the wire, so the server reads the message back unchanged
+      expect(smtp.received.data).toBe('Subject: Your order\r\n\r\nThanks!\r\n..\r\n...and more');
+    } finally {
+      await smtp.close();
+    }
+  });
+
+  test('does not send credentials without TLS', async () => {
+    const smtp = await startSmtpServer();
+    try {
+      const sending = sendSmtp({ ...smtp.config, user: 'apikey', pass: 'secret' }, MESSAGE);
+      await expect(sending).rejects.toBeInstanceOf(SmtpError);
+      await expect(sending).rejects.toMatchObject({ code: 530, retryable: false });
+      expect(smtp.received.commands.some((line) => line.startsWith('AUTH'))).toBe(false);
+      expect(smtp.received.data).toBeNull();
+    } finally {
+      await smtp.close();
+    }
+  });
+
+  test('reports temporary and permanent refusals', async () => {
+    const busy = await startSmtpServer({ RCPT: '450 4.2.1 Mailbox busy' });
+    const unknown = await startSmtpServer({ RCPT: '550 5.1.1 No such user' });
+    try {
+      await expect(sendSmtp(busy.config, MESSAGE)).rejects.toMatchObject({
+        message: 'SMTP error 450: 4.2.1 Mailbox busy',
+        retryable: true,
+      });
+      await expect(sendSmtp(unknown.config, MESSAGE)).rejects.toMatchObject({
+        code: 550,
+        retryable: false,
+      });
+    } finally {
+      await busy.close();
+      await unknown.close();
+    }
+  });
+});
@@ -0,0 +1,88 @@
+import crypto from 'node:crypto';
+import { startFakeServer } from './fake-server.js';
+
+const SECRET = 'whsec_test';
+const PAYLOAD = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed' });
+
+let server;
+let stripe;
+
+function sign(payload, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`, 'utf8')
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+beforeAll(async () => {
+  server = await startFakeServer(({ url }) =>
+    url === '/v1/refunds'
+      ? { body: { id: 're_1', status: 'succeeded' } }
+      : { status: 400, body: { error: { message: 'No such customer' } } }
+  );
+  process.env.STRIPE_API_BASE = server.url;
+  process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+  stripe = await import('../stripe.js');
+});
+
+afterAll(() => server.close());
+
+describe('constructWebhookEvent', () => {
+  test('returns the event for a valid signature', () => {
+    expect(stripe.constructWebhookEvent(PAYLOAD, sign(PAYLOAD), SECRET)).toEqual({
+      id: 'evt_1',
+      type: 'checkout.session.completed',
+    });
+  });
+
+  test('accepts any of several v1 signatures (secret rotation)', () => {
+    const header = `${sign(PAYLOAD, { secret: 'whsec_old' })},${sign(PAYLOAD).split(',')[1]}`;
+    expect(stripe.constructWebhookEvent(PAYLOAD, header, SECRET).id).toBe('evt_1');
+  });
+
+  test.each([
+    ['another secret', () => sign(PAYLOAD, { secret: 'whsec_other' }), 'Signature mismatch'],
+    ['a changed payload', () => sign(`${PAYLOAD} `), 'Signature mismatch'],
+    [
+      'an old timestamp',
+      () => sign(PAYLOAD, { timestamp: Math.floor(Date.now() / 1000) - 301 }),
+      'Signature timestamp outside tolerance',
+    ],
+    ['no v1 signature', () => `t=${Math.floor(Date.now() / 1000)}`, 'Malformed'],
+    ['no header', () => '', 'Missing signature'],
+  ])('refuses %s', (label, header, message) => {
+    expect(() => stripe.constructWebhookEvent(PAYLOAD, header(), SECRET)).toThrow(
+      new RegExp(message)
+    );
+    expect(() => stripe.constructWebhookEvent(PAYLOAD, header(), SECRET)).toThrow(
+      stripe.StripeSignatureError
+    );
+  });
+});
+
+describe('Stripe API calls', () => {
+  test('post form-encoded params with an idempotency key', async () => {
+    const refund = await stripe.createRefund(
+      { payment_intent: 'pi_1', amount: 1500, metadata: { order_id: 'order-1' } },
+      'refund-order-1-1'
+    );
+
+    expect(refund).toEqual({ id: 're_1', status: 'succeeded' });
+    const request = server.requests.at(-1);
+    expect(request.method).toBe('POST');
+    expect(request.headers.authorization).toBe('Bearer sk_test_123');
+    expect(request.headers['idempotency-key']).toBe('refund-order-1-1');
+    expect(Object.fromEntries(new URLSearchParams(request.body))).toEqual({
+      payment_intent: 'pi_1',
+      amount: '1500',
+      'metadata[order_id]': 'order-1',
+    });
+  });
+
+  test('report Stripe errors', async () => {
+    await expect(stripe.createCoupon({ amount_off: 500 }, 'coupon-1')).rejects.toThrow(
+      'Stripe API error: 400 No such customer'
+    );
+  });
+});
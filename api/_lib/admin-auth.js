@@ -0,0 +1,70 @@
+/**
+ * filepath: api/_lib/admin-auth.js
+ * Staff authentication for /api/admin routes.
+ *
+ * Requests carry the Supabase access token of a signed-in user
+ * (Authorization: Bearer <token>). The user's role is read from
+ * app_metadata.role, which only the service role can set, e.g.
+ *
+ *   update auth.users
+ *   set raw_app_meta_data = raw_app_meta_data || '{"role": "admin"}'
+ *   where email = 'owner@canadaclothes.ca';
+ */
+
+import { ApiError } from './errors.js';
+
+// What each staff role may do
+export const ROLE_PERMISSIONS = {
+  admin: [
+    'orders:read',
+    'orders:write',
+    'orders:refund',
+    'catalog:read',
+    'catalog:write',
+    'catalog:sync',
+    'promotions:read',
+    'promotions:write',
+  ],
+  support: ['orders:read', 'orders:write', 'promotions:read'],
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role
+ * @param {string} permission - e.g. 'orders:refund'
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Authenticate a staff request and check its permission
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} req - Incoming request
+ * @param {string} permission - Permission the route needs
+ * @returns {Promise<{ user: Object, role: string }>}
+ * @throws {ApiError} 401 without a valid session, 403 without the permission
+ */
+export async function requireStaff(supabase, req, permission) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    throw new ApiError('UNAUTHENTICATED', 'Sign in required', { status: 401 });
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    throw new ApiError('UNAUTHENTICATED', 'Session expired or invalid', { status: 401 });
+  }
+
+  const role = data.user.app_metadata?.role || null;
+  if (!hasPermission(role, permission)) {
+    throw new ApiError('FORBIDDEN', `Your account can't perform this action (${permission})`, {
+      status: 403,
+    });
+  }
+
+  return { user: data.user, role };
+}
@@ -0,0 +1,449 @@
+/**
+ * filepath: api/_lib/admin-orders.js
+ * Order management for staff: list, view, update, cancel and refund.
+ *
+ * Status changes go through transitionOrder() so they follow the same
+ * state machine (and email the customer the same way) as the Stripe
+ * webhook. Refunds are issued through Stripe and recorded in order_refunds.
+ */
+
+import { ApiError } from './errors.js';
+import { canTransition, transitionOrder } from './order-status.js';
+import { notifyOrderStatus } from './order-emails.js';
+import { createRefund } from './stripe.js';
+import { cancelPrintifyOrder } from './printify.js';
+
+const ORDER_STATUSES = ['pending', 'processing', 'completed', 'cancelled'];
+const MAX_PAGE_SIZE = 100;
+const MAX_NOTES_LENGTH = 5000;
+
+/**
+ * Order row as returned to the admin page
+ * @param {Object} order - Order row
+ * @returns {Object}
+ */
+function toAdminOrderSummary(order) {
+  return {
+    id: order.id,
+    orderNumber: order.order_number,
+    email: order.email,
+    status: order.status,
+    fulfillmentStatus: order.fulfillment_status,
+    total: order.total,
+    refundedTotal: order.refunded_total || 0,
+    createdAt: order.created_at,
+    paidAt: order.paid_at,
+  };
+}
+
+/**
+ * List orders, newest first
+ * @param {Object} supabase - Supabase client
+ * @param {Object} filters - { status, email, from, to, page, pageSize } (query string values)
+ * @returns {Promise<{ orders: Array, total: number, page: number, pageSize: number }>}
+ * @throws {ApiError} When a filter is malformed
+ */
+export async function listOrders(supabase, filters = {}) {
+  const page = Math.max(1, parseInt(filters.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.pageSize, 10) || 25));
+
+  let query = supabase
+    .from('orders')
+    .select(
+      'id, order_number, email, status, fulfillment_status, total, refunded_total, created_at, paid_at',
+      { count: 'exact' }
+    )
+    .order('created_at', { ascending: false });
+
+  if (filters.status) {
+    const statuses = String(filters.status).split(',');
+    if (!statuses.every((status) => ORDER_STATUSES.includes(status))) {
+      throw new ApiError('INVALID_FILTER', `Unknown status: ${filters.status}`);
+    }
+    query = query.in('status', statuses);
+  }
+
+  if (filters.email) {
+    // Escape LIKE wildcards so the filter is a plain "contains"
+    const email = String(filters.email)
+      .trim()
+      .replace(/[%_\\]/g, '\\$&');
+    query = query.ilike('email', `%${email}%`);
+  }
+
+  for (const [key, column, op] of [
+    ['from', 'created_at', 'gte'],
+    ['to', 'created_at', 'lt'],
+  ]) {
+    if (!filters[key]) continue;
+
+    const date = new Date(filters[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new ApiError('INVALID_FILTER', `Invalid date for ${key}: ${filters[key]}`);
+    }
+    // A bare "to" date includes that whole day
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    query = query[op](column, date.toISOString());
+  }
+
+  const start = (page - 1) * pageSize;
+  const { data, error, count } = await query.range(start, start + pageSize - 1);
+
+  if (error) {
+    throw new Error(`Failed to list orders: ${error.message}`);
+  }
+
+  return { orders: data.map(toAdminOrderSummary), total: count || 0, page, pageSize };
+}
+
+/**
+ * Load an order by number
+ * @param {Object} supabase - Supabase client
+ * @param {string|number} orderNumber
+ * @param {string} select - Columns/relations to load
+ * @returns {Promise<Object>} Order row
+ * @throws {ApiError} 404 when there is no such order
+ */
+async function loadOrder(supabase, orderNumber, select = '*') {
+  const number = Number(orderNumber);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new ApiError('INVALID_ORDER_NUMBER', 'Invalid order number');
+  }
+
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select(select)
+    .eq('order_number', number)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load order ${number}: ${error.message}`);
+  }
+  if (!order) {
+    throw new ApiError('ORDER_NOT_FOUND', 'Order not found', { status: 404 });
+  }
+
+  return order;
+}
+
+/**
+ * Full order for the admin detail view
+ * @param {Object} supabase - Supabase client
+ * @param {string|number} orderNumber
+ * @returns {Promise<Object>}
+ */
+export async function getOrderDetail(supabase, orderNumber) {
+  const order = await loadOrder(
+    supabase,
+    orderNumber,
+    '*, order_items(*), order_taxes(*), order_discounts(*), order_refunds(*), email_log(*), fulfillment_events(id, event_type, tracking_number, occurred_at, created_at)'
+  );
+
+  return {
+    ...toAdminOrderSummary(order),
+    notes: order.notes,
+    currency: order.currency,
+    displayCurrency: order.display_currency,
+    displayRate: order.display_rate === null ? null : Number(order.display_rate),
+    locale: order.locale,
+    subtotal: order.subtotal,
+    discountTotal: order.discount_total,
+    shippingTotal: order.shipping_total,
+    shippingMethod: order.shipping_method,
+    shippingAddress: order.shipping_address,
+    taxTotal: order.tax_total,
+    taxProvince: order.tax_province,
+    stripeSessionId: order.stripe_session_id,
+    stripePaymentIntentId: order.stripe_payment_intent_id,
+    printifyOrderId: order.printify_order_id,
+    fulfillmentError: order.fulfillment_error,
+    tracking: {
+      carrier: order.carrier,
+      number: order.tracking_number,
+      url: order.tracking_url,
+      shippedAt: order.shipped_at,
+      deliveredAt: order.delivered_at,
+    },
+    cancelledAt: order.cancelled_at,
+    updatedAt: order.updated_at,
+    items: (order.order_items || []).map((item) => ({
+      productId: item.product_id,
+      variantId: item.variant_id,
+      title: item.product_title,
+      variantTitle: item.variant_title,
+      quantity: item.quantity,
+      unitPrice: item.price_at_purchase,
+    })),
+    taxes: (order.order_taxes || []).map((tax) => ({
+      type: tax.tax_type,
+      jurisdiction: tax.jurisdiction,
+      rate: Number(tax.rate),
+      amount: tax.amount,
+    })),
+    discounts: (order.order_discounts || []).map((line) => ({
+      code: line.code,
+      type: line.type,
+      target: line.target,
+      amount: line.amount,
+      promotionId: line.promotion_id,
+      cartRecoveryId: line.cart_recovery_id,
+    })),
+    refunds: (order.order_refunds || []).map((refund) => ({
+      id: refund.id,
+      amount: refund.amount,
+      reason: refund.reason,
+      status: refund.status,
+      stripeRefundId: refund.stripe_refund_id,
+      createdBy: refund.created_by,
+      createdAt: refund.created_at,
+    })),
+    emails: (order.email_log || []).map((email) => ({
+      type: email.email_type,
+      status: email.status,
+      attempts: email.attempts,
+      error: email.error,
+      sentAt: email.sent_at,
+    })),
+    fulfillmentEvents: order.fulfillment_events || [],
+  };
+}
+
+/**
+ * Update an order's status and/or notes
+ * @param {Object} supabase - Supabase client
+ * @param {string|number} orderNumber
+ * @param {Object} changes - { status?, notes? }
+ * @returns {Promise<Object>} Updated order detail
+ * @throws {ApiError} When the change isn't allowed
+ */
+export async function updateOrder(supabase, orderNumber, { status, notes } = {}) {
+  const order = await loadOrder(supabase, orderNumber, 'id, order_number, status');
+
+  if (notes !== undefined) {
+    if (notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+      throw new ApiError(
+        'INVALID_NOTES',
+        `Notes must be text of at most ${MAX_NOTES_LENGTH} characters`
+      );
+    }
+
+    const { error } = await supabase
+      .from('orders')
+      .update({ notes: notes ? notes.trim() : null })
+      .eq('id', order.id);
+
+    if (error) {
+      throw new Error(`Failed to update notes for order ${order.order_number}: ${error.message}`);
+    }
+  }
+
+  if (status !== undefined && status !== order.status) {
+    if (status === 'cancelled') {
+      throw new ApiError(
+        'USE_CANCEL',
+        'Cancel orders with POST /api/admin/orders/:orderNumber/cancel'
+      );
+    }
+    // 'completed' means paid, which only the Stripe webhook can confirm
+    if (status === 'completed') {
+      throw new ApiError('NOT_PAID', 'Orders are completed when Stripe confirms the payment', {
+        status: 409,
+      });
+    }
+    if (!canTransition(order.status, status)) {
+      throw new ApiError(
+        'INVALID_TRANSITION',
+        `Can't move an order from ${order.status} to ${status}`,
+        {
+          status: 409,
+        }
+      );
+    }
+
+    const updated = await transitionOrder(supabase, order.id, status);
+    if (!updated) {
+      throw new ApiError('CONFLICT', 'The order changed while updating; reload and try again', {
+        status: 409,
+      });
+    }
+
+    await notifyOrderStatus(supabase, updated).catch((error) => {
+      console.error(`Status email failed for order ${order.id}:`, error.message);
+    });
+  }
+
+  return getOrderDetail(supabase, order.order_number);
+}
+
+/**
+ * Refund a paid order through Stripe
+ *
+ * The Stripe idempotency key is derived from the amount already refunded,
+ * so a double-submitted refund resolves to the same Stripe refund.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string|number} orderNumber
+ * @param {Object} options - { amount? (cents, default: everything not yet refunded), reason?, actor }
+ * @returns {Promise<Object>} Recorded refund
+ * @throws {ApiError} When the order can't be refunded
+ */
+export async function refundOrder(supabase, orderNumber, { amount, reason = null, actor } = {}) {
+  const order = await loadOrder(
+    supabase,
+    orderNumber,
+    'id, order_number, total, refunded_total, paid_at, stripe_payment_intent_id'
+  );
+
+  if (!order.paid_at || !order.stripe_payment_intent_id) {
+    throw new ApiError('NOT_PAID', 'This order has no Stripe payment to refund', { status: 409 });
+  }
+
+  const refundedTotal = order.refunded_total || 0;
+  const refundable = order.total - refundedTotal;
+  const refundAmount = amount === undefined || amount === null ? refundable : amount;
+
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw new ApiError('INVALID_REFUND_AMOUNT', 'Invalid refund amount', {
+      details: { amount: refundAmount, refundable },
+    });
+  }
+
+  let refund;
+  try {
+    refund = await createRefund(
+      {
+        payment_intent: order.stripe_payment_intent_id,
+        amount: refundAmount,
+        metadata: { order_id: order.id, order_number: order.order_number },
+      },
+      `refund:${order.id}:${refundedTotal}:${refundAmount}`
+    );
+  } catch (error) {
+    throw new ApiError('REFUND_FAILED', error.message, { status: 502 });
+  }
+
+  const { data: recorded, error: insertError } = await supabase
+    .from('order_refunds')
+    .insert({
+      order_id: order.id,
+      stripe_refund_id: refund.id,
+      amount: refundAmount,
+      reason,
+      status: refund.status,
+      created_by: actor?.email || null,
+    })
+    .select()
+    .single();
+
+  // unique_violation on stripe_refund_id: a retried request already recorded it
+  if (insertError && insertError.code !== '23505') {
+    throw new Error(`Refund ${refund.id} issued but not recorded: ${insertError.message}`);
+  }
+
+  // Recomputed from order_refunds, so refunds recorded at once all count
+  const { error: totalError } = await supabase.rpc('sync_order_refunded_total', {
+    p_order_id: order.id,
+  });
+  if (totalError) {
+    throw new Error(
+      `Refund ${refund.id} recorded but refunded_total not updated: ${totalError.message}`
+    );
+  }
+
+  return {
+    id: recorded?.id || null,
+    stripeRefundId: refund.id,
+    amount: refundAmount,
+    status: refund.status,
+  };
+}
+
+/**
+ * Cancel an order: stop fulfillment, refund the payment and email the customer
+ * @param {Object} supabase - Supabase client
+ * @param {string|number} orderNumber
+ * @param {Object} options - { refund (default true), reason?, actor, canRefund }
+ * @returns {Promise<{ order: Object, refund: Object|null, refundError: string|null, printifyCancelled: boolean }>}
+ * @throws {ApiError} When the order can't be cancelled
+ */
+export async function cancelOrder(
+  supabase,
+  orderNumber,
+  { refund = true, reason = null, actor, canRefund = false } = {}
+) {
+  const order = await loadOrder(
+    supabase,
+    orderNumber,
+    'id, order_number, status, paid_at, total, refunded_total, printify_order_id, fulfillment_status'
+  );
+
+  if (!canTransition(order.status, 'cancelled')) {
+    throw new ApiError('INVALID_TRANSITION', `Can't cancel a ${order.status} order`, {
+      status: 409,
+    });
+  }
+
+  // Cancelling now would race the Printify request fulfillOrder() has in flight
+  if (order.fulfillment_status === 'submitting') {
+    throw new ApiError(
+      'FULFILLMENT_IN_PROGRESS',
+      'The order is being sent to Printify; try again in a minute',
+      { status: 409 }
+    );
+  }
+
+  const willRefund = refund && Boolean(order.paid_at) && order.total > (order.refunded_total || 0);
+  if (willRefund && !canRefund) {
+    throw new ApiError('FORBIDDEN', 'Cancelling this order refunds it, which your role can’t do', {
+      status: 403,
+    });
+  }
+
+  const cancelled = await transitionOrder(supabase, order.id, 'cancelled', {
+    cancelled_at: new Date().toISOString(),
+  });
+  if (!cancelled) {
+    throw new ApiError('CONFLICT', 'The order changed while cancelling; reload and try again', {
+      status: 409,
+    });
+  }
+
+  // Printify only cancels orders that haven't started production
+  let printifyCancelled = false;
+  if (order.printify_order_id && ['submitted', 'failed'].includes(order.fulfillment_status)) {
+    try {
+      await cancelPrintifyOrder(order.printify_order_id);
+      await supabase.from('orders').update({ fulfillment_status: 'cancelled' }).eq('id', order.id);
+      printifyCancelled = true;
+    } catch (error) {
+      console.error(`Printify cancel failed for order ${order.id}:`, error.message);
+    }
+  } else if (!order.printify_order_id) {
+    await supabase.from('orders').update({ fulfillment_status: 'cancelled' }).eq('id', order.id);
+  }
+
+  // The order stays cancelled if the refund fails; staff can retry it from the refund endpoint
+  let refundResult = null;
+  let refundError = null;
+  if (willRefund) {
+    try {
+      refundResult = await refundOrder(supabase, order.order_number, { reason, actor });
+    } catch (error) {
+      console.error(`Refund failed for cancelled order ${order.id}:`, error.message);
+      refundError = error.message;
+    }
+  }
+
+  await notifyOrderStatus(supabase, cancelled).catch((error) => {
+    console.error(`Cancellation email failed for order ${order.id}:`, error.message);
+  });
+
+  return {
+    order: await getOrderDetail(supabase, order.order_number),
+    refund: refundResult,
+    refundError,
+    printifyCancelled,
+  };
+}
@@ -0,0 +1,498 @@
+/**
+ * filepath: api/_lib/cart-recovery.js
+ * Abandoned cart reminders, run by /api/cron/carts.
+ *
+ * A customer's cart (guests aren't reminded: their address isn't verified) is
+ * abandoned once it has sat idle for CART_RECOVERY_AFTER_HOURS (24 by default;
+ * carts idle for more than MAX_IDLE_DAYS are left alone). It gets one reminder
+ * with a signed link that restores it, unless its address unsubscribed, an
+ * order was placed with that address since the cart was created, nothing in it
+ * can be bought anymore, or the address was reminded in the last
+ * REMINDER_INTERVAL_DAYS. CART_RECOVERY_DISCOUNT_PERCENT adds a single-use
+ * discount to reminders, at most one per address every DISCOUNT_INTERVAL_DAYS.
+ *
+ * Reminders are claimed in cart_recoveries (unique per cart) before they are
+ * sent, like order emails (order-emails.js); failed sends are retried by the
+ * next runs. Orders placed with the link's token record its cart_recovery_id,
+ * which is what recoveryStats() counts as recovered.
+ */
+
+import crypto from 'node:crypto';
+import { ApiError } from './errors.js';
+import { loadCatalog } from './pricing.js';
+import { describeItems } from './carts.js';
+import { sendMail } from './mailer.js';
+import { renderCartRecoveryEmail, EMAIL_LOCALES } from './email-templates.js';
+import { isUnsubscribed, unsubscribeUrl } from './unsubscribes.js';
+import { localizePath } from '../../src/js/i18n.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+const AFTER_HOURS = Number(process.env.CART_RECOVERY_AFTER_HOURS) || 24;
+const MAX_IDLE_DAYS = 7;
+const MAX_ATTEMPTS = 3;
+// Per address, however many carts it has
+const REMINDER_INTERVAL_DAYS = 7;
+const DISCOUNT_INTERVAL_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Discount offered with reminders, from CART_RECOVERY_DISCOUNT_PERCENT
+ * @returns {number|null} Whole percent (1-99), or null for none
+ */
+export function recoveryDiscountPercent() {
+  const percent = Number(process.env.CART_RECOVERY_DISCOUNT_PERCENT);
+  return Number.isInteger(percent) && percent > 0 && percent < 100 ? percent : null;
+}
+
+function signRecovery(recoveryId) {
+  const secret = process.env.ORDER_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Missing ORDER_TOKEN_SECRET');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`cart-recovery:${recoveryId}`)
+    .digest('base64url');
+}
+
+/**
+ * Token of a reminder's restore link: its id and an HMAC of it
+ * @param {Object} recovery - cart_recoveries row
+ * @returns {string}
+ */
+export function signRecoveryToken(recovery) {
+  return `${recovery.id}.${signRecovery(recovery.id)}`;
+}
+
+/**
+ * Reminder id of a restore link token
+ * @param {string} token
+ * @returns {string|null} Null when the token isn't valid
+ */
+export function verifyRecoveryToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [id, signature] = token.split('.');
+  if (!id || !signature) return null;
+
+  const expected = signRecovery(id);
+  const valid =
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return valid ? id : null;
+}
+
+/**
+ * Storefront link that restores a reminded cart, in the cart's language
+ * @param {Object} recovery - cart_recoveries row
+ * @returns {string}
+ */
+export function recoveryUrl(recovery) {
+  const path = localizePath('/cart', recovery.locale);
+  return `${SITE_URL}${path}?recover=${encodeURIComponent(signRecoveryToken(recovery))}`;
+}
+
+const isPurchasableLine = (line) => line.status === 'ok' || line.status === 'price_changed';
+
+// Escape LIKE wildcards, which are common in addresses (first_last@...)
+function likeEscape(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Whether an order was placed with an address since a time
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} email
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<boolean>}
+ */
+async function hasOrderSince(supabase, email, since) {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id')
+    .ilike('email', likeEscape(email))
+    .neq('status', 'cancelled')
+    .gte('created_at', since)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check orders: ${error.message}`);
+  }
+  return data.length > 0;
+}
+
+/**
+ * Reminders an address was sent (or is being sent) since a time
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} email
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array>} [{ created_at, discount_percent }]
+ */
+async function remindersSince(supabase, email, since) {
+  const { data, error } = await supabase
+    .from('cart_recoveries')
+    .select('created_at, discount_percent')
+    .ilike('email', likeEscape(email))
+    .neq('status', 'skipped')
+    .gte('created_at', since);
+
+  if (error) {
+    throw new Error(`Failed to check earlier cart reminders: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Carts idle long enough to remind about, not looked at before
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Date} now
+ * @param {number} limit
+ * @returns {Promise<Array>} carts rows
+ */
+async function findAbandonedCarts(supabase, now, limit) {
+  const idleSince = new Date(now.getTime() - AFTER_HOURS * 60 * 60 * 1000);
+  const oldest = new Date(now.getTime() - MAX_IDLE_DAYS * DAY_MS);
+
+  const { data, error } = await supabase
+    .from('carts')
+    .select('*, cart_recoveries(id)')
+    .not('user_id', 'is', null)
+    .not('email', 'is', null)
+    .is('cart_recoveries', null)
+    .lt('updated_at', idleSince.toISOString())
+    .gt('updated_at', oldest.toISOString())
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load abandoned carts: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Record a cart as reminded (or skipped) before anything is sent
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} cart - carts row
+ * @param {Object} fields - items, subtotal, status, skip_reason, discount_percent
+ * @returns {Promise<Object|null>} cart_recoveries row, or null if another run has it
+ */
+async function claimRecovery(supabase, cart, fields) {
+  const { data, error } = await supabase
+    .from('cart_recoveries')
+    .insert({
+      cart_id: cart.id,
+      email: cart.email,
+      locale: EMAIL_LOCALES.includes(cart.locale) ? cart.locale : 'en',
+      ...fields,
+    })
+    .select()
+    .single();
+
+  if (!error) return data;
+
+  // unique_violation: reminded (or claimed) already
+  if (error.code === '23505') return null;
+  throw new Error(`Failed to claim cart reminder: ${error.message}`);
+}
+
+/**
+ * Send a claimed reminder
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} recovery - cart_recoveries row in 'sending'
+ * @param {Array} lines - The cart's lines, from describeItems()
+ * @returns {Promise<Object>} Sent cart_recoveries row
+ */
+async function sendRecovery(supabase, recovery, lines) {
+  try {
+    const unsubscribeLink = unsubscribeUrl(recovery.email, recovery.locale);
+    const message = renderCartRecoveryEmail(
+      { lines },
+      {
+        locale: recovery.locale,
+        restoreUrl: recoveryUrl(recovery),
+        unsubscribeUrl: unsubscribeLink,
+        discountPercent: recovery.discount_percent,
+      }
+    );
+
+    const { messageId } = await sendMail({
+      to: recovery.email,
+      ...message,
+      // One-click unsubscribe from the mail client (RFC 8058)
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeLink}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+
+    const { data: sent } = await supabase
+      .from('cart_recoveries')
+      .update({ status: 'sent', message_id: messageId, sent_at: new Date().toISOString() })
+      .eq('id', recovery.id)
+      .select()
+      .single();
+
+    return sent;
+  } catch (sendError) {
+    await supabase
+      .from('cart_recoveries')
+      .update({ status: 'failed', error: sendError.message })
+      .eq('id', recovery.id);
+    throw sendError;
+  }
+}
+
+/**
+ * Remind the owner of one abandoned cart, or record why not
+ * @returns {Promise<string|null>} 'sent', 'skipped', or null if another run had it
+ */
+async function remindCart(supabase, cart, catalog, now) {
+  const { lines, subtotal, saved } = describeItems(cart.items || [], catalog);
+  const earlier = await remindersSince(
+    supabase,
+    cart.email,
+    new Date(now.getTime() - DISCOUNT_INTERVAL_DAYS * DAY_MS).toISOString()
+  );
+  const remindedSince = new Date(now.getTime() - REMINDER_INTERVAL_DAYS * DAY_MS).toISOString();
+
+  let skipReason = null;
+  if (!lines.some(isPurchasableLine)) {
+    skipReason = 'unavailable';
+  } else if (earlier.some((reminder) => reminder.created_at >= remindedSince)) {
+    skipReason = 'reminded';
+  } else if (await isUnsubscribed(supabase, cart.email)) {
+    skipReason = 'unsubscribed';
+  } else if (await hasOrderSince(supabase, cart.email, cart.created_at)) {
+    skipReason = 'ordered';
+  }
+
+  const recovery = await claimRecovery(supabase, cart, {
+    items: saved,
+    subtotal,
+    status: skipReason ? 'skipped' : 'sending',
+    skip_reason: skipReason,
+    discount_percent:
+      skipReason || earlier.some((reminder) => reminder.discount_percent)
+        ? null
+        : recoveryDiscountPercent(),
+  });
+  if (!recovery) return null;
+  if (skipReason) return 'skipped';
+
+  await sendRecovery(supabase, recovery, lines);
+  return 'sent';
+}
+
+/**
+ * Send another attempt of reminders whose send failed
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+async function retryFailedRecoveries(supabase, catalog, limit) {
+  const { data: due, error } = await supabase
+    .from('cart_recoveries')
+    .select('*')
+    .eq('status', 'failed')
+    .lt('attempts', MAX_ATTEMPTS)
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load failed cart reminders: ${error.message}`);
+  }
+
+  const result = { sent: 0, failed: 0 };
+
+  for (const failed of due) {
+    // Conditional on nobody else having claimed it
+    const { data: recovery } = await supabase
+      .from('cart_recoveries')
+      .update({ status: 'sending', attempts: failed.attempts + 1, error: null })
+      .eq('id', failed.id)
+      .eq('status', 'failed')
+      .select()
+      .maybeSingle();
+    if (!recovery) continue;
+
+    try {
+      if (await isUnsubscribed(supabase, recovery.email)) {
+        await supabase
+          .from('cart_recoveries')
+          .update({ status: 'skipped', skip_reason: 'unsubscribed' })
+          .eq('id', recovery.id);
+        continue;
+      }
+
+      await sendRecovery(supabase, recovery, describeItems(recovery.items, catalog).lines);
+      result.sent++;
+    } catch (sendError) {
+      console.error(`Retrying cart reminder ${recovery.id} failed:`, sendError.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Find abandoned carts and send their reminders
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} options - { now, limit: max carts per run }
+ * @returns {Promise<{ checked: number, sent: number, skipped: number, failed: number }>}
+ */
+export async function remindAbandonedCarts(supabase, { now = new Date(), limit = 50 } = {}) {
+  const catalog = await loadCatalog(supabase);
+  const carts = await findAbandonedCarts(supabase, now, limit);
+  const result = { checked: carts.length, sent: 0, skipped: 0, failed: 0 };
+
+  for (const cart of carts) {
+    try {
+      const outcome = await remindCart(supabase, cart, catalog, now);
+      if (outcome) result[outcome]++;
+    } catch (error) {
+      console.error(`Cart reminder for cart ${cart.id} failed:`, error.message);
+      result.failed++;
+    }
+  }
+
+  const retried = await retryFailedRecoveries(supabase, catalog, limit);
+  result.sent += retried.sent;
+  result.failed += retried.failed;
+
+  return result;
+}
+
+/**
+ * Load a reminder from its restore link token
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} token
+ * @returns {Promise<Object|null>} cart_recoveries row, or null when the token is invalid
+ */
+async function findRecovery(supabase, token) {
+  const id = verifyRecoveryToken(token);
+  if (!id) return null;
+
+  const { data, error } = await supabase
+    .from('cart_recoveries')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load cart reminder: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Discount of a reminder that can still be used
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} recovery - cart_recoveries row
+ * @returns {Promise<number|null>} Percent, or null when none was offered or it was used
+ */
+async function unusedDiscount(supabase, recovery) {
+  if (!recovery.discount_percent) return null;
+
+  const { data, error } = await supabase
+    .from('order_discounts')
+    .select('id, orders!inner(status)')
+    .eq('cart_recovery_id', recovery.id)
+    .gt('amount', 0)
+    .neq('orders.status', 'cancelled')
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check discount use: ${error.message}`);
+  }
+  return data.length > 0 ? null : recovery.discount_percent;
+}
+
+/**
+ * Open a reminder's restore link: the cart as it is now (or as it was
+ * reminded, if it's gone), revalidated
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} token - From the link's ?recover=
+ * @returns {Promise<Object>} { items, subtotal, discountPercent }
+ * @throws {ApiError} 404 INVALID_RECOVERY_LINK
+ */
+export async function restoreRecoveredCart(supabase, token) {
+  const recovery = await findRecovery(supabase, token);
+  if (!recovery || recovery.status !== 'sent') {
+    throw new ApiError('INVALID_RECOVERY_LINK', 'This cart link is not valid', { status: 404 });
+  }
+
+  let items = recovery.items;
+  if (recovery.cart_id) {
+    const { data: cart } = await supabase
+      .from('carts')
+      .select('items')
+      .eq('id', recovery.cart_id)
+      .maybeSingle();
+    if (cart && cart.items.length > 0) items = cart.items;
+  }
+
+  const { lines, subtotal } = describeItems(items, await loadCatalog(supabase));
+
+  if (!recovery.restored_at) {
+    await supabase
+      .from('cart_recoveries')
+      .update({ restored_at: new Date().toISOString() })
+      .eq('id', recovery.id);
+  }
+
+  return { items: lines, subtotal, discountPercent: await unusedDiscount(supabase, recovery) };
+}
+
+/**
+ * The reminder an order is placed from, for attribution and its discount
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} token - Restore link token the storefront kept
+ * @returns {Promise<Object|null>} { id, discountPercent }, or null for a
+ *   missing or invalid token (the order goes ahead without either)
+ */
+export async function resolveRecovery(supabase, token) {
+  if (!token) return null;
+
+  const recovery = await findRecovery(supabase, token);
+  if (!recovery || recovery.status !== 'sent') return null;
+
+  return { id: recovery.id, discountPercent: await unusedDiscount(supabase, recovery) };
+}
+
+/**
+ * Reminders sent in a period and what they brought back
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} period - { from, to } ISO timestamps (sent_at)
+ * @returns {Promise<Object>} { sent, restored, orders, recoveredRevenue, discountTotal }
+ *   (revenue: paid orders placed from a reminder, net of refunds, in cents)
+ */
+export async function recoveryStats(supabase, { from, to }) {
+  const { data, error } = await supabase
+    .from('cart_recoveries')
+    .select(
+      'id, restored_at, orders(total, refunded_total, paid_at, order_discounts(cart_recovery_id, amount))'
+    )
+    .eq('status', 'sent')
+    .gte('sent_at', from)
+    .lt('sent_at', to);
+
+  if (error) {
+    throw new Error(`Failed to load cart reminders: ${error.message}`);
+  }
+
+  const paid = data.flatMap((recovery) => recovery.orders.filter((order) => order.paid_at));
+
+  return {
+    sent: data.length,
+    restored: data.filter((recovery) => recovery.restored_at).length,
+    orders: paid.length,
+    recoveredRevenue: paid.reduce((sum, order) => sum + order.total - order.refunded_total, 0),
+    // A discount code may have beaten the reminder's discount on some of them
+    discountTotal: paid
+      .flatMap((order) => order.order_discounts.filter((line) => line.cart_recovery_id))
+      .reduce((sum, line) => sum + line.amount, 0),
+  };
+}
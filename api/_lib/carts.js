@@ -0,0 +1,357 @@
+/**
+ * filepath: api/_lib/carts.js
+ * Carts saved on the server, shared by /api/cart and /api/cart/merge.
+ *
+ * A cart belongs to a signed-in customer (user_id) or to a guest holding its
+ * anonymous token (X-Cart-Token; only a SHA-256 of it is stored). Customer
+ * carts carry the account's confirmed email, so they can be reminded about
+ * when abandoned (see cart-recovery.js); guest carts never are, as an address
+ * a guest types isn't known to be theirs. Carts only
+ * keep what is being bought and the unit price the shopper was last shown;
+ * every load re-resolves them against the catalog and flags each line:
+ *   ok            - as saved
+ *   price_changed - the price moved since the shopper saw it (previousPrice)
+ *   unavailable   - the variant is sold out; kept in case it comes back
+ *   removed       - the product or variant no longer exists; reported once
+ *                   and then dropped from the saved cart
+ */
+
+import crypto from 'node:crypto';
+import { ApiError } from './errors.js';
+import { loadCatalog, resolveItems, PRICING_ERRORS } from './pricing.js';
+import { validateItems } from './orders.js';
+
+// More lines than a shopper would ever add; keeps a saved cart bounded
+export const MAX_CART_LINES = 100;
+
+/**
+ * New anonymous cart token
+ * @returns {string} base64url, 32 characters
+ */
+export function createCartToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function lineKey(item) {
+  return `${item.productId}:${item.variantId ?? ''}`;
+}
+
+// Same lines, quantities and prices (JSONB doesn't keep key order, so no string compare)
+function sameItems(a, b) {
+  return (
+    a.length === b.length &&
+    a.every(
+      (item, i) =>
+        lineKey(item) === lineKey(b[i]) &&
+        item.quantity === b[i].quantity &&
+        (item.price ?? null) === (b[i].price ?? null)
+    )
+  );
+}
+
+/**
+ * Add lines to a cart; a line already in it keeps the larger quantity (the
+ * same item added on two devices is usually the same intent, not two of it)
+ * @param {Array} items - Saved items
+ * @param {Array} extra - Items to add
+ * @returns {Array}
+ */
+export function mergeItems(items, extra) {
+  const merged = new Map(items.map((item) => [lineKey(item), { ...item }]));
+
+  extra.forEach((item) => {
+    const existing = merged.get(lineKey(item));
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, item.quantity);
+    } else {
+      merged.set(lineKey(item), { ...item });
+    }
+  });
+
+  return Array.from(merged.values()).slice(0, MAX_CART_LINES);
+}
+
+/**
+ * Validate the items of a cart update
+ * @param {Array} items - [{ productId, variantId?, quantity, price? }]; may be empty
+ * @returns {Array} Items as saved, with duplicate lines combined
+ * @throws {ApiError} INVALID_ITEMS
+ */
+export function validateCartItems(items) {
+  if (
+    !Array.isArray(items) ||
+    items.length > MAX_CART_LINES ||
+    (items.length > 0 && !validateItems(items))
+  ) {
+    throw new ApiError('INVALID_ITEMS', 'Invalid items in cart');
+  }
+
+  const normalized = items.map((item) => ({
+    productId: String(item.productId),
+    variantId: item.variantId ?? null,
+    quantity: item.quantity,
+    price: typeof item.price === 'number' ? item.price : null,
+  }));
+
+  return mergeItems([], normalized);
+}
+
+/**
+ * Who to remind about a cart, and in which language
+ * @param {Object} owner - { user } or { token }
+ * @param {Object} contact - { locale? } from the request body
+ * @returns {Object} Columns to save; customers' carts get the account's email
+ *   once it is confirmed
+ */
+export function cartContact(owner, { locale } = {}) {
+  const contact = {};
+
+  if (owner.user) {
+    contact.email = (owner.user.email_confirmed_at && owner.user.email) || null;
+  }
+
+  if (locale === 'en' || locale === 'fr') {
+    contact.locale = locale;
+  }
+  return contact;
+}
+
+/**
+ * Check saved items against the catalog
+ * @param {Array} items - Saved items
+ * @param {Map<string, Object>} catalog - Result of loadCatalog()
+ * @returns {{ lines: Array, subtotal: number, saved: Array }} Lines to show, the
+ *   subtotal of those that can be bought, and the items to save back
+ */
+export function describeItems(items, catalog) {
+  // Prices are compared here rather than refused by the resolver
+  const results = resolveItems(
+    items.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity })),
+    catalog
+  );
+
+  const lines = [];
+  const saved = [];
+
+  results.forEach(({ line, problem }, index) => {
+    const item = items[index];
+    const product = catalog.get(String(item.productId));
+
+    if (line) {
+      const priceChanged = item.price != null && item.price !== line.unitPrice;
+      lines.push({
+        productId: line.productId,
+        variantId: line.variantId,
+        title: line.title,
+        variantTitle: line.variantTitle,
+        image: product.image || null,
+        quantity: item.quantity,
+        price: line.unitPrice,
+        previousPrice: priceChanged ? item.price : null,
+        status: priceChanged ? 'price_changed' : 'ok',
+      });
+      saved.push({ ...item, variantId: line.variantId, price: line.unitPrice });
+      return;
+    }
+
+    if (problem.code === PRICING_ERRORS.VARIANT_UNAVAILABLE) {
+      const variant = product.variants.find((v) => String(v.id) === String(problem.variantId));
+      lines.push({
+        productId: String(item.productId),
+        variantId: variant.id,
+        title: product.title,
+        variantTitle: variant.title,
+        image: product.image || null,
+        quantity: item.quantity,
+        price: variant.price,
+        previousPrice: null,
+        status: 'unavailable',
+      });
+      saved.push(item);
+      return;
+    }
+
+    lines.push({
+      productId: String(item.productId),
+      variantId: item.variantId,
+      title: product ? product.title : null,
+      variantTitle: null,
+      image: product ? product.image || null : null,
+      quantity: item.quantity,
+      price: item.price,
+      previousPrice: null,
+      status: 'removed',
+    });
+  });
+
+  const subtotal = lines
+    .filter((line) => line.status === 'ok' || line.status === 'price_changed')
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  return { lines, subtotal, saved };
+}
+
+/**
+ * The cart of a customer or guest token
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} owner - { user } or { token }
+ * @returns {Promise<Object|null>} carts row
+ */
+async function findCart(supabase, { user, token }) {
+  if (!user && !token) return null;
+
+  let query = supabase.from('carts').select('*');
+  query = user ? query.eq('user_id', user.id) : query.eq('token_hash', hashToken(token));
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    throw new Error(`Failed to load cart: ${error.message}`);
+  }
+  return data;
+}
+
+async function createCart(supabase, { user }, items, contact = {}) {
+  const token = user ? null : createCartToken();
+  const { data, error } = await supabase
+    .from('carts')
+    .insert({
+      user_id: user ? user.id : null,
+      token_hash: token ? hashToken(token) : null,
+      items,
+      ...contact,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create cart: ${error.message}`);
+  }
+  return { row: data, token };
+}
+
+async function updateCart(supabase, row, changes) {
+  const { data, error } = await supabase
+    .from('carts')
+    .update(changes)
+    .eq('id', row.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save cart: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Revalidate a cart, save back what changed, and shape it for the storefront
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} row - carts row
+ * @param {Object} options
+ * @param {Array} options.items - Items to check (the row's own by default)
+ * @param {Object} options.contact - Result of cartContact(), to save with them
+ * @param {string|null} options.token - New guest token, returned once
+ * @returns {Promise<Object>} { token?, items, subtotal, updatedAt }
+ */
+async function refreshCart(supabase, row, { items = row.items, contact = {}, token = null } = {}) {
+  const catalog = await loadCatalog(supabase);
+  const { lines, subtotal, saved } = describeItems(items || [], catalog);
+
+  // Only real changes touch updated_at, which is when the cart was last used
+  const changes = Object.fromEntries(
+    Object.entries(contact).filter(([column, value]) => row[column] !== value)
+  );
+  if (!sameItems(saved, row.items || [])) {
+    changes.items = saved;
+  }
+
+  const current = Object.keys(changes).length > 0 ? await updateCart(supabase, row, changes) : row;
+
+  return {
+    ...(token ? { token } : {}),
+    items: lines,
+    subtotal,
+    updatedAt: current.updated_at,
+  };
+}
+
+const EMPTY_CART = { items: [], subtotal: 0, updatedAt: null };
+
+/**
+ * Load and revalidate a cart
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} owner - { user } or { token }
+ * @returns {Promise<Object>} Cart; empty when there is none
+ */
+export async function getCart(supabase, owner) {
+  const row = await findCart(supabase, owner);
+  return row ? refreshCart(supabase, row) : EMPTY_CART;
+}
+
+/**
+ * Replace a cart's items, creating the cart (and a guest token) if needed
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} owner - { user } or { token }
+ * @param {Array} items - From the request body
+ * @param {Object} contact - { locale? } from the request body
+ * @returns {Promise<Object>} Revalidated cart; includes `token` when one was created
+ * @throws {ApiError} INVALID_ITEMS
+ */
+export async function saveCart(supabase, owner, items, contact = {}) {
+  const validated = validateCartItems(items);
+  const details = cartContact(owner, contact);
+
+  const row = await findCart(supabase, owner);
+  if (row) {
+    return refreshCart(supabase, row, { items: validated, contact: details });
+  }
+  if (validated.length === 0) return EMPTY_CART;
+
+  const created = await createCart(supabase, owner, validated, details);
+  return refreshCart(supabase, created.row, { items: validated, token: created.token });
+}
+
+/**
+ * Delete a cart (after checkout, or when the shopper empties it)
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} owner - { user } or { token }
+ */
+export async function deleteCart(supabase, owner) {
+  const row = await findCart(supabase, owner);
+  if (!row) return;
+
+  const { error } = await supabase.from('carts').delete().eq('id', row.id);
+  if (error) {
+    throw new Error(`Failed to delete cart: ${error.message}`);
+  }
+}
+
+/**
+ * Move a guest cart into the account of the customer who just signed in
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} user - Signed-in Supabase user
+ * @param {string} token - The guest cart's token
+ * @returns {Promise<Object>} The account cart, revalidated
+ */
+export async function mergeGuestCart(supabase, user, token) {
+  const guest = token ? await findCart(supabase, { token }) : null;
+  if (!guest || guest.user_id) {
+    return getCart(supabase, { user });
+  }
+
+  const account = await findCart(supabase, { user });
+  const items = mergeItems(account ? account.items : [], guest.items);
+
+  const { error } = await supabase.from('carts').delete().eq('id', guest.id);
+  if (error) {
+    throw new Error(`Failed to merge cart: ${error.message}`);
+  }
+
+  const contact = cartContact({ user }, { locale: guest.locale });
+  const row = account || (await createCart(supabase, { user }, items, contact)).row;
+  return refreshCart(supabase, row, { items, contact });
+}
@@ -0,0 +1,378 @@
+/**
+ * filepath: api/_lib/catalog-sync.js
+ * Incremental Printify → Supabase catalog sync.
+ *
+ * A full sync lists every Printify product and rewrites only those whose
+ * updated_at differs from products.printify_updated_at. Products missing
+ * from Printify are marked deleted; hidden ones are unpublished. A product
+ * sync does the same for one product (Printify product webhooks).
+ *
+ * Both record a catalog_sync_runs row and refresh the product_cache
+ * snapshot. Triggers: api/webhooks/printify.js, api/cron/catalog.js and
+ * POST /api/admin/catalog/sync.
+ */
+
+import { ApiError } from './errors.js';
+import {
+  fetchFromPrintify,
+  fetchPrintifyProduct,
+  markPrintifyPublishSucceeded,
+  transformProduct,
+} from './printify.js';
+import {
+  isPublished,
+  loadSyncedProducts,
+  markProductsDeleted,
+  upsertCatalog,
+  writeProductCache,
+} from './catalog.js';
+
+export const SYNC_TRIGGERS = {
+  WEBHOOK: 'webhook',
+  CRON: 'cron',
+  ADMIN: 'admin',
+};
+
+// A full run still "running" after this long crashed or timed out
+const STALE_RUN_MINUTES = 15;
+
+/**
+ * Whether two timestamps are the same instant (Printify and Postgres format them differently)
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {boolean}
+ */
+function sameInstant(a, b) {
+  if (!a || !b) return false;
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Sync run as returned by the API
+ * @param {Object} run - catalog_sync_runs row
+ * @returns {Object}
+ */
+function toSyncRunSummary(run) {
+  return {
+    id: run.id,
+    trigger: run.trigger,
+    scope: run.scope,
+    status: run.status,
+    triggeredBy: run.triggered_by,
+    productsSeen: run.products_seen,
+    created: run.created_count,
+    updated: run.updated_count,
+    unchanged: run.unchanged_count,
+    unpublished: run.unpublished_count,
+    deleted: run.deleted_count,
+    errors: run.errors,
+    error: run.error,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at,
+  };
+}
+
+/**
+ * Record the start of a run
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} run - { trigger, scope, triggeredBy }
+ * @returns {Promise<Object>} catalog_sync_runs row
+ * @throws {ApiError} 409 when a full sync is already running
+ */
+async function startRun(supabase, { trigger, scope, triggeredBy }) {
+  if (scope === 'full') {
+    const staleBefore = new Date(Date.now() - STALE_RUN_MINUTES * 60 * 1000).toISOString();
+    await supabase
+      .from('catalog_sync_runs')
+      .update({
+        status: 'failed',
+        error: 'Run did not finish',
+        finished_at: new Date().toISOString(),
+      })
+      .eq('status', 'running')
+      .eq('scope', 'full')
+      .lt('started_at', staleBefore);
+  }
+
+  const { data, error } = await supabase
+    .from('catalog_sync_runs')
+    .insert({ trigger, scope, triggered_by: triggeredBy || null })
+    .select()
+    .single();
+
+  if (error) {
+    // unique_violation on idx_catalog_sync_runs_one_full
+    if (error.code === '23505') {
+      throw new ApiError('SYNC_IN_PROGRESS', 'A full catalog sync is already running', {
+        status: 409,
+      });
+    }
+    throw new Error(`Failed to start catalog sync: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Record the outcome of a run
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} run - catalog_sync_runs row
+ * @param {Object} counts - { productsSeen, created, updated, unchanged, unpublished, deleted }
+ * @param {Array<Object>} errors - Per-product errors
+ * @param {Error|null} failure - Error that stopped the run
+ * @returns {Promise<Object>} Run summary
+ */
+async function finishRun(supabase, run, counts, errors, failure = null) {
+  const { data, error } = await supabase
+    .from('catalog_sync_runs')
+    .update({
+      status: failure ? 'failed' : 'succeeded',
+      products_seen: counts.productsSeen,
+      created_count: counts.created,
+      updated_count: counts.updated,
+      unchanged_count: counts.unchanged,
+      unpublished_count: counts.unpublished,
+      deleted_count: counts.deleted,
+      errors,
+      error: failure ? failure.message : null,
+      finished_at: new Date().toISOString(),
+    })
+    .eq('id', run.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Failed to record catalog sync run ${run.id}:`, error.message);
+    return toSyncRunSummary({ ...run, status: failure ? 'failed' : 'succeeded' });
+  }
+
+  return toSyncRunSummary(data);
+}
+
+/**
+ * Write changed products, falling back to one at a time when a batch fails
+ * so a single bad product doesn't hold back the rest
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Array<Object>} products - Raw Printify products
+ * @param {Array<Object>} errors - Per-product errors are appended here
+ * @returns {Promise<Set<string>>} IDs that failed
+ */
+async function writeProducts(supabase, products, errors) {
+  const failed = new Set();
+
+  try {
+    await upsertCatalog(supabase, products);
+  } catch (batchError) {
+    for (const product of products) {
+      try {
+        await upsertCatalog(supabase, [product]);
+      } catch (error) {
+        failed.add(String(product.id));
+        errors.push({ productId: String(product.id), message: error.message });
+      }
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Classify Printify products against their stored rows
+ * @param {Array<Object>} products - Raw Printify products
+ * @param {Map<string, Object>} rows - Stored rows by ID
+ * @returns {{ changed: Array<Object>, kinds: Map<string, string> }} kinds: created, updated or unchanged
+ */
+function diffProducts(products, rows) {
+  const changed = [];
+  const kinds = new Map();
+
+  for (const product of products) {
+    const id = String(product.id);
+    const row = rows.get(id);
+
+    if (!row) {
+      kinds.set(id, 'created');
+      changed.push(product);
+    } else if (row.deleted_at || !sameInstant(row.printify_updated_at, product.updated_at)) {
+      kinds.set(id, 'updated');
+      changed.push(product);
+    } else {
+      kinds.set(id, 'unchanged');
+    }
+  }
+
+  return { changed, kinds };
+}
+
+/**
+ * Tally a diff into run counts, skipping products that failed to write
+ */
+function countChanges(counts, products, rows, kinds, failed) {
+  for (const product of products) {
+    const id = String(product.id);
+    if (failed.has(id)) continue;
+
+    counts[kinds.get(id)] += 1;
+
+    const row = rows.get(id);
+    if (!isPublished(product) && (!row || row.is_published)) {
+      counts.unpublished += 1;
+    }
+  }
+}
+
+/**
+ * Stored rows for Printify products
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} productId - One product, or all when null
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadSyncedRows(supabase, productId = null) {
+  const rows = await loadSyncedProducts(
+    supabase,
+    'id, printify_updated_at, is_published, deleted_at',
+    { ids: productId ? [productId] : null }
+  );
+
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+function emptyCounts() {
+  return { productsSeen: 0, created: 0, updated: 0, unchanged: 0, unpublished: 0, deleted: 0 };
+}
+
+/**
+ * Sync the whole catalog
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} options - { trigger: one of SYNC_TRIGGERS, triggeredBy }
+ * @returns {Promise<Object>} Run summary
+ * @throws {ApiError} 409 when a full sync is already running
+ */
+export async function syncCatalog(supabase, { trigger, triggeredBy = null } = {}) {
+  const run = await startRun(supabase, { trigger, scope: 'full', triggeredBy });
+  const counts = emptyCounts();
+  const errors = [];
+
+  try {
+    const products = await fetchFromPrintify();
+    counts.productsSeen = products.length;
+
+    const rows = await loadSyncedRows(supabase);
+    const { changed, kinds } = diffProducts(products, rows);
+    const failed = changed.length > 0 ? await writeProducts(supabase, changed, errors) : new Set();
+    countChanges(counts, products, rows, kinds, failed);
+
+    const listed = new Set(products.map((product) => String(product.id)));
+    const gone = [...rows.values()]
+      .filter((row) => !row.deleted_at && !listed.has(row.id))
+      .map((row) => row.id);
+    counts.deleted = await markProductsDeleted(supabase, gone);
+
+    await writeProductCache(supabase, products.filter(isPublished).map(transformProduct));
+
+    return finishRun(supabase, run, counts, errors);
+  } catch (error) {
+    await finishRun(supabase, run, counts, errors, error);
+    throw error;
+  }
+}
+
+/**
+ * Put one product's latest state into the product_cache snapshot
+ *
+ * Done in the database (022_product_cache_updates.sql) so concurrent
+ * webhooks can't overwrite each other's changes; without a snapshot this is
+ * a no-op, and GET /api/products or the next full sync builds it.
+ *
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} productId
+ * @param {Object|null} product - Raw Printify product, or null to remove it
+ */
+async function updateCachedProduct(supabase, productId, product) {
+  const { error } = await supabase.rpc('replace_cached_product', {
+    p_product_id: productId,
+    p_product: product && isPublished(product) ? transformProduct(product) : null,
+  });
+
+  if (error) {
+    throw new Error(`Failed to update product cache: ${error.message}`);
+  }
+}
+
+/**
+ * Sync a single product (after a Printify product webhook)
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} productId - Printify product ID
+ * @param {Object} options - { trigger, triggeredBy, deleted: true when Printify reported a deletion }
+ * @returns {Promise<Object>} Run summary
+ */
+export async function syncProduct(
+  supabase,
+  productId,
+  { trigger, triggeredBy = null, deleted = false } = {}
+) {
+  const id = String(productId);
+  const run = await startRun(supabase, { trigger, scope: id, triggeredBy });
+  const counts = emptyCounts();
+  const errors = [];
+
+  try {
+    const product = deleted ? null : await fetchPrintifyProduct(id);
+
+    if (!product) {
+      counts.deleted = await markProductsDeleted(supabase, [id]);
+    } else {
+      counts.productsSeen = 1;
+      const rows = await loadSyncedRows(supabase, id);
+      const { changed, kinds } = diffProducts([product], rows);
+      const failed =
+        changed.length > 0 ? await writeProducts(supabase, changed, errors) : new Set();
+      countChanges(counts, [product], rows, kinds, failed);
+    }
+
+    await updateCachedProduct(supabase, id, product);
+
+    return finishRun(
+      supabase,
+      run,
+      counts,
+      errors,
+      errors.length > 0 ? new Error(errors[0].message) : null
+    );
+  } catch (error) {
+    await finishRun(supabase, run, counts, errors, error);
+    throw error;
+  }
+}
+
+/**
+ * Confirm a Printify publish so the product doesn't stay "publishing" there
+ * @param {string} productId - Printify product ID
+ */
+export async function confirmPublish(productId) {
+  const siteUrl = process.env.SITE_URL || 'https://canadaclothes.ca';
+  await markPrintifyPublishSucceeded(productId, {
+    id: String(productId),
+    handle: `${siteUrl}/product/${encodeURIComponent(productId)}`,
+  });
+}
+
+/**
+ * Most recent sync runs
+ * @param {Object} supabase - Supabase client
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>} Run summaries, newest first
+ */
+export async function listSyncRuns(supabase, limit = 20) {
+  const { data, error } = await supabase
+    .from('catalog_sync_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to list catalog sync runs: ${error.message}`);
+  }
+
+  return data.map(toSyncRunSummary);
+}
@@ -0,0 +1,415 @@
+/**
+ * filepath: api/_lib/catalog.js
+ * Data access for the products and product_images tables.
+ *
+ * Rows mirror the storefront product shape from transformProduct(): prices
+ * are integer cents (CAD) everywhere, including each variant in
+ * products.variants. Writes need the service role (RLS allows reads only).
+ *
+ * product_cache holds the published products as one JSON snapshot for
+ * server-side pricing; the catalog sync keeps it in step with the products
+ * table, which GET /api/products reads directly.
+ */
+
+import { transformProduct } from './printify.js';
+import { normalizeSearchText } from './search-index.js';
+
+// Rows per upsert request
+const UPSERT_BATCH_SIZE = 100;
+
+// PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Image format from a URL
+ * @param {string} url
+ * @returns {string|null} jpg, png or webp
+ */
+function imageFormat(url) {
+  const match = /\.(jpe?g|png|webp)(\?|$)/i.exec(url || '');
+  if (!match) return null;
+  return match[1].toLowerCase() === 'jpeg' ? 'jpg' : match[1].toLowerCase();
+}
+
+/**
+ * URL slug of a category (/category/:slug): "T-Shirts d'été" → "t-shirts-d-ete"
+ * @param {string|null} category
+ * @returns {string|null}
+ */
+export function categorySlug(category) {
+  const normalized = normalizeSearchText(category);
+  return normalized ? normalized.replace(/ /g, '-') : null;
+}
+
+/**
+ * Whether a Printify product belongs in the storefront
+ * @param {Object} product - Raw Printify product
+ * @returns {boolean}
+ */
+export function isPublished(product) {
+  return product.visible !== false && product.is_locked !== true;
+}
+
+/**
+ * Option values of a product's enabled variants, by facet
+ *
+ * Printify lists a product's options (e.g. { name: 'Colors', type: 'color',
+ * values: [{ id, title }] }) and each variant's option value IDs. Fit has
+ * no option type of its own, so it's recognised by name.
+ *
+ * @param {Object} product - Raw Printify product
+ * @returns {{ sizes: Array<string>, colors: Array<string>, fits: Array<string> }}
+ */
+export function variantOptions(product) {
+  const used = new Set(
+    (product.variants || [])
+      .filter((variant) => variant.is_enabled !== false)
+      .flatMap((variant) => variant.options || [])
+  );
+  const result = { sizes: [], colors: [], fits: [] };
+
+  for (const option of product.options || []) {
+    const name = String(option.name || '');
+    let facet = null;
+    if (/fit/i.test(name)) facet = 'fits';
+    else if (option.type === 'size' || /size/i.test(name)) facet = 'sizes';
+    else if (option.type === 'color' || /colou?r/i.test(name)) facet = 'colors';
+    if (!facet) continue;
+
+    for (const value of option.values || []) {
+      if (used.has(value.id) && value.title && !result[facet].includes(value.title)) {
+        result[facet].push(value.title);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * products row for a Printify product
+ * @param {Object} product - Raw Printify product
+ * @returns {Object} Row with price in cents
+ */
+export function toProductRow(product) {
+  const standard = transformProduct(product);
+  const tags = Array.isArray(product.tags) ? product.tags : [];
+
+  return {
+    id: String(product.id),
+    printify_product_id: String(product.id),
+    shop_id:
+      product.shop_id != null ? String(product.shop_id) : process.env.PRINTIFY_SHOP_ID || null,
+    title: standard.title,
+    description: standard.description,
+    price: standard.price,
+    image: standard.image,
+    variants: standard.variants,
+    sku: product.variants?.[0]?.sku || null,
+    category: tags[0] || null,
+    tags,
+    ...variantOptions(product),
+    is_published: isPublished(product),
+    printify_updated_at: product.updated_at || null,
+    deleted_at: null,
+    source: 'printify',
+    synced_at: new Date().toISOString(),
+    created_at: product.created_at || new Date().toISOString(),
+  };
+}
+
+/**
+ * product_images rows for a Printify product, in display order
+ * @param {Object} product - Raw Printify product
+ * @returns {Array<Object>}
+ */
+export function toImageRows(product) {
+  return (product.images || [])
+    .filter((image) => image.src)
+    .map((image, index) => ({
+      product_id: String(product.id),
+      image_url: image.src,
+      alt_text: product.title,
+      display_order: index,
+      is_default: Boolean(image.is_default),
+      variant_ids: image.variant_ids || [],
+      format: imageFormat(image.src),
+    }));
+}
+
+/**
+ * Storefront product from a products row
+ * @param {Object} row - products row (optionally with product_images)
+ * @returns {Object} { id, title, description, price, image, images, variants, category, categorySlug, tags, sizes, colors, fits, createdAt }
+ */
+export function fromProductRow(row) {
+  const images = (row.product_images || [])
+    .slice()
+    .sort((a, b) => a.display_order - b.display_order)
+    .map((image) => ({
+      url: image.image_url,
+      alt: image.alt_text,
+      isDefault: image.is_default,
+      variantIds: image.variant_ids || [],
+    }));
+
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description || '',
+    price: row.price,
+    image: row.image,
+    images,
+    variants: row.variants || [],
+    category: row.category,
+    categorySlug: categorySlug(row.category),
+    tags: row.tags || [],
+    sizes: row.sizes || [],
+    colors: row.colors || [],
+    fits: row.fits || [],
+    translations: row.translations || {},
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * A published product with its images
+ * @param {Object} supabase - Supabase client
+ * @param {string} productId
+ * @returns {Promise<Object|null>} Storefront product (fromProductRow), or null when not found
+ */
+export async function getPublishedProduct(supabase, productId) {
+  const { data, error } = await supabase
+    .from('products')
+    .select('*, product_images(*)')
+    .eq('id', String(productId))
+    .eq('is_published', true)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load product: ${error.message}`);
+  }
+
+  return data ? fromProductRow(data) : null;
+}
+
+/**
+ * Every row a products query matches, a page at a time
+ * @param {Function} buildQuery - () => filtered products query, not yet ordered or ranged
+ * @returns {Promise<Array<Object>>} Rows in id order
+ */
+async function loadAllPages(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery()
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load products: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Every published product, a page at a time
+ * @param {Object} supabase - Supabase client
+ * @param {string} columns - select() columns, e.g. 'id, title, product_images(image_url)'
+ * @param {Object} options - { ids: only these products }
+ * @returns {Promise<Array<Object>>} products rows in id order
+ */
+export async function loadPublishedProducts(supabase, columns, { ids = null } = {}) {
+  return loadAllPages(() => {
+    const query = supabase
+      .from('products')
+      .select(columns)
+      .eq('is_published', true)
+      .is('deleted_at', null);
+
+    return ids ? query.in('id', ids) : query;
+  });
+}
+
+/**
+ * Every product synced from Printify, unpublished and deleted ones included
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} columns - select() columns
+ * @param {Object} options - { ids: only these products }
+ * @returns {Promise<Array<Object>>} products rows in id order
+ */
+export async function loadSyncedProducts(supabase, columns, { ids = null } = {}) {
+  return loadAllPages(() => {
+    const query = supabase.from('products').select(columns).eq('source', 'printify');
+    return ids ? query.in('id', ids) : query;
+  });
+}
+
+/**
+ * Upsert rows in batches
+ * @param {Object} supabase - Supabase client
+ * @param {string} table
+ * @param {Array<Object>} rows
+ * @param {string} onConflict - Conflict target columns
+ */
+async function upsertInBatches(supabase, table, rows, onConflict) {
+  for (let start = 0; start < rows.length; start += UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + UPSERT_BATCH_SIZE);
+    const { error } = await supabase.from(table).upsert(batch, { onConflict });
+
+    if (error) {
+      throw new Error(`Failed to upsert ${table}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Write Printify products and their images to the catalog tables
+ *
+ * Images beyond a product's current mockup count are removed so the table
+ * doesn't keep mockups Printify no longer has.
+ *
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Array<Object>} printifyProducts - Raw Printify products
+ * @returns {Promise<{ products: number, images: number }>}
+ */
+export async function upsertCatalog(supabase, printifyProducts) {
+  const productRows = printifyProducts.map(toProductRow);
+  const imageRows = printifyProducts.flatMap(toImageRows);
+
+  await upsertInBatches(supabase, 'products', productRows, 'id');
+  await upsertInBatches(supabase, 'product_images', imageRows, 'product_id,display_order');
+
+  for (const product of printifyProducts) {
+    const { error } = await supabase
+      .from('product_images')
+      .delete()
+      .eq('product_id', String(product.id))
+      .gte('display_order', toImageRows(product).length);
+
+    if (error) {
+      throw new Error(`Failed to prune images for product ${product.id}: ${error.message}`);
+    }
+  }
+
+  return { products: productRows.length, images: imageRows.length };
+}
+
+/**
+ * Mark products deleted in Printify (rows are kept for orders and analytics)
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Array<string>} productIds
+ * @returns {Promise<number>} Products marked
+ */
+export async function markProductsDeleted(supabase, productIds) {
+  if (productIds.length === 0) return 0;
+
+  const { data, error } = await supabase
+    .from('products')
+    .update({ is_published: false, deleted_at: new Date().toISOString() })
+    .in('id', productIds)
+    .is('deleted_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to mark products deleted: ${error.message}`);
+  }
+
+  return data.length;
+}
+
+/**
+ * Read the product_cache snapshot
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<{ products: Array<Object>, cachedAt: string }|null>}
+ */
+export async function readProductCache(supabase) {
+  const { data, error } = await supabase
+    .from('product_cache')
+    .select('products, cached_at')
+    .eq('id', 1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read product cache: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.products)) return null;
+
+  return { products: data.products, cachedAt: data.cached_at };
+}
+
+/**
+ * Replace the product_cache snapshot
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Array<Object>} products - Storefront products (transformProduct output)
+ */
+export async function writeProductCache(supabase, products) {
+  const { error } = await supabase
+    .from('product_cache')
+    .upsert({ id: 1, products, cached_at: new Date().toISOString() }, { onConflict: 'id' });
+
+  if (error) {
+    throw new Error(`Failed to write product cache: ${error.message}`);
+  }
+}
+
+/**
+ * Published products with their stored translations, for translators
+ * @param {Object} supabase - Service-role Supabase client
+ * @returns {Promise<Array<{ id, title, description, translations }>>} In id order
+ */
+export async function listProductTranslations(supabase) {
+  const rows = await loadPublishedProducts(supabase, 'id, title, description, translations');
+  return rows.map((row) => ({
+    id: row.id,
+    title: row.title,
+    description: row.description || '',
+    translations: row.translations || {},
+  }));
+}
+
+/**
+ * Set (or, with neither title nor description, remove) a product's translation
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} productId
+ * @param {string} locale - e.g. 'fr'
+ * @param {Object} translation - { title, description }; an empty field shows the original
+ * @returns {Promise<Object|null>} The product's translations, or null when it doesn't exist
+ */
+export async function saveProductTranslation(supabase, productId, locale, { title, description }) {
+  const { data: row, error: readError } = await supabase
+    .from('products')
+    .select('translations')
+    .eq('id', String(productId))
+    .maybeSingle();
+
+  if (readError) {
+    throw new Error(`Failed to load product: ${readError.message}`);
+  }
+  if (!row) return null;
+
+  const translations = { ...row.translations };
+  const translation = Object.fromEntries(
+    Object.entries({ title, description }).filter(([, value]) => value)
+  );
+  if (Object.keys(translation).length > 0) {
+    translations[locale] = translation;
+  } else {
+    delete translations[locale];
+  }
+
+  const { error } = await supabase
+    .from('products')
+    .update({ translations })
+    .eq('id', String(productId));
+
+  if (error) {
+    throw new Error(`Failed to save translation: ${error.message}`);
+  }
+
+  return translations;
+}
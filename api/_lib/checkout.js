@@ -0,0 +1,143 @@
+/**
+ * filepath: api/_lib/checkout.js
+ * Placing an order: shared by POST /api/orders and POST /api/checkout/session.
+ *
+ * The order is created pending from the server-verified cart, with any
+ * discount code or cart reminder discount applied, and paired with a Stripe
+ * Checkout Session (CAD) to pay for it. Nothing else happens until Stripe
+ * reports the payment (api/webhooks/stripe.js): the order is confirmed by
+ * email and fulfilled then, and an unpaid one is cancelled when its session
+ * expires, giving back the discount use it held.
+ */
+
+import { placeOrder } from './orders.js';
+import { createCheckoutSession, createCoupon } from './stripe.js';
+import { resolveRecovery } from './cart-recovery.js';
+import { resolvePromotion } from './promotions.js';
+import { orderStatusUrl } from './order-lookup.js';
+import { taxLabel } from '../../src/js/tax.js';
+import { localizePath, translate } from '../../src/js/i18n.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+// Stripe Checkout page language for each storefront locale
+const STRIPE_LOCALES = { en: 'en', fr: 'fr-CA' };
+
+// An unpaid order holds its discount until Stripe expires the session and the
+// webhook cancels it; Stripe allows 30 minutes to 24 hours
+const SESSION_EXPIRES_MINUTES = 45;
+
+/**
+ * Build Checkout Session params from a stored order and its quote
+ * @param {Object} order - Order row
+ * @param {Object} quote - Result of quoteCart()
+ * @param {Object|null} coupon - Stripe coupon for the quote's discount
+ * @returns {Object} Stripe params
+ */
+function buildSessionParams(order, { lines, shipping, tax }, coupon = null) {
+  const locale = Object.hasOwn(STRIPE_LOCALES, order.locale) ? order.locale : 'en';
+
+  // Taxes are charged as their own lines so the Stripe total matches orders.total
+  const taxLineItems = tax.lines.map((line) => ({
+    quantity: 1,
+    price_data: {
+      currency: 'cad',
+      unit_amount: line.amount,
+      product_data: { name: taxLabel(line, locale) },
+    },
+  }));
+  const shippingLabel = translate(
+    locale,
+    shipping.free ? 'checkout.freeShipping' : 'checkout.standardShipping'
+  );
+
+  return {
+    mode: 'payment',
+    customer_email: order.email,
+    client_reference_id: order.id,
+    locale: STRIPE_LOCALES[locale],
+    // Back to the order's status page, signed so no login or email is needed
+    success_url: `${orderStatusUrl(order)}&session_id={CHECKOUT_SESSION_ID}`,
+    // Cancelling returns to the cart, which is kept until payment succeeds
+    cancel_url: `${SITE_URL}${localizePath('/cart', locale)}`,
+    metadata: { order_id: order.id, order_number: order.order_number },
+    expires_at: Math.floor(Date.now() / 1000) + SESSION_EXPIRES_MINUTES * 60,
+    discounts: coupon ? [{ coupon: coupon.id }] : undefined,
+    payment_intent_data: {
+      metadata: { order_id: order.id, order_number: order.order_number },
+    },
+    // The address was captured and validated by our checkout step
+    shipping_options: [
+      {
+        shipping_rate_data: {
+          type: 'fixed_amount',
+          display_name: shippingLabel,
+          fixed_amount: { amount: shipping.amount, currency: 'cad' },
+        },
+      },
+    ],
+    line_items: [
+      ...lines.map((line) => ({
+        quantity: line.quantity,
+        price_data: {
+          currency: 'cad',
+          unit_amount: line.unitPrice,
+          product_data: {
+            name: line.variantTitle ? `${line.title} (${line.variantTitle})` : line.title,
+            metadata: { product_id: line.productId, variant_id: line.variantId },
+          },
+        },
+      })),
+      ...taxLineItems,
+    ],
+  };
+}
+
+/**
+ * Place an order and open a Stripe Checkout Session for it
+ * @param {Object} supabase - Supabase client
+ * @param {Object} body - Request body (see POST /api/checkout/session)
+ * @returns {Promise<{ order: Object, quote: Object, session: Object }>}
+ * @throws {ApiError} When the cart, address, total or discount is invalid
+ */
+export async function startCheckout(supabase, body) {
+  const recovery = await resolveRecovery(supabase, body.recovery);
+  const promotion = await resolvePromotion(supabase, body.promoCode, { email: body.email });
+  const { order, quote } = await placeOrder(supabase, body, { recovery, promotion });
+
+  let session;
+  try {
+    // Goods go to Stripe at full price and taxes on the discounted amount,
+    // so the coupon is the discount itself, named after its code if it has one
+    let coupon = null;
+    if (quote.discount > 0) {
+      const { code } = quote.discounts.find((line) => line.target === 'items');
+      coupon = await createCoupon(
+        {
+          amount_off: quote.discount,
+          currency: 'cad',
+          duration: 'once',
+          max_redemptions: 1,
+          name: code || translate(order.locale, 'checkout.discount'),
+        },
+        `coupon-${order.id}`
+      );
+    }
+    session = await createCheckoutSession(buildSessionParams(order, quote, coupon), order.id);
+  } catch (stripeError) {
+    // Don't leave an unpayable pending order behind
+    await supabase.from('orders').update({ status: 'cancelled' }).eq('id', order.id);
+    throw stripeError;
+  }
+
+  const { error: updateError } = await supabase
+    .from('orders')
+    .update({ stripe_session_id: session.id })
+    .eq('id', order.id);
+
+  if (updateError) {
+    throw new Error(`Failed to store Stripe session: ${updateError.message}`);
+  }
+
+  return { order, quote, session };
+}
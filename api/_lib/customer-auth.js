@@ -0,0 +1,31 @@
+/**
+ * filepath: api/_lib/customer-auth.js
+ * Optional customer sign-in for storefront routes.
+ *
+ * Signed-in customers send their Supabase access token
+ * (Authorization: Bearer <token>); guests send nothing. Unlike
+ * requireStaff, no role is needed: any confirmed account is a customer.
+ */
+
+import { ApiError } from './errors.js';
+
+/**
+ * The signed-in customer of a request, if any
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object|null>} Supabase user, or null for guests
+ * @throws {ApiError} 401 when a token is sent but isn't valid, so an expired
+ *   session isn't silently treated as a guest
+ */
+export async function getCustomer(supabase, req) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return null;
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    throw new ApiError('UNAUTHENTICATED', 'Session expired or invalid', { status: 401 });
+  }
+
+  return data.user;
+}
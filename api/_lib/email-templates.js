@@ -0,0 +1,305 @@
+/**
+ * filepath: api/_lib/email-templates.js
+ * Order and cart reminder emails in English and French.
+ *
+ * Each template renders a subject, a plain-text body and an HTML body: order
+ * emails from the customer view of an order (see toCustomerOrder in
+ * order-lookup.js), cart reminders from revalidated cart lines (carts.js).
+ */
+
+const STRINGS = {
+  en: {
+    order_confirmation: {
+      subject: (n) => `Order #${n} received`,
+      heading: 'Thanks for your order',
+      intro: 'We’ve received your order. We’ll email you again once your payment is confirmed.',
+    },
+    payment_received: {
+      subject: (n) => `Payment received for order #${n}`,
+      heading: 'Payment received',
+      intro:
+        'Your payment went through. We’re preparing your order and will let you know when it ships.',
+    },
+    order_shipped: {
+      subject: (n) => `Order #${n} has shipped`,
+      heading: 'Your order is on its way',
+      intro: 'Good news: your order has shipped.',
+    },
+    order_cancelled: {
+      subject: (n) => `Order #${n} was cancelled`,
+      heading: 'Order cancelled',
+      intro:
+        'Your order has been cancelled. If a payment was taken, it will be refunded to your original payment method within 5 to 10 business days.',
+    },
+    cart_recovery: {
+      subject: 'You left something in your bag',
+      heading: 'Still thinking it over?',
+      intro: 'Your bag is saved. Pick up where you left off:',
+      discount: (percent) =>
+        `Take ${percent}% off this order; the discount is applied at checkout.`,
+      button: 'Return to your bag',
+      reason: 'You’re getting this email because you left items in your bag at CanadaClothes.ca.',
+      unsubscribe: 'Unsubscribe from cart reminders',
+    },
+    order: 'Order',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    shipping: 'Shipping',
+    free: 'Free',
+    total: 'Total',
+    tracking: 'Tracking number',
+    viewOrder: 'View your order',
+    taxes: { GST: 'GST', HST: 'HST', PST: 'PST', QST: 'QST' },
+    numberLocale: 'en-CA',
+    colon: ':',
+    signature: 'CanadaClothes.ca',
+  },
+  fr: {
+    order_confirmation: {
+      subject: (n) => `Commande no ${n} reçue`,
+      heading: 'Merci de votre commande',
+      intro:
+        'Nous avons bien reçu votre commande. Nous vous écrirons de nouveau dès que votre paiement sera confirmé.',
+    },
+    payment_received: {
+      subject: (n) => `Paiement reçu pour la commande no ${n}`,
+      heading: 'Paiement reçu',
+      intro:
+        'Votre paiement a été accepté. Nous préparons votre commande et vous aviserons dès son expédition.',
+    },
+    order_shipped: {
+      subject: (n) => `La commande no ${n} a été expédiée`,
+      heading: 'Votre commande est en route',
+      intro: 'Bonne nouvelle : votre commande a été expédiée.',
+    },
+    order_cancelled: {
+      subject: (n) => `La commande no ${n} a été annulée`,
+      heading: 'Commande annulée',
+      intro:
+        'Votre commande a été annulée. Si un paiement a été prélevé, il sera remboursé sur votre mode de paiement d’origine d’ici 5 à 10 jours ouvrables.',
+    },
+    cart_recovery: {
+      subject: 'Vous avez oublié quelque chose dans votre panier',
+      heading: 'Vous hésitez encore?',
+      intro: 'Votre panier est sauvegardé. Reprenez là où vous étiez :',
+      discount: (percent) =>
+        `Profitez de ${percent} % de rabais sur cette commande; il s’applique au moment de payer.`,
+      button: 'Retourner à votre panier',
+      reason:
+        'Vous recevez ce courriel parce que vous avez laissé des articles dans votre panier sur CanadaClothes.ca.',
+      unsubscribe: 'Ne plus recevoir de rappels de panier',
+    },
+    order: 'Commande',
+    subtotal: 'Sous-total',
+    discount: 'Rabais',
+    shipping: 'Livraison',
+    free: 'Gratuite',
+    total: 'Total',
+    tracking: 'Numéro de suivi',
+    viewOrder: 'Voir votre commande',
+    taxes: { GST: 'TPS', HST: 'TVH', PST: 'TVP', QST: 'TVQ' },
+    numberLocale: 'fr-CA',
+    colon: ' :', // French typography: space before the colon
+    signature: 'CanadaClothes.ca',
+  },
+};
+
+export const EMAIL_LOCALES = Object.keys(STRINGS);
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an order email
+ * @param {string} type - order_confirmation, payment_received, order_shipped or order_cancelled
+ * @param {Object} order - Customer view of the order
+ * @param {Object} options - { locale: 'en' | 'fr', statusUrl }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderOrderEmail(type, order, { locale = 'en', statusUrl } = {}) {
+  const t = STRINGS[locale] || STRINGS.en;
+  const template = t[type];
+  if (!template) {
+    throw new Error(`Unknown email type: ${type}`);
+  }
+
+  const money = (cents) =>
+    new Intl.NumberFormat(t.numberLocale, { style: 'currency', currency: 'CAD' }).format(
+      cents / 100
+    );
+  const percent = (rate) =>
+    new Intl.NumberFormat(t.numberLocale, { style: 'percent', maximumFractionDigits: 3 }).format(
+      rate
+    );
+
+  const items = order.items.map((item) => ({
+    label: [item.title || item.productId, item.variantTitle].filter(Boolean).join(' – '),
+    detail: `${item.quantity} × ${money(item.unitPrice)}`,
+    amount: money(item.lineTotal),
+  }));
+  const totals = [
+    [t.subtotal, money(order.subtotal)],
+    ...order.discounts
+      .filter((line) => line.target === 'items')
+      .map((line) => [
+        line.code ? `${t.discount} (${line.code})` : t.discount,
+        `−${money(line.amount)}`,
+      ]),
+    [t.shipping, order.shipping.amount ? money(order.shipping.amount) : t.free],
+    ...order.taxes.map((tax) => [
+      `${t.taxes[tax.type] || tax.type} (${percent(tax.rate)})`,
+      money(tax.amount),
+    ]),
+    [t.total, money(order.total)],
+  ];
+  const tracking = type === 'order_shipped' ? order.tracking : null;
+  const subject = template.subject(order.orderNumber);
+
+  const trackingLabel = tracking
+    ? `${t.tracking}${t.colon} ${[tracking.carrier, tracking.number].filter(Boolean).join(' ')}`
+    : '';
+
+  const textLines = [
+    template.heading,
+    '',
+    template.intro,
+    '',
+    `${t.order} #${order.orderNumber}`,
+    ...items.map((item) => `- ${item.label}${t.colon} ${item.detail} = ${item.amount}`),
+    '',
+    ...totals.map(([label, amount]) => `${label}${t.colon} ${amount}`),
+  ];
+  if (tracking) textLines.push('', trackingLabel, ...(tracking.url ? [tracking.url] : []));
+  if (statusUrl) textLines.push('', `${t.viewOrder}${t.colon} ${statusUrl}`);
+  textLines.push('', t.signature);
+  const text = textLines.join('\n');
+
+  const cell = 'padding:6px 0;border-bottom:1px solid #eee;';
+  const itemRows = items.map(
+    (item) =>
+      `<tr><td style="${cell}">${escapeHtml(item.label)}</td>` +
+      `<td style="${cell}">${escapeHtml(item.detail)}</td>` +
+      `<td align="right" style="${cell}">${escapeHtml(item.amount)}</td></tr>`
+  );
+  const totalRows = totals.map(
+    ([label, amount]) =>
+      `<tr><td colspan="2" style="padding:4px 0;">${escapeHtml(label)}</td>` +
+      `<td align="right" style="padding:4px 0;">${escapeHtml(amount)}</td></tr>`
+  );
+
+  let trackingHtml = '';
+  if (tracking) {
+    trackingHtml = tracking.url
+      ? `<p><a href="${escapeHtml(tracking.url)}">${escapeHtml(trackingLabel)}</a></p>`
+      : `<p>${escapeHtml(trackingLabel)}</p>`;
+  }
+
+  const buttonStyle =
+    'display:inline-block;padding:12px 20px;background:#111;color:#fff;text-decoration:none;';
+  const statusHtml = statusUrl
+    ? `<p><a href="${escapeHtml(statusUrl)}" style="${buttonStyle}">${escapeHtml(t.viewOrder)}</a></p>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html lang="${locale}">
+<body style="margin:0;padding:24px;font-family:Helvetica,Arial,sans-serif;color:#111;">
+  <div style="max-width:560px;margin:0 auto;">
+    <h1 style="font-size:20px;">${escapeHtml(template.heading)}</h1>
+    <p>${escapeHtml(template.intro)}</p>
+    <h2 style="font-size:14px;">${escapeHtml(t.order)} #${order.orderNumber}</h2>
+    <table width="100%" cellspacing="0" cellpadding="0" style="font-size:13px;">
+      ${[...itemRows, ...totalRows].join('\n      ')}
+    </table>
+    ${trackingHtml}
+    ${statusHtml}
+    <p style="color:#666;font-size:12px;">${escapeHtml(t.signature)}</p>
+  </div>
+</body>
+</html>
+`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Render an abandoned cart reminder
+ * @param {Object} cart - { lines, subtotal } from describeItems(); lines that
+ *   can't be bought are left out
+ * @param {Object} options - { locale: 'en' | 'fr', restoreUrl, unsubscribeUrl,
+ *   discountPercent: single-use discount offered, if any }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderCartRecoveryEmail(
+  { lines },
+  { locale = 'en', restoreUrl, unsubscribeUrl, discountPercent = null } = {}
+) {
+  const t = STRINGS[locale] || STRINGS.en;
+  const template = t.cart_recovery;
+
+  const money = (cents) =>
+    new Intl.NumberFormat(t.numberLocale, { style: 'currency', currency: 'CAD' }).format(
+      cents / 100
+    );
+
+  const items = lines
+    .filter((line) => line.status === 'ok' || line.status === 'price_changed')
+    .map((line) => ({
+      label: [line.title || line.productId, line.variantTitle].filter(Boolean).join(' – '),
+      detail: `${line.quantity} × ${money(line.price)}`,
+    }));
+  const discount = discountPercent ? template.discount(discountPercent) : '';
+
+  const textLines = [
+    template.heading,
+    '',
+    template.intro,
+    '',
+    ...items.map((item) => `- ${item.label}${t.colon} ${item.detail}`),
+  ];
+  if (discount) textLines.push('', discount);
+  textLines.push(
+    '',
+    `${template.button}${t.colon} ${restoreUrl}`,
+    '',
+    t.signature,
+    '',
+    template.reason,
+    `${template.unsubscribe}${t.colon} ${unsubscribeUrl}`
+  );
+  const text = textLines.join('\n');
+
+  const cell = 'padding:6px 0;border-bottom:1px solid #eee;';
+  const itemRows = items.map(
+    (item) =>
+      `<tr><td style="${cell}">${escapeHtml(item.label)}</td>` +
+      `<td align="right" style="${cell}">${escapeHtml(item.detail)}</td></tr>`
+  );
+  const buttonStyle =
+    'display:inline-block;padding:12px 20px;background:#111;color:#fff;text-decoration:none;';
+
+  const html = `<!DOCTYPE html>
+<html lang="${locale}">
+<body style="margin:0;padding:24px;font-family:Helvetica,Arial,sans-serif;color:#111;">
+  <div style="max-width:560px;margin:0 auto;">
+    <h1 style="font-size:20px;">${escapeHtml(template.heading)}</h1>
+    <p>${escapeHtml(template.intro)}</p>
+    <table width="100%" cellspacing="0" cellpadding="0" style="font-size:13px;">
+      ${itemRows.join('\n      ')}
+    </table>
+    ${discount ? `<p><strong>${escapeHtml(discount)}</strong></p>` : ''}
+    <p><a href="${escapeHtml(restoreUrl)}" style="${buttonStyle}">${escapeHtml(template.button)}</a></p>
+    <p style="color:#666;font-size:12px;">${escapeHtml(t.signature)}</p>
+    <p style="color:#666;font-size:12px;">${escapeHtml(template.reason)}
+      <a href="${escapeHtml(unsubscribeUrl)}" style="color:#666;">${escapeHtml(template.unsubscribe)}</a></p>
+  </div>
+</body>
+</html>
+`;
+
+  return { subject: template.subject, text, html };
+}
@@ -0,0 +1,31 @@
+/**
+ * filepath: api/_lib/errors.js
+ * Errors that carry an HTTP status and a machine-readable code.
+ *
+ * Handlers answer these with { success: false, error, code, details }
+ * and treat anything else as a 500.
+ */
+
+export class ApiError extends Error {
+  constructor(code, message, { status = 400, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an ApiError as JSON
+ * @param {Object} res - Response
+ * @param {ApiError} error
+ */
+export function sendApiError(res, error) {
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    details: error.details,
+  });
+}
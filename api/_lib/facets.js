@@ -0,0 +1,128 @@
+/**
+ * filepath: api/_lib/facets.js
+ * Facets for GET /api/products: category, tag, size, colour and fit.
+ *
+ * Values within a facet are alternatives (size M or L); facets combine
+ * (size M or L, and colour Navy). Counts are disjunctive: each facet's
+ * counts apply every other facet's selection but not its own, so picking
+ * M still shows how many products come in L.
+ */
+
+import { categorySlug } from './catalog.js';
+
+// Query parameter → products column (array columns hold several values)
+export const FACETS = {
+  category: { column: 'category', array: false },
+  tag: { column: 'tags', array: true },
+  size: { column: 'sizes', array: true },
+  color: { column: 'colors', array: true },
+  fit: { column: 'fits', array: true },
+};
+
+export const FACET_COLUMNS = ['id', 'price', ...Object.values(FACETS).map(({ column }) => column)];
+
+// Apparel sizes in shelf order; anything else sorts after, alphabetically
+const SIZE_ORDER = ['XXS', 'XS', 'S', 'M', 'L', 'XL', '2XL', 'XXL', '3XL', 'XXXL', '4XL', '5XL'];
+
+/**
+ * Values of a facet on a row
+ * @param {Object} row - products row
+ * @param {string} facet - Key of FACETS
+ * @returns {Array<string>}
+ */
+function rowValues(row, facet) {
+  const { column, array } = FACETS[facet];
+  if (array) return row[column] || [];
+  return row[column] ? [row[column]] : [];
+}
+
+/**
+ * Whether a row has one of the selected values of every facet but `skip`
+ * @param {Object} row
+ * @param {Object} selected - Facet → Array of values
+ * @param {string|null} skip - Facet to ignore
+ * @returns {boolean}
+ */
+function matchesFacets(row, selected, skip = null) {
+  return Object.entries(selected).every(([facet, values]) => {
+    if (facet === skip || values.length === 0) return true;
+    return rowValues(row, facet).some((value) => values.includes(value));
+  });
+}
+
+/**
+ * @param {Object} row
+ * @param {Object} range - { minPrice, maxPrice } in cents, null for open
+ * @returns {boolean}
+ */
+function inPriceRange(row, { minPrice, maxPrice }) {
+  return (
+    (minPrice === null || row.price >= minPrice) && (maxPrice === null || row.price <= maxPrice)
+  );
+}
+
+/**
+ * Order facet values for display
+ * @param {string} facet
+ * @param {Array<Object>} values - { value, count, selected }
+ * @returns {Array<Object>}
+ */
+function sortValues(facet, values) {
+  if (facet === 'size') {
+    const rank = (value) => {
+      const index = SIZE_ORDER.indexOf(value.toUpperCase());
+      return index === -1 ? SIZE_ORDER.length : index;
+    };
+    return values.sort((a, b) => rank(a.value) - rank(b.value) || a.value.localeCompare(b.value));
+  }
+
+  return values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Facet counts and price bounds for the products a query can reach
+ * @param {Array<Object>} rows - Published products rows (FACET_COLUMNS) before facet and price filters
+ * @param {Object} options - Parsed query: { facets: { category: [...], ... }, minPrice, maxPrice }
+ * @returns {Object} { category: [{ value, count, selected, slug }], tag: [{ value, count, selected }], size, color, fit, price: { min, max } }
+ */
+export function computeFacets(rows, { facets: selected, minPrice, maxPrice }) {
+  const result = {};
+
+  for (const facet of Object.keys(FACETS)) {
+    const counts = new Map();
+
+    for (const row of rows) {
+      if (!inPriceRange(row, { minPrice, maxPrice }) || !matchesFacets(row, selected, facet)) {
+        continue;
+      }
+      for (const value of new Set(rowValues(row, facet))) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+
+    // Selected values stay listed even when nothing else matches them
+    for (const value of selected[facet]) {
+      if (!counts.has(value)) counts.set(value, 0);
+    }
+
+    result[facet] = sortValues(
+      facet,
+      [...counts].map(([value, count]) => ({
+        value,
+        count,
+        selected: selected[facet].includes(value),
+        // Categories also have a page of their own
+        ...(facet === 'category' ? { slug: categorySlug(value) } : {}),
+      }))
+    );
+  }
+
+  // Bounds for the price inputs, ignoring the current price filter
+  const prices = rows.filter((row) => matchesFacets(row, selected)).map((row) => row.price);
+  result.price = {
+    min: prices.length > 0 ? Math.min(...prices) : null,
+    max: prices.length > 0 ? Math.max(...prices) : null,
+  };
+
+  return result;
+}
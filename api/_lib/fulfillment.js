@@ -0,0 +1,218 @@
+/**
+ * filepath: api/_lib/fulfillment.js
+ * Turns paid orders into Printify production orders.
+ *
+ * fulfillOrder() is called by the Stripe webhook once an order is paid
+ * ('completed'). Only orders with a paid_at, which nothing but the Stripe
+ * webhook writes, are ever sent to production; stripe_session_id proves
+ * nothing, as checkout sets it before the customer pays. Transient Printify
+ * failures are retried in-process; an order that still fails is marked
+ * 'failed' with a next attempt time and picked up again by
+ * /api/cron/fulfillment with exponential backoff.
+ */
+
+import {
+  createPrintifyOrder,
+  sendPrintifyOrderToProduction,
+  withRetry,
+  PrintifyError,
+} from './printify.js';
+
+const MAX_FULFILLMENT_ATTEMPTS = 8;
+const RETRY_BASE_MINUTES = 5;
+// A 'submitting' claim older than this belongs to a crashed invocation
+const STALE_CLAIM_MINUTES = 15;
+
+/**
+ * Split a full name into Printify's first/last name fields
+ * @param {string} name
+ * @returns {{ first_name: string, last_name: string }}
+ */
+function splitName(name = '') {
+  const parts = name.trim().split(/\s+/);
+  const first = parts.shift() || '';
+  return { first_name: first, last_name: parts.join(' ') || first };
+}
+
+/**
+ * Build the Printify order body for an order
+ * @param {Object} order - Order row (with shipping_address)
+ * @param {Array} items - order_items rows
+ * @returns {Object} Printify order payload
+ */
+export function buildPrintifyOrder(order, items) {
+  const address = order.shipping_address;
+
+  return {
+    external_id: order.id,
+    label: `CanadaClothes #${order.order_number}`,
+    line_items: items.map((item) => ({
+      product_id: item.product_id,
+      variant_id: Number(item.variant_id),
+      quantity: item.quantity,
+    })),
+    shipping_method: 1, // Printify standard shipping
+    send_shipping_notification: false,
+    address_to: {
+      ...splitName(address.name),
+      email: order.email,
+      phone: address.phone || '',
+      country: address.country,
+      region: address.province || '',
+      address1: address.line1,
+      address2: address.line2 || '',
+      city: address.city,
+      zip: address.postalCode,
+    },
+  };
+}
+
+/**
+ * Record a failed attempt and schedule the next one
+ * @param {Object} supabase - Supabase client
+ * @param {Object} order - Claimed order row
+ * @param {Error} error
+ */
+async function recordFailure(supabase, order, error) {
+  const attempts = (order.fulfillment_attempts || 0) + 1;
+  const retryable = !(error instanceof PrintifyError) || error.retryable;
+  const nextAttemptAt =
+    retryable && attempts < MAX_FULFILLMENT_ATTEMPTS
+      ? new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60000).toISOString()
+      : null;
+
+  await supabase
+    .from('orders')
+    .update({
+      fulfillment_status: 'failed',
+      fulfillment_attempts: attempts,
+      fulfillment_error: error.message,
+      fulfillment_next_attempt_at: nextAttemptAt,
+    })
+    .eq('id', order.id);
+}
+
+/**
+ * Submit a paid order to Printify
+ * @param {Object} supabase - Supabase client
+ * @param {string} orderId - Order UUID
+ * @returns {Promise<Object|null>} Updated order, or null if it wasn't claimable
+ */
+export async function fulfillOrder(supabase, orderId) {
+  // Claim the order so concurrent webhook deliveries or cron runs don't double-submit
+  const { data: order, error: claimError } = await supabase
+    .from('orders')
+    .update({ fulfillment_status: 'submitting' })
+    .eq('id', orderId)
+    .eq('status', 'completed')
+    .not('paid_at', 'is', null)
+    .in('fulfillment_status', ['unfulfilled', 'failed'])
+    .select()
+    .maybeSingle();
+
+  if (claimError) {
+    throw new Error(`Failed to claim order ${orderId}: ${claimError.message}`);
+  }
+  if (!order) return null;
+
+  try {
+    if (!order.shipping_address) {
+      throw new PrintifyError('Order has no shipping address', 400);
+    }
+
+    const { data: items, error: itemsError } = await supabase
+      .from('order_items')
+      .select('product_id, variant_id, quantity')
+      .eq('order_id', order.id);
+
+    if (itemsError) {
+      throw new Error(`Failed to load order items: ${itemsError.message}`);
+    }
+
+    let printifyOrderId = order.printify_order_id;
+
+    // A previous attempt may have created the order but failed to release it
+    if (!printifyOrderId) {
+      const created = await withRetry(() => createPrintifyOrder(buildPrintifyOrder(order, items)));
+      printifyOrderId = created.id;
+
+      await supabase
+        .from('orders')
+        .update({ printify_order_id: printifyOrderId })
+        .eq('id', order.id);
+    }
+
+    await withRetry(() => sendPrintifyOrderToProduction(printifyOrderId));
+
+    const { data: updated, error: updateError } = await supabase
+      .from('orders')
+      .update({
+        printify_order_id: printifyOrderId,
+        fulfillment_status: 'submitted',
+        fulfillment_attempts: (order.fulfillment_attempts || 0) + 1,
+        fulfillment_error: null,
+        fulfillment_next_attempt_at: null,
+      })
+      .eq('id', order.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw new Error(`Failed to record Printify order: ${updateError.message}`);
+    }
+
+    return updated;
+  } catch (error) {
+    await recordFailure(supabase, order, error);
+    throw error;
+  }
+}
+
+/**
+ * Retry fulfillment for orders whose next attempt is due
+ * @param {Object} supabase - Supabase client
+ * @param {number} limit - Max orders per run
+ * @returns {Promise<{ attempted: number, submitted: number, failed: number }>}
+ */
+export async function retryFailedFulfillments(supabase, limit = 10) {
+  const now = new Date().toISOString();
+  const staleBefore = new Date(Date.now() - STALE_CLAIM_MINUTES * 60000).toISOString();
+
+  // Release claims left behind by crashed invocations
+  await supabase
+    .from('orders')
+    .update({ fulfillment_status: 'failed', fulfillment_next_attempt_at: now })
+    .eq('fulfillment_status', 'submitting')
+    .lt('updated_at', staleBefore);
+
+  // Failed orders that are due, plus paid orders the webhook never got to
+  const { data: due, error } = await supabase
+    .from('orders')
+    .select('id')
+    .eq('status', 'completed')
+    .not('paid_at', 'is', null)
+    .or(
+      `and(fulfillment_status.eq.failed,fulfillment_next_attempt_at.lte.${now}),` +
+        `and(fulfillment_status.eq.unfulfilled,paid_at.lte.${staleBefore})`
+    )
+    .order('fulfillment_next_attempt_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load orders due for fulfillment: ${error.message}`);
+  }
+
+  const result = { attempted: due.length, submitted: 0, failed: 0 };
+
+  for (const { id } of due) {
+    try {
+      const updated = await fulfillOrder(supabase, id);
+      if (updated) result.submitted++;
+    } catch (fulfillError) {
+      console.error(`Fulfillment retry failed for order ${id}:`, fulfillError.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,222 @@
+/**
+ * filepath: api/_lib/fx-rates.js
+ * Exchange rates for showing prices in other currencies. Charges stay in CAD.
+ *
+ * FX_PROVIDER picks where rates come from:
+ *   frankfurter - European Central Bank reference rates (the default, no key needed);
+ *                 FX_API_BASE points it at a local fake instead of https://api.frankfurter.app
+ *   fixture     - the fixed FIXTURE_RATES, for local development and tests
+ *
+ * Rates are kept per function instance and in the fx_rates table, shared by
+ * every instance, for FX_CACHE_TTL_MINUTES (default 360; ECB rates change once
+ * a day). When the provider fails, the last stored rates are used however old.
+ */
+
+import { BASE_CURRENCY, CURRENCIES } from '../../src/js/currency.js';
+
+const FX_API_BASE = process.env.FX_API_BASE || 'https://api.frankfurter.app';
+const CACHE_TTL_MS = (Number(process.env.FX_CACHE_TTL_MINUTES) || 360) * 60 * 1000;
+
+// How long an instance keeps stale rates before asking a failing provider again
+const RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// How far the rate a shopper was shown may be from ours (GET /api/currencies
+// may be served from a CDN cache up to a day old)
+const DISPLAY_RATE_TOLERANCE = 0.05;
+
+// Units per 1 CAD, close to real rates so converted prices look plausible
+export const FIXTURE_RATES = { USD: 0.73, EUR: 0.67, GBP: 0.57 };
+
+// Currencies to ask the provider for
+const QUOTE_CURRENCIES = Object.keys(CURRENCIES).filter((currency) => currency !== BASE_CURRENCY);
+
+const providers = {
+  async frankfurter() {
+    const url = `${FX_API_BASE}/latest?from=${BASE_CURRENCY}&to=${QUOTE_CURRENCIES.join(',')}`;
+
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`Exchange rate request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Exchange rate API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return { rates: data.rates, date: data.date || null };
+  },
+
+  async fixture() {
+    return { rates: FIXTURE_RATES, date: null };
+  },
+};
+
+/**
+ * Provider in effect
+ * @returns {string} frankfurter or fixture
+ */
+export function getProviderName() {
+  return process.env.FX_PROVIDER || 'frankfurter';
+}
+
+/**
+ * Fresh rates from the provider
+ * @returns {Promise<Object>} Snapshot: { base, rates, date, provider, fetchedAt }
+ */
+async function fetchRates() {
+  const name = getProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown FX_PROVIDER: ${name}`);
+  }
+
+  const { rates, date } = await provider();
+  const usable = Object.fromEntries(
+    QUOTE_CURRENCIES.filter(
+      (currency) => typeof rates?.[currency] === 'number' && rates[currency] > 0
+    ).map((currency) => [currency, rates[currency]])
+  );
+
+  if (Object.keys(usable).length === 0) {
+    throw new Error(`No usable exchange rates from ${name}`);
+  }
+
+  return {
+    base: BASE_CURRENCY,
+    rates: usable,
+    date,
+    provider: name,
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * The fx_rates row
+ * @param {Object} supabase - Service-role Supabase client
+ * @returns {Promise<Object|null>} Snapshot, or null when none is stored
+ */
+async function readStoredRates(supabase) {
+  const { data, error } = await supabase
+    .from('fx_rates')
+    .select('base, rates, rate_date, provider, fetched_at')
+    .eq('id', 1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read exchange rates: ${error.message}`);
+  }
+  if (!data) return null;
+
+  return {
+    base: data.base,
+    rates: data.rates || {},
+    date: data.rate_date,
+    provider: data.provider,
+    fetchedAt: data.fetched_at,
+  };
+}
+
+/**
+ * Replace the fx_rates row
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} snapshot - From fetchRates
+ */
+async function storeRates(supabase, snapshot) {
+  const { error } = await supabase.from('fx_rates').upsert(
+    {
+      id: 1,
+      base: snapshot.base,
+      rates: snapshot.rates,
+      rate_date: snapshot.date,
+      provider: snapshot.provider,
+      fetched_at: snapshot.fetchedAt,
+    },
+    { onConflict: 'id' }
+  );
+
+  if (error) {
+    throw new Error(`Failed to store exchange rates: ${error.message}`);
+  }
+}
+
+// This instance's copy: { snapshot, expiresAt }
+let cached = null;
+
+/**
+ * Current exchange rates, from the cache when fresh enough
+ * @param {Object} supabase - Service-role Supabase client
+ * @returns {Promise<Object>} { base: 'CAD', rates: { USD: 0.7312, ... }, date, provider, fetchedAt }
+ * @throws {Error} When the provider fails and no rates were ever stored
+ */
+export async function getExchangeRates(supabase) {
+  const now = Date.now();
+  if (cached && cached.expiresAt > now) return cached.snapshot;
+
+  const stored = await readStoredRates(supabase).catch((error) => {
+    console.error(error.message);
+    return null;
+  });
+
+  const storedUntil = stored ? Date.parse(stored.fetchedAt) + CACHE_TTL_MS : 0;
+  if (stored && stored.provider === getProviderName() && storedUntil > now) {
+    cached = { snapshot: stored, expiresAt: storedUntil };
+    return stored;
+  }
+
+  try {
+    const snapshot = await fetchRates();
+    await storeRates(supabase, snapshot).catch((error) => console.error(error.message));
+    cached = { snapshot, expiresAt: now + CACHE_TTL_MS };
+    return snapshot;
+  } catch (error) {
+    if (!stored) throw error;
+
+    console.error(`Using exchange rates from ${stored.fetchedAt}: ${error.message}`);
+    cached = { snapshot: stored, expiresAt: now + RETRY_AFTER_MS };
+    return stored;
+  }
+}
+
+/**
+ * Rate of one currency, for recording what a customer was shown
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} currency
+ * @returns {Promise<number|null>} Units per 1 CAD (1 for CAD), or null when unavailable
+ */
+export async function getExchangeRate(supabase, currency) {
+  if (currency === BASE_CURRENCY) return 1;
+
+  try {
+    const { rates } = await getExchangeRates(supabase);
+    return rates[currency] || null;
+  } catch (error) {
+    console.error(`No exchange rate for ${currency}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Rate to record for the prices a customer was shown
+ *
+ * The storefront converts with the rates it loaded, which may be a day older
+ * than ours. Its rate is kept when it is within DISPLAY_RATE_TOLERANCE of
+ * ours, and ours is used otherwise (a missing or made-up rate).
+ *
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} currency
+ * @param {number} [shownRate] - Rate the storefront converted with
+ * @returns {Promise<number|null>} Units per 1 CAD (1 for CAD), or null when unavailable
+ */
+export async function resolveDisplayRate(supabase, currency, shownRate) {
+  const rate = await getExchangeRate(supabase, currency);
+  if (currency === BASE_CURRENCY || rate === null) return rate;
+
+  const shown = Number(shownRate);
+  if (Number.isFinite(shown) && shown > 0 && Math.abs(shown / rate - 1) <= DISPLAY_RATE_TOLERANCE) {
+    return shown;
+  }
+  return rate;
+}
@@ -0,0 +1,89 @@
+/**
+ * filepath: api/_lib/google-feed.js
+ * Google Merchant Center product feed: RSS 2.0 with g: attributes
+ * (/feeds/google.xml) and the same attributes as a tab-separated file
+ * (/feeds/google.tsv). Items come from feedItems() in product-feed.js.
+ *
+ * size, color, gender and age_group are required for apparel, which is the
+ * whole catalog; item_group_id ties the variants of a product together.
+ */
+
+// Google attribute → feed item field, in column order
+export const GOOGLE_ATTRIBUTES = [
+  { name: 'id', field: 'id', required: true },
+  { name: 'item_group_id', field: 'itemGroupId', required: true },
+  { name: 'title', field: 'title', required: true },
+  { name: 'description', field: 'description', required: true },
+  { name: 'link', field: 'link', required: true },
+  { name: 'image_link', field: 'imageLink', required: true },
+  { name: 'additional_image_link', field: 'additionalImageLinks', required: false },
+  { name: 'price', field: 'price', required: true },
+  { name: 'availability', field: 'availability', required: true },
+  { name: 'condition', field: 'condition', required: true },
+  { name: 'size', field: 'size', required: true },
+  { name: 'color', field: 'color', required: true },
+  { name: 'gender', field: 'gender', required: true },
+  { name: 'age_group', field: 'ageGroup', required: true },
+  { name: 'brand', field: 'brand', required: true },
+  { name: 'product_type', field: 'productType', required: false },
+];
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Tabs and line breaks would start a new column or row
+function tsvValue(value) {
+  return String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+}
+
+// additional_image_link repeats in XML; other attributes appear once when set
+function itemXml(item) {
+  const tags = GOOGLE_ATTRIBUTES.flatMap(({ name, field }) => {
+    const values = [].concat(item[field] ?? []).filter((value) => value !== '');
+    return values.map((value) => `      <g:${name}>${escapeXml(value)}</g:${name}>\n`);
+  });
+  return `    <item>\n${tags.join('')}    </item>\n`;
+}
+
+/**
+ * The RSS 2.0 feed
+ * @param {Array<Object>} items - Valid feed items
+ * @param {Object} options - { baseUrl: site origin }
+ * @returns {string} XML
+ */
+export function googleFeedXml(items, { baseUrl }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n',
+    '  <channel>\n',
+    '    <title>CanadaClothes.ca</title>\n',
+    `    <link>${escapeXml(`${baseUrl}/`)}</link>\n`,
+    '    <description>CanadaClothes.ca products</description>\n',
+    ...items.map(itemXml),
+    '  </channel>\n',
+    '</rss>\n',
+  ].join('');
+}
+
+/**
+ * The tab-separated feed: a header row of attribute names, then one row per
+ * item (additional_image_link comma-separated)
+ * @param {Array<Object>} items - Valid feed items
+ * @returns {string}
+ */
+export function googleFeedTsv(items) {
+  const rows = items.map((item) =>
+    GOOGLE_ATTRIBUTES.map(({ field }) =>
+      tsvValue(Array.isArray(item[field]) ? item[field].join(',') : item[field])
+    )
+  );
+  return [GOOGLE_ATTRIBUTES.map(({ name }) => name), ...rows]
+    .map((row) => `${row.join('\t')}\n`)
+    .join('');
+}
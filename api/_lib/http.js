@@ -0,0 +1,40 @@
+/**
+ * filepath: api/_lib/http.js
+ * Request helpers for serverless handlers.
+ */
+
+/**
+ * Read the unparsed request body
+ *
+ * Webhook signatures are computed over the exact bytes sent, so handlers
+ * that verify them must not let the runtime parse the body first.
+ *
+ * @param {Object} req - Incoming request
+ * @returns {Promise<string>} Raw body as UTF-8
+ */
+export async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Check a Vercel Cron request (Authorization: Bearer $CRON_SECRET)
+ * @param {Object} req - Incoming request
+ * @returns {boolean}
+ */
+export function isAuthorizedCron(req) {
+  const secret = process.env.CRON_SECRET;
+  return Boolean(secret) && req.headers.authorization === `Bearer ${secret}`;
+}
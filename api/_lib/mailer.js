@@ -0,0 +1,161 @@
+/**
+ * filepath: api/_lib/mailer.js
+ * Pluggable mailer for transactional email.
+ *
+ * EMAIL_TRANSPORT picks where messages go:
+ *   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS (the
+ *             default when SMTP_HOST is set)
+ *   file    - one .eml file per message in EMAIL_OUTBOX_DIR (default /tmp/outbox)
+ *   console - logged to stdout
+ *
+ * file and console keep messages (and the signed links in them) on the server,
+ * so they must be chosen explicitly and only work with NODE_ENV=development (or
+ * test). With no transport configured, sending fails and the email is retried.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { sendSmtp } from './smtp.js';
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'CanadaClothes <orders@canadaclothes.ca>';
+
+/**
+ * Bare address from a "Name <address>" header value
+ * @param {string} value
+ * @returns {string}
+ */
+function addressOf(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * RFC 2047 encoded header value for non-ASCII text (French subjects)
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  if ([...value].every((char) => char.charCodeAt(0) < 128)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 body wrapped at 76 characters
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeBody(value) {
+  return Buffer.from(value, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart/alternative message (plain text + HTML)
+ * @param {Object} message - { to, subject, text, html, headers? } (headers: extra
+ *   ASCII header fields, e.g. List-Unsubscribe)
+ * @returns {{ messageId: string, raw: string }}
+ */
+export function buildMessage({ to, subject, text, html, headers = {} }) {
+  const domain = addressOf(EMAIL_FROM).split('@')[1] || 'localhost';
+  const messageId = `${crypto.randomUUID()}@${domain}`;
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+
+  const part = (type, body) =>
+    [
+      `--${boundary}`,
+      `Content-Type: ${type}; charset=utf-8`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      encodeBody(body),
+    ].join('\r\n');
+
+  const raw = [
+    `From: ${EMAIL_FROM}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    part('text/plain', text),
+    part('text/html', html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+
+  return { messageId, raw };
+}
+
+const transports = {
+  async smtp(message, raw) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('Missing SMTP_HOST');
+    }
+
+    return sendSmtp(
+      {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+      { from: addressOf(EMAIL_FROM), to: addressOf(message.to), raw }
+    );
+  },
+
+  async file(message, raw, messageId) {
+    const dir = process.env.EMAIL_OUTBOX_DIR || '/tmp/outbox';
+    const file = path.join(dir, `${Date.now()}-${messageId.split('@')[0]}.eml`);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, raw, 'utf8');
+    return file;
+  },
+
+  async console(message) {
+    console.log(`[email] To: ${message.to}\n[email] Subject: ${message.subject}\n${message.text}`);
+    return 'logged';
+  },
+};
+
+// Transports that never deliver the message
+const DEVELOPMENT_TRANSPORTS = ['file', 'console'];
+
+/**
+ * Transport in effect
+ * @returns {string|null} smtp, file or console; null when none is configured
+ */
+export function getTransportName() {
+  return process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html, headers? }
+ * @returns {Promise<{ messageId: string, transport: string, response: string }>}
+ */
+export async function sendMail(message) {
+  const name = getTransportName();
+  if (!name) {
+    throw new Error('No email transport configured: set SMTP_HOST (or EMAIL_TRANSPORT)');
+  }
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+  if (
+    DEVELOPMENT_TRANSPORTS.includes(name) &&
+    !['development', 'test'].includes(process.env.NODE_ENV)
+  ) {
+    throw new Error(`EMAIL_TRANSPORT=${name} is only allowed with NODE_ENV=development`);
+  }
+
+  const { messageId, raw } = buildMessage(message);
+  const response = await transport(message, raw, messageId);
+
+  return { messageId, transport: name, response };
+}
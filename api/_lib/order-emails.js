@@ -0,0 +1,207 @@
+/**
+ * filepath: api/_lib/order-emails.js
+ * Order emails triggered by status changes and fulfillment webhooks.
+ *
+ * Every email is claimed in email_log (unique per order and type) before it
+ * is sent, so webhook redeliveries and concurrent invocations can't send
+ * the same email twice. Failed sends are retried by /api/cron/emails; a
+ * claim left in 'sending' by a crashed invocation is not retried, since
+ * the message may already have gone out.
+ */
+
+import { sendMail } from './mailer.js';
+import { renderOrderEmail, EMAIL_LOCALES } from './email-templates.js';
+import { orderStatusUrl, toCustomerOrder } from './order-lookup.js';
+
+export const ORDER_EMAILS = {
+  CONFIRMATION: 'order_confirmation',
+  PAYMENT_RECEIVED: 'payment_received',
+  SHIPPED: 'order_shipped',
+  CANCELLED: 'order_cancelled',
+};
+
+const MAX_EMAIL_ATTEMPTS = 5;
+
+/**
+ * Claim an email for sending
+ * @param {Object} supabase - Supabase client
+ * @param {Object} order - Order row
+ * @param {string} type - One of ORDER_EMAILS
+ * @returns {Promise<Object|null>} email_log row, or null if already sent/claimed
+ */
+async function claimEmail(supabase, order, type) {
+  const { data: claimed, error } = await supabase
+    .from('email_log')
+    .insert({
+      order_id: order.id,
+      email_type: type,
+      recipient: order.email,
+      locale: order.locale || 'en',
+      status: 'sending',
+      attempts: 1,
+    })
+    .select()
+    .single();
+
+  if (!error) return claimed;
+
+  // unique_violation: this email was sent or claimed before
+  if (error.code !== '23505') {
+    throw new Error(`Failed to claim ${type} email: ${error.message}`);
+  }
+
+  const { data: existing } = await supabase
+    .from('email_log')
+    .select('id, status, attempts')
+    .eq('order_id', order.id)
+    .eq('email_type', type)
+    .maybeSingle();
+
+  if (!existing || existing.status !== 'failed' || existing.attempts >= MAX_EMAIL_ATTEMPTS) {
+    return null;
+  }
+
+  // Retry a failed send, conditional on nobody else having claimed it
+  const { data: reclaimed } = await supabase
+    .from('email_log')
+    .update({ status: 'sending', attempts: existing.attempts + 1, error: null })
+    .eq('id', existing.id)
+    .eq('status', 'failed')
+    .select()
+    .maybeSingle();
+
+  return reclaimed;
+}
+
+/**
+ * Send an order email unless it has been sent already
+ * @param {Object} supabase - Supabase client
+ * @param {string} orderId - Order UUID
+ * @param {string} type - One of ORDER_EMAILS
+ * @returns {Promise<Object|null>} Sent email_log row, or null if skipped
+ */
+export async function sendOrderEmail(supabase, orderId, type) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('*, order_items(*), order_taxes(*), order_discounts(*)')
+    .eq('id', orderId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load order ${orderId}: ${error.message}`);
+  }
+
+  const log = await claimEmail(supabase, order, type);
+  if (!log) return null;
+
+  try {
+    const locale = EMAIL_LOCALES.includes(order.locale) ? order.locale : 'en';
+    const message = renderOrderEmail(type, toCustomerOrder(order), {
+      locale,
+      statusUrl: orderStatusUrl(order),
+    });
+
+    const { messageId, transport } = await sendMail({ to: order.email, ...message });
+
+    const { data: sent } = await supabase
+      .from('email_log')
+      .update({
+        status: 'sent',
+        subject: message.subject,
+        transport,
+        message_id: messageId,
+        sent_at: new Date().toISOString(),
+      })
+      .eq('id', log.id)
+      .select()
+      .single();
+
+    return sent;
+  } catch (sendError) {
+    await supabase
+      .from('email_log')
+      .update({ status: 'failed', error: sendError.message })
+      .eq('id', log.id);
+    throw sendError;
+  }
+}
+
+/**
+ * Whether the customer was told about an order (so a cancellation is news to them)
+ * @param {Object} supabase - Supabase client
+ * @param {string} orderId - Order UUID
+ * @returns {Promise<boolean>}
+ */
+async function wasConfirmed(supabase, orderId) {
+  const { data } = await supabase
+    .from('email_log')
+    .select('id')
+    .eq('order_id', orderId)
+    .eq('status', 'sent')
+    .in('email_type', [ORDER_EMAILS.CONFIRMATION, ORDER_EMAILS.PAYMENT_RECEIVED])
+    .limit(1);
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Send the email for an order's current status
+ *
+ *   pending/processing → order_confirmation
+ *   completed          → payment_received
+ *   cancelled          → order_cancelled, only if the order was confirmed
+ *                        (an abandoned Stripe Checkout isn't worth an email)
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} order - Order row after the transition
+ * @returns {Promise<Object|null>} Sent email_log row, or null if nothing was sent
+ */
+export async function notifyOrderStatus(supabase, order) {
+  if (order.status === 'pending' || order.status === 'processing') {
+    return sendOrderEmail(supabase, order.id, ORDER_EMAILS.CONFIRMATION);
+  }
+
+  if (order.status === 'completed') {
+    return sendOrderEmail(supabase, order.id, ORDER_EMAILS.PAYMENT_RECEIVED);
+  }
+
+  if (order.status === 'cancelled' && (await wasConfirmed(supabase, order.id))) {
+    return sendOrderEmail(supabase, order.id, ORDER_EMAILS.CANCELLED);
+  }
+
+  return null;
+}
+
+/**
+ * Retry emails whose last attempt failed
+ * @param {Object} supabase - Supabase client
+ * @param {number} limit - Max emails per run
+ * @returns {Promise<{ attempted: number, sent: number, failed: number }>}
+ */
+export async function retryFailedEmails(supabase, limit = 20) {
+  const { data: due, error } = await supabase
+    .from('email_log')
+    .select('order_id, email_type')
+    .eq('status', 'failed')
+    .lt('attempts', MAX_EMAIL_ATTEMPTS)
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load failed emails: ${error.message}`);
+  }
+
+  const result = { attempted: due.length, sent: 0, failed: 0 };
+
+  for (const { order_id: orderId, email_type: type } of due) {
+    try {
+      const sent = await sendOrderEmail(supabase, orderId, type);
+      if (sent) result.sent++;
+    } catch (sendError) {
+      console.error(`Retrying ${type} email for order ${orderId} failed:`, sendError.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,179 @@
+/**
+ * filepath: api/_lib/order-lookup.js
+ * Customer access to a single order.
+ *
+ * An order can be read either with the signed token from its status link
+ * (sent after checkout and in order emails) or with the email address it
+ * was placed with. Tokens are an HMAC of the order's UUID and number under
+ * ORDER_TOKEN_SECRET, so they can't be derived from the order number alone
+ * and need no storage.
+ */
+
+import crypto from 'node:crypto';
+import { ApiError } from './errors.js';
+import { localizePath } from '../../src/js/i18n.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+/**
+ * Signed access token for an order
+ * @param {Object} order - Order row (id, order_number)
+ * @returns {string} base64url HMAC
+ */
+export function signOrderToken(order) {
+  const secret = process.env.ORDER_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Missing ORDER_TOKEN_SECRET');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`order:${order.id}:${order.order_number}`)
+    .digest('base64url');
+}
+
+/**
+ * Check an order access token
+ * @param {Object} order - Order row (id, order_number)
+ * @param {string} token - Token from the status link
+ * @returns {boolean}
+ */
+export function verifyOrderToken(order, token) {
+  if (!token || typeof token !== 'string') return false;
+
+  const expected = signOrderToken(order);
+  return (
+    token.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))
+  );
+}
+
+/**
+ * Storefront link to an order's status page, in the language it was placed in
+ * @param {Object} order - Order row (id, order_number, locale)
+ * @returns {string}
+ */
+export function orderStatusUrl(order) {
+  const path = localizePath(`/order/${order.order_number}`, order.locale);
+  return `${SITE_URL}${path}?token=${signOrderToken(order)}`;
+}
+
+/**
+ * Where the order is from the customer's point of view
+ * @param {Object} order - Order row
+ * @returns {string} placed, paid, in_production, shipped, delivered or cancelled
+ */
+export function customerStage(order) {
+  if (order.status === 'cancelled') return 'cancelled';
+  if (order.status !== 'completed') return 'placed';
+  if (order.delivered_at || order.fulfillment_status === 'delivered') return 'delivered';
+  if (order.shipped_at || order.fulfillment_status === 'shipped') return 'shipped';
+  if (order.fulfillment_status === 'in_production') return 'in_production';
+  return 'paid';
+}
+
+/**
+ * Order as shown to the customer (no payment/fulfillment internals)
+ * @param {Object} order - Order row with order_items, order_taxes and order_discounts
+ * @returns {Object}
+ */
+export function toCustomerOrder(order) {
+  const items = order.order_items || [];
+  const taxes = order.order_taxes || [];
+  const discounts = order.order_discounts || [];
+  let tracking = null;
+
+  if (order.tracking_number) {
+    tracking = {
+      carrier: order.carrier,
+      number: order.tracking_number,
+      url: order.tracking_url,
+      shippedAt: order.shipped_at,
+      deliveredAt: order.delivered_at,
+    };
+  }
+
+  return {
+    orderNumber: order.order_number,
+    status: order.status,
+    stage: customerStage(order),
+    email: order.email,
+    createdAt: order.created_at,
+    paidAt: order.paid_at,
+    currency: order.currency,
+    items: items.map((item) => ({
+      productId: item.product_id,
+      variantId: item.variant_id,
+      title: item.product_title,
+      variantTitle: item.variant_title,
+      quantity: item.quantity,
+      unitPrice: item.price_at_purchase,
+      lineTotal: item.price_at_purchase * item.quantity,
+    })),
+    subtotal: order.subtotal,
+    // Goods discounts add up to discountTotal; free shipping is already out of shipping.amount
+    discounts: discounts.map((line) => ({
+      code: line.code,
+      type: line.type,
+      target: line.target,
+      amount: line.amount,
+    })),
+    discountTotal: order.discount_total,
+    shipping: {
+      method: order.shipping_method,
+      amount: order.shipping_total,
+      address: order.shipping_address,
+    },
+    taxes: taxes.map((tax) => ({ type: tax.tax_type, rate: Number(tax.rate), amount: tax.amount })),
+    taxTotal: order.tax_total,
+    total: order.total,
+    tracking,
+  };
+}
+
+/**
+ * Load an order for a customer holding its token or email address
+ *
+ * An unknown order and a wrong email/token get the same 404 so the
+ * endpoint can't be used to probe which order numbers exist.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string|number} orderNumber
+ * @param {Object} credentials - { token } or { email }
+ * @returns {Promise<Object>} Order row with order_items, order_taxes and order_discounts
+ * @throws {ApiError} When the order can't be shown
+ */
+export async function findCustomerOrder(supabase, orderNumber, { token, email } = {}) {
+  const number = Number(orderNumber);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new ApiError('INVALID_ORDER_NUMBER', 'Invalid order number');
+  }
+
+  if (!token && !email) {
+    throw new ApiError('ORDER_ACCESS_REQUIRED', 'An order link or email address is required', {
+      status: 401,
+    });
+  }
+
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('*, order_items(*), order_taxes(*), order_discounts(*)')
+    .eq('order_number', number)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load order ${number}: ${error.message}`);
+  }
+
+  const authorized =
+    order &&
+    (token
+      ? verifyOrderToken(order, token)
+      : String(email).trim().toLowerCase() === order.email.toLowerCase());
+
+  if (!authorized) {
+    throw new ApiError('ORDER_NOT_FOUND', 'Order not found', { status: 404 });
+  }
+
+  return order;
+}
@@ -0,0 +1,72 @@
+/**
+ * filepath: api/_lib/order-status.js
+ * Order status transitions.
+ *
+ *   pending ──► processing ──► completed
+ *      │            │
+ *      └────────────┴──► cancelled
+ *
+ * pending: created, awaiting payment
+ * processing: checkout finished, payment not yet confirmed
+ * completed: payment confirmed
+ * cancelled: payment failed, session expired or order cancelled
+ */
+
+const TRANSITIONS = {
+  pending: ['processing', 'completed', 'cancelled'],
+  processing: ['completed', 'cancelled'],
+  completed: ['cancelled'],
+  cancelled: [],
+};
+
+/**
+ * Check whether an order may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move an order to a new status
+ *
+ * The update is conditional on the status read beforehand, so concurrent or
+ * replayed webhook deliveries can't apply the same transition twice.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string} orderId - Order UUID
+ * @param {string} to - Target status
+ * @param {Object} fields - Extra columns to update alongside the status
+ * @returns {Promise<Object|null>} Updated order, or null if the transition doesn't apply
+ */
+export async function transitionOrder(supabase, orderId, to, fields = {}) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, status')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load order ${orderId}: ${error.message}`);
+  }
+
+  if (!order || !canTransition(order.status, to)) {
+    return null;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('orders')
+    .update({ ...fields, status: to })
+    .eq('id', orderId)
+    .eq('status', order.status)
+    .select()
+    .maybeSingle();
+
+  if (updateError) {
+    throw new Error(`Failed to update order ${orderId}: ${updateError.message}`);
+  }
+
+  return updated;
+}
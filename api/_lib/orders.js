@@ -0,0 +1,311 @@
+/**
+ * filepath: api/_lib/orders.js
+ * Cart quoting and order creation shared by POST /api/orders,
+ * POST /api/checkout/quote and POST /api/checkout/session.
+ */
+
+import { ApiError } from './errors.js';
+import { loadCatalog, priceItems, PricingError, PRICING_ERRORS } from './pricing.js';
+import { quoteShipping } from './shipping.js';
+import { promotionDiscount } from './promotions.js';
+import { resolveDisplayRate } from './fx-rates.js';
+import { calculateTax } from '../../src/js/tax.js';
+import { validateAddress } from '../../src/js/address.js';
+import { BASE_CURRENCY, isCurrency } from '../../src/js/currency.js';
+
+/**
+ * Validate email format
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function validateEmail(email) {
+  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return re.test(email);
+}
+
+/**
+ * Validate order items
+ * @param {Array} items
+ * @returns {boolean}
+ */
+export function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return false;
+
+  return items.every((item) => {
+    return (
+      item.productId &&
+      Number.isInteger(item.quantity) &&
+      item.quantity > 0 &&
+      (item.price === undefined || (typeof item.price === 'number' && item.price >= 0))
+    );
+  });
+}
+
+/**
+ * Validate the cart and shipping address of a checkout request
+ * @param {Object} body - { items, shippingAddress }
+ * @returns {Object} Normalized shipping address
+ * @throws {ApiError} When a field is missing or malformed
+ */
+export function validateCartRequest(body) {
+  if (!body.items || !validateItems(body.items)) {
+    throw new ApiError('INVALID_ITEMS', 'Invalid items in request');
+  }
+
+  const { valid, errors, address } = validateAddress(body.shippingAddress);
+  if (!valid) {
+    throw new ApiError('INVALID_ADDRESS', 'Invalid shipping address', { details: errors });
+  }
+
+  return address;
+}
+
+/**
+ * Validate a checkout request body
+ * @param {Object} body - { email, items, shippingAddress, total }
+ * @returns {Object} Normalized shipping address
+ * @throws {ApiError} When a field is missing or malformed
+ */
+export function validateOrderRequest(body) {
+  const { email, total } = body;
+
+  if (!email || !validateEmail(email)) {
+    throw new ApiError('INVALID_EMAIL', 'Invalid email address');
+  }
+
+  const address = validateCartRequest(body);
+
+  if (typeof total !== 'number' || total < 0) {
+    throw new ApiError('INVALID_TOTAL', 'Invalid total amount');
+  }
+
+  return address;
+}
+
+/**
+ * Price a cart for an address: lines, discounts, shipping, tax and total
+ *
+ * Shipping is taxed at the destination's rates along with the goods. Goods
+ * discounts come off before shipping and tax, and don't stack: with both a
+ * discount code and a cart reminder's discount, the larger one applies. Free
+ * shipping from a code waives the base rate (remote surcharges still apply)
+ * and combines with either.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Array} items - Validated cart items
+ * @param {Object} address - Normalized shipping address
+ * @param {Object} options - { recovery: cart reminder the order is placed
+ *   from (resolveRecovery() in cart-recovery.js), for its discount;
+ *   promotion: discount code (resolvePromotion() in promotions.js) }
+ * @returns {Promise<Object>} { lines, subtotal, discount, discounts, shipping, tax, total,
+ *   address, recovery } (discounts: the lines applied, see promotionDiscount())
+ * @throws {ApiError} When the cart can't be priced, or the code doesn't apply to it
+ */
+export async function quoteCart(
+  supabase,
+  items,
+  address,
+  { recovery = null, promotion = null } = {}
+) {
+  const catalog = await loadCatalog(supabase);
+  const { lines, subtotal } = priceItems(items, catalog);
+
+  const offers = [];
+  if (recovery && recovery.discountPercent) {
+    offers.push({
+      cartRecoveryId: recovery.id,
+      type: 'percentage',
+      target: 'items',
+      amount: Math.round((subtotal * recovery.discountPercent) / 100),
+    });
+  }
+  const code = promotion ? await promotionDiscount(supabase, promotion, lines) : null;
+  if (code && code.target === 'items') offers.push(code);
+
+  const best = offers.reduce((a, b) => (a && a.amount >= b.amount ? a : b), null);
+  const discounts = best ? [best] : [];
+  const discount = best ? best.amount : 0;
+
+  let shipping;
+  try {
+    shipping = await quoteShipping(supabase, { subtotal: subtotal - discount, address, lines });
+  } catch (error) {
+    throw new ApiError('SHIPPING_UNAVAILABLE', `Shipping quote unavailable: ${error.message}`, {
+      status: 503,
+    });
+  }
+
+  if (code && code.target === 'shipping') {
+    discounts.push({ ...code, amount: shipping.baseRate });
+    shipping = {
+      ...shipping,
+      label: 'Free standard shipping',
+      amount: shipping.amount - shipping.baseRate,
+      baseRate: 0,
+      free: true,
+    };
+  }
+
+  const taxableAmount = subtotal - discount + shipping.amount;
+  const tax = calculateTax(taxableAmount, address);
+
+  return {
+    lines,
+    subtotal,
+    discount,
+    discounts,
+    shipping,
+    taxableAmount,
+    tax,
+    total: taxableAmount + tax.total,
+    address,
+    recovery,
+  };
+}
+
+/**
+ * Create order, order items and tax lines in database
+ * @param {Object} supabase - Supabase client
+ * @param {string} email
+ * @param {Object} quote - Result of quoteCart()
+ * @param {Object} options - { locale: language for order emails ('en' or 'fr'),
+ *   displayCurrency, displayRate: currency the customer was shown and its rate per 1 CAD }
+ */
+async function createOrder(supabase, email, quote, { locale, displayCurrency, displayRate }) {
+  const {
+    lines,
+    subtotal,
+    discount,
+    discounts,
+    shipping,
+    taxableAmount,
+    tax,
+    total,
+    address,
+    recovery,
+  } = quote;
+
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .insert({
+      email,
+      subtotal,
+      discount_total: discount,
+      cart_recovery_id: recovery ? recovery.id : null,
+      shipping_total: shipping.amount,
+      shipping_method: shipping.method,
+      shipping_address: address,
+      tax_total: tax.total,
+      tax_province: address.country === 'CA' ? address.province : null,
+      total,
+      locale,
+      display_currency: displayCurrency,
+      display_rate: displayRate,
+      status: 'pending',
+      notes: null,
+    })
+    .select()
+    .single();
+
+  if (orderError) {
+    throw new Error(`Failed to create order: ${orderError.message}`);
+  }
+
+  // Insert order items
+  const orderItems = lines.map((line) => ({
+    order_id: order.id,
+    product_id: line.productId,
+    variant_id: line.variantId,
+    product_title: line.title,
+    variant_title: line.variantTitle,
+    quantity: line.quantity,
+    price_at_purchase: line.unitPrice,
+  }));
+
+  const { error: itemsError } = await supabase.from('order_items').insert(orderItems);
+
+  if (itemsError) {
+    // Rollback order if items fail
+    await supabase.from('orders').delete().eq('id', order.id);
+    throw new Error(`Failed to create order items: ${itemsError.message}`);
+  }
+
+  if (tax.lines.length > 0) {
+    const { error: taxError } = await supabase.from('order_taxes').insert(
+      tax.lines.map((line) => ({
+        order_id: order.id,
+        tax_type: line.type,
+        jurisdiction: line.jurisdiction,
+        rate: line.rate,
+        taxable_amount: taxableAmount,
+        amount: line.amount,
+      }))
+    );
+
+    if (taxError) {
+      await supabase.from('orders').delete().eq('id', order.id);
+      throw new Error(`Failed to create order taxes: ${taxError.message}`);
+    }
+  }
+
+  if (discounts.length > 0) {
+    const { error: discountError } = await supabase.from('order_discounts').insert(
+      discounts.map((line) => ({
+        order_id: order.id,
+        promotion_id: line.promotionId || null,
+        cart_recovery_id: line.cartRecoveryId || null,
+        code: line.code || null,
+        type: line.type,
+        target: line.target,
+        amount: line.amount,
+      }))
+    );
+
+    if (discountError) {
+      await supabase.from('orders').delete().eq('id', order.id);
+      // check_order_discount(): the code or reminder discount was used up meanwhile
+      if (discountError.message.startsWith('DISCOUNT_UNAVAILABLE')) {
+        throw new ApiError('DISCOUNT_UNAVAILABLE', 'This discount is no longer available', {
+          status: 409,
+        });
+      }
+      throw new Error(`Failed to create order discounts: ${discountError.message}`);
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Validate, price and store a pending order
+ * @param {Object} supabase - Supabase client
+ * @param {Object} body - { email, items, shippingAddress, total, locale?, currency?, displayRate? }
+ * @param {Object} options - { recovery, promotion: see quoteCart() }
+ * @returns {Promise<{ order: Object, quote: Object }>} Stored order and its server-side quote
+ * @throws {ApiError} When the request is invalid or can't be priced
+ */
+export async function placeOrder(supabase, body, { recovery = null, promotion = null } = {}) {
+  const address = validateOrderRequest(body);
+  const { email, items, total } = body;
+
+  // Recompute line prices, discounts, shipping, tax and total from the catalog
+  const quote = await quoteCart(supabase, items, address, { recovery, promotion });
+  const calculatedTotal = quote.total;
+
+  if (calculatedTotal !== total) {
+    throw new PricingError(PRICING_ERRORS.TOTAL_MISMATCH, 'Cart total mismatch', {
+      status: 409,
+      details: { clientTotal: total, calculatedTotal, discountTotal: quote.discount },
+    });
+  }
+
+  const locale = body.locale === 'fr' ? 'fr' : 'en';
+
+  // Amounts are charged in CAD; the currency shown is kept with the rate the
+  // storefront converted with, checked against ours
+  const displayCurrency = isCurrency(body.currency) ? body.currency : BASE_CURRENCY;
+  const displayRate = await resolveDisplayRate(supabase, displayCurrency, body.displayRate);
+
+  const order = await createOrder(supabase, email, quote, { locale, displayCurrency, displayRate });
+  return { order, quote };
+}
@@ -0,0 +1,203 @@
+/**
+ * filepath: api/_lib/pricing.js
+ * Server-side cart pricing.
+ *
+ * Client carts only say *what* is being bought. Every unit price and total
+ * is resolved here against the product_cache snapshot (or Printify when the
+ * snapshot is missing or too old), so a tampered request can't set its own
+ * prices.
+ */
+
+import { ApiError } from './errors.js';
+import { fetchFromPrintify, transformProduct } from './printify.js';
+import { isPublished } from './catalog.js';
+
+// Older snapshots are refreshed from Printify before pricing an order
+const MAX_SNAPSHOT_AGE_HOURS = 24;
+
+export const PRICING_ERRORS = {
+  CATALOG_UNAVAILABLE: 'CATALOG_UNAVAILABLE',
+  PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
+  VARIANT_REQUIRED: 'VARIANT_REQUIRED',
+  VARIANT_NOT_FOUND: 'VARIANT_NOT_FOUND',
+  VARIANT_UNAVAILABLE: 'VARIANT_UNAVAILABLE',
+  PRICE_CHANGED: 'PRICE_CHANGED',
+  TOTAL_MISMATCH: 'TOTAL_MISMATCH',
+};
+
+/**
+ * Error raised when a cart can't be priced; `code` is one of PRICING_ERRORS
+ */
+export class PricingError extends ApiError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'PricingError';
+  }
+}
+
+/**
+ * Load the catalog used for pricing, keyed by product ID
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Map<string, Object>>} Standardized products by ID
+ */
+export async function loadCatalog(supabase) {
+  const { data, error } = await supabase
+    .from('product_cache')
+    .select('products, cached_at')
+    .eq('id', 1)
+    .maybeSingle();
+
+  let products = null;
+
+  if (!error && data && Array.isArray(data.products)) {
+    const ageHours = (Date.now() - new Date(data.cached_at).getTime()) / (1000 * 60 * 60);
+    if (ageHours <= MAX_SNAPSHOT_AGE_HOURS) {
+      products = data.products;
+    }
+  }
+
+  if (!products) {
+    try {
+      const printifyProducts = await fetchFromPrintify();
+      // Only what the storefront lists can be ordered, as with the snapshot
+      products = printifyProducts.filter(isPublished).map(transformProduct);
+    } catch (fetchError) {
+      throw new PricingError(
+        PRICING_ERRORS.CATALOG_UNAVAILABLE,
+        `Product catalog unavailable: ${fetchError.message}`,
+        { status: 503 }
+      );
+    }
+  }
+
+  return new Map(products.map((product) => [String(product.id), product]));
+}
+
+/**
+ * Resolve a single cart item against the catalog
+ * @returns {{ line: Object|null, problem: Object|null }}
+ */
+function resolveItem(item, index, catalog) {
+  const productId = String(item.productId);
+  const product = catalog.get(productId);
+
+  if (!product) {
+    return {
+      line: null,
+      problem: { index, productId, code: PRICING_ERRORS.PRODUCT_NOT_FOUND },
+    };
+  }
+
+  const variants = product.variants || [];
+
+  // With several sizes/colours the cart must say which one
+  if (item.variantId == null && variants.length > 1) {
+    return {
+      line: null,
+      problem: { index, productId, code: PRICING_ERRORS.VARIANT_REQUIRED },
+    };
+  }
+
+  const variant =
+    item.variantId != null
+      ? variants.find((v) => String(v.id) === String(item.variantId))
+      : variants[0];
+
+  if (item.variantId != null && !variant) {
+    return {
+      line: null,
+      problem: {
+        index,
+        productId,
+        variantId: item.variantId,
+        code: PRICING_ERRORS.VARIANT_NOT_FOUND,
+      },
+    };
+  }
+
+  if (variant && variant.available === false) {
+    return {
+      line: null,
+      problem: {
+        index,
+        productId,
+        variantId: variant.id,
+        code: PRICING_ERRORS.VARIANT_UNAVAILABLE,
+      },
+    };
+  }
+
+  const unitPrice = Math.round(variant ? variant.price : product.price);
+
+  // A client price that no longer matches means the cart was built from a stale catalog
+  if (typeof item.price === 'number' && item.price !== unitPrice) {
+    return {
+      line: null,
+      problem: {
+        index,
+        productId,
+        variantId: variant ? variant.id : null,
+        code: PRICING_ERRORS.PRICE_CHANGED,
+        clientPrice: item.price,
+        currentPrice: unitPrice,
+      },
+    };
+  }
+
+  return {
+    line: {
+      productId,
+      variantId: variant ? variant.id : null,
+      title: product.title,
+      variantTitle: variant ? variant.title : null,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal: unitPrice * item.quantity,
+    },
+    problem: null,
+  };
+}
+
+/**
+ * Resolve each cart item against the catalog, without stopping at problems
+ * (saved carts report them line by line instead of refusing the cart)
+ * @param {Array} items - [{ productId, variantId?, quantity, price? }]
+ * @param {Map<string, Object>} catalog - Result of loadCatalog()
+ * @returns {Array<{ line: Object|null, problem: Object|null }>} One result per item, in order
+ */
+export function resolveItems(items, catalog) {
+  return items.map((item, index) => resolveItem(item, index, catalog));
+}
+
+/**
+ * Price cart items on the server
+ * @param {Array} items - [{ productId, variantId?, quantity, price? }]
+ * @param {Map<string, Object>} catalog - Result of loadCatalog()
+ * @returns {{ lines: Array, subtotal: number }} Priced lines and subtotal in cents
+ * @throws {PricingError} When any item is unknown, unavailable or stale
+ */
+export function priceItems(items, catalog) {
+  const lines = [];
+  const problems = [];
+
+  resolveItems(items, catalog).forEach(({ line, problem }) => {
+    if (problem) {
+      problems.push(problem);
+    } else {
+      lines.push(line);
+    }
+  });
+
+  if (problems.length > 0) {
+    // Report the first problem's code at the top level, every problem in details
+    const code = problems[0].code;
+    const status = code === PRICING_ERRORS.PRICE_CHANGED ? 409 : 400;
+    throw new PricingError(code, 'Some items in the cart could not be priced', {
+      status,
+      details: problems,
+    });
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  return { lines, subtotal };
+}
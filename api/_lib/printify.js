@@ -0,0 +1,209 @@
+/**
+ * filepath: api/_lib/printify.js
+ * Printify API client shared by the serverless functions.
+ *
+ * Files under api/_lib are not deployed as routes by Vercel.
+ * PRINTIFY_API_BASE points the client at a local fake instead of
+ * https://api.printify.com.
+ */
+
+import crypto from 'node:crypto';
+import { delay } from './http.js';
+
+const PRINTIFY_API_BASE = process.env.PRINTIFY_API_BASE || 'https://api.printify.com';
+const PRINTIFY_API_KEY = process.env.PRINTIFY_API_KEY;
+const PRINTIFY_SHOP_ID = process.env.PRINTIFY_SHOP_ID;
+
+export class PrintifyError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'PrintifyError';
+    this.status = status;
+    // Network failures, rate limits and server errors are worth retrying
+    this.retryable = status === null || status === 429 || status >= 500;
+  }
+}
+
+/**
+ * Call the Printify API for the configured shop
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /v1/shops/:shopId, e.g. /orders.json
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Parsed response
+ */
+async function printifyRequest(method, path, body = null) {
+  if (!PRINTIFY_API_KEY || !PRINTIFY_SHOP_ID) {
+    throw new Error('Missing Printify credentials');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${PRINTIFY_API_BASE}/v1/shops/${PRINTIFY_SHOP_ID}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${PRINTIFY_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    throw new PrintifyError(`Printify request failed: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new PrintifyError(`Printify API error: ${response.status}`, response.status);
+  }
+
+  return response.json();
+}
+
+/**
+ * Retry a Printify call with exponential backoff
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - { attempts, baseDelayMs }
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, { attempts = 3, baseDelayMs = 500 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const retryable = error instanceof PrintifyError && error.retryable;
+      if (!retryable || attempt >= attempts) throw error;
+      await delay(baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Largest page the products endpoint allows
+const PRODUCTS_PAGE_SIZE = 50;
+
+/**
+ * Fetch products from Printify API (every page)
+ * @returns {Promise<Array>} Products from Printify
+ */
+export async function fetchFromPrintify() {
+  const products = [];
+
+  for (let page = 1; ; page++) {
+    const data = await withRetry(() =>
+      printifyRequest('GET', `/products.json?limit=${PRODUCTS_PAGE_SIZE}&page=${page}`)
+    );
+    products.push(...(data.data || []));
+
+    if (!data.last_page || page >= data.last_page) break;
+  }
+
+  return products;
+}
+
+/**
+ * Fetch one product
+ * @param {string} productId - Printify product ID
+ * @returns {Promise<Object|null>} Raw product, or null if Printify has no such product
+ */
+export async function fetchPrintifyProduct(productId) {
+  try {
+    return await withRetry(() =>
+      printifyRequest('GET', `/products/${encodeURIComponent(productId)}.json`)
+    );
+  } catch (error) {
+    if (error instanceof PrintifyError && error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Tell Printify a product publish finished on our side
+ * @param {string} productId - Printify product ID
+ * @param {Object} external - { id, handle } of the product in the storefront
+ * @returns {Promise<Object>}
+ */
+export async function markPrintifyPublishSucceeded(productId, external) {
+  return printifyRequest(
+    'POST',
+    `/products/${encodeURIComponent(productId)}/publishing_succeeded.json`,
+    { external }
+  );
+}
+
+/**
+ * Transform Printify product to standardized format
+ * @param {Object} product - Raw Printify product
+ * @returns {Object} Standardized product
+ */
+export function transformProduct(product) {
+  const variant = product.variants?.[0];
+  const price = variant?.price || 0; // Price already in cents from Printify
+  const image = product.images?.[0]?.src || product.thumbnail_url || null;
+
+  return {
+    id: product.id,
+    title: product.title,
+    description: product.description || '',
+    price: Math.round(price), // Ensure integer cents
+    image: image,
+    variants: (product.variants || []).map((v) => ({
+      id: v.id,
+      title: v.title,
+      price: v.price,
+      available: v.is_enabled !== false && v.is_available !== false,
+    })),
+    createdAt: product.created_at,
+  };
+}
+
+/**
+ * Create a Printify order
+ * @param {Object} payload - Printify order body (external_id, line_items, address_to, ...)
+ * @returns {Promise<Object>} { id } of the Printify order
+ */
+export async function createPrintifyOrder(payload) {
+  return printifyRequest('POST', '/orders.json', payload);
+}
+
+/**
+ * Release an API-created order (held "on-hold" by default) to production
+ * @param {string} printifyOrderId
+ * @returns {Promise<Object>}
+ */
+export async function sendPrintifyOrderToProduction(printifyOrderId) {
+  return printifyRequest('POST', `/orders/${printifyOrderId}/send_to_production.json`);
+}
+
+/**
+ * Cancel an order that hasn't gone into production yet
+ * @param {string} printifyOrderId
+ * @returns {Promise<Object>}
+ */
+export async function cancelPrintifyOrder(printifyOrderId) {
+  return printifyRequest('POST', `/orders/${printifyOrderId}/cancel.json`);
+}
+
+/**
+ * Shipping cost for line items to an address, per the products' shipping profiles
+ * @param {Object} payload - { line_items, address_to }
+ * @returns {Promise<Object>} Costs in cents by method, e.g. { standard: 999, express: 2499 }
+ */
+export async function calculatePrintifyShipping(payload) {
+  return printifyRequest('POST', '/orders/shipping.json', payload);
+}
+
+/**
+ * Verify a Printify webhook's X-Pfy-Signature header ("sha256=<hex hmac>")
+ * @param {string} payload - Raw request body
+ * @param {string} header - X-Pfy-Signature header value
+ * @param {string} secret - Secret the webhook was registered with
+ * @returns {boolean}
+ */
+export function verifyPrintifyWebhook(payload, header, secret) {
+  if (!header || !secret) return false;
+
+  const signature = header.replace(/^sha256=/, '');
+  const expected = crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('hex');
+
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
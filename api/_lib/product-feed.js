@@ -0,0 +1,225 @@
+/**
+ * filepath: api/_lib/product-feed.js
+ * Product feeds for shopping channels (/feeds/:name), built from the synced
+ * catalog.
+ *
+ * Channels list variants, not products: feedItems() turns each published
+ * product into one item per variant, grouped by item_group_id, in a model
+ * every feed format (Google, Pinterest, Meta) reads from. Each format (FEEDS) names its attributes and
+ * which are required; items missing a required attribute are left out of
+ * that feed and listed in its report, so they can be fixed in Printify.
+ */
+
+import { SchemaManager } from '../../src/js/schema-manager.js';
+import { loadPublishedProducts, fromProductRow } from './catalog.js';
+import { GOOGLE_ATTRIBUTES, googleFeedTsv, googleFeedXml } from './google-feed.js';
+import { csvFeed, META_ATTRIBUTES, PINTEREST_ATTRIBUTES } from './social-feeds.js';
+
+export const FEED_BRAND = 'CanadaClothes.ca';
+
+// Channel limits: title and description length, additional images per item
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ADDITIONAL_IMAGES = 10;
+
+// Gender and age group from a product's tags and title, most specific first.
+// Products that match none are reported rather than guessed.
+const GENDER_PATTERNS = [
+  ['unisex', /\bunisex\b/],
+  ['female', /\b(womens?|ladies|female)\b/],
+  ['male', /\b(mens?|male)\b/],
+];
+const AGE_GROUP_PATTERNS = [
+  ['newborn', /\bnewborn\b/],
+  ['infant', /\b(baby|infant)\b/],
+  ['toddler', /\btoddler\b/],
+  ['kids', /\b(kids?|youth|child|children)\b/],
+  ['adult', /\b(adults?|unisex|womens?|ladies|mens?)\b/],
+];
+
+function firstMatch(patterns, text) {
+  const found = patterns.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : null;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+/**
+ * "25.00 CAD", the price format Google, Pinterest and Meta share
+ * @param {number} cents
+ * @returns {string}
+ */
+function feedPrice(cents) {
+  return `${(cents / 100).toFixed(2)} CAD`;
+}
+
+/**
+ * A variant's images first, then the rest of the product's
+ * @param {Object} product - Storefront product
+ * @param {Object} variant
+ * @returns {Array<string>} URLs
+ */
+function variantImages(product, variant) {
+  const images = product.images.length > 0 ? product.images : [{ url: product.image }];
+  const own = images.filter((image) => image.variantIds?.includes(variant.id));
+  const urls = [...own, ...images].map((image) => image.url).filter(Boolean);
+  return [...new Set(urls)];
+}
+
+/**
+ * Published products with what the feeds need
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Array<Object>>} Storefront products (fromProductRow)
+ */
+export async function loadFeedProducts(supabase) {
+  const rows = await loadPublishedProducts(supabase, '*, product_images(*)');
+  return rows.map(fromProductRow);
+}
+
+/**
+ * One feed item per variant
+ * @param {Array<Object>} products - Storefront products
+ * @param {Object} options - { baseUrl: site origin }
+ * @returns {Array<Object>} { id, itemGroupId, title, description, link, imageLink, additionalImageLinks, price, availability, condition, size, color, gender, ageGroup, brand, productType }
+ */
+export function feedItems(products, { baseUrl }) {
+  return products.flatMap((product) => {
+    const text = [product.title, ...product.tags].join(' ').toLowerCase();
+    const gender = firstMatch(GENDER_PATTERNS, text);
+    const ageGroup = firstMatch(AGE_GROUP_PATTERNS, text);
+    const description = truncate(
+      SchemaManager.plainText(product.description),
+      MAX_DESCRIPTION_LENGTH
+    );
+    const options = SchemaManager.buildSchemaVariants(product);
+
+    return product.variants.map((variant, index) => {
+      const { sku, color, size } = options[index];
+      const images = variantImages(product, variant);
+      const title = variant.title ? `${product.title} – ${variant.title}` : product.title;
+      const link = `${baseUrl}/product/${encodeURIComponent(product.id)}?variant=${encodeURIComponent(variant.id)}`;
+
+      return {
+        id: sku,
+        itemGroupId: String(product.id),
+        title: truncate(title, MAX_TITLE_LENGTH),
+        description,
+        link,
+        imageLink: images[0] || null,
+        additionalImageLinks: images.slice(1, MAX_ADDITIONAL_IMAGES + 1),
+        price: Number.isInteger(variant.price) ? feedPrice(variant.price) : null,
+        availability: variant.available === false ? 'out_of_stock' : 'in_stock',
+        condition: 'new',
+        size: size || null,
+        color: color || null,
+        gender,
+        ageGroup,
+        brand: FEED_BRAND,
+        productType: product.category || null,
+      };
+    });
+  });
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' || value.length === 0;
+}
+
+/**
+ * Split items into those a feed can list and a report of the rest
+ *
+ * Besides each excluded item, the report sums up the feed as a whole: how
+ * many items lack each attribute, and errors the platform would reject the
+ * whole file for (no items, the same id twice; only the first is listed).
+ *
+ * @param {Array<Object>} items - From feedItems
+ * @param {Array<Object>} attributes - The feed's { name, field, required }
+ * @returns {{ items: Array<Object>, report: { total, listed, excluded, missingByAttribute, errors, problems: Array<{ id, title, missing }> } }}
+ */
+export function validateFeedItems(items, attributes) {
+  const required = attributes.filter((attribute) => attribute.required);
+  const listed = [];
+  const problems = [];
+  const missingByAttribute = {};
+  const seen = new Set();
+  const duplicates = new Set();
+
+  for (const item of items) {
+    const missing = required
+      .filter((attribute) => isBlank(item[attribute.field]))
+      .map((attribute) => attribute.name);
+
+    for (const name of missing) {
+      missingByAttribute[name] = (missingByAttribute[name] || 0) + 1;
+    }
+
+    if (missing.length > 0) {
+      problems.push({ id: item.id, title: item.title, missing });
+    } else if (seen.has(item.id)) {
+      duplicates.add(item.id);
+    } else {
+      seen.add(item.id);
+      listed.push(item);
+    }
+  }
+
+  const errors = [...duplicates].map((id) => `Duplicate id ${id}`);
+  if (listed.length === 0) errors.unshift('No items to list');
+
+  return {
+    items: listed,
+    report: {
+      total: items.length,
+      listed: listed.length,
+      excluded: items.length - listed.length,
+      missingByAttribute,
+      errors,
+      problems,
+    },
+  };
+}
+
+// Feeds by file name: content type, attributes and renderer
+export const FEEDS = {
+  'google.xml': {
+    contentType: 'application/xml; charset=utf-8',
+    attributes: GOOGLE_ATTRIBUTES,
+    render: googleFeedXml,
+  },
+  'google.tsv': {
+    contentType: 'text/tab-separated-values; charset=utf-8',
+    attributes: GOOGLE_ATTRIBUTES,
+    render: googleFeedTsv,
+  },
+  'pinterest.csv': {
+    contentType: 'text/csv; charset=utf-8',
+    attributes: PINTEREST_ATTRIBUTES,
+    render: csvFeed(PINTEREST_ATTRIBUTES),
+  },
+  'meta.csv': {
+    contentType: 'text/csv; charset=utf-8',
+    attributes: META_ATTRIBUTES,
+    render: csvFeed(META_ATTRIBUTES),
+  },
+};
+
+/**
+ * A feed's file and validation report
+ * @param {Array<Object>} items - From feedItems
+ * @param {string} name - Key of FEEDS
+ * @param {Object} options - { baseUrl: site origin }
+ * @returns {{ body: string, contentType: string, report: Object }|null} null for unknown feeds
+ */
+export function buildFeed(items, name, { baseUrl }) {
+  const feed = Object.hasOwn(FEEDS, name) ? FEEDS[name] : null;
+  if (!feed) return null;
+
+  const validated = validateFeedItems(items, feed.attributes);
+  return {
+    body: feed.render(validated.items, { baseUrl }),
+    contentType: feed.contentType,
+    report: validated.report,
+  };
+}
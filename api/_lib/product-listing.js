@@ -0,0 +1,420 @@
+/**
+ * filepath: api/_lib/product-listing.js
+ * Paginated, filterable product listing for GET /api/products.
+ *
+ * Reads the products table kept current by the catalog sync. Pages can be
+ * requested by number (page) or by the opaque cursor from the previous
+ * response; cursors are keyset positions (sort value + id), so scrolling
+ * stays stable while products are added.
+ *
+ * With q, products are limited to the search matches (api/_lib/search.js)
+ * and ordered by relevance unless another sort is asked for.
+ */
+
+import crypto from 'node:crypto';
+import { ApiError } from './errors.js';
+import { categorySlug, fromProductRow, loadPublishedProducts } from './catalog.js';
+import { MAX_SEARCH_RESULTS, rankProductIds } from './search.js';
+import { computeFacets, FACET_COLUMNS, FACETS } from './facets.js';
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+// Selected values per facet, and characters per value
+const MAX_FACET_VALUES = 20;
+const MAX_FACET_VALUE_LENGTH = 100;
+
+// Sort orders; id breaks ties so every row has a unique position
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  price: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  title: { column: 'title', ascending: true },
+  // Search rank, computed per request; only with q
+  relevance: { column: 'rank', ascending: false },
+};
+
+export const PRODUCT_SORTS = Object.keys(SORTS);
+
+/**
+ * Parse a non-negative integer query parameter
+ * @param {string|undefined} value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {number|null}
+ * @throws {ApiError} When the value isn't a non-negative integer
+ */
+function parseCents(value, name) {
+  if (value === undefined || value === '') return null;
+  if (!/^\d+$/.test(String(value))) {
+    throw new ApiError('INVALID_QUERY', `${name} must be a whole number of cents`);
+  }
+  return Number(value);
+}
+
+/**
+ * Encode a keyset position
+ * @param {string} sort - Sort name
+ * @param {Object} row - Last row of the page
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(sort, row) {
+  const { column } = SORTS[sort];
+  return Buffer.from(JSON.stringify([sort, row[column], row.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor
+ * @param {string} sort - Sort of the current request (must match the cursor's)
+ * @returns {{ value: *, id: string }}
+ * @throws {ApiError} When the cursor is malformed or was made for another sort
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 3 || decoded[0] !== sort) {
+    throw new ApiError('INVALID_CURSOR', 'Invalid cursor for this sort order');
+  }
+
+  return { value: decoded[1], id: decoded[2] };
+}
+
+/**
+ * Quote a value for a PostgREST or() filter
+ * @param {*} value
+ * @returns {string}
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Selected values of a facet (?size=M&size=L)
+ * @param {string|Array<string>|undefined} value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {Array<string>}
+ * @throws {ApiError} When too many or too long values are given
+ */
+function parseFacetValues(value, name) {
+  const values = [
+    ...new Set(
+      []
+        .concat(value ?? [])
+        .map((item) => String(item).trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (values.length > MAX_FACET_VALUES) {
+    throw new ApiError('INVALID_QUERY', `At most ${MAX_FACET_VALUES} ${name} values`);
+  }
+  if (values.some((item) => item.length > MAX_FACET_VALUE_LENGTH)) {
+    throw new ApiError(
+      'INVALID_QUERY',
+      `${name} values must be at most ${MAX_FACET_VALUE_LENGTH} characters`
+    );
+  }
+
+  return values;
+}
+
+/**
+ * Postgres array literal for an overlaps (ov) filter
+ * @param {Array<string>} values
+ * @returns {string}
+ */
+function arrayLiteral(values) {
+  return `{${values.map(quoteFilterValue).join(',')}}`;
+}
+
+/**
+ * Validate and normalize GET /api/products query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { page, pageSize, facets, categorySlug, minPrice, maxPrice, sort, q, cursor }
+ * @throws {ApiError} 400 INVALID_QUERY
+ */
+export function parseProductQuery(query = {}) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ApiError('INVALID_QUERY', 'page must be a positive integer');
+  }
+
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new ApiError('INVALID_QUERY', `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const q = typeof query.q === 'string' ? query.q.trim().slice(0, 100) : '';
+
+  const sort = query.sort || (q ? 'relevance' : 'newest');
+  if (!SORTS[sort]) {
+    throw new ApiError('INVALID_QUERY', `sort must be one of ${PRODUCT_SORTS.join(', ')}`);
+  }
+  if (sort === 'relevance' && !q) {
+    throw new ApiError('INVALID_QUERY', 'sort=relevance needs q');
+  }
+
+  const minPrice = parseCents(query.minPrice, 'minPrice');
+  const maxPrice = parseCents(query.maxPrice, 'maxPrice');
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw new ApiError('INVALID_QUERY', 'minPrice is greater than maxPrice');
+  }
+
+  const facets = Object.fromEntries(
+    Object.keys(FACETS).map((facet) => [facet, parseFacetValues(query[facet], facet)])
+  );
+
+  const slug =
+    typeof query.categorySlug === 'string' ? query.categorySlug.trim().toLowerCase() : '';
+  if (slug.length > MAX_FACET_VALUE_LENGTH) {
+    throw new ApiError('INVALID_QUERY', 'categorySlug is too long');
+  }
+
+  return {
+    page,
+    pageSize,
+    facets,
+    categorySlug: slug || null,
+    minPrice,
+    maxPrice,
+    sort,
+    q: q || null,
+    cursor: query.cursor || null,
+  };
+}
+
+/**
+ * Apply the filters shared by the page query and the count query
+ * @param {Object} query - Supabase query builder
+ * @param {Object} options - Parsed query
+ * @returns {Object} Query builder
+ */
+function applyFilters(query, { facets, minPrice, maxPrice, searchIds }) {
+  let filtered = query.eq('is_published', true).is('deleted_at', null);
+
+  for (const [facet, values] of Object.entries(facets)) {
+    if (values.length === 0) continue;
+    const { column, array } = FACETS[facet];
+    filtered = array
+      ? filtered.overlaps(column, arrayLiteral(values))
+      : filtered.in(column, values);
+  }
+  if (minPrice !== null) filtered = filtered.gte('price', minPrice);
+  if (maxPrice !== null) filtered = filtered.lte('price', maxPrice);
+  if (searchIds) filtered = filtered.in('id', searchIds);
+
+  return filtered;
+}
+
+/**
+ * Page result
+ * @param {Object} options - Parsed query
+ * @param {Array<Object>} rows - products rows of the page
+ * @param {number} total - Matching products
+ * @param {boolean} hasMore - Whether rows follow this page
+ * @returns {Object}
+ */
+function toPage({ page, pageSize, sort, cursor }, rows, total, hasMore) {
+  return {
+    products: rows.map(fromProductRow),
+    total,
+    page: cursor ? null : page,
+    pageSize,
+    totalPages: Math.max(1, Math.ceil(total / pageSize)),
+    sort,
+    nextCursor: hasMore && rows.length > 0 ? encodeCursor(sort, rows[rows.length - 1]) : null,
+  };
+}
+
+/**
+ * One page of search matches in rank order
+ *
+ * Matches are capped at MAX_SEARCH_RESULTS, so they're ordered and paged here
+ * rather than in the database.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - Parsed query with searchIds
+ * @param {Map<string, number>} ranks - Rank by product ID
+ * @returns {Promise<Object>} Page result
+ */
+async function listByRelevance(supabase, options, ranks) {
+  const { page, pageSize, cursor } = options;
+
+  const { data, error } = await applyFilters(
+    supabase.from('products').select('*, product_images(*)'),
+    options
+  );
+
+  if (error) {
+    throw new Error(`Failed to list products: ${error.message}`);
+  }
+
+  const rows = data
+    .map((row) => ({ ...row, rank: ranks.get(row.id) }))
+    .sort((a, b) => b.rank - a.rank || a.id.localeCompare(b.id));
+
+  let start = (page - 1) * pageSize;
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, 'relevance');
+    const next = rows.findIndex((row) => row.rank < value || (row.rank === value && row.id > id));
+    start = next === -1 ? rows.length : next;
+  }
+
+  return toPage(
+    options,
+    rows.slice(start, start + pageSize),
+    rows.length,
+    rows.length > start + pageSize
+  );
+}
+
+/**
+ * Facet counts for a query
+ *
+ * Reads the facet columns of every product the query could reach (all
+ * published products, or the search matches) and counts in memory.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} filters - Parsed query, with searchIds when searching
+ * @returns {Promise<Object>} See computeFacets()
+ */
+async function loadFacets(supabase, filters) {
+  const data = await loadPublishedProducts(supabase, FACET_COLUMNS.join(', '), {
+    ids: filters.searchIds || null,
+  });
+
+  return computeFacets(data, filters);
+}
+
+/**
+ * Add the category named by options.categorySlug (/category/:slug) to the
+ * category facet
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - Parsed query
+ * @returns {Promise<Object>} Parsed query
+ * @throws {ApiError} 404 when no published product is in that category
+ */
+async function withSlugCategory(supabase, options) {
+  const data = await loadPublishedProducts(supabase, 'category');
+
+  const match = data.find(
+    (row) => row.category && categorySlug(row.category) === options.categorySlug
+  );
+  if (!match) {
+    throw new ApiError('CATEGORY_NOT_FOUND', 'Category not found', { status: 404 });
+  }
+
+  const selected = options.facets.category;
+  if (selected.includes(match.category)) return options;
+
+  return {
+    ...options,
+    facets: { ...options.facets, category: [...selected, match.category] },
+  };
+}
+
+/**
+ * One page of published products, with facet counts on the first page
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - Output of parseProductQuery
+ * @returns {Promise<Object>} { products, total, page, pageSize, totalPages, sort, nextCursor, facets }
+ *   (facets is null on cursor pages)
+ */
+export async function listProducts(supabase, options) {
+  const query = options.categorySlug ? await withSlugCategory(supabase, options) : options;
+  let filters = query;
+  let ranks = null;
+
+  if (query.q) {
+    const ranked = await rankProductIds(supabase, query.q, MAX_SEARCH_RESULTS);
+    if (ranked.length === 0) {
+      return {
+        ...toPage(query, [], 0, false),
+        facets: query.cursor ? null : computeFacets([], query),
+      };
+    }
+
+    ranks = new Map(ranked.map((result) => [result.id, result.rank]));
+    filters = { ...query, searchIds: [...ranks.keys()] };
+  }
+
+  const [page, facets] = await Promise.all([
+    query.sort === 'relevance'
+      ? listByRelevance(supabase, filters, ranks)
+      : listBySort(supabase, filters),
+    query.cursor ? null : loadFacets(supabase, filters),
+  ]);
+
+  return { ...page, facets };
+}
+
+/**
+ * One page in a column order, paged by keyset when a cursor is given
+ * @param {Object} supabase - Supabase client
+ * @param {Object} filters - Parsed query, with searchIds when searching
+ * @returns {Promise<Object>} Page result
+ */
+async function listBySort(supabase, filters) {
+  const { page, pageSize, sort, cursor } = filters;
+  const { column, ascending } = SORTS[sort];
+
+  let query = applyFilters(
+    supabase
+      .from('products')
+      .select('*, product_images(*)', { count: cursor ? undefined : 'exact' }),
+    filters
+  )
+    .order(column, { ascending })
+    .order('id', { ascending });
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sort);
+    const op = ascending ? 'gt' : 'lt';
+    query = query.or(
+      `${column}.${op}.${quoteFilterValue(value)},` +
+        `and(${column}.eq.${quoteFilterValue(value)},id.${op}.${quoteFilterValue(id)})`
+    );
+  }
+
+  // One extra row tells whether there is a next page
+  const start = cursor ? 0 : (page - 1) * pageSize;
+  const pageQuery = query.range(start, start + pageSize);
+
+  // A cursor page's count would only cover the rows after the cursor
+  const countQuery = cursor
+    ? applyFilters(supabase.from('products').select('id', { count: 'exact', head: true }), filters)
+    : null;
+
+  const [pageResult, countResult] = await Promise.all([pageQuery, countQuery]);
+
+  if (pageResult.error) {
+    throw new Error(`Failed to list products: ${pageResult.error.message}`);
+  }
+  if (countResult?.error) {
+    throw new Error(`Failed to count products: ${countResult.error.message}`);
+  }
+
+  const total = (cursor ? countResult.count : pageResult.count) || 0;
+
+  return toPage(
+    filters,
+    pageResult.data.slice(0, pageSize),
+    total,
+    pageResult.data.length > pageSize
+  );
+}
+
+/**
+ * Weak ETag for a response body
+ * @param {Object} body - JSON response
+ * @returns {string}
+ */
+export function etagFor(body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `W/"${hash}"`;
+}
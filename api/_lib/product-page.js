@@ -0,0 +1,130 @@
+/**
+ * filepath: api/_lib/product-page.js
+ * Server-rendered product pages (/product/:id).
+ *
+ * Pinterest, Facebook and most AI crawlers don't run JavaScript, so they
+ * never see what the storefront adds to the page after loading a product.
+ * This renders public/index.html with the product's title, description,
+ * canonical URL, Open Graph/Twitter tags and JSON-LD in the head, and its
+ * name, price, images and description in the product view. The head comes
+ * from the same SchemaManager builders the browser uses, so the two agree.
+ * /fr/product/:id is the same page in French, with the product's stored
+ * translation when it has one.
+ */
+
+import { SchemaManager } from '../../src/js/schema-manager.js';
+import { QAVFramework } from '../../src/js/qav-framework.js';
+import { formatPrice } from '../../src/js/utils.js';
+import { BASE_CURRENCY } from '../../src/js/currency.js';
+import { localizePath, localizeProduct, translate } from '../../src/js/i18n.js';
+import { renderStorefrontPage } from './storefront-page.js';
+
+const schemaManager = new SchemaManager();
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON inside <script>: "</script>" in a description must not end the element
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Product view content, as the storefront lays it out (without the controls
+ * that need JavaScript)
+ * @param {Object} product - Storefront product, already localized
+ * @param {string} locale
+ * @returns {string} HTML
+ */
+function productContentHTML(product, locale) {
+  const title = escapeHtml(product.title);
+  const categoryPath = `/category/${encodeURIComponent(product.categorySlug)}`;
+  const category =
+    product.category && product.categorySlug
+      ? `<li><a href="${localizePath(categoryPath, locale)}">${escapeHtml(product.category)}</a></li>`
+      : '';
+
+  const images = (product.images.length > 0 ? product.images : [{ url: product.image }])
+    .filter((image) => image.url)
+    .map(
+      (image, index) =>
+        `<img src="${escapeHtml(image.url)}" alt="${title}, image ${index + 1}" width="400" height="500" loading="${index === 0 ? 'eager' : 'lazy'}">`
+    )
+    .join('');
+
+  const description = SchemaManager.plainText(product.description);
+
+  return `
+      <nav class="breadcrumb-nav" aria-label="${translate(locale, 'nav.breadcrumb')}">
+        <ol>
+          <li><a href="${localizePath('/', locale)}">${translate(locale, 'nav.home')}</a></li>
+          ${category}
+          <li><span aria-current="page">${title}</span></li>
+        </ol>
+      </nav>
+      <div class="product-detail">
+        <div class="product-detail-gallery">${images}</div>
+        <div class="product-detail-info">
+          <h1 class="product-detail-title">${title}</h1>
+          <p class="product-price">${formatPrice(product.price, { locale, currency: BASE_CURRENCY })}</p>
+          <div class="product-detail-description"><p>${escapeHtml(description)}</p></div>
+        </div>
+      </div>
+      `;
+}
+
+/**
+ * The storefront page for a product
+ * @param {string} template - public/index.html
+ * @param {Object} product - Storefront product (fromProductRow)
+ * @param {Object} options - { baseUrl: site origin, locale: 'en' or 'fr' }
+ * @returns {string} HTML
+ */
+export function renderProductPage(template, product, { baseUrl, locale = 'en' }) {
+  const meta = schemaManager.buildProductPageMeta(product, baseUrl, locale);
+  const schemas = schemaManager.buildProductPageSchemas(product, {
+    baseUrl,
+    faq: QAVFramework.getFAQPageSchema(locale),
+    locale,
+  });
+  const page = renderStorefrontPage(template, locale, {
+    baseUrl,
+    path: `/product/${encodeURIComponent(product.id)}`,
+    meta,
+  });
+
+  const head = [
+    ...meta.tags.map(
+      ({ attribute, key, content }) =>
+        `<meta ${attribute}="${escapeHtml(key)}" content="${escapeHtml(content)}">`
+    ),
+    // data-page-schema: the storefront replaces these when the shopper moves on
+    ...schemas.map(
+      (schema) =>
+        `<script type="application/ld+json" data-page-schema="true">${scriptJson(schema)}</script>`
+    ),
+  ]
+    .map((line) => `  ${line}\n`)
+    .join('');
+
+  // Title, description, canonical and hreflang links are set by
+  // renderStorefrontPage; the storefront restores the site-wide ones from the
+  // message catalogs when the shopper leaves the product page
+  return page
+    .replace(/^[ \t]*<meta (?:property="og:|name="twitter:)[^>]*>\r?\n/gm, '')
+    .replace('</head>', () => `${head}</head>`)
+    .replace(
+      'class="loading-state" id="loadingState"',
+      'class="loading-state hidden" id="loadingState"'
+    )
+    .replace(
+      /class="product-detail-view hidden"([^>]*>\s*<div id="productDetailContent">)/,
+      (match, rest) =>
+        `class="product-detail-view"${rest}${productContentHTML(localizeProduct(product, locale), locale)}`
+    );
+}
@@ -0,0 +1,452 @@
+/**
+ * filepath: api/_lib/promotions.js
+ * Discount codes: checking a code at checkout, what it takes off a cart, and
+ * managing codes from /api/admin/promotions.
+ *
+ * A code is checked twice: resolvePromotion() when a request names it (is it
+ * live, and not used up), then promotionDiscount() against the priced cart
+ * (does it cover anything, is the minimum reached). quoteCart() in orders.js
+ * combines it with a cart reminder's discount. Usage limits are enforced for
+ * good by check_order_discount() in the database when the order's discount
+ * lines are written (018_promotions.sql); the count here only spares the
+ * customer a surprise at payment. Orders that end up cancelled give their
+ * use back.
+ */
+
+import { ApiError } from './errors.js';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'free_shipping'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_SCOPE_ENTRIES = 100;
+
+/**
+ * Code as stored: trimmed and upper-case
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizePromoCode(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Error for a code that can't be used; `details.reason` tells the storefront
+ * which message to show
+ * @param {string} reason - not_found, not_started, expired, used_up,
+ *   already_used, not_applicable or min_subtotal
+ * @param {string} message
+ * @param {Object} details - Extra details, e.g. { minSubtotal }
+ * @returns {ApiError} INVALID_PROMO_CODE
+ */
+function promoCodeError(reason, message, details = {}) {
+  return new ApiError('INVALID_PROMO_CODE', message, { details: { reason, ...details } });
+}
+
+// Escape LIKE wildcards, which are common in addresses (first_last@...)
+function likeEscape(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Orders that used a promotion, cancelled ones aside
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} promotionId
+ * @param {string|null} email - Only this customer's orders
+ * @returns {Promise<number>}
+ */
+async function countUses(supabase, promotionId, email = null) {
+  let query = supabase
+    .from('order_discounts')
+    .select('id, orders!inner(status, email)', { count: 'exact', head: true })
+    .eq('promotion_id', promotionId)
+    .neq('orders.status', 'cancelled');
+
+  if (email) {
+    query = query.ilike('orders.email', likeEscape(email));
+  }
+
+  const { count, error } = await query;
+  if (error) {
+    throw new Error(`Failed to count promotion uses: ${error.message}`);
+  }
+  return count || 0;
+}
+
+/**
+ * The promotion a checkout request names, if it can be used now
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} code - As the customer typed it
+ * @param {Object} options - { email: the customer's, for per-customer limits
+ *   (unchecked until it's known), now }
+ * @returns {Promise<Object|null>} promotions row, or null when no code was given
+ * @throws {ApiError} INVALID_PROMO_CODE
+ */
+export async function resolvePromotion(supabase, code, { email = null, now = new Date() } = {}) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) return null;
+
+  const { data: promotion, error } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('code', normalized)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load promotion: ${error.message}`);
+  }
+  if (!promotion || !promotion.is_active) {
+    throw promoCodeError('not_found', `Unknown discount code ${normalized}`);
+  }
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+    throw promoCodeError('not_started', `Discount code ${normalized} isn't active yet`);
+  }
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+    throw promoCodeError('expired', `Discount code ${normalized} has expired`);
+  }
+
+  if (promotion.max_uses && (await countUses(supabase, promotion.id)) >= promotion.max_uses) {
+    throw promoCodeError('used_up', `Discount code ${normalized} has been used up`);
+  }
+  if (
+    promotion.max_uses_per_customer &&
+    email &&
+    (await countUses(supabase, promotion.id, email)) >= promotion.max_uses_per_customer
+  ) {
+    throw promoCodeError('already_used', `You've already used discount code ${normalized}`);
+  }
+
+  return promotion;
+}
+
+/**
+ * Categories of the products in a cart (the pricing snapshot doesn't keep them)
+ * @param {Object} supabase - Supabase client
+ * @param {Array<string>} productIds
+ * @returns {Promise<Map<string, string|null>>} Category by product ID
+ */
+async function loadCategories(supabase, productIds) {
+  const { data, error } = await supabase
+    .from('products')
+    .select('id, category')
+    .in('id', productIds);
+
+  if (error) {
+    throw new Error(`Failed to load product categories: ${error.message}`);
+  }
+  return new Map(data.map((row) => [String(row.id), row.category]));
+}
+
+/**
+ * Cart lines a promotion covers: all of them, or those of its products and categories
+ * @param {Object} supabase - Supabase client
+ * @param {Object} promotion - promotions row
+ * @param {Array} lines - Priced lines from priceItems()
+ * @returns {Promise<Array>}
+ */
+async function coveredLines(supabase, promotion, lines) {
+  const productIds = promotion.product_ids || [];
+  const categories = (promotion.categories || []).map((category) => category.toLowerCase());
+  if (productIds.length === 0 && categories.length === 0) return lines;
+
+  const categoryOf =
+    categories.length > 0
+      ? await loadCategories(supabase, [...new Set(lines.map((line) => line.productId))])
+      : new Map();
+
+  return lines.filter(
+    (line) =>
+      productIds.includes(line.productId) ||
+      categories.includes((categoryOf.get(line.productId) || '').toLowerCase())
+  );
+}
+
+/**
+ * What a promotion takes off a priced cart
+ * @param {Object} supabase - Supabase client
+ * @param {Object} promotion - From resolvePromotion()
+ * @param {Array} lines - Priced lines from priceItems()
+ * @returns {Promise<Object>} Discount line { promotionId, code, type, target, amount };
+ *   free shipping has target 'shipping' and is worked out once shipping is quoted
+ * @throws {ApiError} INVALID_PROMO_CODE when the cart doesn't qualify
+ */
+export async function promotionDiscount(supabase, promotion, lines) {
+  const covered = await coveredLines(supabase, promotion, lines);
+  const eligible = covered.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  if (covered.length === 0) {
+    throw promoCodeError(
+      'not_applicable',
+      `Discount code ${promotion.code} doesn't apply to the items in your cart`
+    );
+  }
+  if (eligible < promotion.min_subtotal) {
+    throw promoCodeError(
+      'min_subtotal',
+      `Discount code ${promotion.code} needs a subtotal of at least ${promotion.min_subtotal} cents`,
+      { minSubtotal: promotion.min_subtotal }
+    );
+  }
+
+  const line = { promotionId: promotion.id, code: promotion.code, type: promotion.type };
+
+  if (promotion.type === 'free_shipping') {
+    return { ...line, target: 'shipping', amount: 0 };
+  }
+
+  const amount =
+    promotion.type === 'percentage'
+      ? Math.round((eligible * promotion.value) / 100)
+      : Math.min(promotion.value, eligible);
+  return { ...line, target: 'items', amount };
+}
+
+/**
+ * Check a promotion from a staff request
+ * @param {Object} body - Fields to set (see /api/admin/promotions)
+ * @param {Object} options - { partial: only the fields given (PATCH) }
+ * @returns {Object} promotions columns
+ * @throws {ApiError} INVALID_PROMOTION
+ */
+export function parsePromotion(body, { partial = false } = {}) {
+  const input = body || {};
+  const row = {};
+  const has = (field) => input[field] !== undefined;
+  const invalid = (message) => new ApiError('INVALID_PROMOTION', message);
+
+  if (!partial || has('code')) {
+    row.code = normalizePromoCode(input.code);
+    if (!CODE_PATTERN.test(row.code)) {
+      throw invalid('code must be 3 to 32 letters, digits, - or _');
+    }
+  }
+
+  if (!partial || has('type')) {
+    if (!PROMOTION_TYPES.includes(input.type)) {
+      throw invalid(`type must be one of ${PROMOTION_TYPES.join(', ')}`);
+    }
+    row.type = input.type;
+  }
+
+  if (!partial || has('type') || has('value')) {
+    const value = input.type === 'free_shipping' ? 0 : input.value;
+    if (input.type === 'percentage' && !(Number.isInteger(value) && value >= 1 && value <= 100)) {
+      throw invalid('value must be a whole percent from 1 to 100');
+    }
+    if (input.type === 'fixed_amount' && !(Number.isInteger(value) && value > 0)) {
+      throw invalid('value must be a positive amount in cents');
+    }
+    row.value = value;
+  }
+
+  if (has('description')) {
+    if (
+      input.description !== null &&
+      (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH)
+    ) {
+      throw invalid(`description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    row.description = input.description ? input.description.trim() : null;
+  }
+
+  if (has('minSubtotal')) {
+    if (!Number.isInteger(input.minSubtotal) || input.minSubtotal < 0) {
+      throw invalid('minSubtotal must be an amount in cents');
+    }
+    row.min_subtotal = input.minSubtotal;
+  }
+
+  for (const [field, column] of [
+    ['productIds', 'product_ids'],
+    ['categories', 'categories'],
+  ]) {
+    if (!has(field)) continue;
+
+    const values = input[field];
+    if (
+      !Array.isArray(values) ||
+      values.length > MAX_SCOPE_ENTRIES ||
+      !values.every((value) => typeof value === 'string' && value.trim())
+    ) {
+      throw invalid(`${field} must be a list of at most ${MAX_SCOPE_ENTRIES} names`);
+    }
+    row[column] = [...new Set(values.map((value) => value.trim()))];
+  }
+
+  for (const [field, column] of [
+    ['maxUses', 'max_uses'],
+    ['maxUsesPerCustomer', 'max_uses_per_customer'],
+  ]) {
+    if (!has(field)) continue;
+
+    if (input[field] !== null && !(Number.isInteger(input[field]) && input[field] > 0)) {
+      throw invalid(`${field} must be a positive integer, or null for no limit`);
+    }
+    row[column] = input[field];
+  }
+
+  for (const [field, column] of [
+    ['startsAt', 'starts_at'],
+    ['endsAt', 'ends_at'],
+  ]) {
+    if (!has(field)) continue;
+
+    const date = input[field] === null ? null : new Date(input[field]);
+    if (date && Number.isNaN(date.getTime())) {
+      throw invalid(`Invalid date for ${field}: ${input[field]}`);
+    }
+    row[column] = date ? date.toISOString() : null;
+  }
+  if (row.starts_at && row.ends_at && row.starts_at >= row.ends_at) {
+    throw invalid('endsAt must be after startsAt');
+  }
+
+  if (has('active')) {
+    if (typeof input.active !== 'boolean') {
+      throw invalid('active must be true or false');
+    }
+    row.is_active = input.active;
+  }
+
+  return row;
+}
+
+/**
+ * Promotion as shown to staff, with how much it has been used
+ * @param {Object} row - promotions row, with order_discounts(amount, orders(status, paid_at))
+ * @returns {Object}
+ */
+function toAdminPromotion(row) {
+  const live = (row.order_discounts || []).filter((use) => use.orders?.status !== 'cancelled');
+  const paid = live.filter((use) => use.orders?.paid_at);
+
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    type: row.type,
+    value: row.value,
+    minSubtotal: row.min_subtotal,
+    productIds: row.product_ids,
+    categories: row.categories,
+    maxUses: row.max_uses,
+    maxUsesPerCustomer: row.max_uses_per_customer,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    active: row.is_active,
+    uses: live.length,
+    paidUses: paid.length,
+    discountTotal: paid.reduce((sum, use) => sum + use.amount, 0),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const ADMIN_SELECT = '*, order_discounts(amount, orders(status, paid_at))';
+
+/**
+ * Every promotion, newest first
+ * @param {Object} supabase - Service-role Supabase client
+ * @returns {Promise<Array>}
+ */
+export async function listPromotions(supabase) {
+  const { data, error } = await supabase
+    .from('promotions')
+    .select(ADMIN_SELECT)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list promotions: ${error.message}`);
+  }
+  return data.map(toAdminPromotion);
+}
+
+/**
+ * Create a promotion
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} body - From the request
+ * @param {Object} user - Staff user creating it
+ * @returns {Promise<Object>} The promotion as shown to staff
+ * @throws {ApiError} INVALID_PROMOTION, or 409 CODE_TAKEN
+ */
+export async function createPromotion(supabase, body, user) {
+  const row = parsePromotion(body);
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .insert({ ...row, created_by: user.id })
+    .select(ADMIN_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ApiError('CODE_TAKEN', `There is already a discount code ${row.code}`, {
+        status: 409,
+      });
+    }
+    throw new Error(`Failed to create promotion: ${error.message}`);
+  }
+  return toAdminPromotion(data);
+}
+
+/**
+ * Change a promotion (e.g. end it early with { active: false })
+ *
+ * Orders already placed keep the discount they got.
+ *
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} id - Promotion UUID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} The promotion as shown to staff
+ * @throws {ApiError} INVALID_PROMOTION, 404 PROMOTION_NOT_FOUND, 409 CODE_TAKEN
+ */
+export async function updatePromotion(supabase, id, body) {
+  if (!UUID_PATTERN.test(String(id))) {
+    throw new ApiError('PROMOTION_NOT_FOUND', 'Promotion not found', { status: 404 });
+  }
+
+  const { data: current, error: loadError } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (loadError) {
+    throw new Error(`Failed to load promotion: ${loadError.message}`);
+  }
+  if (!current) {
+    throw new ApiError('PROMOTION_NOT_FOUND', 'Promotion not found', { status: 404 });
+  }
+
+  // Type and value are checked together, and the window as a whole
+  const changes = parsePromotion(
+    {
+      type: current.type,
+      value: current.value,
+      startsAt: current.starts_at,
+      endsAt: current.ends_at,
+      ...body,
+    },
+    { partial: true }
+  );
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .update(changes)
+    .eq('id', id)
+    .select(ADMIN_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ApiError('CODE_TAKEN', `There is already a discount code ${changes.code}`, {
+        status: 409,
+      });
+    }
+    throw new Error(`Failed to update promotion: ${error.message}`);
+  }
+  return toAdminPromotion(data);
+}
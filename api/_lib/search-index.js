@@ -0,0 +1,150 @@
+/**
+ * filepath: api/_lib/search-index.js
+ * In-memory product search, used by api/_lib/search.js when Postgres is
+ * unavailable.
+ *
+ * Mirrors search_products() in supabase/migrations/011_product_search.sql:
+ * text is lowercased and unaccented, every query word has to match a word
+ * of the product by prefix or by trigram similarity, and title matches
+ * outrank tags, variant names and description.
+ */
+
+// Field weights, as setweight() A–D
+const FIELD_WEIGHTS = { title: 1, tags: 0.6, variants: 0.4, description: 0.2 };
+
+// Minimum trigram similarity for a misspelled word
+const MIN_SIMILARITY = 0.3;
+
+/**
+ * Lowercase, strip accents and punctuation (as search_normalize() does)
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Words of a text, normalized
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function words(text) {
+  const normalized = normalizeSearchText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * pg_trgm-style trigrams of a word (padded with two leading spaces, one trailing)
+ * @param {string} word
+ * @returns {Set<string>}
+ */
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i += 1) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Trigram similarity of two words (0–1)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * How well one query word matches a product word (0–1)
+ * @param {Object} term - { word, grams }
+ * @param {Object} candidate - { word, grams }
+ * @returns {number}
+ */
+function matchWord(term, candidate) {
+  if (candidate.word === term.word) return 1;
+  if (candidate.word.startsWith(term.word)) return 0.9;
+
+  const score = similarity(term.grams, candidate.grams);
+  return score >= MIN_SIMILARITY ? score * 0.8 : 0;
+}
+
+/**
+ * Build an index over storefront products
+ * @param {Array<Object>} products - { id, title, description, tags, variants, ... }
+ * @returns {Array<Object>} Index entries { product, fields }
+ */
+export function buildSearchIndex(products) {
+  return products.map((product) => {
+    const fields = {
+      title: words(product.title),
+      tags: words((product.tags || []).join(' ')),
+      variants: words((product.variants || []).map((variant) => variant.title).join(' ')),
+      description: words(String(product.description || '').replace(/<[^>]*>/g, ' ')),
+    };
+
+    return {
+      product,
+      fields: Object.fromEntries(
+        Object.entries(fields).map(([name, list]) => [
+          name,
+          [...new Set(list)].map((word) => ({ word, grams: trigrams(word) })),
+        ])
+      ),
+    };
+  });
+}
+
+/**
+ * Search an index
+ * @param {Array<Object>} index - From buildSearchIndex
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Array<{ product: Object, rank: number }>} Best first
+ */
+export function searchIndex(index, query, limit = 20) {
+  const terms = [...new Set(words(query))].map((word) => ({ word, grams: trigrams(word) }));
+  if (terms.length === 0) return [];
+
+  const results = [];
+
+  for (const entry of index) {
+    let rank = 0;
+    let matchedAll = true;
+
+    for (const term of terms) {
+      let best = 0;
+      for (const [field, candidates] of Object.entries(entry.fields)) {
+        for (const candidate of candidates) {
+          best = Math.max(best, matchWord(term, candidate) * FIELD_WEIGHTS[field]);
+        }
+      }
+
+      if (best === 0) {
+        matchedAll = false;
+        break;
+      }
+      rank += best;
+    }
+
+    if (matchedAll) {
+      results.push({ product: entry.product, rank: rank / terms.length });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.rank - a.rank || String(a.product.id).localeCompare(String(b.product.id)))
+    .slice(0, limit);
+}
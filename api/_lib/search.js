@@ -0,0 +1,106 @@
+/**
+ * filepath: api/_lib/search.js
+ * Product search.
+ *
+ * Ranking happens in Postgres (search_products(), see
+ * supabase/migrations/011_product_search.sql). When that fails (Postgres
+ * unreachable, or the migration not run yet), searchProducts() answers
+ * from an in-memory index of the Printify catalog instead; a warm function
+ * instance reuses the index for FALLBACK_INDEX_TTL_MS.
+ */
+
+import { fetchFromPrintify, transformProduct } from './printify.js';
+import { fromProductRow, isPublished } from './catalog.js';
+import { buildSearchIndex, normalizeSearchText, searchIndex } from './search-index.js';
+
+export const MAX_SEARCH_RESULTS = 100;
+
+const FALLBACK_INDEX_TTL_MS = 10 * 60 * 1000;
+
+let fallbackIndex = null; // { index: Promise<Array>, builtAt }
+
+/**
+ * Product IDs matching a query, best first
+ * @param {Object} supabase - Supabase client
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Promise<Array<{ id: string, rank: number }>>}
+ */
+export async function rankProductIds(supabase, query, limit = MAX_SEARCH_RESULTS) {
+  if (!normalizeSearchText(query)) return [];
+
+  const { data, error } = await supabase.rpc('search_products', {
+    search_query: query,
+    result_limit: Math.min(limit, MAX_SEARCH_RESULTS),
+  });
+
+  if (error) {
+    throw new Error(`Failed to search products: ${error.message}`);
+  }
+
+  return data.map((row) => ({ id: row.product_id, rank: row.rank }));
+}
+
+/**
+ * In-memory index of published Printify products, rebuilt when stale
+ * @returns {Promise<Array<Object>>}
+ */
+function loadFallbackIndex() {
+  if (!fallbackIndex || Date.now() - fallbackIndex.builtAt > FALLBACK_INDEX_TTL_MS) {
+    const index = fetchFromPrintify().then((printifyProducts) =>
+      buildSearchIndex(
+        printifyProducts
+          .filter(isPublished)
+          .map((product) => ({ ...transformProduct(product), tags: product.tags || [] }))
+      )
+    );
+
+    fallbackIndex = { index, builtAt: Date.now() };
+    // Don't keep a failed build around
+    index.catch(() => {
+      fallbackIndex = null;
+    });
+  }
+
+  return fallbackIndex.index;
+}
+
+/**
+ * Search published products
+ * @param {Object} supabase - Supabase client
+ * @param {string} query
+ * @param {Object} options - { limit }
+ * @returns {Promise<{ products: Array<Object>, source: 'postgres'|'memory' }>}
+ */
+export async function searchProducts(supabase, query, { limit = 20 } = {}) {
+  try {
+    const ranked = await rankProductIds(supabase, query, limit);
+    if (ranked.length === 0) return { products: [], source: 'postgres' };
+
+    const { data, error } = await supabase
+      .from('products')
+      .select('*, product_images(*)')
+      .in(
+        'id',
+        ranked.map((result) => result.id)
+      );
+
+    if (error) {
+      throw new Error(`Failed to load search results: ${error.message}`);
+    }
+
+    const rows = new Map(data.map((row) => [row.id, row]));
+    const products = ranked
+      .filter((result) => rows.has(result.id))
+      .map((result) => fromProductRow(rows.get(result.id)));
+
+    return { products, source: 'postgres' };
+  } catch (error) {
+    console.error('Postgres search unavailable, using in-memory index:', error.message);
+
+    const index = await loadFallbackIndex();
+    const products = searchIndex(index, query, limit).map((result) => result.product);
+
+    return { products, source: 'memory' };
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * filepath: api/_lib/shipping.js
+ * Shipping quotes for checkout.
+ *
+ * Rates come from a rate table (flat rate per country, free over a
+ * threshold, surcharge for remote regions) or, with
+ * SHIPPING_RATE_SOURCE=printify, from Printify's shipping profiles.
+ * SHIPPING_RATES (JSON) overrides any part of the default table.
+ *
+ * Printify quotes in its account currency (PRINTIFY_CURRENCY, USD by
+ * default), converted here to CAD at the current exchange rate; the free
+ * shipping threshold and remote surcharge of the rate table apply to them
+ * too. When Printify can't be reached, sends back something that isn't a
+ * rate, or there is no exchange rate, the rate table quotes instead.
+ */
+
+import { calculatePrintifyShipping, withRetry } from './printify.js';
+import { getExchangeRate } from './fx-rates.js';
+
+// Amounts in cents (CAD)
+export const DEFAULT_SHIPPING_RATES = {
+  CA: { flatRate: 999, freeOver: 10000 },
+  US: { flatRate: 1499, freeOver: 15000 },
+  remoteSurcharge: 1000,
+  remoteRegions: {
+    CA: ['NT', 'NU', 'YT'],
+    US: ['AK', 'HI', 'PR'],
+  },
+  // Forward sortation areas outside the territories that carriers treat as remote
+  // (Labrador, Quebec North Shore, Nunavik, northern Manitoba)
+  remotePostalPrefixes: {
+    CA: ['A0P', 'A0R', 'G0G', 'J0M', 'R0B'],
+  },
+};
+
+/**
+ * Rate table in effect (defaults merged with SHIPPING_RATES)
+ * @returns {Object}
+ */
+export function getShippingRates() {
+  if (!process.env.SHIPPING_RATES) return DEFAULT_SHIPPING_RATES;
+
+  try {
+    return { ...DEFAULT_SHIPPING_RATES, ...JSON.parse(process.env.SHIPPING_RATES) };
+  } catch (error) {
+    console.error('Invalid SHIPPING_RATES, using defaults:', error.message);
+    return DEFAULT_SHIPPING_RATES;
+  }
+}
+
+/**
+ * Whether an address is in a remote region
+ * @param {Object} address - Normalized address
+ * @param {Object} rates - Rate table
+ * @returns {boolean}
+ */
+export function isRemoteAddress(address, rates = getShippingRates()) {
+  const regions = rates.remoteRegions?.[address.country] || [];
+  const prefixes = rates.remotePostalPrefixes?.[address.country] || [];
+
+  return (
+    regions.includes(address.province) ||
+    prefixes.some((prefix) => address.postalCode.startsWith(prefix))
+  );
+}
+
+/**
+ * Quote shipping from the rate table
+ * @param {number} subtotal - Cart subtotal in cents
+ * @param {Object} address - Normalized address
+ * @param {Object} rates - Rate table
+ * @returns {Object} Quote
+ */
+export function quoteFromRateTable(subtotal, address, rates = getShippingRates()) {
+  const countryRates = rates[address.country];
+  if (!countryRates) {
+    throw new Error(`No shipping rates for ${address.country}`);
+  }
+
+  return buildQuote(subtotal, address, rates, countryRates.flatRate, 'rate_table');
+}
+
+/**
+ * Quote for a standard rate, with the rate table's free shipping threshold
+ * and remote surcharge
+ * @param {number} subtotal - Cart subtotal in cents
+ * @param {Object} address - Normalized address
+ * @param {Object} rates - Rate table
+ * @param {number} rate - Standard rate in cents (CAD)
+ * @param {string} source - rate_table or printify
+ * @returns {Object} Quote
+ */
+function buildQuote(subtotal, address, rates, rate, source) {
+  const freeOver = rates[address.country]?.freeOver;
+
+  // Free shipping waives the base rate; remote surcharges still apply
+  const free = freeOver != null && subtotal >= freeOver;
+  const baseRate = free ? 0 : rate;
+  const surcharge = isRemoteAddress(address, rates) ? rates.remoteSurcharge || 0 : 0;
+
+  return {
+    method: 'standard',
+    label: free ? 'Free standard shipping' : 'Standard shipping',
+    amount: baseRate + surcharge,
+    baseRate,
+    surcharge,
+    free,
+    source,
+  };
+}
+
+/**
+ * Standard rate from Printify's shipping profiles, in CAD
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} address - Normalized address
+ * @param {Array} lines - Priced lines (productId, variantId, quantity)
+ * @returns {Promise<number>} Cents (CAD)
+ * @throws {Error} When Printify fails or its quote can't be used
+ */
+async function printifyStandardRate(supabase, address, lines) {
+  const costs = await withRetry(() =>
+    calculatePrintifyShipping({
+      line_items: lines.map((line) => ({
+        product_id: line.productId,
+        variant_id: Number(line.variantId),
+        quantity: line.quantity,
+      })),
+      address_to: {
+        country: address.country,
+        region: address.province,
+        city: address.city,
+        zip: address.postalCode,
+        address1: address.line1,
+      },
+    })
+  );
+
+  // Cents in Printify's currency
+  const standard = costs?.standard;
+  if (!Number.isInteger(standard) || standard < 0) {
+    throw new Error(`No standard rate in Printify's quote: ${JSON.stringify(costs)}`);
+  }
+
+  const currency = process.env.PRINTIFY_CURRENCY || 'USD';
+  const rate = await getExchangeRate(supabase, currency);
+  if (!rate) {
+    throw new Error(`No exchange rate for ${currency}`);
+  }
+  return Math.round(standard / rate);
+}
+
+/**
+ * Quote shipping from Printify's shipping profiles, or the rate table when
+ * Printify has no usable quote
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {number} subtotal - Cart subtotal in cents
+ * @param {Object} address - Normalized address
+ * @param {Array} lines - Priced lines (productId, variantId, quantity)
+ * @returns {Promise<Object>} Quote
+ */
+async function quoteFromPrintify(supabase, subtotal, address, lines) {
+  const rates = getShippingRates();
+
+  let rate;
+  try {
+    rate = await printifyStandardRate(supabase, address, lines);
+  } catch (error) {
+    console.error('Printify shipping quote unavailable, using the rate table:', error.message);
+    return quoteFromRateTable(subtotal, address, rates);
+  }
+
+  return buildQuote(subtotal, address, rates, rate, 'printify');
+}
+
+/**
+ * Quote shipping for a priced cart
+ * @param {Object} supabase - Service-role Supabase client (exchange rates)
+ * @param {Object} params - { subtotal, address, lines }
+ * @returns {Promise<Object>} { method, label, amount, baseRate, surcharge, free, source }
+ */
+export async function quoteShipping(supabase, { subtotal, address, lines }) {
+  if (process.env.SHIPPING_RATE_SOURCE === 'printify') {
+    return quoteFromPrintify(supabase, subtotal, address, lines);
+  }
+  return quoteFromRateTable(subtotal, address);
+}
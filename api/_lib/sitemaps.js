@@ -0,0 +1,228 @@
+/**
+ * filepath: api/_lib/sitemaps.js
+ * XML sitemaps for the storefront, generated from the catalog.
+ *
+ * /sitemap.xml is a sitemap index pointing at numbered sitemaps of each
+ * type: /sitemaps/products-1.xml, /sitemaps/categories-1.xml and
+ * /sitemaps/images-1.xml (product pages with their images, in the image:
+ * namespace). A type gets another page every MAX_SITEMAP_URLS URLs, the
+ * protocol's limit. lastmod comes from products.updated_at.
+ *
+ * Product and category pages are listed once per language (/product/:id and
+ * /fr/product/:id), each with xhtml:link hreflang alternates; image entries
+ * stay on the English pages.
+ */
+
+import { categorySlug, loadPublishedProducts } from './catalog.js';
+import { alternateLinks, LOCALES, localizePath } from '../../src/js/i18n.js';
+
+// Sitemap protocol limits: URLs per sitemap, images per URL
+export const MAX_SITEMAP_URLS = 50000;
+const MAX_IMAGES_PER_URL = 1000;
+
+export const SITEMAP_TYPES = ['products', 'categories', 'images'];
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toLastmod(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Latest of several lastmod values (ISO strings sort chronologically)
+function latest(values) {
+  return values.filter(Boolean).sort().pop() || null;
+}
+
+/**
+ * A page in every language, each pointing at the others
+ * @param {string} baseUrl - Site origin
+ * @param {string} path - Path without a locale prefix
+ * @param {string|null} lastmod
+ * @returns {Array<{ loc, lastmod, alternates }>}
+ */
+function localizedUrls(baseUrl, path, lastmod) {
+  const alternates = alternateLinks(baseUrl, path);
+  return Object.keys(LOCALES).map((locale) => ({
+    loc: `${baseUrl}${localizePath(path, locale)}`,
+    lastmod,
+    alternates,
+  }));
+}
+
+/**
+ * Published products with their images
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Array<Object>>} products rows (id, title, category, image, updated_at, product_images)
+ */
+export function loadSitemapProducts(supabase) {
+  return loadPublishedProducts(
+    supabase,
+    'id, title, category, image, updated_at, product_images(image_url, display_order)'
+  );
+}
+
+/**
+ * Sitemap URLs of each type
+ * @param {Array<Object>} rows - From loadSitemapProducts
+ * @param {string} baseUrl - Site origin
+ * @returns {Object} { products, categories, images }: Arrays of { loc, lastmod, alternates?, images? }
+ */
+export function sitemapUrls(rows, baseUrl) {
+  const productPath = (row) => `/product/${encodeURIComponent(row.id)}`;
+
+  const products = rows.flatMap((row) =>
+    localizedUrls(baseUrl, productPath(row), toLastmod(row.updated_at))
+  );
+
+  // A category changes whenever one of its products does
+  const categories = new Map();
+  for (const row of rows) {
+    const slug = categorySlug(row.category);
+    if (slug) {
+      const lastmod = latest([categories.get(slug), toLastmod(row.updated_at)]);
+      categories.set(slug, lastmod);
+    }
+  }
+
+  const images = rows
+    .map((row) => {
+      const urls = (row.product_images || [])
+        .slice()
+        .sort((a, b) => a.display_order - b.display_order)
+        .map((image) => image.image_url);
+      if (urls.length === 0 && row.image) urls.push(row.image);
+
+      return {
+        loc: `${baseUrl}${productPath(row)}`,
+        lastmod: toLastmod(row.updated_at),
+        images: [...new Set(urls)].slice(0, MAX_IMAGES_PER_URL),
+      };
+    })
+    .filter((url) => url.images.length > 0);
+
+  return {
+    products,
+    categories: [
+      // The shop itself lists every category
+      ...localizedUrls(baseUrl, '/', latest(products.map((url) => url.lastmod))),
+      ...[...categories].flatMap(([slug, lastmod]) =>
+        localizedUrls(baseUrl, `/category/${encodeURIComponent(slug)}`, lastmod)
+      ),
+    ],
+    images,
+  };
+}
+
+/**
+ * Page `page` (from 1) of a type's URLs
+ * @param {Array<Object>} urls
+ * @param {number} page
+ * @returns {Array<Object>}
+ */
+function pageOf(urls, page) {
+  return urls.slice((page - 1) * MAX_SITEMAP_URLS, page * MAX_SITEMAP_URLS);
+}
+
+/**
+ * The sitemap index: every page of every type that has URLs
+ * @param {Object} urlsByType - From sitemapUrls
+ * @param {string} baseUrl - Site origin
+ * @returns {string} XML
+ */
+export function sitemapIndexXml(urlsByType, baseUrl) {
+  const entries = SITEMAP_TYPES.flatMap((type) => {
+    const urls = urlsByType[type];
+    const pages = Math.ceil(urls.length / MAX_SITEMAP_URLS);
+    return Array.from({ length: pages }, (_, index) => ({
+      loc: `${baseUrl}/sitemaps/${type}-${index + 1}.xml`,
+      lastmod: latest(pageOf(urls, index + 1).map((url) => url.lastmod)),
+    }));
+  });
+
+  const sitemaps = entries
+    .map(
+      ({ loc, lastmod }) =>
+        `  <sitemap>\n    <loc>${escapeXml(loc)}</loc>\n${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </sitemap>\n`
+    )
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${sitemaps}</sitemapindex>\n`;
+}
+
+function imageTagsXml(images) {
+  return images
+    .map(
+      (image) =>
+        `    <image:image>\n      <image:loc>${escapeXml(image)}</image:loc>\n    </image:image>\n`
+    )
+    .join('');
+}
+
+function alternateTagsXml(alternates) {
+  return alternates
+    .map(
+      ({ hreflang, href }) =>
+        `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}"/>\n`
+    )
+    .join('');
+}
+
+/**
+ * One numbered sitemap
+ * @param {Object} urlsByType - From sitemapUrls
+ * @param {string} name - "products-1", "categories-2", "images-1", ...
+ * @returns {string|null} XML, or null when there is no such sitemap
+ */
+export function sitemapXml(urlsByType, name) {
+  const match = /^([a-z]+)-([1-9]\d*)$/.exec(String(name || ''));
+  if (!match || !SITEMAP_TYPES.includes(match[1])) return null;
+
+  const urls = pageOf(urlsByType[match[1]], Number(match[2]));
+  if (urls.length === 0) return null;
+
+  const withImages = match[1] === 'images';
+  const entries = urls
+    .map(
+      ({ loc, lastmod, alternates = [], images = [] }) =>
+        `  <url>\n    <loc>${escapeXml(loc)}</loc>\n${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}${alternateTagsXml(alternates)}${withImages ? imageTagsXml(images) : ''}  </url>\n`
+    )
+    .join('');
+
+  const namespaces = withImages
+    ? 'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"'
+    : 'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml"';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset ${namespaces}>\n${entries}</urlset>\n`;
+}
+
+/**
+ * robots.txt: crawl the storefront, skip shopper-specific pages, find the sitemaps
+ * @param {string} baseUrl - Site origin
+ * @returns {string}
+ */
+export function robotsTxt(baseUrl) {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    'Disallow: /cart',
+    'Disallow: /checkout',
+    'Disallow: /order',
+    'Disallow: /account',
+    'Disallow: /fr/cart',
+    'Disallow: /fr/checkout',
+    'Disallow: /fr/order',
+    'Disallow: /fr/account',
+    'Disallow: /admin.html',
+    'Disallow: /api/admin/',
+    '',
+    `Sitemap: ${baseUrl}/sitemap.xml`,
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,170 @@
+/**
+ * filepath: api/_lib/smtp.js
+ * Minimal SMTP client (one message per connection).
+ *
+ * Supports implicit TLS (port 465, SMTP_SECURE=true) and STARTTLS, with
+ * AUTH PLAIN when credentials are configured; credentials are only ever sent
+ * over TLS. Enough for a transactional relay (Postmark, SES, Mailgun, ...)
+ * without pulling in a mail library.
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+
+const SMTP_TIMEOUT_MS = 15000;
+
+export class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    // 4xx replies and connection problems are temporary
+    this.retryable = code === null || (code >= 400 && code < 500);
+  }
+}
+
+/**
+ * Reads SMTP replies ("250-first\r\n250 last\r\n") from a socket
+ */
+class ReplyReader {
+  constructor() {
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+  }
+
+  attach(socket) {
+    socket.on('data', (chunk) => {
+      this.buffer += chunk.toString('utf8');
+      let index;
+      while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + 2);
+      }
+      this.flush();
+    });
+  }
+
+  fail(error) {
+    if (this.waiting) {
+      this.waiting.reject(error);
+      this.waiting = null;
+    }
+  }
+
+  flush() {
+    if (!this.waiting) return;
+
+    // A reply ends with the line whose code is followed by a space
+    const last = this.lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (last === -1) return;
+
+    const lines = this.lines.splice(0, last + 1);
+    const code = Number(lines[last].slice(0, 3));
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code, lines: lines.map((line) => line.slice(4)) });
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+}
+
+/**
+ * Open a socket and wait for it to connect
+ * @returns {Promise<net.Socket|tls.TLSSocket>}
+ */
+function connect(options, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ servername: options.host, ...options }, () => resolve(socket))
+      : net.connect(options, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Send a raw RFC 5322 message over SMTP
+ * @param {Object} config - { host, port, secure, user, pass }
+ * @param {Object} envelope - { from, to, raw } (raw uses CRLF line endings)
+ * @returns {Promise<string>} Server's final reply, e.g. "2.0.0 Ok: queued as 1234"
+ */
+export async function sendSmtp(
+  { host, port = 587, secure = false, user, pass },
+  { from, to, raw }
+) {
+  let reader = new ReplyReader();
+  let socket = await connect({ host, port }, secure);
+  socket.setTimeout(SMTP_TIMEOUT_MS);
+
+  const onError = (error) => reader.fail(new SmtpError(`SMTP connection failed: ${error.message}`));
+  const onTimeout = () => {
+    reader.fail(new SmtpError('SMTP server timed out'));
+    socket.destroy();
+  };
+  socket.on('error', onError);
+  socket.on('timeout', onTimeout);
+  reader.attach(socket);
+
+  const expect = async (accepted) => {
+    const reply = await reader.read();
+    if (!accepted.includes(reply.code)) {
+      throw new SmtpError(`SMTP error ${reply.code}: ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  };
+  const command = (line, accepted) => {
+    socket.write(`${line}\r\n`);
+    return expect(accepted);
+  };
+
+  try {
+    await expect([220]);
+    const hostname = os.hostname();
+    const ehlo = await command(`EHLO ${hostname}`, [250]);
+    let encrypted = secure;
+
+    if (!secure && ehlo.lines.some((line) => /^STARTTLS/i.test(line))) {
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket = await connect({ socket, host }, true);
+      socket.setTimeout(SMTP_TIMEOUT_MS);
+      socket.on('error', onError);
+      socket.on('timeout', onTimeout);
+      reader = new ReplyReader();
+      reader.attach(socket);
+      await command(`EHLO ${hostname}`, [250]);
+      encrypted = true;
+    }
+
+    if (user) {
+      // 530: "must issue a STARTTLS command first" (RFC 3207)
+      if (!encrypted) {
+        throw new SmtpError(
+          'SMTP server does not offer STARTTLS; not sending credentials in plain text',
+          530
+        );
+      }
+      const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250]);
+    await command(`RCPT TO:<${to}>`, [250, 251]);
+    await command('DATA', [354]);
+
+    // Dot-stuff lines starting with "." (RFC 5321 4.5.2)
+    const body = raw.replace(/(^|\r\n)\./g, '$1..');
+    const { lines } = await command(`${body}\r\n.`, [250]);
+
+    await command('QUIT', [221]).catch(() => {});
+    return lines.join(' ');
+  } finally {
+    socket.destroy();
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * filepath: api/_lib/social-feeds.js
+ * Pinterest and Meta catalog feeds (/feeds/pinterest.csv, /feeds/meta.csv)
+ * for Shopping Pins and Facebook/Instagram Shopping. Items come from
+ * feedItems() in product-feed.js, like the Google feed; only the columns,
+ * the required ones and a few value formats differ.
+ */
+
+// "in_stock" → "in stock", the spelling both platforms document
+function spaced(value) {
+  return value.replace(/_/g, ' ');
+}
+
+// Pinterest column → feed item field, in column order
+export const PINTEREST_ATTRIBUTES = [
+  { name: 'id', field: 'id', required: true },
+  { name: 'item_group_id', field: 'itemGroupId', required: false },
+  { name: 'title', field: 'title', required: true },
+  { name: 'description', field: 'description', required: true },
+  { name: 'link', field: 'link', required: true },
+  { name: 'image_link', field: 'imageLink', required: true },
+  { name: 'additional_image_link', field: 'additionalImageLinks', required: false },
+  { name: 'price', field: 'price', required: true },
+  { name: 'availability', field: 'availability', required: true, format: spaced },
+  { name: 'condition', field: 'condition', required: false },
+  { name: 'brand', field: 'brand', required: false },
+  { name: 'size', field: 'size', required: false },
+  { name: 'color', field: 'color', required: false },
+  { name: 'gender', field: 'gender', required: false },
+  { name: 'age_group', field: 'ageGroup', required: false },
+  { name: 'product_type', field: 'productType', required: false },
+];
+
+// Meta column → feed item field, in column order
+export const META_ATTRIBUTES = [
+  { name: 'id', field: 'id', required: true },
+  { name: 'item_group_id', field: 'itemGroupId', required: false },
+  { name: 'title', field: 'title', required: true },
+  { name: 'description', field: 'description', required: true },
+  { name: 'availability', field: 'availability', required: true, format: spaced },
+  { name: 'condition', field: 'condition', required: true },
+  { name: 'price', field: 'price', required: true },
+  { name: 'link', field: 'link', required: true },
+  { name: 'image_link', field: 'imageLink', required: true },
+  { name: 'additional_image_link', field: 'additionalImageLinks', required: false },
+  { name: 'brand', field: 'brand', required: true },
+  { name: 'size', field: 'size', required: false },
+  { name: 'color', field: 'color', required: false },
+  { name: 'gender', field: 'gender', required: false },
+  { name: 'age_group', field: 'ageGroup', required: false },
+  { name: 'product_type', field: 'productType', required: false },
+];
+
+// Quote fields with commas, quotes or line breaks (RFC 4180)
+function csvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function cellValue(item, { field, format }) {
+  const value = item[field];
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(',');
+  return format ? format(value) : value;
+}
+
+/**
+ * A CSV renderer for a platform's columns: a header row, then one row per item
+ * @param {Array<Object>} attributes - PINTEREST_ATTRIBUTES or META_ATTRIBUTES
+ * @returns {Function} (items) => string
+ */
+export function csvFeed(attributes) {
+  return (items) =>
+    [
+      attributes.map(({ name }) => name),
+      ...items.map((item) => attributes.map((attribute) => cellValue(item, attribute))),
+    ]
+      .map((row) => `${row.map(csvValue).join(',')}\r\n`)
+      .join('');
+}
@@ -0,0 +1,100 @@
+/**
+ * filepath: api/_lib/storefront-page.js
+ * public/index.html in a language, for the pages the server renders
+ * (/fr/..., and /product/:id in both languages).
+ *
+ * The template marks its static text with data-i18n="key" (element text)
+ * and data-i18n-attrs="attr:key,..." (attributes); these are filled from the
+ * same catalogs translateDocument() uses in the browser, so crawlers get the
+ * French page without running JavaScript. The page's canonical URL, hreflang
+ * alternates and language switch point at its own path.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { alternateLinks, localizePath, translate } from '../../src/js/i18n.js';
+
+// Bundled with the page functions (functions.includeFiles in vercel.json)
+const TEMPLATE_PATH = path.join(process.cwd(), 'public', 'index.html');
+
+let template = null;
+
+/**
+ * public/index.html, read once per function instance
+ * @returns {Promise<string>}
+ */
+export async function loadTemplate() {
+  if (!template) {
+    template = await readFile(TEMPLATE_PATH, 'utf8');
+  }
+  return template;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Elements whose only content is text: <h2 data-i18n="cart.title">Shopping Bag</h2>
+const TEXT_PATTERN = /(<([a-z][a-z0-9]*)\b[^>]*?\sdata-i18n="([^"]+)"[^>]*>)[^<]*(<\/\2>)/g;
+const ATTRS_PATTERN = /<[a-z][a-z0-9]*\b[^>]*?\sdata-i18n-attrs="([^"]+)"[^>]*>/g;
+
+function translateAttributes(tag, pairs, locale) {
+  return pairs.split(',').reduce((html, pair) => {
+    const [attribute, key] = pair.split(':').map((part) => part.trim());
+    const value = escapeHtml(translate(locale, key));
+    return html.replace(
+      new RegExp(`(\\s${attribute}=")[^"]*"`),
+      (match, start) => `${start}${value}"`
+    );
+  }, tag);
+}
+
+/**
+ * The storefront template in a language
+ * @param {string} page - public/index.html
+ * @param {string} locale - 'en' or 'fr'
+ * @param {Object} options - { baseUrl: site origin, path: page path without a locale prefix,
+ *   meta: { title, description } to use instead of the site-wide ones }
+ * @returns {string} HTML
+ */
+export function renderStorefrontPage(page, locale, { baseUrl, path: pagePath = '/', meta = {} }) {
+  const title = meta.title ?? translate(locale, 'meta.title');
+  const description = meta.description ?? translate(locale, 'meta.description');
+  const canonical = `${baseUrl}${localizePath(pagePath, locale)}`;
+  const alternates = alternateLinks(baseUrl, pagePath)
+    .map(
+      ({ hreflang, href }) =>
+        `<link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(href)}">`
+    )
+    .join('\n  ');
+  const otherLocale = translate(locale, 'lang.otherCode');
+
+  return page
+    .replace(/<html lang="[^"]*">/, `<html lang="${locale}">`)
+    .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+    .replace(
+      /<meta name="description" content="[^"]*">/,
+      () => `<meta name="description" content="${escapeHtml(description)}">`
+    )
+    .replace(
+      /<link rel="canonical" href="[^"]*">/,
+      () => `<link rel="canonical" href="${escapeHtml(canonical)}">`
+    )
+    .replace(
+      /<link rel="alternate" hreflang="[^"]*" href="[^"]*">(?:\s*<link rel="alternate" hreflang="[^"]*" href="[^"]*">)*/,
+      () => alternates
+    )
+    .replace(
+      /(<a [^>]*id="langSwitch"[^>]*href=")[^"]*"/,
+      (match, start) => `${start}${escapeHtml(localizePath(pagePath, otherLocale))}"`
+    )
+    .replace(
+      TEXT_PATTERN,
+      (match, open, tag, key, close) => `${open}${escapeHtml(translate(locale, key))}${close}`
+    )
+    .replace(ATTRS_PATTERN, (tag, pairs) => translateAttributes(tag, pairs, locale));
+}
@@ -0,0 +1,147 @@
+/**
+ * filepath: api/_lib/stripe.js
+ * Minimal Stripe REST client (Checkout Sessions, coupons, refunds + webhook signatures).
+ *
+ * STRIPE_API_BASE points the client at a local stripe-mock
+ * (e.g. http://localhost:12111) instead of https://api.stripe.com.
+ */
+
+import crypto from 'node:crypto';
+
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE || 'https://api.stripe.com';
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+
+// Reject webhook deliveries signed more than 5 minutes ago (Stripe's default)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+export class StripeSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StripeSignatureError';
+  }
+}
+
+/**
+ * Encode nested params the way Stripe expects (a[b][0][c]=value)
+ * @param {Object} params
+ * @param {string} prefix
+ * @returns {Array<[string, string]>} Key/value pairs
+ */
+function flattenParams(params, prefix = '') {
+  return Object.entries(params).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+
+    if (value === undefined || value === null) return [];
+    if (typeof value === 'object') return flattenParams(value, name);
+    return [[name, String(value)]];
+  });
+}
+
+/**
+ * Call the Stripe API
+ * @param {string} method - HTTP method
+ * @param {string} path - e.g. /v1/checkout/sessions
+ * @param {Object} params - Form params
+ * @param {Object} options - { idempotencyKey }
+ * @returns {Promise<Object>} Parsed response
+ */
+async function stripeRequest(method, path, params = null, { idempotencyKey } = {}) {
+  if (!STRIPE_SECRET_KEY) {
+    throw new Error('Missing Stripe credentials');
+  }
+
+  const headers = {
+    Authorization: `Bearer ${STRIPE_SECRET_KEY}`,
+    'Content-Type': 'application/x-www-form-urlencoded',
+  };
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  const response = await fetch(`${STRIPE_API_BASE}${path}`, {
+    method,
+    headers,
+    body: params ? new URLSearchParams(flattenParams(params)).toString() : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Stripe API error: ${response.status} ${data.error?.message || ''}`.trim());
+  }
+
+  return data;
+}
+
+/**
+ * Create a Checkout Session
+ * @param {Object} params - Checkout Session params (see Stripe docs)
+ * @param {string} idempotencyKey - Usually the order ID
+ * @returns {Promise<Object>} Checkout Session
+ */
+export async function createCheckoutSession(params, idempotencyKey) {
+  return stripeRequest('POST', '/v1/checkout/sessions', params, { idempotencyKey });
+}
+
+/**
+ * Create a coupon (discounts applied to a Checkout Session)
+ * @param {Object} params - { amount_off, currency, duration, max_redemptions?, name? }
+ * @param {string} idempotencyKey - Usually derived from the order ID
+ * @returns {Promise<Object>} Coupon
+ */
+export async function createCoupon(params, idempotencyKey) {
+  return stripeRequest('POST', '/v1/coupons', params, { idempotencyKey });
+}
+
+/**
+ * Refund a payment in full or in part
+ * @param {Object} params - { payment_intent, amount?, reason?, metadata? }
+ * @param {string} idempotencyKey - Identifies this refund so retries don't refund twice
+ * @returns {Promise<Object>} Refund
+ */
+export async function createRefund(params, idempotencyKey) {
+  return stripeRequest('POST', '/v1/refunds', params, { idempotencyKey });
+}
+
+/**
+ * Verify a webhook payload against its Stripe-Signature header
+ * @param {string} payload - Raw request body
+ * @param {string} header - Stripe-Signature header value
+ * @param {string} secret - Endpoint signing secret (whsec_...)
+ * @returns {Object} Parsed event
+ * @throws {StripeSignatureError} When the signature is missing, wrong or too old
+ */
+export function constructWebhookEvent(payload, header, secret) {
+  if (!header || !secret) {
+    throw new StripeSignatureError('Missing signature or signing secret');
+  }
+
+  const parts = header.split(',').map((part) => part.split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    throw new StripeSignatureError('Malformed Stripe-Signature header');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`, 'utf8')
+    .digest('hex');
+
+  const matches = signatures.some(
+    (signature) =>
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+
+  if (!matches) {
+    throw new StripeSignatureError('Signature mismatch');
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new StripeSignatureError('Signature timestamp outside tolerance');
+  }
+
+  return JSON.parse(payload);
+}
@@ -0,0 +1,16 @@
+/**
+ * filepath: api/_lib/supabase.js
+ * Supabase client for server-side code.
+ *
+ * Uses the service role key when available so handlers can read and update
+ * rows that RLS hides from the storefront.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+export const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
+);
+
+export default supabase;
@@ -0,0 +1,101 @@
+/**
+ * filepath: api/_lib/unsubscribes.js
+ * Opt-outs from marketing email (abandoned cart reminders).
+ *
+ * Order emails are transactional and don't check this list. Unsubscribe
+ * links are signed like order status links (an HMAC of the address under
+ * ORDER_TOKEN_SECRET), so nobody can unsubscribe someone else's address.
+ */
+
+import crypto from 'node:crypto';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+// Opt-outs are kept per address, whatever its case
+function normalizeEmail(email) {
+  return String(email || '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Signed unsubscribe token for an address
+ * @param {string} email
+ * @returns {string} base64url HMAC
+ */
+export function signUnsubscribeToken(email) {
+  const secret = process.env.ORDER_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Missing ORDER_TOKEN_SECRET');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`unsubscribe:${normalizeEmail(email)}`)
+    .digest('base64url');
+}
+
+/**
+ * Check an unsubscribe token
+ * @param {string} email
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {boolean}
+ */
+export function verifyUnsubscribeToken(email, token) {
+  if (!email || !token || typeof token !== 'string') return false;
+
+  const expected = signUnsubscribeToken(email);
+  return (
+    token.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))
+  );
+}
+
+/**
+ * Unsubscribe link for an email, for its footer and List-Unsubscribe header
+ * @param {string} email
+ * @param {string} locale - Language of the confirmation page
+ * @returns {string}
+ */
+export function unsubscribeUrl(email, locale = 'en') {
+  const params = new URLSearchParams({ email, token: signUnsubscribeToken(email), lang: locale });
+  return `${SITE_URL}/api/email/unsubscribe?${params}`;
+}
+
+/**
+ * Whether an address opted out
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} email
+ * @returns {Promise<boolean>}
+ */
+export async function isUnsubscribed(supabase, email) {
+  const { data, error } = await supabase
+    .from('email_unsubscribes')
+    .select('email')
+    .eq('email', normalizeEmail(email))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check unsubscribes: ${error.message}`);
+  }
+  return Boolean(data);
+}
+
+/**
+ * Add an address to the unsubscribe list (again is fine)
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} email
+ * @param {string} source - link, one_click or staff
+ */
+export async function unsubscribe(supabase, email, source = 'link') {
+  const { error } = await supabase
+    .from('email_unsubscribes')
+    .upsert(
+      { email: normalizeEmail(email), source },
+      { onConflict: 'email', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    throw new Error(`Failed to unsubscribe: ${error.message}`);
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * filepath: api/admin/cart-recovery.js
+ * GET /api/admin/cart-recovery
+ *
+ * What abandoned cart reminders brought back, for staff with the orders:read
+ * permission (Authorization: Bearer <Supabase access token>).
+ *
+ * Query:
+ *   from, to - when reminders were sent (ISO dates; "to" includes that day;
+ *              the last 30 days by default)
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   from: ISO string,
+ *   to: ISO string,
+ *   sent: number (reminders sent),
+ *   restored: number (reminders whose link was opened),
+ *   orders: number (paid orders placed from a reminder),
+ *   recoveredRevenue: number (cents; those orders' totals net of refunds),
+ *   discountTotal: number (cents; reminder discounts given on them)
+ * }
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { requireStaff } from '../_lib/admin-auth.js';
+import { recoveryStats } from '../_lib/cart-recovery.js';
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+/**
+ * Reporting period from the query string
+ * @param {Object} query - { from?, to? }
+ * @returns {{ from: string, to: string }} ISO timestamps
+ * @throws {ApiError} INVALID_FILTER
+ */
+function reportPeriod(query) {
+  const dates = {};
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new ApiError('INVALID_FILTER', `Invalid date for ${key}: ${query[key]}`);
+    }
+    // A bare "to" date includes that whole day
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    dates[key] = date;
+  }
+
+  const to = dates.to || new Date();
+  const from = dates.from || new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    await requireStaff(supabase, req, 'orders:read');
+
+    const period = reportPeriod(req.query || {});
+    const stats = await recoveryStats(supabase, period);
+
+    return res.status(200).json({ success: true, ...period, ...stats });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error reporting cart recovery:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to report cart recovery',
+      message: error.message,
+    });
+  }
+}
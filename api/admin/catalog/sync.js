@@ -0,0 +1,73 @@
+/**
+ * filepath: api/admin/catalog/sync.js
+ * GET  /api/admin/catalog/sync
+ * POST /api/admin/catalog/sync
+ *
+ * Printify catalog sync for staff with the catalog:sync permission.
+ * GET lists recent runs; POST starts one and waits for it to finish.
+ *
+ * POST body (optional):
+ * {
+ *   productId: string  // sync one product; omit for a full sync
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   run: { id, trigger, scope, status, productsSeen, created, updated, unchanged, unpublished, deleted, errors, ... }  // POST
+ *   runs: [...]  // GET, newest first
+ * }
+ *
+ * A full sync while another is running responds 409 SYNC_IN_PROGRESS.
+ */
+
+import { supabase } from '../../_lib/supabase.js';
+import { ApiError, sendApiError } from '../../_lib/errors.js';
+import { requireStaff } from '../../_lib/admin-auth.js';
+import { listSyncRuns, syncCatalog, syncProduct, SYNC_TRIGGERS } from '../../_lib/catalog-sync.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const { user } = await requireStaff(supabase, req, 'catalog:sync');
+
+    if (req.method === 'GET') {
+      const runs = await listSyncRuns(supabase);
+      return res.status(200).json({ success: true, runs });
+    }
+
+    const { productId } = req.body || {};
+    const options = { trigger: SYNC_TRIGGERS.ADMIN, triggeredBy: user.email };
+    const run = productId
+      ? await syncProduct(supabase, productId, options)
+      : await syncCatalog(supabase, options);
+
+    return res.status(200).json({ success: true, run });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error running catalog sync:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Catalog sync failed',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * filepath: api/admin/catalog/translations.js
+ * GET /api/admin/catalog/translations
+ * PUT /api/admin/catalog/translations
+ *
+ * Product titles and descriptions in French, shown on /fr/ pages in place of
+ * the Printify originals. GET needs catalog:read, PUT catalog:write.
+ *
+ * PUT body:
+ * {
+ *   productId: string,
+ *   locale: 'fr',
+ *   title: string,        // empty or omitted: the original title
+ *   description: string   // empty or omitted: the original description (HTML, as in Printify)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   products: [{ id, title, description, translations: { fr: { title, description } } }],  // GET
+ *   translations: { fr: { title, description } }  // PUT: the product's translations
+ * }
+ *
+ * Both fields empty removes the translation. Product pages are cached for an
+ * hour (s-maxage), so changes can take that long to appear.
+ */
+
+import { supabase } from '../../_lib/supabase.js';
+import { ApiError, sendApiError } from '../../_lib/errors.js';
+import { requireStaff } from '../../_lib/admin-auth.js';
+import { listProductTranslations, saveProductTranslation } from '../../_lib/catalog.js';
+import { DEFAULT_LOCALE, isLocale } from '../../../src/js/i18n.js';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 20000;
+
+/**
+ * Check a PUT body
+ * @param {Object} body
+ * @returns {{ productId: string, locale: string, title: string, description: string }}
+ * @throws {ApiError} 400 INVALID_TRANSLATION
+ */
+function parseTranslation(body) {
+  const { productId, locale, title = '', description = '' } = body || {};
+
+  if (!productId || typeof productId !== 'string') {
+    throw new ApiError('INVALID_TRANSLATION', 'productId is required');
+  }
+  if (!isLocale(locale) || locale === DEFAULT_LOCALE) {
+    throw new ApiError('INVALID_TRANSLATION', `Translations are stored for fr, not ${locale}`);
+  }
+  if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+    throw new ApiError(
+      'INVALID_TRANSLATION',
+      `title must be at most ${MAX_TITLE_LENGTH} characters`
+    );
+  }
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new ApiError(
+      'INVALID_TRANSLATION',
+      `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+    );
+  }
+
+  return { productId, locale, title: title.trim(), description: description.trim() };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    if (req.method === 'GET') {
+      await requireStaff(supabase, req, 'catalog:read');
+      const products = await listProductTranslations(supabase);
+      return res.status(200).json({ success: true, products });
+    }
+
+    await requireStaff(supabase, req, 'catalog:write');
+    const { productId, locale, ...translation } = parseTranslation(req.body);
+
+    const translations = await saveProductTranslation(supabase, productId, locale, translation);
+    if (!translations) {
+      throw new ApiError('PRODUCT_NOT_FOUND', `No product ${productId}`, { status: 404 });
+    }
+
+    return res.status(200).json({ success: true, translations });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error handling product translations:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: req.method === 'GET' ? 'Failed to load translations' : 'Failed to save translation',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * filepath: api/admin/feeds.js
+ * GET /api/admin/feeds
+ * GET /api/admin/feeds?feed=pinterest.csv
+ *
+ * Validation reports of the product feeds (/feeds/:feed), for staff with the
+ * catalog:read permission: which variants each feed leaves out, and the
+ * required attributes they're missing.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   feeds: {
+ *     'google.xml': {
+ *       total, listed, excluded,
+ *       missingByAttribute: { gender: 12, ... },
+ *       errors: ['Duplicate id ...'],  // problems with the feed as a whole
+ *       problems: [{ id, title, missing: ['gender', ...] }]
+ *     },
+ *     ...
+ *   }
+ * }
+ *
+ * An unknown ?feed responds 404 FEED_NOT_FOUND.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { requireStaff } from '../_lib/admin-auth.js';
+import { buildFeed, feedItems, FEEDS, loadFeedProducts } from '../_lib/product-feed.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    await requireStaff(supabase, req, 'catalog:read');
+
+    const { feed } = req.query;
+    if (feed && !Object.hasOwn(FEEDS, feed)) {
+      throw new ApiError('FEED_NOT_FOUND', `No feed named ${feed}`, { status: 404 });
+    }
+
+    const names = feed ? [feed] : Object.keys(FEEDS);
+    const items = feedItems(await loadFeedProducts(supabase), { baseUrl: SITE_URL });
+    const feeds = Object.fromEntries(
+      names.map((name) => [name, buildFeed(items, name, { baseUrl: SITE_URL }).report])
+    );
+
+    return res.status(200).json({ success: true, feeds });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error validating product feeds:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to validate feeds',
+      message: error.message,
+    });
+  }
+}
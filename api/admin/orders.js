@@ -0,0 +1,63 @@
+/**
+ * filepath: api/admin/orders.js
+ * GET /api/admin/orders
+ *
+ * Order list for staff. Requires a signed-in user with the orders:read
+ * permission (Authorization: Bearer <Supabase access token>).
+ *
+ * Query:
+ *   status   - one or more of pending, processing, completed, cancelled (comma separated)
+ *   email    - part of the customer email
+ *   from, to - created_at range (ISO dates; "to" includes that day)
+ *   page, pageSize - pagination (pageSize at most 100, default 25)
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   orders: [{ id, orderNumber, email, status, fulfillmentStatus, total, refundedTotal, createdAt, paidAt }],
+ *   total: number,
+ *   page: number,
+ *   pageSize: number
+ * }
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { requireStaff } from '../_lib/admin-auth.js';
+import { listOrders } from '../_lib/admin-orders.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    await requireStaff(supabase, req, 'orders:read');
+    const result = await listOrders(supabase, req.query);
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error listing orders:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list orders',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * filepath: api/admin/orders/[orderNumber]/cancel.js
+ * POST /api/admin/orders/:orderNumber/cancel
+ *
+ * Cancels an order: cancels the Printify order if production hasn't
+ * started, refunds whatever hasn't been refunded yet and emails the
+ * customer. Needs orders:write, plus orders:refund when the order is paid.
+ *
+ * Request body:
+ * {
+ *   refund: boolean,   // default true; false cancels without refunding
+ *   reason: string     // optional, stored with the refund
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   order: Object,
+ *   refund: { id, stripeRefundId, amount, status } | null,
+ *   refundError: string | null,  // the order is cancelled even if the refund failed
+ *   printifyCancelled: boolean
+ * }
+ *
+ * While the order is being submitted to Printify it can't be cancelled
+ * (409 FULFILLMENT_IN_PROGRESS); try again once the submission has finished.
+ */
+
+import { supabase } from '../../../_lib/supabase.js';
+import { ApiError, sendApiError } from '../../../_lib/errors.js';
+import { hasPermission, requireStaff } from '../../../_lib/admin-auth.js';
+import { cancelOrder } from '../../../_lib/admin-orders.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const { user, role } = await requireStaff(supabase, req, 'orders:write');
+    const { refund = true, reason = null } = req.body || {};
+
+    const result = await cancelOrder(supabase, req.query.orderNumber, {
+      refund: refund !== false,
+      reason,
+      actor: user,
+      canRefund: hasPermission(role, 'orders:refund'),
+    });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error cancelling order:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel order',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * filepath: api/admin/orders/[orderNumber]/index.js
+ * GET   /api/admin/orders/:orderNumber
+ * PATCH /api/admin/orders/:orderNumber
+ *
+ * One order for staff. GET needs orders:read, PATCH needs orders:write.
+ *
+ * PATCH body (both optional):
+ * {
+ *   status: 'processing',  // completed only by the Stripe webhook; cancel with POST .../cancel
+ *   notes: string | null   // internal, never shown to the customer
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   order: { ...summary, notes, items, taxes, refunds, emails, fulfillmentEvents, ... }
+ * }
+ */
+
+import { supabase } from '../../../_lib/supabase.js';
+import { ApiError, sendApiError } from '../../../_lib/errors.js';
+import { requireStaff } from '../../../_lib/admin-auth.js';
+import { getOrderDetail, updateOrder } from '../../../_lib/admin-orders.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const { orderNumber } = req.query;
+
+    if (req.method === 'GET') {
+      await requireStaff(supabase, req, 'orders:read');
+      const order = await getOrderDetail(supabase, orderNumber);
+      return res.status(200).json({ success: true, order });
+    }
+
+    await requireStaff(supabase, req, 'orders:write');
+    const { status, notes } = req.body || {};
+    const order = await updateOrder(supabase, orderNumber, { status, notes });
+
+    return res.status(200).json({ success: true, order });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error handling admin order request:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: req.method === 'GET' ? 'Failed to load order' : 'Failed to update order',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * filepath: api/admin/orders/[orderNumber]/refund.js
+ * POST /api/admin/orders/:orderNumber/refund
+ *
+ * Refunds all or part of a paid order through Stripe. Needs orders:refund.
+ *
+ * Request body:
+ * {
+ *   amount: number,  // in cents; defaults to everything not yet refunded
+ *   reason: string   // optional
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   refund: { id, stripeRefundId, amount, status },
+ *   order: Object
+ * }
+ */
+
+import { supabase } from '../../../_lib/supabase.js';
+import { ApiError, sendApiError } from '../../../_lib/errors.js';
+import { requireStaff } from '../../../_lib/admin-auth.js';
+import { getOrderDetail, refundOrder } from '../../../_lib/admin-orders.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const { user } = await requireStaff(supabase, req, 'orders:refund');
+    const { orderNumber } = req.query;
+    const { amount, reason = null } = req.body || {};
+
+    const refund = await refundOrder(supabase, orderNumber, { amount, reason, actor: user });
+    const order = await getOrderDetail(supabase, orderNumber);
+
+    return res.status(200).json({ success: true, refund, order });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error refunding order:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to refund order',
+      message: error.message,
+    });
+  }
+}
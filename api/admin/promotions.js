@@ -0,0 +1,81 @@
+/**
+ * filepath: api/admin/promotions.js
+ * GET  /api/admin/promotions
+ * POST /api/admin/promotions
+ *
+ * Discount codes for staff. GET needs promotions:read, POST promotions:write.
+ * Change or end a code with PATCH /api/admin/promotions/:id.
+ *
+ * POST body:
+ * {
+ *   code: string,                    // 3-32 letters, digits, - or _; stored upper-case
+ *   type: 'percentage' | 'fixed_amount' | 'free_shipping',
+ *   value?: number,                  // percent (1-100) or cents; not for free_shipping
+ *   description?: string,            // staff-facing
+ *   minSubtotal?: number,            // cents, of the goods the code covers
+ *   productIds?: string[],           // only these products...
+ *   categories?: string[],           // ...and these categories; neither: the whole cart
+ *   maxUses?: number | null,         // null: unlimited
+ *   maxUsesPerCustomer?: number | null,
+ *   startsAt?: ISO string | null,
+ *   endsAt?: ISO string | null,
+ *   active?: boolean                 // default true
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   promotions: [{ id, code, type, value, ..., uses, paidUses, discountTotal }],  // GET
+ *   promotion: { ... }  // POST
+ * }
+ *
+ * uses counts orders that used the code, cancelled ones aside; paidUses and
+ * discountTotal (cents) only paid ones.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { requireStaff } from '../_lib/admin-auth.js';
+import { createPromotion, listPromotions } from '../_lib/promotions.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    if (req.method === 'GET') {
+      await requireStaff(supabase, req, 'promotions:read');
+      const promotions = await listPromotions(supabase);
+      return res.status(200).json({ success: true, promotions });
+    }
+
+    const { user } = await requireStaff(supabase, req, 'promotions:write');
+    const promotion = await createPromotion(supabase, req.body, user);
+
+    return res.status(201).json({ success: true, promotion });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error handling promotions:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: req.method === 'GET' ? 'Failed to list promotions' : 'Failed to create promotion',
+      message: error.message,
+    });
+  }
+}
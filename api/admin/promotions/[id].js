@@ -0,0 +1,55 @@
+/**
+ * filepath: api/admin/promotions/[id].js
+ * PATCH /api/admin/promotions/:id
+ *
+ * Change a discount code; needs promotions:write. The body takes any of the
+ * fields of POST /api/admin/promotions, e.g. { active: false } to end a code
+ * early. Orders already placed keep the discount they got.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   promotion: { id, code, type, value, ..., uses, paidUses, discountTotal }
+ * }
+ */
+
+import { supabase } from '../../_lib/supabase.js';
+import { ApiError, sendApiError } from '../../_lib/errors.js';
+import { requireStaff } from '../../_lib/admin-auth.js';
+import { updatePromotion } from '../../_lib/promotions.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    await requireStaff(supabase, req, 'promotions:write');
+    const promotion = await updatePromotion(supabase, req.query.id, req.body);
+
+    return res.status(200).json({ success: true, promotion });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error updating promotion:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update promotion',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * filepath: api/cart.js
+ * GET /api/cart, PUT /api/cart, DELETE /api/cart
+ *
+ * The shopper's saved cart. Signed-in customers are identified by their
+ * Supabase access token (Authorization: Bearer <token>) and get their account
+ * cart on any device; guests by the anonymous token returned when their cart
+ * was first saved (X-Cart-Token). See api/_lib/carts.js.
+ *
+ * PUT body:
+ * {
+ *   items: [{ productId: string, variantId?: number, quantity: number, price?: number }]
+ *     (price: unit price in cents the shopper was shown),
+ *   locale?: 'en' | 'fr' (language of an abandoned cart reminder; customers
+ *     are reminded at their account's address, guests are not reminded)
+ * }
+ *
+ * Response (GET and PUT):
+ * {
+ *   success: true,
+ *   cart: {
+ *     token?: string (new guest carts only; send it back as X-Cart-Token),
+ *     items: [{ productId, variantId, title, variantTitle, image, quantity, price,
+ *       previousPrice, status: 'ok' | 'price_changed' | 'unavailable' | 'removed' }],
+ *     subtotal: number (cents, lines that can be bought),
+ *     updatedAt: ISO string | null
+ *   }
+ * }
+ *
+ * Prices are revalidated against the catalog on every request; a line whose
+ * price changed carries the price the shopper saw as previousPrice.
+ */
+
+import { supabase } from './_lib/supabase.js';
+import { ApiError, sendApiError } from './_lib/errors.js';
+import { getCustomer } from './_lib/customer-auth.js';
+import { deleteCart, getCart, saveCart } from './_lib/carts.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Cart-Token');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // One shopper's cart: never cache in shared caches
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getCustomer(supabase, req);
+    const owner = user ? { user } : { token: req.headers['x-cart-token'] || null };
+
+    if (req.method === 'DELETE') {
+      await deleteCart(supabase, owner);
+      return res.status(200).json({ success: true });
+    }
+
+    const cart =
+      req.method === 'PUT'
+        ? await saveCart(supabase, owner, (req.body || {}).items, req.body || {})
+        : await getCart(supabase, owner);
+
+    return res.status(200).json({ success: true, cart });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error handling cart:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to handle cart',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * filepath: api/cart/merge.js
+ * POST /api/cart/merge
+ *
+ * Called when a guest signs in: moves the guest cart (X-Cart-Token) into the
+ * customer's account cart (Authorization: Bearer <token>) and deletes it.
+ * Lines in both keep the larger quantity.
+ *
+ * Response: { success: true, cart } as from GET /api/cart; without a guest
+ * cart this is just the account cart.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { getCustomer } from '../_lib/customer-auth.js';
+import { mergeGuestCart } from '../_lib/carts.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Cart-Token');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getCustomer(supabase, req);
+    if (!user) {
+      throw new ApiError('UNAUTHENTICATED', 'Sign in required', { status: 401 });
+    }
+
+    const cart = await mergeGuestCart(supabase, user, req.headers['x-cart-token'] || null);
+    return res.status(200).json({ success: true, cart });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error merging cart:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to merge cart',
+      message: error.message,
+    });
+  }
+}
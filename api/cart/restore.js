@@ -0,0 +1,62 @@
+/**
+ * filepath: api/cart/restore.js
+ * POST /api/cart/restore
+ *
+ * Opens the restore link of an abandoned cart reminder (/cart?recover=<token>).
+ * The storefront puts the returned lines in its cart and saves them like any
+ * other change (PUT /api/cart), so the cart comes back on whatever device the
+ * link is opened on. Opening it also counts the reminder as restored.
+ *
+ * Request body: { token: string }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   cart: { items, subtotal } (lines as from GET /api/cart),
+ *   discountPercent: number|null (the reminder's single-use discount, if unused;
+ *     applied at checkout when the token is sent as `recovery`)
+ * }
+ *
+ * An invalid or unknown token responds 404 INVALID_RECOVERY_LINK.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { restoreRecoveredCart } from '../_lib/cart-recovery.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const { items, subtotal, discountPercent } = await restoreRecoveredCart(
+      supabase,
+      (req.body || {}).token
+    );
+    return res.status(200).json({ success: true, cart: { items, subtotal }, discountPercent });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error restoring cart:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to restore cart',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * filepath: api/checkout/quote.js
+ * POST /api/checkout/quote
+ *
+ * Prices a cart for a shipping address without creating an order, so the
+ * checkout step can show shipping, taxes and the total to be charged.
+ *
+ * Request body:
+ * {
+ *   items: [{ productId: string, variantId?: number, quantity: number }],
+ *   shippingAddress: { name, line1, line2?, city, province, postalCode, country, phone? },
+ *   recovery?: string (restore link token of a cart reminder, for its discount),
+ *   promoCode?: string (discount code),
+ *   email?: string (the customer's, once known, for codes limited per customer)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   subtotal: number (cents),
+ *   discount: number (cents, off the subtotal before shipping and tax),
+ *   discounts: [{ code, type, target, amount }] (what makes up the discount;
+ *     code is null for a cart reminder's discount; a free shipping code has target 'shipping' and the rate it waived, which is
+ *     already left out of shipping.amount),
+ *   shipping: { method, label, amount, free, surcharge },
+ *   taxes: [{ type, rate, amount }],
+ *   taxTotal: number (cents),
+ *   total: number (cents)
+ * }
+ *
+ * A code that can't be used responds 400 INVALID_PROMO_CODE with
+ * details.reason (see api/_lib/promotions.js).
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { quoteCart, validateCartRequest, validateEmail } from '../_lib/orders.js';
+import { resolveRecovery } from '../_lib/cart-recovery.js';
+import { resolvePromotion } from '../_lib/promotions.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const body = req.body || {};
+    const address = validateCartRequest(body);
+    const recovery = await resolveRecovery(supabase, body.recovery);
+    const promotion = await resolvePromotion(supabase, body.promoCode, {
+      email: validateEmail(body.email || '') ? body.email : null,
+    });
+    const quote = await quoteCart(supabase, body.items, address, { recovery, promotion });
+
+    return res.status(200).json({
+      success: true,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      discounts: quote.discounts.map(({ code = null, type, target, amount }) => ({
+        code,
+        type,
+        target,
+        amount,
+      })),
+      shipping: {
+        method: quote.shipping.method,
+        label: quote.shipping.label,
+        amount: quote.shipping.amount,
+        free: quote.shipping.free,
+        surcharge: quote.shipping.surcharge,
+      },
+      taxes: quote.tax.lines.map(({ type, rate, amount }) => ({ type, rate, amount })),
+      taxTotal: quote.tax.total,
+      total: quote.total,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error quoting checkout:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to quote checkout',
+      message: error.message,
+    });
+  }
+}
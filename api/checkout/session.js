@@ -0,0 +1,99 @@
+/**
+ * filepath: api/checkout/session.js
+ * POST /api/checkout/session
+ *
+ * Creates a pending order from the server-verified cart and a Stripe
+ * Checkout Session (CAD) to pay for it (see api/_lib/checkout.js). The order
+ * is confirmed by email and fulfilled once Stripe reports it paid
+ * (api/webhooks/stripe.js). POST /api/orders places orders the same way.
+ *
+ * Prices are never taken from the client: each item is resolved against the
+ * catalog snapshot and the total is recomputed on the server. Items are
+ * (productId, variantId) pairs; variantId may only be omitted for products
+ * with a single variant, and is stored on order_items for fulfillment. A client
+ * `price`/`total` that disagrees with the server is rejected so the
+ * storefront can refresh its cart.
+ *
+ * Request body:
+ * {
+ *   email: string,
+ *   items: [{ productId: string, variantId?: number, quantity: number, price?: number }],
+ *   shippingAddress: { name, line1, line2?, city, province, postalCode, country, phone? },
+ *   total: number (cents incl. shipping and tax, as displayed to the customer),
+ *   locale?: 'en' | 'fr',  // language for order emails, default 'en'
+ *   currency?: 'CAD' | 'USD' | 'EUR' | 'GBP',  // shown to the customer; Stripe charges CAD
+ *   displayRate?: number,  // rate prices were shown at (units per 1 CAD); recorded on
+ *                          // the order if within 5% of the server's, else the server's
+ *   recovery?: string,  // restore link token of a cart reminder: the order counts as
+ *                       // recovered by it and gets its discount, if offered and unused
+ *   promoCode?: string  // discount code (see api/_lib/promotions.js)
+ * }
+ *
+ * Discounts are part of the server's total, so `total` must be the discounted
+ * total the customer was quoted. Each one is recorded on the order as an
+ * order_discounts line.
+ *
+ * A goods discount is charged as a single-use Stripe coupon for its amount, so
+ * the Stripe total still matches orders.total; free shipping shows as a free
+ * shipping rate.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   orderId: string,
+ *   orderNumber: number,
+ *   sessionId: string,
+ *   url: string (redirect the customer here)
+ * }
+ *
+ * Validation and pricing failures respond with
+ * { success: false, error, code, details } (see api/_lib/errors.js); a code
+ * that can't be used is 400 INVALID_PROMO_CODE, one used up since the quote
+ * 409 DISCOUNT_UNAVAILABLE.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { startCheckout } from '../_lib/checkout.js';
+
+/**
+ * Main handler
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { order, session } = await startCheckout(supabase, req.body || {});
+
+    return res.status(201).json({
+      success: true,
+      orderId: order.id,
+      orderNumber: order.order_number,
+      sessionId: session.id,
+      url: session.url,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error creating checkout session:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create checkout session',
+      message: error.message,
+    });
+  }
+}
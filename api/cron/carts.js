@@ -0,0 +1,44 @@
+/**
+ * filepath: api/cron/carts.js
+ * GET /api/cron/carts
+ *
+ * Sends abandoned cart reminders (see api/_lib/cart-recovery.js) and retries
+ * failed ones. Scheduled by Vercel Cron (see vercel.json) and authorized
+ * with CRON_SECRET.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   checked: number,
+ *   sent: number,
+ *   skipped: number (unsubscribed, ordered since, or nothing left to buy),
+ *   failed: number
+ * }
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { isAuthorizedCron } from '../_lib/http.js';
+import { remindAbandonedCarts } from '../_lib/cart-recovery.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await remindAbandonedCarts(supabase);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Cart reminder cron failed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Cart reminders failed',
+      message: error.message,
+    });
+  }
+}
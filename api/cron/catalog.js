@@ -0,0 +1,46 @@
+/**
+ * filepath: api/cron/catalog.js
+ * GET /api/cron/catalog
+ *
+ * Full Printify catalog sync (see api/_lib/catalog-sync.js). Catches
+ * anything the product webhooks missed. Scheduled by Vercel Cron (see
+ * vercel.json) and authorized with CRON_SECRET.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   run: { id, status, productsSeen, created, updated, unchanged, unpublished, deleted, errors, ... }
+ * }
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { isAuthorizedCron } from '../_lib/http.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { syncCatalog, SYNC_TRIGGERS } from '../_lib/catalog-sync.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const run = await syncCatalog(supabase, { trigger: SYNC_TRIGGERS.CRON });
+    return res.status(200).json({ success: true, run });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Catalog sync cron failed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Catalog sync failed',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * filepath: api/cron/emails.js
+ * GET /api/cron/emails
+ *
+ * Retries order emails whose last send failed. Scheduled by Vercel Cron
+ * (see vercel.json) and authorized with CRON_SECRET.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   attempted: number,
+ *   sent: number,
+ *   failed: number
+ * }
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { isAuthorizedCron } from '../_lib/http.js';
+import { retryFailedEmails } from '../_lib/order-emails.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await retryFailedEmails(supabase);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Email cron failed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Email retry failed',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * filepath: api/cron/fulfillment.js
+ * GET /api/cron/fulfillment
+ *
+ * Retries Printify fulfillment for paid orders whose submission failed or
+ * never happened. Scheduled by Vercel Cron (see vercel.json) and
+ * authorized with CRON_SECRET.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   attempted: number,
+ *   submitted: number,
+ *   failed: number
+ * }
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { isAuthorizedCron } from '../_lib/http.js';
+import { retryFailedFulfillments } from '../_lib/fulfillment.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await retryFailedFulfillments(supabase);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Fulfillment cron failed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Fulfillment retry failed',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * filepath: api/currencies.js
+ * GET /api/currencies
+ *
+ * Exchange rates for showing prices in other currencies. Prices, carts and
+ * charges stay in CAD; the storefront converts for display only (see
+ * src/js/currency.js for the rounding rules).
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   base: 'CAD',
+ *   rates: { USD: 0.7312, EUR: 0.6621, GBP: 0.5718 },  // units per 1 CAD
+ *   date: '2026-10-16' | null,  // the provider's publication date
+ *   provider: 'frankfurter' | 'fixture'
+ * }
+ *
+ * Without any rates (provider down and nothing stored) responds 503
+ * RATES_UNAVAILABLE, and the storefront shows CAD only.
+ */
+
+import { supabase } from './_lib/supabase.js';
+import { ApiError, sendApiError } from './_lib/errors.js';
+import { getExchangeRates } from './_lib/fx-rates.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    let snapshot;
+    try {
+      snapshot = await getExchangeRates(supabase);
+    } catch (error) {
+      console.error('Exchange rates unavailable:', error.message);
+      throw new ApiError('RATES_UNAVAILABLE', 'Exchange rates are unavailable', { status: 503 });
+    }
+
+    const { base, rates, date, provider } = snapshot;
+
+    res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+    return res.status(200).json({ success: true, base, rates, date, provider });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error loading exchange rates:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load exchange rates',
+      message: error.message,
+    });
+  }
+}
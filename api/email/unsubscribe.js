@@ -0,0 +1,90 @@
+/**
+ * filepath: api/email/unsubscribe.js
+ * GET /api/email/unsubscribe?email=...&token=...&lang=fr
+ * POST /api/email/unsubscribe?email=...&token=... (one-click, RFC 8058)
+ *
+ * Adds an address to the unsubscribe list for abandoned cart reminders.
+ * The link comes from the reminder's footer and its List-Unsubscribe header;
+ * the token is signed for the address (see api/_lib/unsubscribes.js).
+ *
+ * GET answers with a short confirmation page in the reminder's language;
+ * POST, sent by mail clients, with { success: true }. An invalid link
+ * responds 400 (the page says so).
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { unsubscribe, verifyUnsubscribeToken } from '../_lib/unsubscribes.js';
+import { isLocale, localizePath, translate } from '../../src/js/i18n.js';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Confirmation page
+ * @param {string} locale
+ * @param {string} message - Already translated
+ * @returns {string} HTML
+ */
+function renderPage(locale, message) {
+  const title = translate(locale, 'unsubscribe.title');
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:48px 24px;font-family:Helvetica,Arial,sans-serif;color:#111;">
+  <main style="max-width:480px;margin:0 auto;">
+    <h1 style="font-size:20px;">${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    <p><a href="${localizePath('/', locale)}">${escapeHtml(translate(locale, 'unsubscribe.back'))}</a></p>
+  </main>
+</body>
+</html>
+`;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const { email, token, lang } = req.query || {};
+  const locale = isLocale(lang) ? lang : 'en';
+  const valid = verifyUnsubscribeToken(email, token);
+
+  try {
+    if (valid) {
+      await unsubscribe(supabase, email, req.method === 'POST' ? 'one_click' : 'link');
+    }
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to unsubscribe',
+      message: error.message,
+    });
+  }
+
+  if (req.method === 'POST') {
+    return valid
+      ? res.status(200).json({ success: true })
+      : res.status(400).json({ success: false, error: 'Invalid unsubscribe link' });
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  const message = valid
+    ? translate(locale, 'unsubscribe.done', { email })
+    : translate(locale, 'unsubscribe.invalid');
+  return res.status(valid ? 200 : 400).send(renderPage(locale, message));
+}
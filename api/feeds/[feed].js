@@ -0,0 +1,53 @@
+/**
+ * filepath: api/feeds/[feed].js
+ * GET /feeds/:feed (rewritten to /api/feeds/:feed in vercel.json)
+ *
+ * Product feeds for shopping channels, one item per variant:
+ * - google.xml: Google Merchant Center, RSS 2.0
+ * - google.tsv: the same attributes, tab-separated
+ * - pinterest.csv: Pinterest catalog (Shopping Pins)
+ * - meta.csv: Meta catalog (Facebook and Instagram Shopping)
+ *
+ * Items missing a required attribute are left out; the X-Feed-Excluded
+ * header counts them and GET /api/admin/feeds lists them. Unknown feeds
+ * respond 404. See api/_lib/product-feed.js.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { buildFeed, feedItems, FEEDS, loadFeedProducts } from '../_lib/product-feed.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!Object.hasOwn(FEEDS, req.query.feed)) {
+    return res.status(404).json({ success: false, error: 'Feed not found' });
+  }
+
+  try {
+    const items = feedItems(await loadFeedProducts(supabase), { baseUrl: SITE_URL });
+    const feed = buildFeed(items, req.query.feed, { baseUrl: SITE_URL });
+
+    if (feed.report.excluded > 0) {
+      console.warn(
+        `Feed ${req.query.feed}: ${feed.report.excluded} of ${feed.report.total} items left out for missing attributes`
+      );
+    }
+
+    res.setHeader('Content-Type', feed.contentType);
+    res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+    res.setHeader('X-Feed-Excluded', String(feed.report.excluded));
+    return res.status(200).send(feed.body);
+  } catch (error) {
+    console.error('Error generating product feed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate feed',
+      message: error.message,
+    });
+  }
+}
@@ -1,102 +1,64 @@
 /**
  * filepath: api/orders.js
  * POST /api/orders
- * 
- * Creates an order in the database.
- * 
- * Request body:
+ *
+ * Places an order: creates it pending from the server-verified cart and
+ * opens a Stripe Checkout Session (CAD) to pay for it, the same way as
+ * POST /api/checkout/session (see api/_lib/checkout.js), but answers with
+ * the order's totals as well. The order is confirmed by email and fulfilled
+ * only once Stripe reports it paid.
+ *
+ * Prices are never taken from the client: each item is resolved against the
+ * catalog snapshot and the total is recomputed on the server. Discount codes
+ * and cart reminder discounts are checked and applied here too, and each
+ * discount is recorded on the order as an order_discounts line, so `total`
+ * must be the discounted total the customer was quoted. A client
+ * `price`/`total` that disagrees with the server is rejected so the
+ * storefront can refresh its cart.
+ *
+ * Request body: same as POST /api/checkout/session
  * {
- *   email: string (valid email),
- *   items: [{ productId: string, quantity: number, price: number }],
- *   total: number (total in cents),
- *   shippingAddress: { ... } (optional, from Stripe)
+ *   email: string,
+ *   items: [{ productId: string, variantId?: number, quantity: number, price?: number }],
+ *   shippingAddress: { name, line1, line2?, city, province, postalCode, country, phone? },
+ *   total: number (cents incl. shipping and tax, as displayed to the customer),
+ *   locale?: 'en' | 'fr',
+ *   currency?: 'CAD' | 'USD' | 'EUR' | 'GBP',
+ *   displayRate?: number,
+ *   recovery?: string,  // restore link token of a cart reminder
+ *   promoCode?: string  // discount code (see api/_lib/promotions.js)
  * }
- * 
+ *
  * Response:
  * {
  *   success: boolean,
  *   orderId: string,
  *   orderNumber: number,
- *   status: string,
- *   createdAt: ISO string
+ *   status: 'pending',
+ *   subtotal: number (cents, before shipping and tax),
+ *   discountTotal: number (cents, off the subtotal),
+ *   discounts: [{ code, type, target, amount }] (see POST /api/checkout/quote),
+ *   shippingTotal: number (cents),
+ *   taxTotal: number (cents),
+ *   total: number (cents, as charged),
+ *   displayCurrency: string,
+ *   displayRate: number|null (units of displayCurrency per 1 CAD),
+ *   createdAt: ISO string,
+ *   statusUrl: string (signed link to the order status page),
+ *   sessionId: string,
+ *   checkoutUrl: string (redirect the customer here to pay)
  * }
+ *
+ * Validation and pricing failures respond with
+ * { success: false, error, code, details } (see api/_lib/errors.js); a code
+ * that can't be used is 400 INVALID_PROMO_CODE, one used up since the quote
+ * 409 DISCOUNT_UNAVAILABLE.
  */
 
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
-);
-
-/**
- * Validate email format
- * @param {string} email
- * @returns {boolean}
- */
-function validateEmail(email) {
-  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return re.test(email);
-}
-
-/**
- * Validate order items
- * @param {Array} items
- * @returns {boolean}
- */
-function validateItems(items) {
-  if (!Array.isArray(items) || items.length === 0) return false;
-
-  return items.every(item => {
-    return (
-      item.productId &&
-      typeof item.quantity === 'number' &&
-      item.quantity > 0 &&
-      typeof item.price === 'number' &&
-      item.price >= 0
-    );
-  });
-}
-
-/**
- * Create order and order items in database
- */
-async function createOrder(email, items, total) {
-  const { data: order, error: orderError } = await supabase
-    .from('orders')
-    .insert({
-      email,
-      total,
-      status: 'pending',
-      notes: null,
-    })
-    .select()
-    .single();
-
-  if (orderError) {
-    throw new Error(`Failed to create order: ${orderError.message}`);
-  }
-
-  // Insert order items
-  const orderItems = items.map(item => ({
-    order_id: order.id,
-    product_id: item.productId,
-    quantity: item.quantity,
-    price_at_purchase: item.price,
-  }));
-
-  const { error: itemsError } = await supabase
-    .from('order_items')
-    .insert(orderItems);
-
-  if (itemsError) {
-    // Rollback order if items fail
-    await supabase.from('orders').delete().eq('id', order.id);
-    throw new Error(`Failed to create order items: ${itemsError.message}`);
-  }
-
-  return order;
-}
+import { supabase } from './_lib/supabase.js';
+import { ApiError, sendApiError } from './_lib/errors.js';
+import { startCheckout } from './_lib/checkout.js';
+import { orderStatusUrl } from './_lib/order-lookup.js';
 
 /**
  * Main handler
@@ -116,57 +78,36 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { email, items, total, shippingAddress } = req.body;
-
-    // Validate input
-    if (!email || !validateEmail(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid email address',
-      });
-    }
-
-    if (!items || !validateItems(items)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid items in request',
-      });
-    }
-
-    if (typeof total !== 'number' || total < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid total amount',
-      });
-    }
-
-    // Verify cart total matches sum of items
-    const calculatedTotal = items.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
-
-    if (Math.abs(calculatedTotal - total) > 100) { // Allow $1 rounding difference
-      return res.status(400).json({
-        success: false,
-        error: 'Cart total mismatch',
-      });
-    }
-
-    // Create order
-    const order = await createOrder(email, items, total);
-
-    console.log(`Order created: ${order.id} for ${email}`);
+    const { order, quote, session } = await startCheckout(supabase, req.body || {});
 
     return res.status(201).json({
       success: true,
       orderId: order.id,
       orderNumber: order.order_number,
       status: order.status,
+      subtotal: order.subtotal,
+      discountTotal: order.discount_total,
+      discounts: quote.discounts.map(({ code = null, type, target, amount }) => ({
+        code,
+        type,
+        target,
+        amount,
+      })),
+      shippingTotal: order.shipping_total,
+      taxTotal: order.tax_total,
+      total: order.total,
+      displayCurrency: order.display_currency,
+      displayRate: order.display_rate === null ? null : Number(order.display_rate),
       createdAt: order.created_at,
-      message: `Order ${order.order_number} created successfully`,
+      statusUrl: orderStatusUrl(order),
+      sessionId: session.id,
+      checkoutUrl: session.url,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
     console.error('Error creating order:', error);
 
     return res.status(500).json({
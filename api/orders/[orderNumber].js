@@ -0,0 +1,65 @@
+/**
+ * filepath: api/orders/[orderNumber].js
+ * GET /api/orders/:orderNumber
+ *
+ * Order status for the customer who placed it. Authorized by the signed
+ * token from the order's status link, or by the email address used at
+ * checkout (see api/_lib/order-lookup.js).
+ *
+ * Query: ?token=<signed token> or ?email=<email used at checkout>
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   order: {
+ *     orderNumber, status, stage, email, createdAt, paidAt, currency,
+ *     items: [{ productId, variantId, title, variantTitle, quantity, unitPrice, lineTotal }],
+ *     subtotal, shipping: { method, amount, address },
+ *     taxes: [{ type, rate, amount }], taxTotal, total,
+ *     tracking: { carrier, number, url, shippedAt, deliveredAt } | null
+ *   }
+ * }
+ *
+ * Unknown orders and wrong credentials both respond 404 ORDER_NOT_FOUND.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { findCustomerOrder, toCustomerOrder } from '../_lib/order-lookup.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Personal data: never cache in shared caches
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const { orderNumber, token, email } = req.query;
+    const order = await findCustomerOrder(supabase, orderNumber, { token, email });
+
+    return res.status(200).json({ success: true, order: toCustomerOrder(order) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error loading order:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load order',
+      message: error.message,
+    });
+  }
+}
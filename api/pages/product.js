@@ -0,0 +1,52 @@
+/**
+ * filepath: api/pages/product.js
+ * GET /product/:id and /fr/product/:id (rewritten to
+ * /api/pages/product?id=:id[&lang=fr] in vercel.json)
+ *
+ * The storefront page with the product's meta tags, JSON-LD and content
+ * already in the HTML, for crawlers that don't run JavaScript (see
+ * api/_lib/product-page.js). Browsers get the same page and the storefront
+ * takes over from there.
+ *
+ * Unknown products get the plain storefront page with status 404; if the
+ * catalog can't be read, the plain page is served so shoppers still get the
+ * storefront.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { getPublishedProduct } from '../_lib/catalog.js';
+import { renderProductPage } from '../_lib/product-page.js';
+import { loadTemplate, renderStorefrontPage } from '../_lib/storefront-page.js';
+import { isLocale } from '../../src/js/i18n.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  const locale = isLocale(req.query.lang) ? req.query.lang : 'en';
+
+  try {
+    const [page, product] = await Promise.all([
+      loadTemplate(),
+      getPublishedProduct(supabase, req.query.id),
+    ]);
+
+    if (!product) {
+      res.setHeader('Cache-Control', 'public, s-maxage=60');
+      return res.status(404).send(renderStorefrontPage(page, locale, { baseUrl: SITE_URL }));
+    }
+
+    res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=86400');
+    return res.status(200).send(renderProductPage(page, product, { baseUrl: SITE_URL, locale }));
+  } catch (error) {
+    console.error('Error rendering product page:', error);
+
+    // The storefront loads the product itself
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(await loadTemplate());
+  }
+}
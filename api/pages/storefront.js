@@ -0,0 +1,38 @@
+/**
+ * filepath: api/pages/storefront.js
+ * GET /fr, /fr/category/:slug, /fr/cart, /fr/checkout, /fr/order[/:number], /fr/account
+ * (rewritten to /api/pages/storefront?lang=fr&path=... in vercel.json)
+ *
+ * The storefront page in French: static text, title, description, canonical
+ * URL and hreflang alternates are filled in on the server (see
+ * api/_lib/storefront-page.js) so crawlers see the French page; the
+ * storefront takes over from there. English pages are public/index.html as is.
+ */
+
+import { loadTemplate, renderStorefrontPage } from '../_lib/storefront-page.js';
+import { isLocale } from '../../src/js/i18n.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  const locale = isLocale(req.query.lang) ? req.query.lang : 'en';
+  // Path of the page without /fr, for its canonical URL and alternates
+  const pagePath = /^\/[\w/%-]*$/.test(req.query.path || '') ? req.query.path : '/';
+
+  try {
+    const page = await loadTemplate();
+
+    res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+    return res
+      .status(200)
+      .send(renderStorefrontPage(page, locale, { baseUrl: SITE_URL, path: pagePath }));
+  } catch (error) {
+    console.error('Error rendering storefront page:', error);
+    return res.status(500).json({ success: false, error: 'Failed to render page' });
+  }
+}
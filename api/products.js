@@ -1,228 +1,39 @@
 /**
  * filepath: api/products.js
  * GET /api/products
- * 
- * Fetches products from Printify API and caches in Supabase.
- * Returns list of products with prices in cents (CAD).
- * 
- * This endpoint:
- * 1. Fetches from Supabase cache first (fresh within 1 hour)
- * 2. Falls back to Printify API if cache is stale
- * 3. Stores results in Supabase for future requests
- * 4. Returns products in standard format
- * 
+ *
+ * Lists published products from the catalog tables, which are kept in sync
+ * with Printify by api/_lib/catalog-sync.js. Prices are in cents (CAD).
+ *
+ * Query parameters (all optional):
+ * - page, pageSize: page number (from 1) and size (default 24, max 100)
+ * - cursor: nextCursor from the previous response; takes the place of page
+ * - category, tag, size, color, fit: facet values; repeat a parameter to
+ *   select several (?size=M&size=L matches either)
+ * - categorySlug: a category by its URL slug (/category/:slug); unknown
+ *   slugs get 404 CATEGORY_NOT_FOUND
+ * - minPrice, maxPrice: price bounds in cents, inclusive
+ * - sort: newest (default), price, price_desc, title, or relevance (default with q)
+ * - q: search text, matched as by GET /api/search
+ *
+ * Responses carry a weak ETag; a matching If-None-Match gets 304.
+ *
  * Response:
  * {
- *   products: [
- *     { id, title, price, image, source: 'supabase'|'printify' },
- *     ...
- *   ],
- *   cached: boolean,
- *   cachedAt: ISO string
+ *   success: true,
+ *   products: [{ id, title, description, price, image, images, variants, category, categorySlug, tags, sizes, colors, fits, createdAt }],
+ *   total, page, pageSize, totalPages, sort,
+ *   nextCursor: string|null,
+ *   facets: {            // null on cursor pages
+ *     category|tag|size|color|fit: [{ value, count, selected }] (category entries add slug),
+ *     price: { min, max }
+ *   }
  * }
  */
 
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-const PRINTIFY_API_KEY = process.env.PRINTIFY_API_KEY;
-const PRINTIFY_SHOP_ID = process.env.PRINTIFY_SHOP_ID;
-const CACHE_DURATION_HOURS = 1;
-
-/**
- * Fetch products from Printify API
- * @returns {Promise<Array>} Products from Printify
- */
-async function fetchFromPrintify() {
-  if (!PRINTIFY_API_KEY || !PRINTIFY_SHOP_ID) {
-    throw new Error('Missing Printify credentials');
-  }
-
-  const response = await fetch(
-    `https://api.printify.com/v1/shops/${PRINTIFY_SHOP_ID}/products.json`,
-    {
-      headers: {
-        'Authorization': `Bearer ${PRINTIFY_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-    }
-  );
-
-  if (!response.ok) {
-    throw new Error(`Printify API error: ${response.status}`);
-  }
-
-  const data = await response.json();
-  return data.data || [];
-}
-
-/**
- * Transform Printify product to standardized format
- * @param {Object} product - Raw Printify product
- * @returns {Object} Standardized product
- */
-function transformProduct(product) {
-  const variant = product.variants?.[0];
-  const price = variant?.price || 0; // Price already in cents from Printify
-  const image = product.images?.[0]?.src || product.thumbnail_url || null;
-
-  return {
-    id: product.id,
-    title: product.title,
-    description: product.description || '',
-    price: Math.round(price), // Ensure integer cents
-    image: image,
-    variants: (product.variants || []).map(v => ({
-      id: v.id,
-      title: v.title,
-      price: v.price,
-    })),
-    createdAt: product.created_at,
-  };
-}
-
-/**
- * Fetch from Supabase cache if available
- * @returns {Promise<Object|null>} Cached products or null
- */
-async function fetchFromCache() {
-  try {
-    const { data, error } = await supabase
-      .from('product_cache')
-      .select('*')
-      .single()
-      .limit(1);
-
-    if (error) {
-      console.log('Cache miss or error:', error.message);
-      return null;
-    }
-
-    if (!data) return null;
-
-    const cachedAt = new Date(data.cached_at);
-    const now = new Date();
-    const hoursSinceCache = (now - cachedAt) / (1000 * 60 * 60);
-
-    if (hoursSinceCache > CACHE_DURATION_HOURS) {
-      console.log(`Cache expired (${hoursSinceCache.toFixed(1)} hours old)`);
-      return null;
-    }
-
-    console.log(`Using cached products (${hoursSinceCache.toFixed(2)} hours old)`);
-    return {
-      products: data.products,
-      cached: true,
-      cachedAt: data.cached_at,
-    };
-  } catch (error) {
-    console.error('Cache fetch error:', error);
-    return null;
-  }
-}
-
-/**
- * Save products to Supabase cache
- * @param {Array} products - Products to cache
- */
-async function saveToCache(products) {
-  try {
-    const { error } = await supabase
-      .from('product_cache')
-      .upsert(
-        {
-          id: 1,
-          products: products,
-          cached_at: new Date().toISOString(),
-        },
-        { onConflict: 'id' }
-      );
-
-    if (error) {
-      console.error('Cache save error:', error);
-    } else {
-      console.log(`Cached ${products.length} products`);
-    }
-  } catch (error) {
-    console.error('Cache operation error:', error);
-  }
-}
-
-/**
- * Sync Printify products to Supabase for analytics tracking
- * @param {Array} printifyProducts - Raw Printify products
- */
-async function syncToSupabase(printifyProducts) {
-  try {
-    console.log(`Syncing ${printifyProducts.length} products to Supabase...`);
-
-    for (const product of printifyProducts) {
-      const variant = product.variants?.[0];
-      const price = variant?.price || 0;
-
-      // 1. Upsert product record
-      const { data: supabaseProduct, error: productError } = await supabase
-        .from('products')
-        .upsert(
-          {
-            id: product.id,
-            shop_id: process.env.SHOP_ID || 'default-shop',
-            name: product.title,
-            description: product.description || '',
-            sku: product.id,
-            price: price / 100, // Convert cents to dollars
-            stock_quantity: 999, // Printify manages inventory
-            category: product.tags?.[0] || 'General',
-            is_published: true,
-            printify_product_id: product.id,
-            updated_at: new Date().toISOString(),
-          },
-          { onConflict: 'id' }
-        )
-        .select()
-        .single();
-
-      if (productError) {
-        console.error(`Error syncing product ${product.id}:`, productError);
-        continue;
-      }
-
-      // 2. Sync product images
-      const images = product.images || [];
-      for (const image of images) {
-        const { error: imageError } = await supabase
-          .from('product_images')
-          .upsert(
-            {
-              product_id: supabaseProduct.id,
-              image_url: image.src || image.url,
-              alt_text: product.title,
-              display_order: image.position || 0,
-              width: image.width,
-              height: image.height,
-              format: image.src?.includes('.webp') ? 'webp' : 'jpg',
-            },
-            { onConflict: 'product_id,display_order' }
-          );
-
-        if (imageError) {
-          console.error(`Error syncing image for ${product.id}:`, imageError);
-        }
-      }
-
-      console.log(`✓ Synced product: ${product.title}`);
-    }
-
-    console.log('Sync complete');
-  } catch (error) {
-    console.error('Supabase sync error:', error);
-    // Don't throw - let the API still return products even if sync fails
-  }
-}
+import { supabase } from './_lib/supabase.js';
+import { ApiError, sendApiError } from './_lib/errors.js';
+import { etagFor, listProducts, parseProductQuery } from './_lib/product-listing.js';
 
 /**
  * Main handler
@@ -231,7 +42,8 @@ export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
   res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=600');
 
   if (req.method === 'OPTIONS') {
@@ -243,37 +55,23 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Try cache first
-    let result = await fetchFromCache();
-
-    // If cache miss, fetch from Printify
-    if (!result) {
-      console.log('Fetching from Printify API...');
-      const printifyProducts = await fetchFromPrintify();
-      const products = printifyProducts.map(transformProduct);
-
-      // Sync to Supabase in background (don't wait for it)
-      syncToSupabase(printifyProducts).catch(error => {
-        console.error('Background sync failed:', error);
-      });
+    const options = parseProductQuery(req.query);
+    const result = await listProducts(supabase, options);
 
-      // Save to cache for next request
-      await saveToCache(products);
+    const body = { success: true, ...result };
+    const etag = etagFor(body);
+    res.setHeader('ETag', etag);
 
-      result = {
-        products,
-        cached: false,
-        fetchedAt: new Date().toISOString(),
-        synced: 'background',
-      };
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
     }
 
-    // Return products
-    return res.status(200).json({
-      success: true,
-      ...result,
-    });
+    return res.status(200).json(body);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
     console.error('Error fetching products:', error);
 
     return res.status(500).json({
@@ -0,0 +1,56 @@
+/**
+ * filepath: api/products/[id].js
+ * GET /api/products/:id
+ *
+ * One published product, for the product detail page (/product/:id). Prices
+ * are in cents (CAD).
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   product: { id, title, description, price, image, images, variants, category, categorySlug, tags, sizes, colors, fits, createdAt }
+ * }
+ *
+ * Unknown, unpublished and deleted products respond 404 PRODUCT_NOT_FOUND.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { ApiError, sendApiError } from '../_lib/errors.js';
+import { getPublishedProduct } from '../_lib/catalog.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=600');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const product = await getPublishedProduct(supabase, req.query.id);
+    if (!product) {
+      throw new ApiError('PRODUCT_NOT_FOUND', 'Product not found', { status: 404 });
+    }
+
+    return res.status(200).json({ success: true, product });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error loading product:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load product',
+      message: error.message,
+    });
+  }
+}
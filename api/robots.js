@@ -0,0 +1,20 @@
+/**
+ * filepath: api/robots.js
+ * GET /robots.txt (rewritten here in vercel.json)
+ *
+ * Points crawlers at /sitemap.xml on this deployment's SITE_URL.
+ */
+
+import { robotsTxt } from './_lib/sitemaps.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, s-maxage=86400');
+  return res.status(200).send(robotsTxt(SITE_URL));
+}
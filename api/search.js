@@ -0,0 +1,75 @@
+/**
+ * filepath: api/search.js
+ * GET /api/search?q=<text>&limit=<n>
+ *
+ * Ranked product search across title, description, tags and variant names.
+ * Tolerates typos and ignores accents ("chandail" finds "Chandail"). Used
+ * for the header search suggestions; the full results grid uses
+ * GET /api/products?q=.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   query: string,
+ *   products: [{ id, title, description, price, image, variants, ... }],
+ *   source: 'postgres'|'memory' (memory: Postgres was unavailable)
+ * }
+ */
+
+import { supabase } from './_lib/supabase.js';
+import { ApiError, sendApiError } from './_lib/errors.js';
+import { searchProducts } from './_lib/search.js';
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Main handler
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=600');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      throw new ApiError('INVALID_QUERY', 'q is required');
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw new ApiError('INVALID_QUERY', `q must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ApiError('INVALID_QUERY', `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const { products, source } = await searchProducts(supabase, query, { limit });
+
+    return res.status(200).json({ success: true, query, products, source });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+
+    console.error('Error searching products:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to search products',
+      message: error.message,
+    });
+  }
+}
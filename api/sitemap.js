@@ -0,0 +1,41 @@
+/**
+ * filepath: api/sitemap.js
+ * GET /sitemap.xml and /sitemaps/:name.xml (rewritten here in vercel.json)
+ *
+ * Without a name, the sitemap index; with one ("products-1", "categories-1",
+ * "images-1", ...), that sitemap. See api/_lib/sitemaps.js.
+ *
+ * Unknown sitemaps respond 404.
+ */
+
+import { supabase } from './_lib/supabase.js';
+import { loadSitemapProducts, sitemapIndexXml, sitemapUrls, sitemapXml } from './_lib/sitemaps.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://canadaclothes.ca';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const urls = sitemapUrls(await loadSitemapProducts(supabase), SITE_URL);
+    const xml = req.query.name ? sitemapXml(urls, req.query.name) : sitemapIndexXml(urls, SITE_URL);
+
+    if (!xml) {
+      return res.status(404).json({ success: false, error: 'Sitemap not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+    return res.status(200).send(xml);
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate sitemap',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,103 @@
+import crypto from 'node:crypto';
+import { createFakeSupabase } from '../../_lib/__tests__/fake-supabase.js';
+import { sendOrderEmail } from '../../_lib/order-emails.js';
+import handler from '../printify.js';
+
+const SECRET = 'whsec-test';
+process.env.PRINTIFY_WEBHOOK_SECRET = SECRET;
+
+// jest.mock() calls are hoisted above the imports
+let mockStore;
+jest.mock('../../_lib/supabase.js', () => ({
+  get supabase() {
+    return mockStore;
+  },
+}));
+jest.mock('../../_lib/order-emails.js', () => ({
+  ORDER_EMAILS: { SHIPPED: 'shipped' },
+  sendOrderEmail: jest.fn(async () => {}),
+}));
+
+const SHIPMENT = {
+  id: 'evt-1',
+  type: 'order:shipment:created',
+  created_at: '2026-06-02T10:00:00.000Z',
+  resource: {
+    id: 'pfy-1',
+    data: { carrier: { code: 'canada_post', tracking_number: '1234', tracking_url: 'https://t' } },
+  },
+};
+
+async function deliver(event) {
+  const payload = JSON.stringify(event);
+  const signature = crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+  const req = {
+    method: 'POST',
+    headers: { 'x-pfy-signature': `sha256=${signature}` },
+    async *[Symbol.asyncIterator]() {
+      yield Buffer.from(payload);
+    },
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  sendOrderEmail.mockClear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Printify order webhook', () => {
+  test('updates the order, records the event and ignores its redelivery', async () => {
+    mockStore = createFakeSupabase({
+      orders: [{ id: 'order-1', printify_order_id: 'pfy-1', fulfillment_status: 'in_production' }],
+    });
+
+    expect((await deliver(SHIPMENT)).body).toEqual({ received: true, duplicate: false });
+    expect(mockStore.tables.orders[0]).toMatchObject({
+      fulfillment_status: 'shipped',
+      tracking_number: '1234',
+    });
+    expect(mockStore.tables.fulfillment_events).toHaveLength(1);
+    expect(sendOrderEmail).toHaveBeenCalledTimes(1);
+
+    expect((await deliver(SHIPMENT)).body).toEqual({ received: true, duplicate: true });
+    expect(mockStore.tables.fulfillment_events).toHaveLength(1);
+    expect(sendOrderEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves an event it could not apply for the redelivery', async () => {
+    let failUpdate = true;
+    mockStore = createFakeSupabase(
+      { orders: [{ id: 'order-1', printify_order_id: 'pfy-1' }] },
+      {
+        handlers: {
+          orders(query) {
+            if (query.action === 'update' && failUpdate) {
+              return { error: { message: 'connection reset' } };
+            }
+          },
+        },
+      }
+    );
+
+    expect((await deliver(SHIPMENT)).statusCode).toBe(500);
+    expect(mockStore.tables.fulfillment_events).toEqual([]);
+
+    failUpdate = false;
+    expect((await deliver(SHIPMENT)).body).toEqual({ received: true, duplicate: false });
+    expect(mockStore.tables.orders[0].fulfillment_status).toBe('shipped');
+  });
+});
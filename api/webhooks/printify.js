@@ -0,0 +1,207 @@
+/**
+ * filepath: api/webhooks/printify.js
+ * POST /api/webhooks/printify
+ *
+ * Receives Printify order webhooks, verifies X-Pfy-Signature with
+ * PRINTIFY_WEBHOOK_SECRET, records each event in fulfillment_events and
+ * updates the order's fulfillment and tracking columns:
+ *
+ *   order:sent-to-production → in_production
+ *   order:shipment:created   → shipped (carrier, tracking number/URL)
+ *   order:shipment:delivered → delivered
+ *   order:updated (canceled) → cancelled
+ *
+ * Shipments email the customer their tracking details. Redelivered events
+ * (same Printify event ID) are acknowledged without being applied twice.
+ *
+ * Product events re-sync that product into the catalog (see
+ * api/_lib/catalog-sync.js); syncing is idempotent, so redeliveries are harmless:
+ *
+ *   product:publish:started → sync, then confirm the publish to Printify
+ *   product:deleted         → mark deleted
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { readRawBody } from '../_lib/http.js';
+import { verifyPrintifyWebhook } from '../_lib/printify.js';
+import { sendOrderEmail, ORDER_EMAILS } from '../_lib/order-emails.js';
+import { confirmPublish, syncProduct, SYNC_TRIGGERS } from '../_lib/catalog-sync.js';
+
+// Signature verification needs the raw body
+export const config = {
+  api: { bodyParser: false },
+};
+
+/**
+ * Order columns to update for an event
+ * @param {Object} event - Printify webhook event
+ * @returns {Object|null} Column updates, or null if the event doesn't change the order
+ */
+function orderUpdatesForEvent(event) {
+  const data = event.resource?.data || {};
+  const carrier = data.carrier || {};
+
+  if (event.type === 'order:sent-to-production') {
+    return { fulfillment_status: 'in_production' };
+  }
+
+  if (event.type === 'order:shipment:created') {
+    return {
+      fulfillment_status: 'shipped',
+      carrier: carrier.code || null,
+      tracking_number: carrier.tracking_number || null,
+      tracking_url: carrier.tracking_url || null,
+      shipped_at: data.shipped_at ? new Date(data.shipped_at).toISOString() : event.created_at,
+    };
+  }
+
+  if (event.type === 'order:shipment:delivered') {
+    return {
+      fulfillment_status: 'delivered',
+      delivered_at: data.delivered_at
+        ? new Date(data.delivered_at).toISOString()
+        : event.created_at,
+    };
+  }
+
+  if (event.type === 'order:updated' && data.status === 'canceled') {
+    return { fulfillment_status: 'cancelled' };
+  }
+
+  return null;
+}
+
+/**
+ * Apply an event to its order and record it
+ *
+ * The order is updated before the event is recorded, so a failed update
+ * leaves the event unrecorded and Printify's redelivery applies it again.
+ *
+ * @param {Object} event - Verified Printify event
+ * @returns {Promise<boolean>} False if the event was already recorded
+ */
+async function handleEvent(event) {
+  const printifyOrderId = String(event.resource?.id || '');
+  const carrier = event.resource?.data?.carrier || {};
+
+  const { data: recorded, error: recordedError } = await supabase
+    .from('fulfillment_events')
+    .select('id')
+    .eq('printify_event_id', event.id)
+    .maybeSingle();
+
+  if (recordedError) {
+    throw new Error(`Failed to look up Printify event: ${recordedError.message}`);
+  }
+  if (recorded) return false;
+
+  const { data: order } = await supabase
+    .from('orders')
+    .select('id')
+    .eq('printify_order_id', printifyOrderId)
+    .maybeSingle();
+
+  const updates = orderUpdatesForEvent(event);
+  if (order && updates) {
+    const { error: updateError } = await supabase.from('orders').update(updates).eq('id', order.id);
+
+    if (updateError) {
+      throw new Error(`Failed to update order ${order.id}: ${updateError.message}`);
+    }
+  }
+
+  const { error: insertError } = await supabase.from('fulfillment_events').insert({
+    order_id: order?.id || null,
+    printify_event_id: event.id,
+    printify_order_id: printifyOrderId,
+    event_type: event.type,
+    carrier: carrier.code || null,
+    tracking_number: carrier.tracking_number || null,
+    tracking_url: carrier.tracking_url || null,
+    payload: event,
+    occurred_at: event.created_at ? new Date(event.created_at).toISOString() : null,
+  });
+
+  if (insertError) {
+    // unique_violation on printify_event_id: a concurrent delivery recorded it
+    if (insertError.code === '23505') return false;
+    throw new Error(`Failed to record Printify event: ${insertError.message}`);
+  }
+
+  if (order && updates && event.type === 'order:shipment:created') {
+    await sendOrderEmail(supabase, order.id, ORDER_EMAILS.SHIPPED).catch((error) => {
+      console.error(`Shipping email failed for order ${order.id}:`, error.message);
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Sync the product a product event is about
+ * @param {Object} event - Verified Printify event
+ * @returns {Promise<Object>} Sync run summary
+ */
+async function handleProductEvent(event) {
+  const productId = String(event.resource?.id || '');
+  const deleted = event.type === 'product:deleted' || event.resource?.data?.action === 'delete';
+
+  const run = await syncProduct(supabase, productId, {
+    trigger: SYNC_TRIGGERS.WEBHOOK,
+    triggeredBy: event.id,
+    deleted,
+  });
+
+  if (event.type === 'product:publish:started' && !deleted) {
+    await confirmPublish(productId).catch((error) => {
+      console.error(`Publish confirmation failed for product ${productId}:`, error.message);
+    });
+  }
+
+  return run;
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let event;
+  try {
+    const payload = await readRawBody(req);
+    const valid = verifyPrintifyWebhook(
+      payload,
+      req.headers['x-pfy-signature'],
+      process.env.PRINTIFY_WEBHOOK_SECRET
+    );
+
+    if (!valid) {
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+
+    event = JSON.parse(payload);
+  } catch (error) {
+    console.error('Error reading Printify webhook:', error);
+    return res.status(400).json({ success: false, error: 'Invalid payload' });
+  }
+
+  try {
+    if (event.type?.startsWith('product:')) {
+      const run = await handleProductEvent(event);
+      return res.status(200).json({ received: true, syncRun: run.id });
+    }
+
+    const applied = await handleEvent(event);
+    return res.status(200).json({ received: true, duplicate: !applied });
+  } catch (error) {
+    console.error(`Error handling Printify event ${event.id}:`, error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process event',
+    });
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * filepath: api/webhooks/stripe.js
+ * POST /api/webhooks/stripe
+ *
+ * Receives Stripe events, verifies their signature with
+ * STRIPE_WEBHOOK_SECRET and moves orders through their statuses:
+ *
+ *   checkout.session.completed (paid)      → completed
+ *   checkout.session.completed (unpaid)    → processing
+ *   checkout.session.async_payment_succeeded → completed
+ *   checkout.session.async_payment_failed  → cancelled
+ *   checkout.session.expired               → cancelled
+ *
+ * Orders that reach 'completed' are submitted to Printify for fulfillment.
+ * Each transition emails the customer (see api/_lib/order-emails.js).
+ * Other event types are acknowledged and ignored.
+ */
+
+import { supabase } from '../_lib/supabase.js';
+import { readRawBody } from '../_lib/http.js';
+import { constructWebhookEvent, StripeSignatureError } from '../_lib/stripe.js';
+import { transitionOrder } from '../_lib/order-status.js';
+import { fulfillOrder } from '../_lib/fulfillment.js';
+import { notifyOrderStatus } from '../_lib/order-emails.js';
+
+// Signature verification needs the raw body
+export const config = {
+  api: { bodyParser: false },
+};
+
+/**
+ * Find the order a Checkout Session belongs to
+ * @param {Object} session - Checkout Session object
+ * @returns {string|null} Order UUID
+ */
+function orderIdFromSession(session) {
+  return session.metadata?.order_id || session.client_reference_id || null;
+}
+
+/**
+ * Normalize the shipping address Checkout collected
+ * @param {Object} session - Checkout Session object
+ * @returns {Object|null} { name, line1, line2, city, province, postalCode, country, phone }
+ */
+function shippingAddressFromSession(session) {
+  const details = session.collected_information?.shipping_details || session.shipping_details;
+  if (!details?.address) return null;
+
+  return {
+    name: details.name || session.customer_details?.name || '',
+    line1: details.address.line1,
+    line2: details.address.line2 || '',
+    city: details.address.city,
+    province: details.address.state,
+    postalCode: details.address.postal_code,
+    country: details.address.country,
+    phone: session.customer_details?.phone || '',
+  };
+}
+
+/**
+ * Apply a Checkout Session event to its order
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Object|null>} Updated order, or null if nothing changed
+ */
+async function handleEvent(event) {
+  const session = event.data?.object || {};
+  const orderId = orderIdFromSession(session);
+  if (!orderId) return null;
+
+  const paymentFields = {
+    stripe_session_id: session.id,
+    stripe_payment_intent_id: session.payment_intent || null,
+  };
+
+  const shippingAddress = shippingAddressFromSession(session);
+  if (shippingAddress) {
+    paymentFields.shipping_address = shippingAddress;
+  }
+
+  const paidFields = { ...paymentFields, paid_at: new Date().toISOString() };
+  const isPaid =
+    session.payment_status === 'paid' || session.payment_status === 'no_payment_required';
+
+  if (event.type === 'checkout.session.completed') {
+    // Delayed payment methods (e.g. pre-authorized debit) confirm later
+    return isPaid
+      ? transitionOrder(supabase, orderId, 'completed', paidFields)
+      : transitionOrder(supabase, orderId, 'processing', paymentFields);
+  }
+
+  if (event.type === 'checkout.session.async_payment_succeeded') {
+    return transitionOrder(supabase, orderId, 'completed', paidFields);
+  }
+
+  if (
+    event.type === 'checkout.session.async_payment_failed' ||
+    event.type === 'checkout.session.expired'
+  ) {
+    return transitionOrder(supabase, orderId, 'cancelled', paymentFields);
+  }
+
+  return null;
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let event;
+  try {
+    const payload = await readRawBody(req);
+    event = constructWebhookEvent(
+      payload,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    if (error instanceof StripeSignatureError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error reading Stripe webhook:', error);
+    return res.status(400).json({ success: false, error: 'Invalid payload' });
+  }
+
+  try {
+    const order = await handleEvent(event);
+
+    if (order) {
+      console.log(`Order ${order.id} → ${order.status} (${event.type})`);
+
+      await notifyOrderStatus(supabase, order).catch((error) => {
+        console.error(`Status email failed for order ${order.id}:`, error.message);
+      });
+    }
+
+    if (order?.status === 'completed') {
+      // Payment is recorded either way; failures are retried by /api/cron/fulfillment
+      await fulfillOrder(supabase, order.id).catch((error) => {
+        console.error(`Fulfillment failed for order ${order.id}:`, error.message);
+      });
+    }
+
+    return res.status(200).json({ received: true });
+  } catch (error) {
+    console.error(`Error handling Stripe event ${event.id}:`, error);
+
+    // Non-2xx makes Stripe retry the delivery
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process event',
+    });
+  }
+}
@@ -0,0 +1,9 @@
+// Jest loads the ES modules in api/ and src/ through Babel as CommonJS;
+// Vercel and browsers use them as they are
+module.exports = {
+  env: {
+    test: {
+      presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+    }
+  }
+};
@@ -1,5 +1,17 @@
 module.exports = {
-  testEnvironment: 'jsdom',
+  // Serverless functions run on Node, the storefront in the browser
+  projects: [
+    {
+      displayName: 'api',
+      testEnvironment: 'node',
+      testMatch: ['<rootDir>/api/**/*.test.js']
+    },
+    {
+      displayName: 'src',
+      testEnvironment: 'jsdom',
+      testMatch: ['<rootDir>/src/**/*.test.js']
+    }
+  ],
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/pages/api/**',
@@ -0,0 +1,21 @@
+#!/bin/sh
+# Every test, database.test.js included, against a local Supabase (needs
+# Docker and the Supabase CLI). Starts the stack if it isn't running and
+# resets it, so the database has exactly the migrations in supabase/migrations.
+set -eu
+
+supabase status > /dev/null 2>&1 || supabase start
+supabase db reset
+
+eval "$(supabase status -o env \
+  --override-name api.url=TEST_SUPABASE_URL \
+  --override-name auth.anon_key=TEST_SUPABASE_ANON_KEY \
+  --override-name auth.service_role_key=TEST_SUPABASE_SERVICE_ROLE_KEY)"
+
+# database.test.js skips itself without these; here that would be a silent pass
+: "${TEST_SUPABASE_URL:?supabase status printed no API URL}"
+: "${TEST_SUPABASE_ANON_KEY:?supabase status printed no anon key}"
+: "${TEST_SUPABASE_SERVICE_ROLE_KEY:?supabase status printed no service_role key}"
+export TEST_SUPABASE_URL TEST_SUPABASE_ANON_KEY TEST_SUPABASE_SERVICE_ROLE_KEY
+
+exec jest --ci "$@"
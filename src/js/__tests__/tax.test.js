@@ -0,0 +1,58 @@
+import { calculateTax, getTaxRates, isValidProvince, taxLabel } from '../tax.js';
+
+describe('calculateTax', () => {
+  test('charges HST alone in HST provinces', () => {
+    expect(calculateTax(10000, { country: 'CA', province: 'ON' })).toEqual({
+      lines: [{ type: 'HST', jurisdiction: 'CA-ON', rate: 0.13, amount: 1300 }],
+      total: 1300,
+    });
+  });
+
+  test('charges GST and QST on the same pre-tax amount in Quebec', () => {
+    expect(calculateTax(10000, { country: 'CA', province: 'QC' })).toEqual({
+      lines: [
+        { type: 'GST', jurisdiction: 'CA', rate: 0.05, amount: 500 },
+        { type: 'QST', jurisdiction: 'CA-QC', rate: 0.09975, amount: 998 },
+      ],
+      total: 1498,
+    });
+  });
+
+  test('rounds each line half up to the cent', () => {
+    // 1999 × 7% = 139.93, 1999 × 5% = 99.95
+    expect(
+      calculateTax(1999, { country: 'CA', province: 'BC' }).lines.map((l) => l.amount)
+    ).toEqual([100, 140]);
+  });
+
+  test('zero-rates shipments outside Canada', () => {
+    expect(calculateTax(10000, { country: 'US', province: 'NY' })).toEqual({ lines: [], total: 0 });
+  });
+
+  test('refuses an unknown province', () => {
+    expect(() => calculateTax(10000, { country: 'CA', province: 'ZZ' })).toThrow(
+      'Unknown province: ZZ'
+    );
+  });
+});
+
+describe('tax rates', () => {
+  test('covers every province and territory', () => {
+    ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'].forEach(
+      (province) => expect(isValidProvince(province)).toBe(true)
+    );
+    expect(isValidProvince('toString')).toBe(false);
+  });
+
+  test('lists rates as fractions', () => {
+    expect(getTaxRates('SK')).toEqual([
+      { type: 'GST', rate: 0.05 },
+      { type: 'PST', rate: 0.06 },
+    ]);
+  });
+
+  test('labels lines in both languages', () => {
+    expect(taxLabel({ type: 'QST', rate: 0.09975 }, 'en')).toBe('QST (9.975%)');
+    expect(taxLabel({ type: 'QST', rate: 0.09975 }, 'fr')).toBe('TVQ (9,975 %)');
+  });
+});
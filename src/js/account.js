@@ -0,0 +1,174 @@
+// filepath: src/js/account.js
+// Customer accounts: Supabase Auth sessions, order history and saved addresses
+// Orders and addresses are read under RLS (supabase/migrations/015_customer_accounts.sql),
+// so each customer only ever gets their own
+
+import {
+  deleteCustomerAddress,
+  getCustomerAddresses,
+  getCustomerOrders,
+  getSession,
+  onAuthChange,
+  saveCustomerAddress,
+  setDefaultCustomerAddress,
+  signIn,
+  signInWithMagicLink,
+  signOut,
+  signUp,
+} from '../lib/supabase.js';
+import { localizePath } from './i18n.js';
+
+export class Account {
+  constructor(store, apiClient) {
+    this.store = store;
+    this.apiClient = apiClient;
+    this.orders = null; // Newest first, once loaded
+    this.addresses = null; // Default first, once loaded
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Pick up an existing session (page reloads, confirmation and magic links)
+   * and follow later sign-ins and sign-outs
+   * @param {Function} onChange - Called with the user (or null) when it changes
+   */
+  async init(onChange) {
+    const { data: session } = await getSession();
+    this.setSession(session);
+
+    this.unsubscribe = onAuthChange((event, nextSession) => {
+      if (!this.setSession(nextSession)) return;
+      onChange(this.getUser());
+    });
+  }
+
+  /**
+   * Follow a Supabase session; API calls (the saved cart) carry its access token
+   * @param {Object|null} session
+   * @returns {boolean} True when the signed-in user changed
+   */
+  setSession(session) {
+    this.apiClient.setAuthToken(session?.access_token);
+    const user = session?.user || null;
+    if (user?.id === this.getUser()?.id) return false;
+    this.setUser(user);
+    return true;
+  }
+
+  setUser(user) {
+    this.store.setUser(user);
+    this.orders = null;
+    this.addresses = null;
+  }
+
+  getUser() {
+    return this.store.getUser();
+  }
+
+  isSignedIn() {
+    return Boolean(this.getUser());
+  }
+
+  // Where confirmation and magic links land, in the page's language
+  static redirectUrl() {
+    return `${window.location.origin}${localizePath('/account')}`;
+  }
+
+  async signIn(email, password) {
+    const { data, error } = await signIn(email, password);
+    if (error) throw error;
+    this.setSession(data.session);
+    return data.user;
+  }
+
+  /**
+   * @returns {Promise<boolean>} True when the email must be confirmed before signing in
+   */
+  async signUp(email, password) {
+    const { data, error } = await signUp(email, password, {}, Account.redirectUrl());
+    if (error) throw error;
+    if (data.session) this.setSession(data.session);
+    return !data.session;
+  }
+
+  async sendMagicLink(email) {
+    const { error } = await signInWithMagicLink(email, Account.redirectUrl());
+    if (error) throw error;
+  }
+
+  async signOut() {
+    const { error } = await signOut();
+    if (error) throw error;
+    this.setSession(null);
+  }
+
+  async loadOrders() {
+    const { data, error } = await getCustomerOrders(this.getUser().id);
+    if (error) throw error;
+    this.orders = data || [];
+    return this.orders;
+  }
+
+  async loadAddresses() {
+    const { data, error } = await getCustomerAddresses(this.getUser().id);
+    if (error) throw error;
+    this.addresses = data || [];
+    return this.addresses;
+  }
+
+  // Default address, else the newest one, for prefilling checkout
+  defaultAddress() {
+    return (this.addresses || [])[0]?.address || null;
+  }
+
+  /**
+   * Save a shipping address unless it's already saved; the first one becomes the default
+   * @param {Object} address - Normalized address
+   */
+  async saveAddress(address) {
+    const addresses = this.addresses || (await this.loadAddresses());
+    const key = Account.addressKey(address);
+    if (addresses.some((saved) => Account.addressKey(saved.address) === key)) return;
+
+    const { error } = await saveCustomerAddress(this.getUser().id, address, {
+      isDefault: addresses.length === 0,
+    });
+    if (error) throw error;
+    await this.loadAddresses();
+  }
+
+  async makeDefaultAddress(addressId) {
+    const { error } = await setDefaultCustomerAddress(this.getUser().id, addressId);
+    if (error) throw error;
+    await this.loadAddresses();
+  }
+
+  async removeAddress(addressId) {
+    const { error } = await deleteCustomerAddress(addressId);
+    if (error) throw error;
+    await this.loadAddresses();
+  }
+
+  // Addresses that differ only in case or spacing are the same address
+  static addressKey(address) {
+    return ['name', 'line1', 'line2', 'city', 'province', 'postalCode', 'country']
+      .map((field) =>
+        String(address?.[field] || '')
+          .replace(/\s+/g, '')
+          .toLowerCase()
+      )
+      .join('|');
+  }
+
+  /**
+   * Email an order was placed with, for opening it on the order status page
+   * (orders are linked by email, so the account's own one before they're loaded)
+   * @param {string|number} orderNumber
+   * @returns {string|null} Null when signed out
+   */
+  orderEmail(orderNumber) {
+    if (!this.isSignedIn()) return null;
+    const order = (this.orders || []).find((o) => String(o.order_number) === String(orderNumber));
+    return order ? order.email : this.getUser().email;
+  }
+}
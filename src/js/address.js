@@ -0,0 +1,131 @@
+// filepath: src/js/address.js
+// Shipping address validation (Canada + United States)
+// Pure functions shared by the checkout form and api/_lib/orders.js
+
+import { PROVINCES } from './tax.js';
+import { getLocale, translate } from './i18n.js';
+
+export const COUNTRIES = {
+  CA: 'Canada',
+  US: 'United States',
+};
+
+export const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', PR: 'Puerto Rico', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+}; // prettier-ignore
+
+// Canada Post: letter-digit-letter digit-letter-digit; D, F, I, O, Q, U are never
+// used and W/Z never start a code
+const CA_POSTAL_CODE = /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/;
+const US_ZIP_CODE = /^\d{5}(-\d{4})?$/;
+
+// First letter of a Canadian postal code for each province/territory
+const CA_POSTAL_PREFIXES = {
+  AB: 'T', BC: 'V', MB: 'R', NB: 'E', NL: 'A', NS: 'B', NT: 'X', NU: 'X',
+  ON: 'KLMNP', PE: 'C', QC: 'GHJ', SK: 'S', YT: 'Y',
+}; // prettier-ignore
+
+/**
+ * Provinces/states for a country
+ * @param {string} country - 'CA' or 'US'
+ * @returns {Object} Code → name
+ */
+export function getRegions(country) {
+  return country === 'US' ? US_STATES : PROVINCES;
+}
+
+/**
+ * Normalize a postal code for storage ("k1a0b1" → "K1A 0B1")
+ * @param {string} postalCode
+ * @param {string} country
+ * @returns {string}
+ */
+export function normalizePostalCode(postalCode = '', country = 'CA') {
+  const code = String(postalCode).trim().toUpperCase();
+  if (country === 'CA') {
+    const compact = code.replace(/\s+/g, '');
+    return compact.length === 6 ? `${compact.slice(0, 3)} ${compact.slice(3)}` : code;
+  }
+  return code;
+}
+
+/**
+ * Trim fields and normalize codes
+ * @param {Object} address - Raw form/request address
+ * @returns {Object} { name, line1, line2, city, province, postalCode, country, phone }
+ */
+export function normalizeAddress(address = {}) {
+  const country = String(address.country || '')
+    .trim()
+    .toUpperCase();
+  return {
+    name: String(address.name || '').trim(),
+    line1: String(address.line1 || '').trim(),
+    line2: String(address.line2 || '').trim(),
+    city: String(address.city || '').trim(),
+    province: String(address.province || '')
+      .trim()
+      .toUpperCase(),
+    postalCode: normalizePostalCode(address.postalCode, country),
+    country,
+    phone: String(address.phone || '').trim(),
+  };
+}
+
+/**
+ * Validate a shipping address
+ * @param {Object} address - Raw form/request address
+ * @param {string} locale - Language of the messages ('en' or 'fr')
+ * @returns {{ valid: boolean, errors: Object, address: Object }}
+ *   errors maps field names to messages; address is normalized
+ */
+export function validateAddress(address, locale = getLocale()) {
+  const normalized = normalizeAddress(address);
+  const errors = {};
+  const message = (key, params) => translate(locale, `address.${key}`, params);
+
+  if (!normalized.name) errors.name = message('nameRequired');
+  if (!normalized.line1) errors.line1 = message('line1Required');
+  if (!normalized.city) errors.city = message('cityRequired');
+
+  if (!COUNTRIES[normalized.country]) {
+    errors.country = message('countryUnsupported');
+  } else {
+    const regions = getRegions(normalized.country);
+    const isCanada = normalized.country === 'CA';
+
+    if (!regions[normalized.province]) {
+      errors.province = message(isCanada ? 'selectProvince' : 'selectState');
+    }
+
+    if (isCanada && !CA_POSTAL_CODE.test(normalized.postalCode)) {
+      errors.postalCode = message('postalCodeFormat');
+    } else if (
+      isCanada &&
+      regions[normalized.province] &&
+      !CA_POSTAL_PREFIXES[normalized.province].includes(normalized.postalCode[0])
+    ) {
+      errors.postalCode = message('postalCodeMismatch', {
+        province: translate(locale, `provinces.${normalized.province}`),
+      });
+    } else if (!isCanada && !US_ZIP_CODE.test(normalized.postalCode)) {
+      errors.postalCode = message('zipCodeFormat');
+    }
+  }
+
+  if (normalized.phone && !/^[+\d][\d\s().-]{6,}$/.test(normalized.phone)) {
+    errors.phone = message('phoneFormat');
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, address: normalized };
+}
@@ -0,0 +1,493 @@
+// filepath: src/js/admin.js
+// Staff order dashboard (public/admin.html)
+// Signs in with Supabase and calls /api/admin/* with the session's access token.
+// The role check here only decides what to show; the API enforces permissions.
+
+import { signIn, signOut, getSession, getUser } from '../lib/supabase.js';
+import { ApiClient } from './api-client.js';
+import { formatPrice, escapeHtml } from './utils.js';
+
+// Mirrors ROLE_PERMISSIONS in api/_lib/admin-auth.js
+const ROLE_PERMISSIONS = {
+  admin: ['orders:read', 'orders:write', 'orders:refund', 'catalog:sync'],
+  support: ['orders:read', 'orders:write'],
+};
+
+export class AdminApp {
+  constructor() {
+    this.apiClient = new ApiClient();
+    this.user = null;
+    this.role = null;
+    this.filters = { status: '', email: '', from: '', to: '', page: 1, pageSize: 25 };
+    this.list = { orders: [], total: 0, loading: false, error: null };
+    this.order = null;
+  }
+
+  can(permission) {
+    return (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+  }
+
+  async init() {
+    document
+      .getElementById('adminSignInForm')
+      .addEventListener('submit', (e) => this.handleSignIn(e));
+    document.getElementById('adminSignOut').addEventListener('click', () => this.handleSignOut());
+    document
+      .getElementById('adminSyncCatalog')
+      .addEventListener('click', () => this.handleSyncCatalog());
+    document.getElementById('adminFilters').addEventListener('submit', (e) => this.handleFilter(e));
+    document
+      .getElementById('adminOrders')
+      .addEventListener('click', (e) => this.handleListClick(e));
+    document
+      .getElementById('adminDetail')
+      .addEventListener('submit', (e) => this.handleDetailSubmit(e));
+    document
+      .getElementById('adminDetail')
+      .addEventListener('click', (e) => this.handleDetailClick(e));
+
+    await this.restoreSession();
+  }
+
+  // Pick up an existing Supabase session (page reloads)
+  async restoreSession() {
+    const { data: session } = await getSession();
+    if (!session) {
+      this.showSignIn();
+      return;
+    }
+
+    const { data: user } = await getUser();
+    this.startSession(user, session.access_token);
+  }
+
+  startSession(user, accessToken) {
+    this.user = user;
+    this.role = user?.app_metadata?.role || null;
+    this.apiClient.setAuthToken(accessToken);
+
+    if (!this.can('orders:read')) {
+      this.showSignIn('This account doesn’t have staff access.');
+      return;
+    }
+
+    document.getElementById('adminSignIn').hidden = true;
+    document.getElementById('adminMain').hidden = false;
+    document.getElementById('adminUser').textContent = `${user.email} (${this.role})`;
+    document.getElementById('adminSyncCatalog').hidden = !this.can('catalog:sync');
+    this.loadOrders();
+  }
+
+  showSignIn(message = '') {
+    document.getElementById('adminSignIn').hidden = false;
+    document.getElementById('adminMain').hidden = true;
+    document.getElementById('adminSignInError').textContent = message;
+  }
+
+  async handleSignIn(e) {
+    e.preventDefault();
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const { data, error } = await signIn(form.email.value.trim(), form.password.value);
+    button.disabled = false;
+
+    if (error) {
+      this.showSignIn(error.message);
+      return;
+    }
+
+    form.reset();
+    this.startSession(data.user, data.session.access_token);
+  }
+
+  async handleSignOut() {
+    await signOut();
+    this.user = null;
+    this.role = null;
+    this.order = null;
+    this.apiClient.setAuthToken(null);
+    this.showSignIn();
+  }
+
+  // API errors: a 401 means the session expired
+  handleApiError(error) {
+    if (error.status === 401) {
+      this.handleSignOut();
+      this.showSignIn('Your session expired. Please sign in again.');
+      return null;
+    }
+    return error.message;
+  }
+
+  // Full Printify catalog sync; waits for the run and reports its counts
+  async handleSyncCatalog() {
+    const button = document.getElementById('adminSyncCatalog');
+    const status = document.getElementById('adminSyncStatus');
+    button.disabled = true;
+    status.hidden = false;
+    status.textContent = 'Syncing catalog…';
+
+    try {
+      const { run } = await this.apiClient.syncCatalog();
+      const summary =
+        `${run.productsSeen} products: ${run.created} new, ${run.updated} updated, ` +
+        `${run.unpublished} unpublished, ${run.deleted} deleted`;
+      status.textContent =
+        run.errors.length > 0
+          ? `Catalog synced with ${run.errors.length} errors. ${summary}`
+          : `Catalog synced. ${summary}`;
+    } catch (error) {
+      const message = this.handleApiError(error);
+      status.textContent = message ? `Catalog sync failed: ${message}` : '';
+    }
+
+    button.disabled = false;
+  }
+
+  handleFilter(e) {
+    e.preventDefault();
+    const form = e.target;
+    this.filters = {
+      ...this.filters,
+      status: form.status.value,
+      email: form.email.value.trim(),
+      from: form.from.value,
+      to: form.to.value,
+      page: 1,
+    };
+    this.loadOrders();
+  }
+
+  async loadOrders() {
+    this.list = { ...this.list, loading: true, error: null };
+    this.renderList();
+
+    try {
+      const result = await this.apiClient.listAdminOrders(this.filters);
+      this.list = { orders: result.orders, total: result.total, loading: false, error: null };
+    } catch (error) {
+      this.list = { ...this.list, loading: false, error: this.handleApiError(error) };
+    }
+
+    this.renderList();
+  }
+
+  renderList() {
+    const container = document.getElementById('adminOrders');
+    const { orders, total, loading, error } = this.list;
+
+    if (loading) {
+      container.innerHTML = '<p class="admin-muted">Loading orders…</p>';
+      return;
+    }
+    if (error) {
+      container.innerHTML = `<p class="admin-error">${escapeHtml(error)}</p>`;
+      return;
+    }
+    if (orders.length === 0) {
+      container.innerHTML = '<p class="admin-muted">No orders match these filters.</p>';
+      return;
+    }
+
+    const rows = orders
+      .map((order) => {
+        const refunded = order.refundedTotal ? ` (−${formatPrice(order.refundedTotal)})` : '';
+        return `
+        <tr>
+          <td><button type="button" class="admin-link" data-order="${order.orderNumber}">#${order.orderNumber}</button></td>
+          <td>${new Date(order.createdAt).toLocaleString('en-CA')}</td>
+          <td>${escapeHtml(order.email)}</td>
+          <td><span class="admin-status admin-status-${order.status}">${order.status}</span></td>
+          <td>${escapeHtml(order.fulfillmentStatus || '')}</td>
+          <td class="admin-amount">${formatPrice(order.total)}${refunded}</td>
+        </tr>
+      `;
+      })
+      .join('');
+
+    const { page, pageSize } = this.filters;
+    const pages = Math.max(1, Math.ceil(total / pageSize));
+
+    container.innerHTML = `
+      <table class="admin-table">
+        <thead>
+          <tr><th>Order</th><th>Placed</th><th>Email</th><th>Status</th><th>Fulfillment</th><th>Total</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="admin-pager">
+        <button type="button" class="admin-link" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>← Previous</button>
+        <span>Page ${page} of ${pages} · ${total} orders</span>
+        <button type="button" class="admin-link" data-page="${page + 1}" ${page >= pages ? 'disabled' : ''}>Next →</button>
+      </div>
+    `;
+  }
+
+  handleListClick(e) {
+    const orderButton = e.target.closest('[data-order]');
+    if (orderButton) {
+      this.loadOrder(orderButton.dataset.order);
+      return;
+    }
+
+    const pageButton = e.target.closest('[data-page]');
+    if (pageButton && !pageButton.disabled) {
+      this.filters.page = Number(pageButton.dataset.page);
+      this.loadOrders();
+    }
+  }
+
+  async loadOrder(orderNumber) {
+    const container = document.getElementById('adminDetail');
+    container.hidden = false;
+    container.innerHTML = '<p class="admin-muted">Loading order…</p>';
+
+    try {
+      const { order } = await this.apiClient.getAdminOrder(orderNumber);
+      this.order = order;
+      this.renderDetail();
+    } catch (error) {
+      const message = this.handleApiError(error);
+      if (message) container.innerHTML = `<p class="admin-error">${escapeHtml(message)}</p>`;
+    }
+  }
+
+  renderDetail(message = '') {
+    const container = document.getElementById('adminDetail');
+    const order = this.order;
+    if (!order) {
+      container.hidden = true;
+      return;
+    }
+
+    const items = order.items
+      .map(
+        (item) => `
+      <li>${item.quantity} × ${escapeHtml([item.title || item.productId, item.variantTitle].filter(Boolean).join(' – '))}
+        <span class="admin-amount">${formatPrice(item.unitPrice * item.quantity)}</span></li>
+    `
+      )
+      .join('');
+
+    const taxes = order.taxes
+      .map(
+        (tax) =>
+          `<li>${tax.type} ${(tax.rate * 100).toFixed(3).replace(/\.?0+$/, '')}% <span class="admin-amount">${formatPrice(tax.amount)}</span></li>`
+      )
+      .join('');
+
+    // Goods discounts come off the subtotal; free shipping is already out of the shipping total
+    const discounts = (order.discounts || [])
+      .map((line) => {
+        const source = line.code ? escapeHtml(line.code) : 'Cart reminder';
+        return line.target === 'shipping'
+          ? `<li>Free shipping (${source}) <span class="admin-amount">${formatPrice(line.amount)} waived</span></li>`
+          : `<li>Discount (${source}) <span class="admin-amount">−${formatPrice(line.amount)}</span></li>`;
+      })
+      .join('');
+
+    const refunds = order.refunds
+      .map(
+        (refund) =>
+          `<li>${formatPrice(refund.amount)} · ${escapeHtml(refund.status)} · ${escapeHtml(refund.createdBy || '')} · ${new Date(refund.createdAt).toLocaleString('en-CA')}${refund.reason ? ` · ${escapeHtml(refund.reason)}` : ''}</li>`
+      )
+      .join('');
+
+    const emails = order.emails
+      .map(
+        (email) =>
+          `<li>${escapeHtml(email.type)} · ${escapeHtml(email.status)}${email.error ? ` · ${escapeHtml(email.error)}` : ''}</li>`
+      )
+      .join('');
+
+    // Currency the customer saw prices in; the charge is in CAD either way
+    let shownIn = '';
+    if (order.displayCurrency && order.displayCurrency !== 'CAD') {
+      const rate = order.displayRate ? ` at ${order.displayRate} per CAD` : '';
+      shownIn = ` · shown in ${escapeHtml(order.displayCurrency)}${rate}`;
+    }
+
+    const address = order.shippingAddress;
+    let addressHTML = '<p class="admin-muted">No shipping address</p>';
+    if (address) {
+      addressHTML = `<p>${[
+        address.name,
+        address.line1,
+        address.line2,
+        `${address.city} ${address.province || ''} ${address.postalCode}`,
+        address.country,
+      ]
+        .filter(Boolean)
+        .map(escapeHtml)
+        .join('<br>')}</p>`;
+    }
+
+    // Staff can only mark a pending order processing: Stripe completes orders
+    // and cancelling has its own button
+    const statusOptions = ['pending', 'processing']
+      .map(
+        (status) =>
+          `<option value="${status}" ${status === order.status ? 'selected' : ''}>${status}</option>`
+      )
+      .join('');
+
+    const refundable = order.total - order.refundedTotal;
+    const canWrite = this.can('orders:write');
+    const canCancel = canWrite && order.status !== 'cancelled';
+    const canRefund = this.can('orders:refund') && order.paidAt && refundable > 0;
+
+    let actionsHTML = '';
+    if (canWrite && order.status === 'pending') {
+      actionsHTML += `
+        <form class="admin-form" data-action="status">
+          <label>Status <select name="status">${statusOptions}</select></label>
+          <button type="submit" class="admin-btn">Update status</button>
+        </form>
+      `;
+    }
+    if (canCancel) {
+      actionsHTML +=
+        '<button type="button" class="admin-btn admin-btn-danger" data-action="cancel">Cancel order</button>';
+    }
+    if (canRefund) {
+      actionsHTML += `
+        <form class="admin-form" data-action="refund">
+          <label>Refund amount ($) <input type="number" name="amount" min="0.01" step="0.01" max="${(refundable / 100).toFixed(2)}" value="${(refundable / 100).toFixed(2)}"></label>
+          <label>Reason <input type="text" name="reason" maxlength="200"></label>
+          <button type="submit" class="admin-btn">Refund</button>
+        </form>
+      `;
+    }
+
+    let notesHTML = `<p>${escapeHtml(order.notes || '—')}</p>`;
+    if (canWrite) {
+      notesHTML = `
+        <form class="admin-form" data-action="notes">
+          <textarea name="notes" rows="3" maxlength="5000">${escapeHtml(order.notes || '')}</textarea>
+          <button type="submit" class="admin-btn">Save notes</button>
+        </form>
+      `;
+    }
+
+    const tracking = order.tracking.number
+      ? `<p>Tracking: ${escapeHtml([order.tracking.carrier, order.tracking.number].filter(Boolean).join(' '))}</p>`
+      : '';
+
+    container.innerHTML = `
+      <div class="admin-detail-header">
+        <h2>Order #${order.orderNumber}</h2>
+        <button type="button" class="admin-link" data-action="close">Close</button>
+      </div>
+      ${message ? `<p class="admin-message">${escapeHtml(message)}</p>` : ''}
+      <p>
+        <span class="admin-status admin-status-${order.status}">${order.status}</span>
+        Fulfillment: ${escapeHtml(order.fulfillmentStatus || '')}
+        ${order.fulfillmentError ? `<span class="admin-error">${escapeHtml(order.fulfillmentError)}</span>` : ''}
+      </p>
+      <p>${escapeHtml(order.email)} · ${order.locale}${shownIn} · placed ${new Date(order.createdAt).toLocaleString('en-CA')}</p>
+      ${tracking}
+      <div class="admin-detail-grid">
+        <section>
+          <h3>Items</h3>
+          <ul class="admin-list">${items}</ul>
+          <ul class="admin-list">
+            <li>Subtotal <span class="admin-amount">${formatPrice(order.subtotal || 0)}</span></li>
+            ${discounts}
+            <li>Shipping <span class="admin-amount">${formatPrice(order.shippingTotal || 0)}</span></li>
+            ${taxes}
+            <li><strong>Total</strong> <span class="admin-amount">${formatPrice(order.total)}</span></li>
+            ${order.refundedTotal ? `<li>Refunded <span class="admin-amount">−${formatPrice(order.refundedTotal)}</span></li>` : ''}
+          </ul>
+        </section>
+        <section>
+          <h3>Ship to</h3>
+          ${addressHTML}
+          <h3>Notes</h3>
+          ${notesHTML}
+        </section>
+      </div>
+      ${actionsHTML ? `<div class="admin-actions">${actionsHTML}</div>` : ''}
+      ${refunds ? `<h3>Refunds</h3><ul class="admin-list">${refunds}</ul>` : ''}
+      ${emails ? `<h3>Emails</h3><ul class="admin-list">${emails}</ul>` : ''}
+    `;
+  }
+
+  async handleDetailSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const action = form.dataset.action;
+    const orderNumber = this.order.orderNumber;
+
+    if (action === 'status') {
+      await this.runAction(
+        () => this.apiClient.updateAdminOrder(orderNumber, { status: form.status.value }),
+        'Status updated'
+      );
+    } else if (action === 'notes') {
+      await this.runAction(
+        () => this.apiClient.updateAdminOrder(orderNumber, { notes: form.notes.value }),
+        'Notes saved'
+      );
+    } else if (action === 'refund') {
+      const amount = Math.round(parseFloat(form.amount.value) * 100);
+      if (!window.confirm(`Refund ${formatPrice(amount)} to the customer?`)) return;
+
+      await this.runAction(
+        () =>
+          this.apiClient.refundAdminOrder(orderNumber, {
+            amount,
+            reason: form.reason.value.trim() || undefined,
+          }),
+        `Refunded ${formatPrice(amount)}`
+      );
+    }
+  }
+
+  async handleDetailClick(e) {
+    const action = e.target.closest('button[data-action]')?.dataset.action;
+
+    if (action === 'close') {
+      this.order = null;
+      this.renderDetail();
+      return;
+    }
+
+    if (action === 'cancel') {
+      const paid = this.order.paidAt && this.order.total > this.order.refundedTotal;
+      const prompt = paid ? 'Cancel this order and refund the customer?' : 'Cancel this order?';
+      if (!window.confirm(prompt)) return;
+
+      await this.runAction(async () => {
+        const result = await this.apiClient.cancelAdminOrder(this.order.orderNumber);
+        if (result.refundError) {
+          result.message = `Order cancelled, but the refund failed: ${result.refundError}`;
+        }
+        return result;
+      }, 'Order cancelled');
+    }
+  }
+
+  // Run an order action, then refresh the detail view and the list
+  async runAction(action, successMessage) {
+    const buttons = document.querySelectorAll('#adminDetail button');
+    buttons.forEach((button) => {
+      button.disabled = true;
+    });
+
+    try {
+      const result = await action();
+      this.order = result.order;
+      this.renderDetail(result.message || successMessage);
+      this.loadOrders();
+    } catch (error) {
+      const message = this.handleApiError(error);
+      if (message) this.renderDetail(message);
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new AdminApp().init();
+});
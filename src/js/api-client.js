@@ -1,9 +1,24 @@
 // filepath: src/js/api-client.js
 // Handles all API calls to Vercel backend
 
+import { getLocale } from './i18n.js';
+import { getCurrency, getRate } from './currency.js';
+
 export class ApiClient {
   constructor(baseUrl = '/api') {
     this.baseUrl = baseUrl;
+    this.authToken = null;
+    this.cartToken = null;
+  }
+
+  // Supabase access token sent as a Bearer token (admin endpoints, customer carts)
+  setAuthToken(token) {
+    this.authToken = token || null;
+  }
+
+  // Anonymous token of a guest's saved cart
+  setCartToken(token) {
+    this.cartToken = token || null;
   }
 
   async request(method, endpoint, body = null) {
@@ -15,6 +30,14 @@ export class ApiClient {
       },
     };
 
+    if (this.authToken) {
+      options.headers.Authorization = `Bearer ${this.authToken}`;
+    }
+
+    if (this.cartToken) {
+      options.headers['X-Cart-Token'] = this.cartToken;
+    }
+
     if (body) {
       options.body = JSON.stringify(body);
     }
@@ -23,37 +46,206 @@ export class ApiClient {
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({ error: response.statusText }));
-      throw new Error(error.error || `HTTP ${response.status}`);
+      // Keep the API's machine-readable code/details (e.g. INVALID_ADDRESS field errors)
+      const err = new Error(error.error || `HTTP ${response.status}`);
+      err.status = response.status;
+      err.code = error.code;
+      err.details = error.details;
+      throw err;
     }
 
     return await response.json();
   }
 
   // Products endpoints
-  async getProducts() {
-    return this.request('GET', '/products');
+  // params: { page, pageSize, cursor, minPrice, maxPrice, sort, q, ...facets } (prices in cents)
+  // The browser revalidates with the ETag, so repeat pages come back as 304s
+  // Facets (category, tag, size, color, fit) take arrays, sent as repeated parameters
+  async getProducts(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      [].concat(value ?? []).forEach((item) => {
+        if (item !== '') query.append(key, item);
+      });
+    });
+    const suffix = query.toString() ? `?${query}` : '';
+    return this.request('GET', `/products${suffix}`);
+  }
+
+  // One published product (product detail page)
+  async getProduct(productId) {
+    return this.request('GET', `/products/${encodeURIComponent(productId)}`);
+  }
+
+  // Ranked, typo-tolerant search (header suggestions)
+  async searchProducts(query, { limit } = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (limit) params.set('limit', limit);
+    return this.request('GET', `/search?${params}`);
+  }
+
+  // Exchange rates for showing prices in other currencies (charges stay in CAD)
+  async getCurrencies() {
+    return this.request('GET', '/currencies');
+  }
+
+  // Cart lines as the order endpoints expect them
+  // Prices are sent only so the server can detect a stale cart; it charges its own
+  orderItems(items) {
+    return items.map((item) => ({
+      productId: item.id,
+      variantId: item.variantId ?? undefined,
+      quantity: item.qty,
+      price: item.price,
+    }));
+  }
+
+  // Language of the storefront (/fr/ pages are French), for order emails and links
+  locale() {
+    return getLocale();
+  }
+
+  // Currency prices are shown in, recorded on the order with its rate
+  currency() {
+    return getCurrency();
+  }
+
+  // Rate prices were converted with (units of currency() per 1 CAD)
+  displayRate() {
+    return getRate(this.currency());
   }
 
   // Orders endpoints
-  async createOrder(email, items) {
+  // Places the order and returns its totals with checkoutUrl, the Stripe page to pay on;
+  // total is the amount shown to the customer (incl. shipping and tax), recovery the
+  // token of the cart reminder the cart was restored from, promoCode a discount code
+  async createOrder(email, items, { shippingAddress, total, recovery, promoCode }) {
     if (!email || !items || items.length === 0) {
       throw new Error('Email and items are required');
     }
 
-    const total = items.reduce((sum, item) => sum + item.price * item.qty, 0);
-
     return this.request('POST', '/orders', {
       email,
-      items: items.map(item => ({
-        id: item.id,
-        title: item.title,
-        qty: item.qty,
-        price: item.price,
-      })),
+      items: this.orderItems(items),
+      shippingAddress,
+      total,
+      locale: this.locale(),
+      currency: this.currency(),
+      displayRate: this.displayRate(),
+      recovery,
+      promoCode,
+    });
+  }
+
+  // Order status, authorized by the status link token or the checkout email
+  async getOrder(orderNumber, { token, email } = {}) {
+    const params = new URLSearchParams(token ? { token } : { email: email || '' });
+    return this.request('GET', `/orders/${encodeURIComponent(orderNumber)}?${params}`);
+  }
+
+  // Saved cart endpoints
+  // The signed-in customer's cart, else the guest cart of the cart token;
+  // every response is revalidated against the catalog (line status, previousPrice)
+  async getCart() {
+    return this.request('GET', '/cart');
+  }
+
+  // Replaces the saved cart; a guest's first save returns its new token
+  async saveCart(items) {
+    return this.request('PUT', '/cart', {
+      items: this.orderItems(items),
+      locale: this.locale(),
+    });
+  }
+
+  async deleteCart() {
+    return this.request('DELETE', '/cart');
+  }
+
+  // Move the guest cart (cart token) into the signed-in customer's cart
+  async mergeCart() {
+    return this.request('POST', '/cart/merge');
+  }
+
+  // The cart of an abandoned cart reminder's link (?recover=token)
+  async restoreCart(token) {
+    return this.request('POST', '/cart/restore', { token });
+  }
+
+  // Checkout endpoints
+  // email, once entered, lets the server check codes limited per customer
+  async quoteCheckout(items, shippingAddress, { recovery, promoCode, email } = {}) {
+    return this.request('POST', '/checkout/quote', {
+      items: this.orderItems(items),
+      shippingAddress,
+      recovery,
+      promoCode: promoCode || undefined,
+      email: email || undefined,
+    });
+  }
+
+  async createCheckoutSession(email, items, { shippingAddress, total, recovery, promoCode }) {
+    if (!email || !items || items.length === 0) {
+      throw new Error('Email and items are required');
+    }
+
+    return this.request('POST', '/checkout/session', {
+      email,
+      items: this.orderItems(items),
+      shippingAddress,
       total,
+      locale: this.locale(),
+      currency: this.currency(),
+      displayRate: this.displayRate(),
+      recovery,
+      promoCode,
     });
   }
 
+  // Admin endpoints (need setAuthToken with a staff user's session)
+  // filters: { status, email, from, to, page, pageSize }
+  async listAdminOrders(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ''
+      )
+    );
+    return this.request('GET', `/admin/orders?${params}`);
+  }
+
+  async getAdminOrder(orderNumber) {
+    return this.request('GET', `/admin/orders/${encodeURIComponent(orderNumber)}`);
+  }
+
+  // changes: { status, notes }
+  async updateAdminOrder(orderNumber, changes) {
+    return this.request('PATCH', `/admin/orders/${encodeURIComponent(orderNumber)}`, changes);
+  }
+
+  async cancelAdminOrder(orderNumber, { refund = true, reason } = {}) {
+    return this.request('POST', `/admin/orders/${encodeURIComponent(orderNumber)}/cancel`, {
+      refund,
+      reason,
+    });
+  }
+
+  // amount in cents; omit to refund everything not yet refunded
+  async refundAdminOrder(orderNumber, { amount, reason } = {}) {
+    return this.request('POST', `/admin/orders/${encodeURIComponent(orderNumber)}/refund`, {
+      amount,
+      reason,
+    });
+  }
+
+  async listCatalogSyncRuns() {
+    return this.request('GET', '/admin/catalog/sync');
+  }
+
+  // Full Printify catalog sync, or one product when productId is given
+  async syncCatalog(productId) {
+    return this.request('POST', '/admin/catalog/sync', productId ? { productId } : {});
+  }
+
   // Config endpoints
   async getConfig() {
     return this.request('GET', '/config');
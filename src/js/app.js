@@ -6,17 +6,95 @@
 import { Store } from './store.js';
 import { ApiClient } from './api-client.js';
 import { Checkout } from './checkout.js';
-import { formatPrice } from './utils.js';
+import { Account } from './account.js';
+import { formatAmount, formatPrice, debounce, escapeHtml, sanitizeHtml, validateEmail } from './utils.js';
+import { PROVINCES, taxLabel } from './tax.js';
+import { COUNTRIES, getRegions, validateAddress } from './address.js';
 import { PerformanceOptimizer } from './performance-optimizer.js';
 import { ImageOptimizer } from './image-optimizer.js';
 import { SchemaManager } from './schema-manager.js';
+import { QAVFramework } from './qav-framework.js';
+import { Router } from './router.js';
+import {
+  alternateLinks,
+  formatDate,
+  intlLocale,
+  localeFromPath,
+  localizePath,
+  localizeProduct,
+  setLocale,
+  stripLocale,
+  t,
+  translateDocument,
+} from './i18n.js';
+import { availableCurrencies, BASE_CURRENCY, getCurrency, setCurrency, setRates } from './currency.js';
+
+// Pages of the storefront; vercel.json rewrites each of them (and its /fr/ twin) to index.html
+const ROUTES = [
+  { name: 'home', path: '/' },
+  { name: 'product', path: '/product/:id' },
+  { name: 'category', path: '/category/:slug' },
+  { name: 'cart', path: '/cart' },
+  { name: 'checkout', path: '/checkout' },
+  { name: 'order', path: '/order/:number' },
+  { name: 'order', path: '/order' },
+  { name: 'account', path: '/account' },
+];
+
+// Products per GET /api/products page
+const PRODUCT_PAGE_SIZE = 24;
+
+// Facets of GET /api/products, in sidebar order; each is a repeatable query parameter
+// (labels are the facets.* messages)
+const FACETS = [
+  { key: 'category' },
+  { key: 'size' },
+  { key: 'color' },
+  { key: 'fit' },
+  { key: 'tag' },
+];
+
+const SITE_NAME = 'CanadaClothes.ca';
+
+// Header search: characters before suggesting, and how many to show
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_SUGGESTION_LIMIT = 6;
 
 export class App {
   constructor() {
     this.store = new Store();
     this.apiClient = new ApiClient();
     this.checkout = new Checkout(this.store, this.apiClient);
+    this.account = new Account(this.store, this.apiClient);
     this.isInitialized = false;
+
+    // 'products', 'product' (/product/:id), 'order' (/order/:number) or 'account';
+    // the cart and checkout open over whichever of these is showing
+    this.view = 'products';
+    this.router = new Router(ROUTES);
+    this.returnPath = null; // Page behind the cart/checkout, where closing them leads
+    this.locale = null; // Language the page is showing; set by the first route
+    this.orderStatus = { number: null, loading: false, error: null, order: null };
+    // ready once the Supabase session (if any) has been picked up
+    this.accountState = { ready: false, loading: false, error: null, notice: null };
+
+    // Saved cart: whose cart is showing (undefined until the session is known),
+    // and a revision so a slow server response doesn't undo newer changes
+    this.cartOwnerId = undefined;
+    this.cartRevision = 0;
+    this.cartCheckedOut = false; // Paid for; the saved cart is deleted on the next sync
+    this.productDetail = { id: null, loading: false, error: null, product: null };
+
+    // Product listing: the active query (mirrored in the URL), where the loaded
+    // pages end, and the facet counts of the first page
+    this.productQuery = App.productQueryFromRoute(this.router.current());
+    this.productsLoaded = false;
+    this.productPaging = { total: 0, nextCursor: null, loadingMore: false, error: null };
+    this.productFacets = null;
+    this.productPagerObserver = null;
+
+    // Header search suggestions; requestId drops responses to older keystrokes
+    this.searchState = { suggestions: [], activeIndex: -1, requestId: 0 };
     
     // Performance optimization (Core Web Vitals)
     this.perfOptimizer = new PerformanceOptimizer();
@@ -28,7 +106,7 @@ export class App {
     
     // Debounce handlers (INP <200ms)
     this.debouncedQuantityUpdate = this.perfOptimizer.debounce(
-      (productId, change) => this.updateCartQuantity(productId, change),
+      (lineKey, change) => this.updateCartQuantity(lineKey, change),
       150 // 150ms debounce = INP response <200ms
     );
     
@@ -36,6 +114,17 @@ export class App {
       () => this.render(),
       100
     );
+
+    this.debouncedCartSave = this.perfOptimizer.debounce(
+      () => this.saveCart(),
+      500
+    );
+
+    // Re-quote shipping/taxes once the customer pauses typing their address
+    this.debouncedCheckoutQuote = debounce(() => this.refreshCheckoutQuote(), 400);
+
+    // Suggest as the shopper types, without a request per keystroke
+    this.debouncedSearchSuggest = debounce(text => this.loadSearchSuggestions(text), 250);
   }
 
   async init() {
@@ -44,28 +133,295 @@ export class App {
     // Initialize performance monitoring (Core Web Vitals)
     this.perfOptimizer.initWebVitalsMonitoring();
 
+    this.store.loadFromLocalStorage();
+    this.apiClient.setCartToken(this.store.cartToken);
+    this.loadCurrencies();
+    this.initAccount();
+
+    // Stripe redirects back with session_id once the order is paid
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('session_id')) {
+      this.store.clearCart();
+      this.store.setRecovery(null);
+      this.store.setPromoCode(null);
+      this.store.saveToLocalStorage();
+      this.cartCheckedOut = true;
+    }
+
+    // Abandoned cart reminders link to /cart?recover=<token>
+    if (params.get('recover')) {
+      this.restoreCart(params.get('recover'));
+      params.delete('recover');
+      const query = params.toString();
+      window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }
+
+    this.initProductPager();
+    this.initSearch();
+    this.initFacets();
+    this.initCartNavigation();
+    this.isInitialized = true;
+
+    this.router.start(route => this.handleRoute(route));
+
+    // Status links sent before the router existed: /?order=<number>&token=<token>
+    if (window.location.pathname === '/' && params.has('order') && !params.has('cancelled')) {
+      const token = params.get('token');
+      const number = encodeURIComponent(params.get('order'));
+      this.router.navigate(token ? `/order/${number}?token=${encodeURIComponent(token)}` : `/order/${number}`, { replace: true });
+    } else {
+      this.router.dispatch();
+    }
+  }
+
+  /**
+   * Show the page for a route
+   * @param {Object|null} route - From Router.match; unknown paths show the shop
+   */
+  handleRoute(route) {
+    const current = route || this.router.match(localizePath('/', localeFromPath(window.location.pathname)));
+    if (current.locale !== this.locale) {
+      this.applyLocale(current.locale);
+    }
+    this.updateLanguageSwitch(current);
+
+    const handlers = {
+      home: () => this.showProducts(current),
+      category: () => this.showProducts(current),
+      product: () => this.showProductDetail(current.params.id),
+      order: () => this.showOrder(current),
+      account: () => this.showAccount(),
+      cart: () => this.showCart(),
+      checkout: () => this.showCheckout(),
+    };
+
+    if (current.name !== 'cart' && current.name !== 'checkout') {
+      this.returnPath = current.path;
+      this.closeOverlays();
+    }
+    handlers[current.name]();
+  }
+
+  /**
+   * Shop or category page; the listing is only refetched when its query changed
+   * @param {Object} route - home or category route
+   */
+  showProducts(route) {
+    const query = App.productQueryFromRoute(route);
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = query.q || '';
+
+    this.enterProductsView();
+
+    if (!this.productsLoaded) {
+      this.productQuery = query;
+      this.loadProducts();
+    } else if (App.productQueryUrl(query) !== App.productQueryUrl(this.productQuery)) {
+      this.reloadProducts(query);
+    } else {
+      this.render();
+    }
+  }
+
+  enterProductsView() {
+    this.view = 'products';
+    const { categorySlug } = this.productQuery;
+    this.setPageMeta(this.siteMeta(categorySlug ? `/category/${encodeURIComponent(categorySlug)}` : '/'));
+    this.clearPageSchemas();
+  }
+
+  /**
+   * Order status page: /order/:number?token=<token>, or /order for the lookup form
+   * @param {Object} route - order route
+   */
+  showOrder(route) {
+    this.view = 'order';
+    this.setPageMeta({ ...this.siteMeta('/order'), title: t('meta.orderTitle', { siteName: SITE_NAME }) });
+    this.clearPageSchemas();
+    this.render();
+
+    // Signed-in customers open their own orders without the status link
+    const number = route.params.number || null;
+    const token = route.query.get('token');
+    this.loadOrder(number, token ? { token } : { email: this.account.orderEmail(number) });
+  }
+
+  /**
+   * Customer account: sign-in forms, or order history and saved addresses
+   */
+  showAccount() {
+    this.view = 'account';
+    this.setPageMeta({ ...this.siteMeta('/account'), title: t('meta.accountTitle', { siteName: SITE_NAME }) });
+    this.clearPageSchemas();
+    this.render();
+    this.loadAccount();
+  }
+
+  /**
+   * Cart drawer, over the page it was opened from (the shop on a direct visit)
+   */
+  showCart() {
+    if (this.returnPath === null) {
+      this.handleRoute(this.router.match(localizePath('/')));
+    }
+    this.closeCheckout();
+    document.getElementById('cartOverlay')?.classList.add('open');
+    this.render();
+  }
+
+  /**
+   * Checkout panel; an empty cart has nothing to check out, so shows the cart instead
+   */
+  showCheckout() {
+    if (this.store.getCheckoutItems().length === 0) {
+      this.router.navigate(localizePath('/cart'), { replace: true });
+      return;
+    }
+    if (this.returnPath === null) {
+      this.handleRoute(this.router.match(localizePath('/')));
+    }
+    this.handleCheckout();
+  }
+
+  /**
+   * Switch the page to another language: the static text of index.html, and
+   * whatever was rendered in the previous one
+   * @param {string} locale - 'en' or 'fr'
+   */
+  applyLocale(locale) {
+    const first = this.locale === null;
+    this.locale = setLocale(locale);
+    if (first && locale === 'en') return; // index.html is already English
+
+    translateDocument();
+
+    // Re-render the product page, and rebuild the province and country names
+    const detail = document.getElementById('productDetailContent');
+    if (detail) detail.dataset.productId = '';
+    const cartProvince = document.getElementById('cartProvince');
+    if (cartProvince) cartProvince.length = 1;
+
+    const form = document.getElementById('checkoutForm');
+    if (form && form.dataset.ready) {
+      Array.from(form.elements.country.options).forEach(option => {
+        option.text = App.countryName(option.value);
+      });
+      this.populateRegions(form.elements.country.value, form.elements.province.value);
+      this.renderCheckoutSummary(this.checkout.quote);
+      this.renderPromoCode(this.checkout.quote);
+    }
+  }
+
+  /**
+   * Point the language switch at this page in the other language
+   * @param {Object} route - From Router.match
+   */
+  updateLanguageSwitch(route) {
+    const link = document.getElementById('langSwitch');
+    if (link) {
+      link.href = localizePath(stripLocale(route.path), t('lang.otherCode'));
+    }
+  }
+
+  /**
+   * Exchange rates for the currency picker; without them prices stay in CAD
+   */
+  async loadCurrencies() {
+    try {
+      const { rates } = await this.apiClient.getCurrencies();
+      setRates(rates);
+    } catch {
+      // Prices stay in CAD and the picker stays hidden
+      return;
+    }
+
+    const select = document.getElementById('currencySelect');
+    if (select) {
+      const currencies = availableCurrencies();
+      select.innerHTML = currencies.map(code => `<option value="${code}">${code}</option>`).join('');
+      select.classList.toggle('hidden', currencies.length < 2);
+      select.onchange = () => this.applyCurrency(select.value);
+    }
+    this.applyCurrency(this.store.currency);
+  }
+
+  /**
+   * Show prices in another currency; carts, orders and charges stay in CAD
+   * @param {string} currency - e.g. 'USD'; one without a rate shows CAD
+   */
+  applyCurrency(currency) {
+    const shown = setCurrency(currency);
+    this.store.setCurrency(shown);
+    this.store.saveToLocalStorage();
+
+    const select = document.getElementById('currencySelect');
+    if (select) select.value = shown;
+
+    // Re-render the product page along with everything else showing prices
+    const detail = document.getElementById('productDetailContent');
+    if (detail) detail.dataset.productId = '';
+    this.render();
+
+    if (document.getElementById('checkoutForm')?.dataset.ready) {
+      this.renderCheckoutSummary(this.checkout.quote);
+    }
+  }
+
+  /**
+   * Country name in the page's language ("United States", "États-Unis")
+   * @param {string} code - ISO 3166 code
+   * @returns {string}
+   */
+  static countryName(code) {
+    return new Intl.DisplayNames([intlLocale()], { type: 'region' }).of(code);
+  }
+
+  closeOverlays() {
+    document.getElementById('cartOverlay')?.classList.remove('open');
+    this.closeCheckout();
+  }
+
+  /**
+   * Cart and checkout open and close through their routes, so back/forward and
+   * shared links behave like any other page
+   */
+  initCartNavigation() {
+    const leave = () => this.router.navigate(this.returnPath || localizePath('/'));
+
+    document.getElementById('cartOpenBtn')?.addEventListener('click', () => this.router.navigate(localizePath('/cart')));
+    document.getElementById('cartClose')?.addEventListener('click', leave);
+    document.getElementById('continueShopping')?.addEventListener('click', leave);
+    document.getElementById('checkoutClose')?.addEventListener('click', leave);
+  }
+
+  /**
+   * First load of the listing (later queries go through reloadProducts)
+   */
+  async loadProducts() {
+    const query = this.productQuery;
     this.store.setLoading(true);
     this.store.clearError();
     this.render();
 
     try {
       // Load products from API
-      const response = await this.apiClient.getProducts();
+      const response = await this.apiClient.getProducts(this.productRequest());
+      if (query !== this.productQuery) return;
       const products = response.products || [];
 
-      if (!Array.isArray(products) || products.length === 0) {
-        throw new Error('No products available');
+      // An empty result is only an error when nothing narrows the catalog
+      if (!Array.isArray(products) || (products.length === 0 && !this.hasProductFilters())) {
+        throw new Error(t('products.none'));
       }
 
       this.store.setProducts(products);
-      this.store.loadFromLocalStorage();
-      this.isInitialized = true;
-      
+      this.setProductPaging(response);
+      this.productsLoaded = true;
+
       // Preload images for top 3 products (LCP optimization)
       this.preloadTopProductImages(products.slice(0, 3));
     } catch (err) {
-      console.error('App initialization error:', err);
-      this.store.setError(err.message);
+      this.store.setError(err.code === 'CATEGORY_NOT_FOUND' ? t('products.categoryNotFound') : err.message);
     } finally {
       this.store.setLoading(false);
       this.render();
@@ -90,150 +446,693 @@ export class App {
     });
   }
 
-  addToCart(productId) {
-    const product = this.store.getProduct(productId);
-    if (!product) {
-      this.store.setError('Product not found');
-      return;
-    }
+  /**
+   * GET /api/products parameters for the active query
+   * @param {string|null} cursor - nextCursor of the last loaded page
+   */
+  productRequest(cursor = null) {
+    return { ...this.productQuery, pageSize: PRODUCT_PAGE_SIZE, cursor };
+  }
 
-    try {
-      this.store.addToCart(product);
-      this.store.saveToLocalStorage();
-      this.render();
-    } catch (err) {
-      this.store.setError(err.message);
-      this.render();
+  setProductPaging(response) {
+    this.productPaging.total = response.total ?? this.store.products.length;
+    this.productPaging.nextCursor = response.nextCursor || null;
+    this.productPaging.error = null;
+    // Only first pages carry facets
+    if (response.facets) {
+      this.productFacets = response.facets;
     }
   }
 
   /**
-   * Debounced quantity update (INP <200ms optimization)
-   * Prevents excessive DOM updates during rapid interactions
-   * 
-   * @param {string} productId - Product ID
-   * @param {number} change - Quantity change (+1 or -1)
+   * Listing query from a shop or category route (/category/:slug?q=&sort=&size=M&size=L&minPrice=...)
+   * @param {Object|null} route - From Router.match
+   * @returns {Object} { q, sort, categorySlug, minPrice, maxPrice, category: [], size: [], ... }
    */
-  updateCartQuantity(productId, change) {
-    this.store.updateQuantity(productId, change);
-    this.store.saveToLocalStorage();
-    this.debouncedRender();
+  static productQueryFromRoute(route) {
+    const params = route ? route.query : new URLSearchParams();
+    const q = (params.get('q') || '').trim();
+    const query = {
+      q: q || undefined,
+      sort: params.get('sort') || (q ? 'relevance' : 'newest'),
+      categorySlug: route && route.name === 'category' ? route.params.slug : undefined,
+      minPrice: params.get('minPrice') || undefined,
+      maxPrice: params.get('maxPrice') || undefined,
+    };
+    FACETS.forEach(({ key }) => {
+      query[key] = params.getAll(key).filter(Boolean);
+    });
+    return query;
   }
 
-  removeCartItem(productId) {
-    this.store.removeFromCart(productId);
-    this.store.saveToLocalStorage();
-    this.render();
+  /**
+   * Address bar for a listing query: /category/:slug when it has one, else the shop
+   * (without the locale prefix)
+   * @param {Object} query
+   * @returns {string}
+   */
+  static productQueryUrl(query) {
+    const params = new URLSearchParams();
+    if (query.q) params.set('q', query.q);
+    if (query.sort !== (query.q ? 'relevance' : 'newest')) params.set('sort', query.sort);
+    FACETS.forEach(({ key }) => {
+      (query[key] || []).forEach(value => params.append(key, value));
+    });
+    if (query.minPrice) params.set('minPrice', query.minPrice);
+    if (query.maxPrice) params.set('maxPrice', query.maxPrice);
+
+    const path = query.categorySlug ? `/category/${encodeURIComponent(query.categorySlug)}` : '/';
+    const search = params.toString();
+    return `${path}${search ? `?${search}` : ''}`;
   }
 
+  hasProductFilters() {
+    const query = this.productQuery;
+    return Boolean(query.q || query.categorySlug || query.minPrice || query.maxPrice ||
+      FACETS.some(({ key }) => (query[key] || []).length > 0));
+  }
 
-  toggleCart() {
-    const cartOverlay = document.getElementById('cartOverlay');
-    if (cartOverlay) {
-      // Prevent layout shift by reserving space
-      cartOverlay.classList.toggle('open');
-      
-      // Use requestAnimationFrame to batch DOM updates
-      requestAnimationFrame(() => {
-        this.render();
+  /**
+   * Record a new listing query in the history and load it
+   * @param {Object} query
+   */
+  async applyProductQuery(query) {
+    const url = localizePath(App.productQueryUrl(query));
+    window.history.pushState({}, '', url);
+    this.returnPath = url;
+    // Searching from a product page returns to the listing
+    this.enterProductsView();
+    return this.reloadProducts(query);
+  }
+
+  /**
+   * Wire the facet sidebar (a drawer on small screens)
+   */
+  initFacets() {
+    const form = document.getElementById('facetForm');
+    if (!form || form.dataset.ready) return;
+    form.dataset.ready = 'true';
+
+    const facets = document.getElementById('productFacets');
+    const toggle = document.getElementById('facetsToggle');
+    const setDrawerOpen = open => {
+      facets?.classList.toggle('is-open', open);
+      toggle?.setAttribute('aria-expanded', open ? 'true' : 'false');
+    };
+
+    toggle?.addEventListener('click', () => setDrawerOpen(!facets.classList.contains('is-open')));
+    document.getElementById('facetsClose')?.addEventListener('click', () => setDrawerOpen(false));
+
+    form.addEventListener('change', () => this.applyProductQuery(this.readFacetForm(form)));
+    form.addEventListener('submit', e => e.preventDefault());
+
+    document.getElementById('facetsClear')?.addEventListener('click', () => {
+      const query = { ...this.productQuery, categorySlug: undefined, minPrice: undefined, maxPrice: undefined };
+      FACETS.forEach(({ key }) => {
+        query[key] = [];
       });
+      this.applyProductQuery(query);
+    });
+  }
+
+  /**
+   * Listing query from the facet checkboxes and price inputs (dollars → cents)
+   * @param {HTMLFormElement} form
+   * @returns {Object}
+   */
+  readFacetForm(form) {
+    // The category checkboxes include the one named by /category/:slug
+    const query = { ...this.productQuery, categorySlug: undefined };
+    FACETS.forEach(({ key }) => {
+      query[key] = Array.from(form.querySelectorAll(`input[name="${key}"]:checked`)).map(input => input.value);
+    });
+
+    const cents = value => (value === '' || Number(value) < 0 ? undefined : String(Math.round(Number(value) * 100)));
+    query.minPrice = cents(form.elements.minPrice.value);
+    query.maxPrice = cents(form.elements.maxPrice.value);
+    // Swap reversed bounds rather than failing the request
+    if (query.minPrice && query.maxPrice && Number(query.minPrice) > Number(query.maxPrice)) {
+      [query.minPrice, query.maxPrice] = [query.maxPrice, query.minPrice];
+    }
+    return query;
+  }
+
+  /**
+   * Facet checkboxes with counts, and the price inputs
+   */
+  renderFacets() {
+    const groups = document.getElementById('facetGroups');
+    const form = document.getElementById('facetForm');
+    if (!groups || !form || !this.productFacets) return;
+
+    // Keep keyboard focus on the checkbox that was just toggled
+    const focused = groups.contains(document.activeElement)
+      ? { name: document.activeElement.name, value: document.activeElement.value }
+      : null;
+
+    groups.innerHTML = FACETS
+      .filter(({ key }) => (this.productFacets[key] || []).length > 0)
+      .map(({ key }) => `
+        <fieldset class="facet-group">
+          <legend>${t(`facets.${key}`)}</legend>
+          ${this.productFacets[key].map(option => `
+            <label class="facet-option${option.count === 0 ? ' is-empty' : ''}">
+              <input type="checkbox" name="${key}" value="${escapeHtml(option.value)}" ${option.selected ? 'checked' : ''}>
+              <span>${escapeHtml(option.value)}</span>
+              <span class="facet-option-count">${option.count}</span>
+            </label>
+          `).join('')}
+        </fieldset>
+      `).join('');
+
+    if (focused) {
+      Array.from(groups.querySelectorAll(`input[name="${focused.name}"]`))
+        .find(input => input.value === focused.value)
+        ?.focus();
+    }
+
+    // Placeholders show the range on offer; a field being typed in is left alone
+    const { price } = this.productFacets;
+    const dollars = cents => (cents ? String(Number(cents) / 100) : '');
+    const { minPrice, maxPrice } = form.elements;
+    if (minPrice !== document.activeElement) minPrice.value = dollars(this.productQuery.minPrice);
+    if (maxPrice !== document.activeElement) maxPrice.value = dollars(this.productQuery.maxPrice);
+    minPrice.placeholder = price.min !== null ? String(Math.floor(price.min / 100)) : '';
+    maxPrice.placeholder = price.max !== null ? String(Math.ceil(price.max / 100)) : '';
+  }
+
+  /**
+   * Wire the sort select, "Load more" button and infinite scroll sentinel
+   */
+  initProductPager() {
+    const pager = document.getElementById('productPager');
+    if (!pager || pager.dataset.ready) return;
+    pager.dataset.ready = 'true';
+
+    document.getElementById('loadMoreProducts')?.addEventListener('click', () => this.loadMoreProducts());
+
+    const sortSelect = document.getElementById('productSort');
+    if (sortSelect) {
+      sortSelect.value = this.productQuery.sort;
+      sortSelect.addEventListener('change', () => this.changeProductSort(sortSelect.value));
+    }
+
+    // Start on the next page a little before the end of the grid scrolls into view;
+    // the button stays as the fallback (and for keyboard users)
+    const sentinel = document.getElementById('productPagerSentinel');
+    if (sentinel && 'IntersectionObserver' in window) {
+      this.productPagerObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.loadMoreProducts();
+        }
+      }, { rootMargin: '400px 0px' });
+      this.productPagerObserver.observe(sentinel);
     }
   }
 
-  async processCheckout(email) {
+  /**
+   * Append the next page of products
+   */
+  async loadMoreProducts() {
+    const paging = this.productPaging;
+    if (!paging.nextCursor || paging.loadingMore) return;
+
+    const query = this.productQuery;
+    paging.loadingMore = true;
+    this.renderProductPager();
+
     try {
-      const result = await this.checkout.processCheckout(email);
-      this.toggleCart();
+      const response = await this.apiClient.getProducts(this.productRequest(paging.nextCursor));
+      // The sort changed while this page was loading
+      if (query !== this.productQuery) return;
+
+      this.store.appendProducts(response.products || []);
+      this.setProductPaging(response);
+    } catch (err) {
+      paging.error = err.message;
+    } finally {
+      paging.loadingMore = false;
       this.render();
-      return result;
+    }
+  }
+
+  /**
+   * Reload the listing from the first page for a new query
+   * @param {Object} query - { sort, q }
+   * @returns {Promise<boolean>} false when a newer query replaced this one
+   */
+  async reloadProducts(query) {
+    this.productQuery = query;
+
+    try {
+      const response = await this.apiClient.getProducts(this.productRequest());
+      if (query !== this.productQuery) return false;
+
+      this.store.setProducts(response.products || []);
+      this.setProductPaging(response);
+      this.productsLoaded = true;
+      return true;
     } catch (err) {
       this.store.setError(err.message);
+      return false;
+    } finally {
       this.render();
-      throw err;
     }
   }
 
-  render() {
-    // Batch DOM updates to reduce reflows/repaints (INP optimization)
-    this.perfOptimizer.batchDOMUpdates(() => {
-      this.renderLoadingState();
-      this.renderErrorState();
-      this.renderProducts();
-      this.renderCart();
-    });
+  /**
+   * @param {string} sort - newest, price, price_desc, title or relevance (with a search)
+   */
+  async changeProductSort(sort) {
+    if (sort === this.productQuery.sort) return;
+    await this.applyProductQuery({ ...this.productQuery, sort });
   }
 
   /**
-   * Render loading state
-   * CLS prevention: Reserve space with fixed height
+   * Show the products matching a search, best match first
+   * @param {string} text - Search text; empty returns to the full catalog
+   * @param {string|null} productId - Suggestion the shopper picked, scrolled into view
    */
-  renderLoadingState() {
-    const loadingState = document.getElementById('loadingState');
-    if (loadingState) {
-      loadingState.classList.toggle('hidden', !this.store.loading);
+  async searchProducts(text, productId = null) {
+    const q = text.trim();
+    this.closeSearchSuggestions();
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = q;
+
+    const loaded = await this.applyProductQuery(q
+      ? { ...this.productQuery, q, sort: 'relevance' }
+      : { ...this.productQuery, q: undefined, sort: 'newest' });
+
+    if (loaded && productId) {
+      const grid = document.getElementById('productGrid');
+      grid?.querySelector(`.product[data-product-id="${CSS.escape(String(productId))}"]`)
+        ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
   }
 
   /**
-   * Render error state
+   * Wire the header search box: debounced suggestions, keyboard navigation, submit
    */
-  renderErrorState() {
-    const errorState = document.getElementById('errorState');
-    const errorMsg = document.getElementById('errorMsg');
-    if (errorState) {
-      errorState.classList.toggle('hidden', !this.store.error);
-      if (errorMsg && this.store.error) {
-        errorMsg.textContent = this.store.error;
+  initSearch() {
+    const form = document.getElementById('searchForm');
+    const input = document.getElementById('searchInput');
+    const list = document.getElementById('searchSuggestions');
+    if (!form || !input || !list || form.dataset.ready) return;
+    form.dataset.ready = 'true';
+    input.value = this.productQuery.q || '';
+
+    input.addEventListener('input', () => this.debouncedSearchSuggest(input.value));
+
+    input.addEventListener('keydown', e => {
+      const { suggestions, activeIndex } = this.searchState;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (suggestions.length === 0) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.searchState.activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+        this.renderSearchSuggestions();
+      } else if (e.key === 'Escape') {
+        this.closeSearchSuggestions();
       }
-    }
+    });
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const active = this.searchState.suggestions[this.searchState.activeIndex];
+      this.searchProducts(input.value, active ? active.id : null);
+    });
+
+    // mousedown fires before the input's blur closes the list
+    list.addEventListener('mousedown', e => {
+      const option = e.target.closest('.search-suggestion');
+      if (!option) return;
+      e.preventDefault();
+      this.searchProducts(input.value, option.dataset.productId);
+    });
+
+    input.addEventListener('blur', () => this.closeSearchSuggestions());
+
+    document.getElementById('searchClear')?.addEventListener('click', () => this.searchProducts(''));
   }
 
   /**
-   * Render products with optimized images (LCP <2.5s)
-   * Set explicit dimensions to prevent CLS
+   * Fetch suggestions for the text in the search box
+   * @param {string} text
    */
-  renderProducts() {
-    const productsView = document.getElementById('productsView');
-    const grid = document.getElementById('productGrid');
-    
-    if (productsView && !this.store.loading && !this.store.error) {
-      productsView.classList.remove('hidden');
-      
-      if (grid) {
-        const itemCount = document.getElementById('itemCount');
-        if (itemCount) {
-          itemCount.textContent = `${this.store.products.length} Items`;
-        }
+  async loadSearchSuggestions(text) {
+    const q = text.trim();
+    const requestId = ++this.searchState.requestId;
 
-        grid.innerHTML = this.store.products
-          .map((p, index) => this.productCardHTML(p, index))
-          .join('');
+    if (q.length < SEARCH_MIN_LENGTH) {
+      this.closeSearchSuggestions();
+      return;
+    }
 
-        // Add event listeners with debounce for INP
-        grid.querySelectorAll('.add-cart-btn').forEach(btn => {
-          btn.addEventListener('click', e => {
-            e.stopPropagation();
-            const productId = btn.dataset.productId;
-            // Use debounce for cart addition
-            this.addToCart(productId);
-          });
-        });
-        
-        // Initialize lazy loading for below-the-fold images
-        this.imageOptimizer.initLazyLoading();
-        
-        // Initialize gallery thumbnails (if using gallery cards)
-        requestAnimationFrame(() => {
-          this.initializeAllGalleries();
-        });
-      }
-    } else if (productsView) {
-      productsView.classList.add('hidden');
+    try {
+      const response = await this.apiClient.searchProducts(q, { limit: SEARCH_SUGGESTION_LIMIT });
+      // A later keystroke has its own request in flight
+      if (requestId !== this.searchState.requestId) return;
+
+      this.searchState.suggestions = response.products || [];
+      this.searchState.activeIndex = -1;
+      this.renderSearchSuggestions();
+    } catch {
+      // Suggestions are a shortcut; submitting the search still works
+      this.closeSearchSuggestions();
     }
   }
 
-  /**
-   * Initialize all product galleries on page
+  closeSearchSuggestions() {
+    this.searchState.requestId += 1;
+    this.searchState.suggestions = [];
+    this.searchState.activeIndex = -1;
+    this.renderSearchSuggestions();
+  }
+
+  renderSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    const list = document.getElementById('searchSuggestions');
+    if (!input || !list) return;
+
+    const { suggestions, activeIndex } = this.searchState;
+    list.classList.toggle('hidden', suggestions.length === 0);
+    input.setAttribute('aria-expanded', suggestions.length > 0 ? 'true' : 'false');
+
+    list.innerHTML = suggestions.map(localizeProduct).map((product, index) => `
+      <li
+        class="search-suggestion"
+        id="searchSuggestion-${index}"
+        role="option"
+        aria-selected="${index === activeIndex}"
+        data-product-id="${escapeHtml(String(product.id))}"
+      >
+        ${product.image ? `<img src="${escapeHtml(product.image)}" alt="" width="32" height="40" loading="lazy">` : ''}
+        <span class="search-suggestion-title">${escapeHtml(product.title || '')}</span>
+        <span class="search-suggestion-price">${formatPrice(product.price || 0)}</span>
+      </li>
+    `).join('');
+
+    if (activeIndex >= 0) {
+      input.setAttribute('aria-activedescendant', `searchSuggestion-${activeIndex}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * @param {string} productId
+   * @param {string|null} variantId - Picked variant; the first available one otherwise
+   * @param {Object} product - Product data, for products outside the loaded listing
+   */
+  addToCart(productId, variantId = null, product = this.store.getProduct(productId)) {
+    if (!product) {
+      this.store.setError(t('product.notFound'));
+      return;
+    }
+
+    try {
+      this.store.addToCart(localizeProduct(product), variantId);
+      this.cartChanged();
+      this.render();
+    } catch (err) {
+      this.store.setError(err.message);
+      this.render();
+    }
+  }
+
+  /**
+   * Debounced quantity update (INP <200ms optimization)
+   * Prevents excessive DOM updates during rapid interactions
+   * 
+   * @param {string} lineKey - Cart line key (product + variant)
+   * @param {number} change - Quantity change (+1 or -1)
+   */
+  updateCartQuantity(lineKey, change) {
+    this.store.updateQuantity(lineKey, change);
+    this.cartChanged();
+    this.debouncedRender();
+  }
+
+  removeCartItem(lineKey) {
+    this.store.removeFromCart(lineKey);
+    this.cartChanged();
+    this.render();
+  }
+
+  /**
+   * Keep a cart change locally and save it to the server once the shopper pauses
+   */
+  cartChanged() {
+    this.cartRevision++;
+    this.store.saveToLocalStorage();
+    this.debouncedCartSave();
+  }
+
+  /**
+   * Save the cart; lines found deleted on the last load aren't saved again
+   */
+  async saveCart() {
+    const revision = this.cartRevision;
+    const items = this.store.cart.filter(item => item.status !== 'removed');
+
+    try {
+      const { cart } = await this.apiClient.saveCart(items);
+      if (revision === this.cartRevision) {
+        this.applyServerCart(cart);
+      } else if (cart.token) {
+        this.setCartToken(cart.token);
+      }
+    } catch {
+      // The cart is kept in the browser; the next change saves it again
+    }
+  }
+
+  /**
+   * Load the saved cart (on page load, sign-in and sign-out), revalidated against
+   * the catalog; a guest cart is merged into the account cart on sign-in
+   * @param {Object} options
+   * @param {boolean} options.signedIn - The customer just signed in on this page
+   */
+  async syncCart({ signedIn = false } = {}) {
+    const revision = this.cartRevision;
+    const isSignedIn = this.account.isSignedIn();
+
+    try {
+      if (this.cartCheckedOut) {
+        await this.apiClient.deleteCart();
+        this.cartCheckedOut = false;
+        if (!isSignedIn) this.setCartToken(null);
+      }
+
+      const merge = isSignedIn && Boolean(this.store.cartToken);
+      let { cart } = merge ? await this.apiClient.mergeCart() : await this.apiClient.getCart();
+      if (merge) this.setCartToken(null);
+
+      // Lines added before there was a saved cart to put them in
+      const unsaved = signedIn ? !merge : !isSignedIn && !this.store.cartToken;
+      if (unsaved && cart.items.length === 0 && this.store.cart.length > 0) {
+        ({ cart } = await this.apiClient.saveCart(this.store.cart));
+      }
+
+      if (revision === this.cartRevision) {
+        this.applyServerCart(cart);
+      }
+    } catch {
+      // Carry on with the cart in the browser
+    }
+  }
+
+  /**
+   * Put back the cart of an abandoned cart reminder's link; its token is kept
+   * for the order, which it is credited with (and gets its discount, if any)
+   * @param {string} token
+   */
+  async restoreCart(token) {
+    try {
+      const { cart, discountPercent } = await this.apiClient.restoreCart(token);
+      this.store.setCartFromServer(cart.items);
+      this.store.setRecovery({ token, discountPercent });
+      this.cartChanged();
+      this.render();
+    } catch {
+      this.store.setError(t('cart.restoreFailed'));
+      this.render();
+    }
+  }
+
+  applyServerCart(cart) {
+    if (cart.token) this.setCartToken(cart.token);
+    this.store.setCartFromServer(cart.items);
+    this.store.saveToLocalStorage();
+    this.render();
+  }
+
+  setCartToken(token) {
+    this.store.setCartToken(token);
+    this.apiClient.setCartToken(token);
+  }
+
+
+  toggleCart() {
+    const cartOverlay = document.getElementById('cartOverlay');
+    if (cartOverlay) {
+      // Prevent layout shift by reserving space
+      cartOverlay.classList.toggle('open');
+      
+      // Use requestAnimationFrame to batch DOM updates
+      requestAnimationFrame(() => {
+        this.render();
+      });
+    }
+  }
+
+  async processCheckout(email, address) {
+    try {
+      const result = await this.checkout.processCheckout(email, address);
+      this.render();
+      return result;
+    } catch (err) {
+      this.store.setError(err.message);
+      this.render();
+      throw err;
+    }
+  }
+
+  render() {
+    // Batch DOM updates to reduce reflows/repaints (INP optimization)
+    this.perfOptimizer.batchDOMUpdates(() => {
+      this.renderLoadingState();
+      this.renderErrorState();
+      this.renderProducts();
+      this.renderProductDetail();
+      this.renderOrderView();
+      this.renderAccountView();
+      this.renderCart();
+    });
+  }
+
+  /**
+   * Render loading state
+   * CLS prevention: Reserve space with fixed height
+   */
+  renderLoadingState() {
+    const loadingState = document.getElementById('loadingState');
+    if (loadingState) {
+      loadingState.classList.toggle('hidden', !this.store.loading || this.view !== 'products');
+    }
+  }
+
+  /**
+   * Render error state
+   */
+  renderErrorState() {
+    const errorState = document.getElementById('errorState');
+    const errorMsg = document.getElementById('errorMsg');
+    if (errorState) {
+      errorState.classList.toggle('hidden', !this.store.error || this.view !== 'products');
+      if (errorMsg && this.store.error) {
+        errorMsg.textContent = this.store.error;
+      }
+    }
+  }
+
+  /**
+   * Render products with optimized images (LCP <2.5s)
+   * Set explicit dimensions to prevent CLS
+   */
+  renderProducts() {
+    const productsView = document.getElementById('productsView');
+    const grid = document.getElementById('productGrid');
+    
+    if (productsView && this.view === 'products' && !this.store.loading && !this.store.error) {
+      productsView.classList.remove('hidden');
+      
+      if (grid) {
+        const itemCount = document.getElementById('itemCount');
+        const { q, sort } = this.productQuery;
+        if (itemCount) {
+          const { total } = this.productPaging;
+          const loaded = this.store.products.length;
+          const shown = loaded < total ? t('products.shown', { loaded, total }) : `${loaded}`;
+          itemCount.textContent = q
+            ? t('products.results', { count: total, shown, q })
+            : t('products.items', { count: total, shown });
+        }
+
+        document.getElementById('searchClear')?.classList.toggle('hidden', !q);
+        const sortSelect = document.getElementById('productSort');
+        if (sortSelect) {
+          sortSelect.querySelector('option[value="relevance"]').hidden = !q;
+          sortSelect.value = sort;
+        }
+
+        grid.innerHTML = this.store.products.length > 0
+          ? this.store.products.map((p, index) => this.productCardHTML(p, index)).join('')
+          : `<p class="grid-empty">${q ? t('products.noMatchQuery', { q: escapeHtml(q) }) : t('products.noMatch')}</p>`;
+
+        // Add event listeners with debounce for INP
+        grid.querySelectorAll('.add-cart-btn').forEach(btn => {
+          btn.addEventListener('click', e => {
+            e.stopPropagation();
+            const productId = btn.dataset.productId;
+            const picker = grid.querySelector(`.variant-select[data-product-id="${productId}"]`);
+            // Use debounce for cart addition
+            this.addToCart(productId, picker ? picker.value : null);
+          });
+        });
+
+        // Show the selected variant's price
+        grid.querySelectorAll('.variant-select').forEach(picker => {
+          picker.addEventListener('change', () => {
+            const product = this.store.getProduct(picker.dataset.productId);
+            const variant = product && this.store.getVariant(product, picker.value);
+            const priceEl = picker.closest('.product').querySelector('.product-price');
+            if (variant && priceEl) {
+              priceEl.textContent = formatPrice(variant.price);
+            }
+          });
+        });
+        
+        this.renderProductPager();
+        this.renderFacets();
+
+        // Initialize lazy loading for below-the-fold images
+        this.imageOptimizer.initLazyLoading();
+        
+        // Initialize gallery thumbnails (if using gallery cards)
+        requestAnimationFrame(() => {
+          this.initializeAllGalleries();
+        });
+      }
+    } else if (productsView) {
+      productsView.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show the pager while more pages remain
+   */
+  renderProductPager() {
+    const pager = document.getElementById('productPager');
+    const button = document.getElementById('loadMoreProducts');
+    if (!pager) return;
+
+    const { nextCursor, loadingMore, error } = this.productPaging;
+    pager.classList.toggle('hidden', !nextCursor);
+
+    if (button) {
+      button.disabled = loadingMore;
+      if (loadingMore) {
+        button.textContent = t('products.loadingMore');
+      } else {
+        button.textContent = t(error ? 'products.tryAgain' : 'products.loadMore');
+      }
+    }
+  }
+
+  /**
+   * Initialize all product galleries on page
    * Handles thumbnail navigation and zoom functionality
    */
   initializeAllGalleries() {
@@ -267,12 +1166,16 @@ export class App {
    * @param {number} index - Product index (0-based)
    */
   productCardHTML(product, index = 0) {
+    product = localizeProduct(product);
+    const productUrl = localizePath(`/product/${encodeURIComponent(product.id)}`);
     const imageUrl = product.image_url || 'https://via.placeholder.com/400x500?text=Product';
     const isHeroImage = index < 3; // First 3 images not lazy-loaded (LCP)
+    const variant = this.store.getVariant(product);
     
     return `
-      <div class="product">
+      <div class="product" data-product-id="${product.id}">
         <div class="product-image">
+          <a href="${productUrl}" class="product-link" tabindex="-1" aria-hidden="true">
           <img 
             src="${isHeroImage ? this.imageOptimizer.getOptimizedUrl(imageUrl, 400, 500) : ''}"
             ${!isHeroImage ? `data-src="${this.imageOptimizer.getOptimizedUrl(imageUrl, 400, 500)}"` : ''}
@@ -286,16 +1189,44 @@ export class App {
             style="aspect-ratio: 400/500;"
             ${!isHeroImage ? 'data-lazy="true"' : ''}
           >
+          </a>
           <div class="product-overlay">
-            <button class="add-cart-btn" data-product-id="${product.id}">Add to Cart</button>
+            <button class="add-cart-btn" data-product-id="${product.id}">${t('product.addToCart')}</button>
           </div>
         </div>
-        <h3 class="product-title">${product.title || 'Untitled'}</h3>
-        <p class="product-price">${formatPrice(product.price_cents || 0)}</p>
+        <h3 class="product-title"><a href="${productUrl}">${product.title || t('product.untitled')}</a></h3>
+        <p class="product-price">${formatPrice(variant ? variant.price : product.price || 0)}</p>
+        ${this.variantPickerHTML(product, variant)}
       </div>
     `;
   }
 
+  /**
+   * Size/colour picker for products with more than one variant
+   * Unavailable variants stay listed but can't be selected
+   *
+   * @param {Object} product - Product data
+   * @param {Object} selected - Initially selected variant
+   */
+  variantPickerHTML(product, selected) {
+    const variants = product.variants || [];
+    if (variants.length <= 1) return '';
+
+    const options = variants
+      .map(v => `
+        <option value="${v.id}"${selected && v.id === selected.id ? ' selected' : ''}${v.available === false ? ' disabled' : ''}>
+          ${v.available === false ? t('product.soldOut', { title: v.title }) : v.title}
+        </option>
+      `)
+      .join('');
+
+    return `
+      <select class="variant-select" data-product-id="${product.id}" aria-label="${t('product.chooseOption', { title: product.title })}">
+        ${options}
+      </select>
+    `;
+  }
+
   /**
    * Product card with multi-angle gallery
    * Used for detailed product pages or gallery view
@@ -343,7 +1274,7 @@ export class App {
     this.schemaManager.injectComprehensiveGallerySchema({
       productId: product.id,
       productName: product.title,
-      productUrl: `https://canadaclothes.ca/#product/${product.id}`,
+      productUrl: `https://canadaclothes.ca/product/${product.id}`,
       productDescription: product.description || '',
       imageCollection: allImages,
       color: product.color || '',
@@ -355,9 +1286,9 @@ export class App {
     return `
       <div class="product-with-gallery">
         ${galleryHTML}
-        <h3 class="product-title">${product.title || 'Untitled'}</h3>
+        <h3 class="product-title">${product.title || t('product.untitled')}</h3>
         <p class="product-price">${formatPrice(product.price_cents || 0)}</p>
-        <button class="add-cart-btn" data-product-id="${product.id}">Add to Cart</button>
+        <button class="add-cart-btn" data-product-id="${product.id}">${t('product.addToCart')}</button>
       </div>
     `;
   }
@@ -398,9 +1329,17 @@ export class App {
     }
 
     if (cartTotal) {
-      cartTotal.textContent = formatPrice(this.store.getCartTotal() * 100);
+      cartTotal.textContent = formatAmount(this.store.getCartGrandTotal());
+    }
+
+    const cartCharge = document.getElementById('cartCharge');
+    if (cartCharge) {
+      cartCharge.textContent = this.chargeNote(this.store.getCartGrandTotal());
+      cartCharge.classList.toggle('hidden', !cartCharge.textContent);
     }
 
+    this.renderCartTaxes();
+
     if (cartBadge) {
       cartBadge.classList.toggle('hidden', this.store.cart.length === 0);
     }
@@ -420,28 +1359,81 @@ export class App {
         cartItemsList.querySelectorAll('.qty-btn').forEach(btn => {
           btn.addEventListener('click', e => {
             e.stopPropagation();
-            const productId = btn.dataset.productId;
+            const lineKey = btn.dataset.lineKey;
             const change = parseInt(btn.dataset.change);
             // Use debounced update to prevent rapid re-renders
-            this.debouncedQuantityUpdate(productId, change);
+            this.debouncedQuantityUpdate(lineKey, change);
           });
         });
 
         cartItemsList.querySelectorAll('.remove-btn').forEach(btn => {
           btn.addEventListener('click', e => {
             e.stopPropagation();
-            const productId = btn.dataset.productId;
-            this.removeCartItem(productId);
+            const lineKey = btn.dataset.lineKey;
+            this.removeCartItem(lineKey);
           });
         });
       }
     }
 
     if (checkoutBtn) {
-      checkoutBtn.disabled = this.store.cart.length === 0 || this.checkout.isProcessing;
-      checkoutBtn.textContent = this.checkout.isProcessing ? 'Processing...' : 'Proceed to Checkout';
+      checkoutBtn.disabled = this.store.getCheckoutItems().length === 0 || this.checkout.isProcessing;
+      checkoutBtn.textContent = t(this.checkout.isProcessing ? 'cart.processing' : 'cart.checkout');
+
+      checkoutBtn.onclick = () => this.router.navigate(localizePath('/checkout'));
+    }
+  }
+
+  /**
+   * Render province picker, subtotal and per-tax lines in the cart footer
+   */
+  renderCartTaxes() {
+    const provinceSelect = document.getElementById('cartProvince');
+    const cartSubtotal = document.getElementById('cartSubtotal');
+    const cartTaxes = document.getElementById('cartTaxes');
+    const cartHint = document.getElementById('cartHint');
+
+    if (provinceSelect) {
+      // Options are built from the tax module's province list (again when the language changes)
+      if (provinceSelect.options.length <= 1) {
+        Object.keys(PROVINCES).forEach(code => {
+          provinceSelect.add(new Option(t(`provinces.${code}`), code));
+        });
+        provinceSelect.onchange = () => {
+          this.store.setProvince(provinceSelect.value);
+          this.store.saveToLocalStorage();
+          this.render();
+        };
+      }
+      provinceSelect.value = this.store.province || '';
+    }
+
+    if (cartSubtotal) {
+      cartSubtotal.textContent = formatAmount(this.store.getCartTotal());
+    }
+
+    const tax = this.store.getCartTax();
 
-      checkoutBtn.onclick = () => this.handleCheckout();
+    if (cartTaxes) {
+      cartTaxes.innerHTML = (tax ? tax.lines : [])
+        .map(line => `
+          <div class="cart-tax-line">
+            <span>${taxLabel(line)}</span>
+            <span>${formatAmount(line.amount)}</span>
+          </div>
+        `)
+        .join('');
+    }
+
+    if (cartHint) {
+      cartHint.textContent = t(tax ? 'cart.shippingHint' : 'cart.hint');
+    }
+
+    const cartDiscount = document.getElementById('cartDiscount');
+    if (cartDiscount) {
+      const percent = this.store.recovery?.discountPercent;
+      cartDiscount.textContent = percent ? t('cart.recoveryDiscount', { percent }) : '';
+      cartDiscount.classList.toggle('hidden', !percent);
     }
   }
 
@@ -449,8 +1441,9 @@ export class App {
    * Cart item HTML with explicit dimensions (CLS prevention)
    */
   cartItemHTML(item) {
+    const purchasable = Store.isPurchasable(item);
     return `
-      <div class="cart-item">
+      <div class="cart-item${purchasable ? '' : ' is-unavailable'}">
         <div class="item-image">
           <img 
             src="${item.image}"
@@ -465,37 +1458,1115 @@ export class App {
         <div class="item-details">
           <div class="item-header">
             <h3 class="item-title">${item.title}</h3>
-            <span class="item-price">${formatPrice(item.total * 100)}</span>
+            <span class="item-price">${formatPrice(item.price, { quantity: item.qty })}</span>
           </div>
-          <p class="item-variant">1 Size</p>
+          <p class="item-variant">${item.variantTitle || t('cart.oneSize')}</p>
+          ${this.cartLineNoticeHTML(item)}
           <div class="item-controls">
-            <div class="qty-control">
-              <button class="qty-btn" data-product-id="${item.id}" data-change="-1" aria-label="Decrease quantity">−</button>
+            <div class="qty-control${purchasable ? '' : ' hidden'}">
+              <button class="qty-btn" data-line-key="${item.key}" data-change="-1" aria-label="${t('cart.decrease')}">−</button>
               <span class="qty-display" aria-live="polite">${item.qty}</span>
-              <button class="qty-btn" data-product-id="${item.id}" data-change="1" aria-label="Increase quantity">+</button>
+              <button class="qty-btn" data-line-key="${item.key}" data-change="1" aria-label="${t('cart.increase')}">+</button>
             </div>
-            <button class="remove-btn" data-product-id="${item.id}" aria-label="Remove item">Remove</button>
+            <button class="remove-btn" data-line-key="${item.key}" aria-label="${t('cart.removeLabel')}">${t('cart.remove')}</button>
           </div>
         </div>
       </div>
     `;
   }
 
-  async handleCheckout() {
-    const email = prompt('Please enter your email to confirm the order:');
-    if (!email) return;
+  /**
+   * What changed about a saved cart line since the shopper last saw it
+   */
+  cartLineNoticeHTML(item) {
+    const notices = {
+      price_changed: () => t('cart.priceChanged', { price: formatPrice(item.previousPrice) }),
+      unavailable: () => t('cart.unavailable'),
+      removed: () => t('cart.removed'),
+    };
+    const notice = notices[item.status];
+    return notice ? `<p class="item-notice" role="status">${notice()}</p>` : '';
+  }
+
+  /**
+   * Open the checkout step: shipping address, then shipping/tax summary
+   */
+  handleCheckout() {
+    const overlay = document.getElementById('checkoutOverlay');
+    if (!overlay) return;
+
+    this.initCheckoutForm();
+    document.getElementById('cartOverlay')?.classList.remove('open');
+    overlay.classList.add('open');
+    this.refreshCheckoutQuote();
+    this.prefillCheckout();
+  }
+
+  closeCheckout() {
+    document.getElementById('checkoutOverlay')?.classList.remove('open');
+  }
+
+  /**
+   * Wire up the checkout form once (country/province options, live quotes)
+   */
+  initCheckoutForm() {
+    const form = document.getElementById('checkoutForm');
+    if (!form || form.dataset.ready) return;
+    form.dataset.ready = 'true';
+
+    const countrySelect = form.elements.country;
+    Object.keys(COUNTRIES).forEach(code => {
+      countrySelect.add(new Option(App.countryName(code), code));
+    });
+    this.populateRegions('CA', this.store.province);
+
+    countrySelect.addEventListener('change', () => {
+      this.populateRegions(countrySelect.value);
+      this.debouncedCheckoutQuote();
+    });
+    // The discount code is only sent when applied
+    form.addEventListener('input', e => {
+      if (e.target.name !== 'promoCode') this.debouncedCheckoutQuote();
+    });
+    form.addEventListener('submit', e => this.submitCheckout(e));
+
+    const promoInput = form.elements.promoCode;
+    document.getElementById('promoCodeBtn')?.addEventListener('click', () => {
+      if (this.store.promoCode) {
+        this.removePromoCode();
+      } else {
+        this.applyPromoCode(promoInput.value);
+      }
+    });
+    promoInput?.addEventListener('keydown', e => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      this.applyPromoCode(promoInput.value);
+    });
+    this.renderPromoCode(null);
+
+    const savedSelect = document.getElementById('checkoutSavedAddress');
+    savedSelect?.addEventListener('change', () => {
+      const saved = (this.account.addresses || []).find(a => a.id === savedSelect.value);
+      if (saved) {
+        this.fillCheckoutAddress(saved.address);
+        this.refreshCheckoutQuote();
+      }
+    });
+  }
+
+  /**
+   * Signed-in customers: their email, saved addresses to pick from (the
+   * default filled in if the form is empty) and the option to save a new one
+   */
+  async prefillCheckout() {
+    const form = document.getElementById('checkoutForm');
+    const savedField = document.getElementById('checkoutSavedAddressField');
+    const saveField = document.getElementById('checkoutSaveAddressField');
+    if (!form) return;
+
+    const user = this.account.getUser();
+    savedField?.classList.add('hidden');
+    saveField?.classList.toggle('hidden', !user);
+    if (!user) return;
+
+    if (!form.elements.email.value) form.elements.email.value = user.email;
 
     try {
-      const result = await this.processCheckout(email);
-      alert(`Order placed successfully! Order ID: ${result.orderId}`);
-    } catch (err) {
-      alert(`Checkout failed: ${err.message}`);
+      if (!this.account.addresses) await this.account.loadAddresses();
+    } catch {
+      // The address can still be typed in
+      return;
+    }
+
+    const addresses = this.account.addresses;
+    const select = document.getElementById('checkoutSavedAddress');
+    if (select && addresses.length > 0) {
+      select.innerHTML = '';
+      select.add(new Option(t('checkout.newAddress'), ''));
+      addresses.forEach(saved => select.add(new Option(App.addressSummary(saved.address), saved.id)));
+      savedField.classList.remove('hidden');
+    }
+
+    const { address } = this.getCheckoutFormData();
+    if (addresses.length > 0 && !address.name && !address.line1 && !address.postalCode) {
+      if (select) select.value = addresses[0].id;
+      this.fillCheckoutAddress(addresses[0].address);
+      this.refreshCheckoutQuote();
     }
   }
 
-  retryInit() {
-    this.store.clearError();
-    this.init();
+  /**
+   * Put an address into the checkout form
+   * @param {Object} address - Normalized address (src/js/address.js)
+   */
+  fillCheckoutAddress(address) {
+    const form = document.getElementById('checkoutForm');
+    ['name', 'line1', 'line2', 'city', 'postalCode', 'phone'].forEach(field => {
+      if (form.elements[field]) form.elements[field].value = address[field] || '';
+    });
+    form.elements.country.value = address.country || 'CA';
+    this.populateRegions(form.elements.country.value, address.province);
+  }
+
+  /**
+   * One-line address, for pickers
+   * @param {Object} address
+   * @returns {string}
+   */
+  static addressSummary(address) {
+    return [address.name, address.line1, address.city, address.province].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Fill the province/state select for a country
+   * @param {string} country - 'CA' or 'US'
+   * @param {string} selected - Code to preselect
+   */
+  populateRegions(country, selected = '') {
+    const provinceSelect = document.getElementById('checkoutProvince');
+    const provinceLabel = document.getElementById('checkoutProvinceLabel');
+    const postalLabel = document.getElementById('checkoutPostalLabel');
+    if (!provinceSelect) return;
+
+    provinceSelect.innerHTML = '';
+    provinceSelect.add(new Option(t(country === 'US' ? 'checkout.selectState' : 'checkout.selectProvince'), ''));
+    Object.entries(getRegions(country)).forEach(([code, name]) => {
+      // US states keep their English names
+      provinceSelect.add(new Option(country === 'US' ? name : t(`provinces.${code}`), code));
+    });
+    provinceSelect.value = selected || '';
+
+    if (provinceLabel) provinceLabel.textContent = t(country === 'US' ? 'checkout.state' : 'checkout.province');
+    if (postalLabel) postalLabel.textContent = t(country === 'US' ? 'checkout.zipCode' : 'checkout.postalCode');
+  }
+
+  getCheckoutFormData() {
+    const form = document.getElementById('checkoutForm');
+    const value = name => (form.elements[name] ? form.elements[name].value : '');
+
+    return {
+      email: value('email').trim(),
+      address: {
+        name: value('name'),
+        line1: value('line1'),
+        line2: value('line2'),
+        city: value('city'),
+        province: value('province'),
+        postalCode: value('postalCode'),
+        country: value('country'),
+        phone: value('phone'),
+      },
+    };
+  }
+
+  /**
+   * Show field errors; before the first submit only for fields with input
+   * @param {Object} errors - Field name → message
+   */
+  renderCheckoutErrors(errors) {
+    const form = document.getElementById('checkoutForm');
+    if (!form) return;
+    const showAll = form.dataset.submitted === 'true';
+
+    form.querySelectorAll('.field-error').forEach(el => {
+      const field = el.dataset.field;
+      const input = form.elements[field];
+      const visible = errors[field] && (showAll || (input && input.value));
+      el.textContent = visible ? errors[field] : '';
+      if (input) input.setAttribute('aria-invalid', visible ? 'true' : 'false');
+    });
+  }
+
+  async refreshCheckoutQuote() {
+    const placeOrderBtn = document.getElementById('placeOrderBtn');
+    const { email, address } = this.getCheckoutFormData();
+    const { valid, errors } = validateAddress(address);
+
+    this.renderCheckoutErrors(errors);
+
+    if (!valid || this.store.getCheckoutItems().length === 0) {
+      this.checkout.quote = null;
+      this.renderCheckoutSummary(null);
+      if (placeOrderBtn) placeOrderBtn.disabled = true;
+      return;
+    }
+
+    try {
+      const quote = await this.checkout.fetchQuote(address, { email: validateEmail(email) ? email : null });
+      this.renderCheckoutSummary(quote);
+      this.renderPromoCode(quote);
+      if (placeOrderBtn) placeOrderBtn.disabled = !quote;
+      this.renderCart();
+    } catch (err) {
+      if (this.rejectPromoCode(err)) return;
+      this.renderCheckoutErrors(err.code === 'INVALID_ADDRESS' ? err.details || {} : {});
+      this.showCheckoutError(err.message);
+      if (placeOrderBtn) placeOrderBtn.disabled = true;
+    }
+  }
+
+  /**
+   * Apply a discount code: it's kept with the cart and checked by the next quote
+   * @param {string} code - As typed
+   */
+  applyPromoCode(code) {
+    this.store.setPromoCode(code);
+    if (!this.store.promoCode) return;
+    this.store.saveToLocalStorage();
+    this.renderPromoCode(null);
+    this.refreshCheckoutQuote();
+  }
+
+  removePromoCode() {
+    this.store.setPromoCode(null);
+    this.store.saveToLocalStorage();
+    const input = document.getElementById('promoCodeInput');
+    if (input) input.value = '';
+    this.renderPromoCode(null);
+    this.refreshCheckoutQuote();
+  }
+
+  /**
+   * Drop a code the server refused, say why and quote again without it
+   * @param {Error} err - From the quote or checkout request
+   * @returns {boolean} Whether the error was about the code
+   */
+  rejectPromoCode(err) {
+    if (err.code !== 'INVALID_PROMO_CODE' && err.code !== 'DISCOUNT_UNAVAILABLE') return false;
+
+    const { reason, minSubtotal } = err.details || {};
+    let message = t(`checkout.promoErrors.${reason}`);
+    if (err.code === 'DISCOUNT_UNAVAILABLE') {
+      message = t('checkout.promoErrors.unavailable');
+    } else if (reason === 'min_subtotal') {
+      message = t('checkout.promoErrors.min_subtotal', { amount: formatAmount(minSubtotal) });
+    } else if (message === `checkout.promoErrors.${reason}`) {
+      message = err.message;
+    }
+
+    // A used-up reminder discount isn't the code's fault; without a code, drop the reminder's
+    if (err.code === 'DISCOUNT_UNAVAILABLE' && !this.store.promoCode) {
+      this.store.setRecovery({ ...this.store.recovery, discountPercent: null });
+    }
+    this.store.setPromoCode(null);
+    this.store.saveToLocalStorage();
+    this.renderPromoCode(null, { error: message });
+    this.refreshCheckoutQuote();
+    return true;
+  }
+
+  /**
+   * Discount code field: Apply, or the code in use with Remove
+   * @param {Object|null} quote - Last server quote, to tell whether the code took effect
+   * @param {Object} options - { error: why a code was refused }
+   */
+  renderPromoCode(quote, { error = null } = {}) {
+    const input = document.getElementById('promoCodeInput');
+    const button = document.getElementById('promoCodeBtn');
+    const status = document.getElementById('promoCodeStatus');
+    if (!input || !button || !status) return;
+
+    const code = this.store.promoCode;
+    if (code) input.value = code;
+    input.disabled = Boolean(code);
+    input.setAttribute('aria-invalid', error ? 'true' : 'false');
+    button.textContent = t(code ? 'checkout.removeCode' : 'checkout.applyCode');
+
+    let message = error || '';
+    if (code && quote) {
+      const applied = (quote.discounts || []).some(line => line.code === code);
+      message = t(applied ? 'checkout.codeApplied' : 'checkout.codeNotCombined', { code });
+    }
+    status.textContent = message;
+    status.classList.toggle('hidden', !message);
+    status.classList.toggle('is-error', Boolean(error));
+  }
+
+  /**
+   * Order summary: subtotal, discount, shipping, each tax and the total to be charged
+   * @param {Object|null} quote - Server quote from /api/checkout/quote
+   */
+  renderCheckoutSummary(quote) {
+    const summary = document.getElementById('checkoutSummary');
+    if (!summary) return;
+
+    this.showCheckoutError(null);
+
+    if (!quote) {
+      summary.innerHTML = `<p class="cart-hint">${t('checkout.summaryHint')}</p>`;
+      return;
+    }
+
+    const row = (label, amount) => `
+      <div class="cart-subtotal">
+        <span>${escapeHtml(label)}</span>
+        <span>${amount}</span>
+      </div>
+    `;
+
+    // Free shipping from a code shows on the shipping line, not as a discount
+    const discountRows = (quote.discounts || [])
+      .filter(line => line.target === 'items')
+      .map(line => row(App.discountLabel(line), `−${formatAmount(line.amount)}`))
+      .join('');
+    const shippingAmount = quote.shipping.amount ? formatAmount(quote.shipping.amount) : t('checkout.free');
+    const shippingLabel = t(quote.shipping.free ? 'checkout.freeShipping' : 'checkout.standardShipping');
+
+    summary.innerHTML = `
+      ${row(t('cart.subtotal'), formatAmount(quote.subtotal))}
+      ${discountRows}
+      ${row(shippingLabel, shippingAmount)}
+      ${quote.taxes.map(line => row(taxLabel(line), formatAmount(line.amount))).join('')}
+      <div class="cart-total">
+        <span>${t('cart.total')}</span>
+        <span>${formatAmount(quote.total)}</span>
+      </div>
+      ${getCurrency() === BASE_CURRENCY ? '' : `<p class="cart-charge">${this.chargeNote(quote.total)}</p>`}
+    `;
+  }
+
+  /**
+   * "Discount (CODE)", or "Discount" for a cart reminder's
+   * @param {Object} line - { code, amount } from a quote or order
+   * @returns {string}
+   */
+  static discountLabel(line) {
+    return line.code ? t('checkout.codeDiscount', { code: line.code }) : t('checkout.discount');
+  }
+
+  /**
+   * What the card will be charged, when prices are shown in another currency
+   * @param {number} total - CAD cents
+   * @returns {string} Empty while showing CAD
+   */
+  chargeNote(total) {
+    if (getCurrency() === BASE_CURRENCY) return '';
+    return t('currency.charged', { amount: formatAmount(total, { currency: BASE_CURRENCY }) });
+  }
+
+  showCheckoutError(message) {
+    const errorEl = document.getElementById('checkoutError');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+  }
+
+  async submitCheckout(e) {
+    e.preventDefault();
+
+    const form = document.getElementById('checkoutForm');
+    const placeOrderBtn = document.getElementById('placeOrderBtn');
+    form.dataset.submitted = 'true';
+
+    const { email, address } = this.getCheckoutFormData();
+    const { valid, errors } = validateAddress(address);
+    if (!validateEmail(email)) {
+      errors.email = t('checkout.invalidEmail');
+    }
+    this.renderCheckoutErrors(errors);
+    if (!valid || errors.email) return;
+
+    if (placeOrderBtn) {
+      placeOrderBtn.disabled = true;
+      placeOrderBtn.textContent = t('cart.processing');
+    }
+
+    try {
+      const result = await this.processCheckout(email, address);
+
+      if (this.account.isSignedIn() && form.elements.saveAddress?.checked) {
+        // Not worth holding up payment for; it can be saved next time
+        await this.account.saveAddress(validateAddress(address).address).catch(() => {});
+      }
+      window.location.assign(result.paymentUrl);
+    } catch (err) {
+      if (placeOrderBtn) placeOrderBtn.textContent = t('checkout.submit');
+      // The code was used up since the quote: quote again without it
+      if (this.rejectPromoCode(err)) return;
+
+      this.showCheckoutError(t('checkout.failed', { message: err.message }));
+      if (placeOrderBtn) placeOrderBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Product detail page (/product/:id); products already in the listing show
+   * without a request
+   * @param {string} productId
+   */
+  async showProductDetail(productId) {
+    this.view = 'product';
+    window.scrollTo(0, 0);
+
+    const detail = this.productDetail;
+    if (detail.id === productId && (detail.product || detail.loading)) {
+      this.render();
+      if (detail.product) this.showProductMeta(detail.product);
+      return;
+    }
+
+    this.productDetail = { id: productId, loading: true, error: null, product: null };
+    this.render();
+
+    let product = this.store.getProduct(productId);
+    let error = null;
+    if (!product) {
+      try {
+        ({ product } = await this.apiClient.getProduct(productId));
+      } catch (err) {
+        error = err.code === 'PRODUCT_NOT_FOUND' ? t('product.unavailable') : err.message;
+      }
+    }
+
+    // Another product was opened while this one loaded
+    if (this.productDetail.id !== productId) return;
+
+    this.productDetail = { id: productId, loading: false, error, product: product || null };
+    this.render();
+    if (product && this.view === 'product') {
+      this.showProductMeta(product);
+    }
+  }
+
+  renderProductDetail() {
+    const view = document.getElementById('productDetailView');
+    const content = document.getElementById('productDetailContent');
+    if (!view || !content) return;
+
+    view.classList.toggle('hidden', this.view !== 'product');
+    if (this.view !== 'product') return;
+
+    const { id, loading, error, product } = this.productDetail;
+
+    // Re-rendering would reset the picked variant and the gallery
+    if (product && content.dataset.productId === String(id)) return;
+    content.dataset.productId = product ? String(id) : '';
+
+    if (loading) {
+      content.innerHTML = `<div class="loading-state"><div class="spinner"></div><p>${t('product.loading')}</p></div>`;
+      return;
+    }
+
+    if (!product) {
+      content.innerHTML = `
+        <div class="error-card">
+          <h1>${t('product.unavailableTitle')}</h1>
+          <p>${escapeHtml(error || t('product.unavailable'))}</p>
+          <a href="${localizePath('/')}" class="order-back-link">${t('product.continue')}</a>
+        </div>
+      `;
+      return;
+    }
+
+    this.activeGalleries.delete(`gallery-${product.id}`);
+    content.innerHTML = this.productDetailHTML(product);
+
+    const picker = content.querySelector('.variant-select');
+    const priceEl = content.querySelector('.product-price');
+    picker?.addEventListener('change', () => {
+      const variant = this.store.getVariant(product, picker.value);
+      if (variant && priceEl) {
+        priceEl.textContent = formatPrice(variant.price);
+      }
+    });
+    content.querySelector('.add-cart-btn')?.addEventListener('click', () => {
+      this.addToCart(product.id, picker ? picker.value : null, product);
+    });
+
+    requestAnimationFrame(() => {
+      this.initializeAllGalleries();
+    });
+  }
+
+  /**
+   * Product page: multi-angle gallery, variant picker, description and Q-A-V section
+   * @param {Object} product - Product from GET /api/products/:id
+   * @returns {string} HTML
+   */
+  productDetailHTML(product) {
+    product = localizeProduct(product);
+    // Shopping feed links (/product/:id?variant=...) open on their variant
+    const linked = new URLSearchParams(window.location.search).get('variant');
+    const variant = (linked && this.store.getVariant(product, linked)) || this.store.getVariant(product);
+    const sources = product.images && product.images.length > 0
+      ? product.images
+      : [{ url: product.image, alt: product.title }];
+    const images = sources
+      .filter(image => image.url)
+      .map((image, index) => ({
+        view: `view ${index + 1}`,
+        url: image.url,
+        thumbnailUrl: image.url,
+      }));
+
+    const gallery = this.imageOptimizer.createProductGallery({
+      productId: product.id,
+      productName: product.title,
+      images,
+      enableZoom: true
+    });
+
+    const category = product.category && product.categorySlug
+      ? `<li><a href="${localizePath(`/category/${encodeURIComponent(product.categorySlug)}`)}">${escapeHtml(product.category)}</a></li>`
+      : '';
+
+    return `
+      <nav class="breadcrumb-nav" aria-label="${t('nav.breadcrumb')}">
+        <ol>
+          <li><a href="${localizePath('/')}">${t('nav.home')}</a></li>
+          ${category}
+          <li><span aria-current="page">${escapeHtml(product.title || '')}</span></li>
+        </ol>
+      </nav>
+
+      <div class="product-detail">
+        <div class="product-detail-gallery">${gallery}</div>
+        <div class="product-detail-info">
+          <h1 class="product-detail-title">${escapeHtml(product.title || t('product.untitled'))}</h1>
+          <p class="product-price">${formatPrice(variant ? variant.price : product.price || 0)}</p>
+          ${this.variantPickerHTML(product, variant)}
+          <button class="add-cart-btn" data-product-id="${escapeHtml(String(product.id))}">${t('product.addToCart')}</button>
+          <div class="product-detail-description">${sanitizeHtml(product.description)}</div>
+        </div>
+      </div>
+
+      ${QAVFramework.generateProductQAVSection(product)}
+    `;
+  }
+
+  /**
+   * Title, description, canonical URL and schema of the product page
+   * @param {Object} product
+   */
+  showProductMeta(product) {
+    this.setPageMeta(this.schemaManager.buildProductPageMeta(product, window.location.origin));
+    this.injectProductSchemas(product);
+  }
+
+  /**
+   * ProductGroup, BreadcrumbList and FAQPage schema for the product page,
+   * as api/pages/product.js renders them for crawlers
+   *
+   * @param {Object} product
+   */
+  injectProductSchemas(product) {
+    const schemas = this.schemaManager.buildProductPageSchemas(product, {
+      baseUrl: window.location.origin,
+      faq: QAVFramework.getFAQPageSchema()
+    });
+
+    this.clearPageSchemas();
+    schemas.forEach(schema => {
+      const script = document.createElement('script');
+      script.type = 'application/ld+json';
+      // Leaving the page removes it (see clearPageSchemas)
+      script.dataset.pageSchema = 'true';
+      script.textContent = JSON.stringify(schema);
+      document.head.appendChild(script);
+    });
+  }
+
+  clearPageSchemas() {
+    document.head.querySelectorAll('script[data-page-schema]').forEach(script => script.remove());
+  }
+
+  /**
+   * Site-wide title and description in the page's language, with the
+   * canonical URL and hreflang alternates of a page
+   * @param {string} path - Path without a locale prefix
+   * @returns {Object} { title, description, canonical, alternates }
+   */
+  siteMeta(path = '/') {
+    const origin = window.location.origin;
+    return {
+      title: t('meta.title'),
+      description: t('meta.description'),
+      canonical: `${origin}${localizePath(path)}`,
+      alternates: alternateLinks(origin, path),
+    };
+  }
+
+  /**
+   * @param {Object} meta - { title, description, canonical, alternates: [{ hreflang, href }] }
+   */
+  setPageMeta({ title, description, canonical, alternates = [] }) {
+    document.title = title;
+    document.querySelector('meta[name="description"]')?.setAttribute('content', description);
+    document.querySelector('link[rel="canonical"]')?.setAttribute('href', canonical);
+
+    document.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+    alternates.forEach(({ hreflang, href }) => {
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      link.href = href;
+      document.head.appendChild(link);
+    });
+  }
+
+  /**
+   * Load an order for the status page
+   * @param {string} orderNumber
+   * @param {Object} credentials - { token } from the status link, or { email }
+   */
+  async loadOrder(orderNumber, credentials = {}) {
+    this.orderStatus = { number: orderNumber, loading: true, error: null, order: null };
+    this.renderOrderView();
+
+    if (!orderNumber || (!credentials.token && !credentials.email)) {
+      // No link to follow: ask for the order number and email instead
+      this.orderStatus.loading = false;
+      this.renderOrderView();
+      return;
+    }
+
+    try {
+      const { order } = await this.apiClient.getOrder(orderNumber, credentials);
+      this.orderStatus.order = order;
+    } catch (err) {
+      this.orderStatus.error =
+        err.code === 'ORDER_NOT_FOUND'
+          ? t('order.notFound')
+          : err.message;
+    } finally {
+      this.orderStatus.loading = false;
+      this.renderOrderView();
+    }
+  }
+
+  renderOrderView() {
+    const orderView = document.getElementById('orderView');
+    if (!orderView) return;
+
+    orderView.classList.toggle('hidden', this.view !== 'order');
+    if (this.view !== 'order') return;
+
+    const content = document.getElementById('orderContent');
+    const lookupForm = document.getElementById('orderLookupForm');
+    const lookupError = document.getElementById('orderLookupError');
+    const { number, loading, error, order } = this.orderStatus;
+
+    if (lookupForm && !lookupForm.dataset.ready) {
+      lookupForm.dataset.ready = 'true';
+      lookupForm.addEventListener('submit', e => {
+        e.preventDefault();
+        const orderNumber = lookupForm.elements.orderNumber.value.trim().replace(/^#/, '');
+        const email = lookupForm.elements.email.value.trim();
+        if (orderNumber && validateEmail(email)) {
+          this.loadOrder(orderNumber, { email });
+        } else {
+          this.orderStatus.error = t('order.lookupInvalid');
+          this.renderOrderView();
+        }
+      });
+    }
+
+    if (content) {
+      content.innerHTML = loading
+        ? `<div class="loading-state"><div class="spinner"></div><p>${t('order.loading')}</p></div>`
+        : order
+          ? this.orderDetailsHTML(order)
+          : '';
+    }
+
+    if (lookupForm) {
+      lookupForm.classList.toggle('hidden', loading || Boolean(order));
+      if (number && !lookupForm.elements.orderNumber.value) {
+        lookupForm.elements.orderNumber.value = number;
+      }
+    }
+
+    if (lookupError) {
+      lookupError.textContent = error || '';
+      lookupError.classList.toggle('hidden', !error);
+    }
+  }
+
+  /**
+   * Order status page content: progress, tracking, items and totals
+   * @param {Object} order - Order from GET /api/orders/:orderNumber
+   * @returns {string} HTML
+   */
+  orderDetailsHTML(order) {
+    const steps = ['placed', 'paid', 'in_production', 'shipped', 'delivered'].map(stage => ({
+      stage,
+      label: t(`order.stages.${stage}`),
+    }));
+    const current = steps.findIndex(step => step.stage === order.stage);
+    const row = (label, amount) => `
+      <div class="cart-subtotal">
+        <span>${escapeHtml(label)}</span>
+        <span>${amount}</span>
+      </div>
+    `;
+
+    let progress = `<p class="order-cancelled">${t('order.cancelled')}</p>`;
+    if (order.stage !== 'cancelled') {
+      const stepsHTML = steps
+        .map((step, index) => {
+          const state = index <= current ? 'done' : '';
+          const currentAttr = index === current ? 'aria-current="step"' : '';
+          return `<li class="${state}" ${currentAttr}>${step.label}</li>`;
+        })
+        .join('');
+      progress = `<ol class="order-progress">${stepsHTML}</ol>`;
+    }
+
+    let tracking = '';
+    if (order.tracking) {
+      const { carrier, number, url, shippedAt } = order.tracking;
+      const link =
+        url && /^https?:\/\//.test(url)
+          ? `<a href="${escapeHtml(url.replace(/"/g, '%22'))}" target="_blank" rel="noopener">${escapeHtml(number)}</a>`
+          : `<span>${escapeHtml(number)}</span>`;
+      tracking = `
+        <div class="order-tracking">
+          <strong>${escapeHtml(carrier || t('order.tracking'))}</strong>
+          ${link}
+          ${shippedAt ? `<span>${t('order.shippedOn', { date: formatDate(shippedAt) })}</span>` : ''}
+        </div>
+      `;
+    }
+
+    // Orders are charged, and shown, in CAD
+    const cad = { currency: BASE_CURRENCY };
+    const items = order.items
+      .map(
+        item => `
+        <li class="order-item">
+          <span>
+            ${escapeHtml(item.title || t('order.item'))}
+            ${item.variantTitle ? `<small>${escapeHtml(item.variantTitle)}</small>` : ''}
+          </span>
+          <span>${item.quantity} × ${formatPrice(item.unitPrice, cad)}</span>
+          <span>${formatAmount(item.lineTotal, cad)}</span>
+        </li>`
+      )
+      .join('');
+
+    const address = order.shipping.address;
+    let addressHTML = '';
+    if (address) {
+      const line2 = address.line2 ? `, ${escapeHtml(address.line2)}` : '';
+      addressHTML = `
+        <address class="order-address">
+          ${escapeHtml(address.name)}<br>
+          ${escapeHtml(address.line1)}${line2}<br>
+          ${escapeHtml(address.city)}, ${escapeHtml(address.province)} ${escapeHtml(address.postalCode)}
+        </address>
+      `;
+    }
+
+    const discounts = (order.discounts || [])
+      .filter(line => line.target === 'items')
+      .map(line => row(App.discountLabel(line), `−${formatAmount(line.amount, cad)}`))
+      .join('');
+
+    return `
+      <p class="order-meta">${t('order.meta', { number: order.orderNumber, date: formatDate(order.createdAt) })}</p>
+      ${progress}
+      ${tracking}
+      <ul class="order-items">${items}</ul>
+      <div class="order-totals">
+        ${row(t('cart.subtotal'), formatAmount(order.subtotal, cad))}
+        ${discounts}
+        ${row(t('order.shipping'), order.shipping.amount ? formatAmount(order.shipping.amount, cad) : t('checkout.free'))}
+        ${order.taxes.map(line => row(taxLabel(line), formatAmount(line.amount, cad))).join('')}
+        <div class="cart-total">
+          <span>${t('cart.total')}</span>
+          <span>${formatAmount(order.total, cad)}</span>
+        </div>
+      </div>
+      ${addressHTML}
+    `;
+  }
+
+  /**
+   * Pick up the customer's Supabase session; the account page and checkout
+   * follow sign-ins and sign-outs from then on
+   */
+  async initAccount() {
+    try {
+      await this.account.init(() => this.handleAccountChange());
+    } catch {
+      // Without Supabase the storefront works signed out
+    }
+    this.accountState.ready = true;
+    this.handleAccountChange();
+  }
+
+  handleAccountChange() {
+    this.accountState.error = null;
+    this.followCartOwner();
+
+    if (this.view === 'account') {
+      this.loadAccount();
+    }
+
+    // An order opened before the session was picked up
+    const { number, loading, order } = this.orderStatus;
+    if (this.view === 'order' && number && !loading && !order && this.account.isSignedIn()) {
+      this.loadOrder(number, { email: this.account.orderEmail(number) });
+    }
+
+    if (document.getElementById('checkoutOverlay')?.classList.contains('open')) {
+      this.prefillCheckout();
+    }
+  }
+
+  /**
+   * Show the cart of whoever is signed in now; the account cart stays with
+   * the account when signing out, and a guest cart joins it on signing in
+   */
+  followCartOwner() {
+    const ownerId = this.account.getUser()?.id ?? null;
+    if (ownerId === this.cartOwnerId) return;
+
+    const previousOwnerId = this.cartOwnerId;
+    this.cartOwnerId = ownerId;
+
+    if (previousOwnerId && !ownerId) {
+      this.cartRevision++;
+      this.store.clearCart();
+      this.setCartToken(null);
+      this.store.saveToLocalStorage();
+      this.render();
+      return;
+    }
+    this.syncCart({ signedIn: previousOwnerId === null && Boolean(ownerId) });
+  }
+
+  /**
+   * Order history and saved addresses of the signed-in customer
+   */
+  async loadAccount() {
+    const state = this.accountState;
+    if (!state.ready || !this.account.isSignedIn() || state.loading) {
+      this.renderAccountView();
+      return;
+    }
+    if (this.account.orders && this.account.addresses) {
+      this.renderAccountView();
+      return;
+    }
+
+    state.loading = true;
+    state.error = null;
+    this.renderAccountView();
+
+    try {
+      await Promise.all([this.account.loadOrders(), this.account.loadAddresses()]);
+    } catch {
+      state.error = t('account.loadFailed');
+    } finally {
+      state.loading = false;
+      this.renderAccountView();
+    }
+  }
+
+  renderAccountView() {
+    const accountView = document.getElementById('accountView');
+    if (!accountView) return;
+
+    accountView.classList.toggle('hidden', this.view !== 'account');
+    if (this.view !== 'account') return;
+
+    const authForm = document.getElementById('accountAuthForm');
+    const content = document.getElementById('accountContent');
+    const { ready, loading, error, notice } = this.accountState;
+    const user = this.account.getUser();
+
+    if (authForm && !authForm.dataset.ready) {
+      authForm.dataset.ready = 'true';
+      authForm.addEventListener('submit', e => this.submitAccountAuth(e));
+      content.addEventListener('click', e => this.handleAccountClick(e));
+    }
+
+    authForm?.classList.toggle('hidden', !ready || Boolean(user));
+    content?.classList.toggle('hidden', !user);
+
+    if (!user) {
+      const errorEl = document.getElementById('accountAuthError');
+      const noticeEl = document.getElementById('accountAuthNotice');
+      errorEl.textContent = error || '';
+      errorEl.classList.toggle('hidden', !error);
+      noticeEl.textContent = notice || '';
+      noticeEl.classList.toggle('hidden', !notice);
+      return;
+    }
+
+    document.getElementById('accountUser').textContent = t('account.signedInAs', { email: user.email });
+    const ordersEl = document.getElementById('accountOrders');
+    const addressesEl = document.getElementById('accountAddresses');
+
+    if (loading) {
+      ordersEl.innerHTML = `<div class="loading-state"><div class="spinner"></div><p>${t('account.loading')}</p></div>`;
+      addressesEl.innerHTML = '';
+    } else if (error) {
+      ordersEl.innerHTML = `<p class="checkout-error" role="alert">${escapeHtml(error)}</p>`;
+      addressesEl.innerHTML = '';
+    } else {
+      ordersEl.innerHTML = this.accountOrdersHTML(this.account.orders || [], user);
+      addressesEl.innerHTML = this.accountAddressesHTML(this.account.addresses || []);
+    }
+  }
+
+  /**
+   * Past orders, newest first; each opens on the order status page
+   * @param {Array} orders - Rows from getCustomerOrders
+   * @param {Object} user - Signed-in Supabase user
+   */
+  accountOrdersHTML(orders, user) {
+    if (orders.length === 0) {
+      return `<p class="cart-hint">${t('account.noOrders', { email: escapeHtml(user.email) })}</p>`;
+    }
+
+    // Orders are charged, and shown, in CAD
+    const cad = { currency: BASE_CURRENCY };
+    const items = orders
+      .map(order => {
+        const lines = order.order_items || [];
+        const count = lines.reduce((sum, line) => sum + line.quantity, 0);
+        const titles = lines.map(line => escapeHtml(line.product_title || t('order.item'))).join(', ');
+        // As on the order page, free shipping isn't listed as a discount
+        const discounts = order.discount_total > 0
+          ? (order.order_discounts || [])
+            .filter(line => line.target === 'items')
+            .map(line => `<small>${App.discountLabel(line)} −${formatAmount(line.amount, cad)}</small>`)
+            .join('')
+          : '';
+        return `
+          <li class="account-order">
+            <div>
+              <strong>${t('account.orderMeta', { number: order.order_number, date: formatDate(order.created_at) })}</strong>
+              <small>${t(`account.status.${order.status}`)} · ${t('account.items', { count })}</small>
+              <small>${titles}</small>
+              ${discounts}
+            </div>
+            <span>${formatAmount(order.total, cad)}</span>
+            <a href="${localizePath(`/order/${order.order_number}`)}">${t('account.view')}</a>
+          </li>
+        `;
+      })
+      .join('');
+
+    return `<ul class="account-orders">${items}</ul>`;
+  }
+
+  /**
+   * Saved shipping addresses, default first
+   * @param {Array} addresses - Rows from getCustomerAddresses
+   */
+  accountAddressesHTML(addresses) {
+    if (addresses.length === 0) {
+      return `<p class="cart-hint">${t('account.noAddresses')}</p>`;
+    }
+
+    const items = addresses
+      .map(({ id, address, is_default: isDefault }) => {
+        const line2 = address.line2 ? `, ${escapeHtml(address.line2)}` : '';
+        const action = isDefault
+          ? `<strong>${t('account.default')}</strong>`
+          : `<button type="button" class="account-secondary-btn" data-address-action="default" data-address-id="${escapeHtml(id)}">${t('account.makeDefault')}</button>`;
+        return `
+          <li class="account-address">
+            <address>
+              ${escapeHtml(address.name)}<br>
+              ${escapeHtml(address.line1)}${line2}<br>
+              ${escapeHtml(address.city)}, ${escapeHtml(address.province)} ${escapeHtml(address.postalCode)}<br>
+              ${escapeHtml(App.countryName(address.country))}
+            </address>
+            <div>
+              ${action}
+              <button type="button" class="account-secondary-btn" data-address-action="remove" data-address-id="${escapeHtml(id)}">${t('account.remove')}</button>
+            </div>
+          </li>
+        `;
+      })
+      .join('');
+
+    return `<ul class="account-addresses">${items}</ul>`;
+  }
+
+  /**
+   * Sign in, create an account or send a magic link, by the button pressed
+   * @param {SubmitEvent} e
+   */
+  async submitAccountAuth(e) {
+    e.preventDefault();
+    const form = e.target;
+    const action = e.submitter?.value || 'signIn';
+    const email = form.elements.email.value.trim();
+    const password = form.elements.password.value;
+    const state = this.accountState;
+
+    state.error = null;
+    state.notice = null;
+    if (!validateEmail(email)) {
+      state.error = t('account.invalidEmail');
+    } else if (action !== 'magicLink' && password.length < 6) {
+      state.error = t('account.passwordRequired');
+    }
+    if (state.error) {
+      this.renderAccountView();
+      return;
+    }
+
+    const buttons = form.querySelectorAll('button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      if (action === 'magicLink') {
+        await this.account.sendMagicLink(email);
+        state.notice = t('account.linkSent', { email });
+      } else if (action === 'signUp') {
+        const needsConfirmation = await this.account.signUp(email, password);
+        if (needsConfirmation) state.notice = t('account.confirmSent', { email });
+      } else {
+        await this.account.signIn(email, password);
+      }
+      form.elements.password.value = '';
+    } catch (error) {
+      state.error = error.message;
+    } finally {
+      buttons.forEach(button => { button.disabled = false; });
+    }
+
+    this.followCartOwner();
+    this.loadAccount();
+  }
+
+  async handleAccountClick(e) {
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    try {
+      if (button.id === 'accountSignOut') {
+        await this.account.signOut();
+        this.accountState.notice = null;
+        this.followCartOwner();
+      } else if (button.dataset.addressAction === 'default') {
+        await this.account.makeDefaultAddress(button.dataset.addressId);
+      } else if (button.dataset.addressAction === 'remove') {
+        await this.account.removeAddress(button.dataset.addressId);
+      } else {
+        return;
+      }
+    } catch (error) {
+      this.accountState.error = error.message;
+    }
+    this.renderAccountView();
+  }
+
+  retryInit() {
+    this.store.clearError();
+    if (!this.isInitialized) {
+      this.init();
+    } else {
+      this.productsLoaded = false;
+      this.handleRoute(this.router.current());
+    }
   }
 
   /**
@@ -537,7 +2608,7 @@ export class App {
       this.schemaManager.injectGoogleLensSchema({
         productId: product.id,
         productName: product.title,
-        productUrl: `https://canadaclothes.ca/#product/${product.id}`,
+        productUrl: `https://canadaclothes.ca/product/${product.id}`,
         imageUrl: frontImage.googleLens.ideal,
         altText: frontImage.alt,
         width: 2400,
@@ -574,7 +2645,7 @@ export class App {
         productName: product.title,
         description: product.description || `Premium ${product.title}`,
         imageUrl: pinterestImage.variants.tablet.url,
-        productUrl: `https://canadaclothes.ca/#product/${product.id}`,
+        productUrl: `https://canadaclothes.ca/product/${product.id}`,
         price: product.price_cents || 0,
         currency: 'CAD',
         availability: 'in stock',
@@ -586,7 +2657,7 @@ export class App {
         productId: product.id,
         productName: product.title,
         description: product.description || '',
-        productUrl: `https://canadaclothes.ca/#product/${product.id}`,
+        productUrl: `https://canadaclothes.ca/product/${product.id}`,
         imageUrl: pinterestImage.variants.tablet.url,
         price: product.price_cents || 0,
         currency: 'CAD',
@@ -629,7 +2700,7 @@ export class App {
       this.schemaManager.injectVisualSearchSchema({
         productId: product.id,
         productName: product.title,
-        productUrl: `https://canadaclothes.ca/#product/${product.id}`,
+        productUrl: `https://canadaclothes.ca/product/${product.id}`,
         images: Object.values(images).map(img => ({
           url: img.formats.webp,
           alt: img.alt,
@@ -656,7 +2727,7 @@ export class App {
         productId: product.id,
         productName: product.title,
         description: product.description || '',
-        productUrl: `https://canadaclothes.ca/#product/${product.id}`,
+        productUrl: `https://canadaclothes.ca/product/${product.id}`,
         imageUrl: images.front.formats.webp,
         price: product.price_cents || 0,
         currency: 'CAD',
@@ -686,7 +2757,7 @@ export class App {
       imageUrl: baseImageUrl,
       productName: product.title,
       description: product.description || `Shop ${product.title} on CanadaClothes.ca`,
-      productUrl: `https://canadaclothes.ca/#product/${product.id}`,
+      productUrl: `https://canadaclothes.ca/product/${product.id}`,
       style: 'round'
     });
   }
@@ -708,7 +2779,7 @@ export class App {
       productName: mainProduct.title,
       description: mainProduct.description || `Premium Canadian apparel from CanadaClothes.ca`,
       imageUrl: baseImageUrl,
-      productUrl: `https://canadaclothes.ca/#product/${mainProduct.id}`,
+      productUrl: `https://canadaclothes.ca/product/${mainProduct.id}`,
       price: mainProduct.price_cents || 0,
       currency: 'CAD',
       availability: 'in stock',
@@ -910,8 +2981,8 @@ export class App {
 
   /**
    * Inject image sitemap schema
-   * Helps Google discover all product images
-   * Called once after init
+   * JSON-LD only: crawlers discover images through the XML sitemaps
+   * (/sitemap.xml, see api/sitemap.js)
    */
   injectImageSitemap() {
     const images = this.store.products
@@ -1126,6 +3197,8 @@ export class App {
     this.disposeVisualSearch();
     this.disposeMetadataOptimization();
     this.disposeAnalyticsOptimization();
+    this.productPagerObserver?.disconnect();
+    this.router.stop();
   }
 
   // ============================================
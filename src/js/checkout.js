@@ -2,18 +2,18 @@
 // Checkout flow and order creation
 
 import { validateEmail } from './utils.js';
+import { validateAddress } from './address.js';
 
 export class Checkout {
   constructor(store, apiClient) {
     this.store = store;
     this.apiClient = apiClient;
     this.isProcessing = false;
+    this.quote = null; // Last server quote (shipping, taxes, total)
   }
 
   validateOrder() {
-    const { cart } = this.store;
-
-    if (!cart || cart.length === 0) {
+    if (this.store.getCheckoutItems().length === 0) {
       throw new Error('Cart is empty');
     }
 
@@ -25,7 +25,30 @@ export class Checkout {
     return true;
   }
 
-  async processCheckout(email) {
+  // Ask the server for shipping, discounts, taxes and the total for an address
+  // email: the customer's, when entered (some codes are limited per customer)
+  async fetchQuote(address, { email } = {}) {
+    const { valid, address: normalized } = validateAddress(address);
+    if (!valid) {
+      this.quote = null;
+      return null;
+    }
+
+    // Keep the cart drawer's tax estimate in step with the address
+    if (normalized.country === 'CA') {
+      this.store.setProvince(normalized.province);
+      this.store.saveToLocalStorage();
+    }
+
+    this.quote = await this.apiClient.quoteCheckout(this.store.getCheckoutItems(), normalized, {
+      recovery: this.store.recovery?.token,
+      promoCode: this.store.promoCode,
+      email,
+    });
+    return this.quote;
+  }
+
+  async processCheckout(email, address) {
     if (this.isProcessing) {
       throw new Error('Checkout already in progress');
     }
@@ -34,26 +57,35 @@ export class Checkout {
       throw new Error('Invalid email address');
     }
 
+    const { valid, address: shippingAddress } = validateAddress(address);
+    if (!valid) {
+      throw new Error('Please check your shipping address');
+    }
+
     this.isProcessing = true;
 
     try {
       this.validateOrder();
 
-      const items = this.store.getCartItems();
-      const response = await this.apiClient.createOrder(email, items);
+      // The quote is what the customer saw; the server re-checks it
+      const quote = this.quote || (await this.fetchQuote(shippingAddress, { email }));
+      const items = this.store.getCheckoutItems();
+      const response = await this.apiClient.createCheckoutSession(email, items, {
+        shippingAddress,
+        total: quote.total,
+        recovery: this.store.recovery?.token,
+        promoCode: this.store.promoCode,
+      });
 
-      if (!response.order_id) {
-        throw new Error('No order ID returned');
+      if (!response.orderId || !response.url) {
+        throw new Error('No payment session returned');
       }
 
-      // Clear cart after successful order
-      this.store.clearCart();
-      this.store.saveToLocalStorage();
-
+      // The cart is cleared when Stripe redirects back after payment
       return {
-        orderId: response.order_id,
-        status: response.status || 'pending',
-        total: this.store.getCartTotal(),
+        orderId: response.orderId,
+        orderNumber: response.orderNumber,
+        paymentUrl: response.url,
       };
     } finally {
       this.isProcessing = false;
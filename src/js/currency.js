@@ -0,0 +1,105 @@
+// filepath: src/js/currency.js
+// Display currencies: prices are stored and charged in CAD, and can be shown
+// converted at the rates from GET /api/currencies (api/_lib/fx-rates.js)
+// Shared with api/ (order records), so nothing here touches the DOM
+
+export const BASE_CURRENCY = 'CAD';
+
+// Currencies shoppers can pick. rounding.ending: converted item prices land on
+// that many cents, at the nearest whole unit (18.25 → 17.99, 18.60 → 18.99);
+// free stays free
+export const CURRENCIES = {
+  CAD: { rounding: null },
+  USD: { rounding: { ending: 99 } },
+  EUR: { rounding: { ending: 95 } },
+  GBP: { rounding: { ending: 99 } },
+};
+
+let currentCurrency = BASE_CURRENCY;
+let currentRates = { [BASE_CURRENCY]: 1 };
+
+export function isCurrency(value) {
+  return Object.hasOwn(CURRENCIES, value);
+}
+
+export function getCurrency() {
+  return currentCurrency;
+}
+
+/**
+ * Rates to convert with: units of each currency per 1 CAD
+ * Unsupported currencies and non-positive rates are dropped.
+ * @param {Object} rates - e.g. { USD: 0.7312, EUR: 0.6621 }
+ */
+export function setRates(rates) {
+  currentRates = { [BASE_CURRENCY]: 1 };
+  Object.entries(rates || {}).forEach(([currency, rate]) => {
+    if (isCurrency(currency) && typeof rate === 'number' && rate > 0) {
+      currentRates[currency] = rate;
+    }
+  });
+  if (!currentRates[currentCurrency]) currentCurrency = BASE_CURRENCY;
+}
+
+/**
+ * @param {string} currency
+ * @returns {number|null} Units per 1 CAD, or null without a rate
+ */
+export function getRate(currency = currentCurrency) {
+  return currentRates[currency] || null;
+}
+
+/**
+ * Currencies that can be shown now (CAD, plus those with a rate)
+ * @returns {Array<string>}
+ */
+export function availableCurrencies() {
+  return Object.keys(CURRENCIES).filter((currency) => getRate(currency));
+}
+
+/**
+ * @param {string} currency - Anything without a rate falls back to CAD
+ * @returns {string} The currency now in use
+ */
+export function setCurrency(currency) {
+  currentCurrency = isCurrency(currency) && getRate(currency) ? currency : BASE_CURRENCY;
+  return currentCurrency;
+}
+
+/**
+ * Amount in another currency, to the cent (totals, taxes, shipping)
+ * @param {number} cents - CAD cents
+ * @param {string} currency
+ * @param {number} rate - Units per 1 CAD
+ * @returns {number} Cents (minor units) of the currency
+ */
+export function convertAmount(cents, currency = currentCurrency, rate = getRate(currency)) {
+  if (currency === BASE_CURRENCY || !rate) return cents;
+  return Math.round(cents * rate);
+}
+
+/**
+ * Round a converted item price by the currency's rules
+ * @param {number} amount - Minor units
+ * @param {string} currency
+ * @returns {number}
+ */
+export function roundPrice(amount, currency) {
+  const rounding = CURRENCIES[currency]?.rounding;
+  if (!rounding || amount <= 0) return amount;
+
+  const units = Math.max(0, Math.round((amount - rounding.ending) / 100));
+  return units * 100 + rounding.ending;
+}
+
+/**
+ * Item price in another currency, rounded by its rules
+ * @param {number} cents - CAD cents
+ * @param {string} currency
+ * @param {number} rate - Units per 1 CAD
+ * @returns {number} Minor units of the currency
+ */
+export function convertPrice(cents, currency = currentCurrency, rate = getRate(currency)) {
+  if (currency === BASE_CURRENCY || !rate) return cents;
+  return roundPrice(convertAmount(cents, currency, rate), currency);
+}
@@ -0,0 +1,187 @@
+// filepath: src/js/i18n.js
+// English/French storefront: message catalogs, /fr/ paths and locale formatting
+// Shared with api/ (product pages, sitemaps), so only translateDocument touches the DOM
+
+import { messages as en } from './locales/en.js';
+import { messages as fr } from './locales/fr.js';
+
+// English is served at /, French under /fr/
+export const LOCALES = {
+  en: { intl: 'en-CA', hreflang: 'en-CA', prefix: '', messages: en },
+  fr: { intl: 'fr-CA', hreflang: 'fr-CA', prefix: '/fr', messages: fr },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+let currentLocale = DEFAULT_LOCALE;
+
+export function isLocale(value) {
+  return Object.hasOwn(LOCALES, value);
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * @param {string} locale - 'en' or 'fr'; anything else falls back to English
+ * @returns {string} The locale now in use
+ */
+export function setLocale(locale) {
+  currentLocale = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  return currentLocale;
+}
+
+/**
+ * BCP 47 tag for Intl formatting ('en-CA', 'fr-CA')
+ * @param {string} locale
+ * @returns {string}
+ */
+export function intlLocale(locale = currentLocale) {
+  return (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).intl;
+}
+
+function lookup(catalog, key) {
+  return key
+    .split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/**
+ * Message in a given locale, with {placeholders} filled in
+ *
+ * With a numeric `count`, a plural form ({ one, other }) is picked by the
+ * locale's rules (French treats 0 and 1 as singular). Messages missing from a
+ * catalog fall back to English, then to the key itself.
+ *
+ * @param {string} locale
+ * @param {string} key - Dotted path, e.g. 'cart.title'
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+  const catalogs = [LOCALES[locale], LOCALES[DEFAULT_LOCALE]].filter(Boolean);
+  let message = catalogs
+    .map(({ messages }) => lookup(messages, key))
+    .find((value) => value !== undefined);
+
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    const form = new Intl.PluralRules(intlLocale(locale)).select(params.count);
+    message = message[form] ?? message.other;
+  }
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Message in the current locale
+ * @param {string} key
+ * @param {Object} params
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  return translate(currentLocale, key, params);
+}
+
+/**
+ * Locale of a path: /fr and /fr/... are French, everything else English
+ * @param {string} path - Pathname, optionally with a query
+ * @returns {string}
+ */
+export function localeFromPath(path) {
+  const found = Object.entries(LOCALES).find(
+    ([, { prefix }]) => prefix && new RegExp(`^${prefix}(?=[/?#]|$)`).test(path)
+  );
+  return found ? found[0] : DEFAULT_LOCALE;
+}
+
+/**
+ * Path without its locale prefix: '/fr/cart' → '/cart', '/fr?q=x' → '/?q=x'
+ * @param {string} path
+ * @returns {string}
+ */
+export function stripLocale(path) {
+  const { prefix } = LOCALES[localeFromPath(path)];
+  const rest = path.slice(prefix.length);
+  return rest.startsWith('/') ? rest : `/${rest}`;
+}
+
+/**
+ * Path in a locale: '/cart' → '/fr/cart', '/' → '/fr/'
+ * @param {string} path - Path without a locale prefix
+ * @param {string} locale
+ * @returns {string}
+ */
+export function localizePath(path, locale = currentLocale) {
+  return `${(LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).prefix}${path}`;
+}
+
+/**
+ * hreflang alternates of a page: each locale, plus x-default (English)
+ * @param {string} baseUrl - Site origin
+ * @param {string} path - Path without a locale prefix
+ * @returns {Array<{ hreflang: string, href: string }>}
+ */
+export function alternateLinks(baseUrl, path) {
+  return [
+    ...Object.entries(LOCALES).map(([locale, { hreflang }]) => ({
+      hreflang,
+      href: `${baseUrl}${localizePath(path, locale)}`,
+    })),
+    { hreflang: 'x-default', href: `${baseUrl}${localizePath(path, DEFAULT_LOCALE)}` },
+  ];
+}
+
+/**
+ * A product with its title and description in a locale
+ * Translations are stored next to the Printify originals
+ * (products.translations: { fr: { title, description } }); missing ones keep the original.
+ *
+ * @param {Object} product - Storefront product
+ * @param {string} locale
+ * @returns {Object}
+ */
+export function localizeProduct(product, locale = currentLocale) {
+  const translation = product?.translations?.[locale];
+  if (!translation) return product;
+  return {
+    ...product,
+    title: translation.title || product.title,
+    description: translation.description || product.description,
+  };
+}
+
+/**
+ * @param {string|Date} value
+ * @param {string} locale
+ * @returns {string} e.g. "Mar 5, 2026" or "5 mars 2026"
+ */
+export function formatDate(value, locale = currentLocale) {
+  return value
+    ? new Date(value).toLocaleDateString(intlLocale(locale), { dateStyle: 'medium' })
+    : '';
+}
+
+/**
+ * Translate the static page: text of [data-i18n] elements, attributes listed
+ * in data-i18n-attrs ("placeholder:search.placeholder,aria-label:search.label")
+ * and the lang attribute
+ *
+ * @param {Document|Element} root
+ */
+export function translateDocument(root = document) {
+  document.documentElement.lang = currentLocale;
+
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-attrs]').forEach((el) => {
+    el.dataset.i18nAttrs.split(',').forEach((pair) => {
+      const [attribute, key] = pair.split(':').map((part) => part.trim());
+      el.setAttribute(attribute, t(key));
+    });
+  });
+}
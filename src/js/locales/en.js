@@ -0,0 +1,291 @@
+// filepath: src/js/locales/en.js
+// English storefront messages (see i18n.js); fr.js has the same keys
+
+export const messages = {
+  meta: {
+    title: 'CanadaClothes.ca - Premium Canadian-Made Fashion & Sustainable Apparel',
+    description:
+      'Premium Canadian-made apparel and accessories. Shop sustainable fashion with 5+ product angles, detailed sizing, and fabric authenticity.',
+    ogTitle: 'CanadaClothes.ca - Premium Canadian Fashion',
+    ogDescription:
+      'Sustainable, handcrafted Canadian apparel. Shop dresses, shirts, and accessories with verified authenticity.',
+    twitterDescription: 'Sustainable Canadian apparel, handcrafted with authenticity.',
+    ogLocale: 'en_CA',
+    productDescription: 'Shop {title} on {siteName}',
+    orderTitle: 'Order status | {siteName}',
+    accountTitle: 'Your account | {siteName}',
+  },
+  lang: {
+    other: 'Français',
+    otherCode: 'fr',
+    switchLabel: 'Voir le site en français',
+  },
+  nav: {
+    shop: 'Shop',
+    about: 'About',
+    contact: 'Contact',
+    homePath: '/',
+    home: 'Home',
+    breadcrumb: 'Breadcrumb',
+  },
+  search: {
+    placeholder: 'Search products',
+    suggestions: 'Suggestions',
+  },
+  cart: {
+    title: 'Shopping Bag',
+    open: 'Open shopping cart',
+    close: 'Close cart',
+    empty: 'Your bag is empty',
+    continue: 'Continue Shopping',
+    shipTo: 'Ship to',
+    provinceLabel: 'Province or territory',
+    provincePlaceholder: 'Province / territory',
+    subtotal: 'Subtotal',
+    total: 'Total',
+    hint: 'Select your province to see taxes. Shipping calculated at checkout',
+    shippingHint: 'Shipping calculated at checkout',
+    checkout: 'Proceed to Checkout',
+    processing: 'Processing...',
+    oneSize: 'One Size',
+    decrease: 'Decrease quantity',
+    increase: 'Increase quantity',
+    remove: 'Remove',
+    removeLabel: 'Remove item',
+    priceChanged: 'Price changed from {price}',
+    unavailable: 'Sold out — remove it or check back later',
+    removed: 'No longer available',
+    recoveryDiscount: 'Your {percent}% discount is applied at checkout',
+    restoreFailed: 'This cart link is no longer valid',
+  },
+  currency: {
+    label: 'Currency',
+    charged: 'You’ll be charged {amount} (Canadian dollars)',
+  },
+  checkout: {
+    title: 'Checkout',
+    close: 'Close checkout',
+    contact: 'Contact',
+    email: 'Email',
+    shippingAddress: 'Shipping address',
+    name: 'Full name',
+    line1: 'Address',
+    line2: 'Apartment, suite, etc. (optional)',
+    city: 'City',
+    country: 'Country',
+    province: 'Province',
+    state: 'State',
+    selectProvince: 'Select a province',
+    selectState: 'Select a state',
+    postalCode: 'Postal code',
+    zipCode: 'ZIP code',
+    phone: 'Phone (optional)',
+    summaryHint: 'Enter your address to see shipping and taxes',
+    submit: 'Continue to Payment',
+    invalidEmail: 'Enter a valid email address',
+    failed: 'Checkout failed: {message}',
+    free: 'Free',
+    standardShipping: 'Standard shipping',
+    freeShipping: 'Free standard shipping',
+    savedAddress: 'Saved addresses',
+    newAddress: 'New address',
+    saveAddress: 'Save this address to my account',
+    discount: 'Discount',
+    codeDiscount: 'Discount ({code})',
+    promoCode: 'Discount code',
+    applyCode: 'Apply',
+    removeCode: 'Remove',
+    codeApplied: 'Code {code} applied',
+    codeNotCombined: 'Code {code} can’t be combined with your larger reminder discount',
+    promoErrors: {
+      not_found: 'That code isn’t valid',
+      not_started: 'That code isn’t active yet',
+      expired: 'That code has expired',
+      used_up: 'That code has been fully redeemed',
+      already_used: 'You’ve already used that code',
+      not_applicable: 'That code doesn’t apply to the items in your cart',
+      min_subtotal: 'Spend {amount} on eligible items to use that code',
+      unavailable: 'That discount is no longer available',
+    },
+  },
+  address: {
+    nameRequired: 'Name is required',
+    line1Required: 'Street address is required',
+    cityRequired: 'City is required',
+    countryUnsupported: 'We ship to Canada and the United States',
+    selectProvince: 'Select a province or territory',
+    selectState: 'Select a state',
+    postalCodeFormat: 'Enter a postal code like K1A 0B1',
+    postalCodeMismatch: 'Postal code doesn’t match {province}',
+    zipCodeFormat: 'Enter a ZIP code like 12345',
+    phoneFormat: 'Enter a valid phone number',
+  },
+  provinces: {
+    AB: 'Alberta',
+    BC: 'British Columbia',
+    MB: 'Manitoba',
+    NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia',
+    NT: 'Northwest Territories',
+    NU: 'Nunavut',
+    ON: 'Ontario',
+    PE: 'Prince Edward Island',
+    QC: 'Quebec',
+    SK: 'Saskatchewan',
+    YT: 'Yukon',
+  },
+  tax: {
+    GST: 'GST',
+    HST: 'HST',
+    PST: 'PST',
+    QST: 'QST',
+  },
+  products: {
+    loading: 'Loading products...',
+    errorTitle: 'Unable to Load Products',
+    errorMessage: 'Please try again later',
+    retry: 'Retry',
+    heading: 'Premium Canadian-Made Fashion',
+    subtitle:
+      'Discover our latest sustainable, ethically-crafted collection designed for modern living',
+    shown: '{loaded} of {total}',
+    items: { one: '{shown} Item', other: '{shown} Items' },
+    results: { one: '{shown} result for “{q}”', other: '{shown} results for “{q}”' },
+    noMatchQuery: 'No products match “{q}”.',
+    noMatch: 'No products match these filters.',
+    none: 'No products available',
+    categoryNotFound: 'We couldn’t find that category.',
+    clearSearch: 'Clear search',
+    loadMore: 'Load more',
+    loadingMore: 'Loading…',
+    tryAgain: 'Try again',
+  },
+  sort: {
+    label: 'Sort by',
+    relevance: 'Best match',
+    newest: 'Newest',
+    price: 'Price: low to high',
+    price_desc: 'Price: high to low',
+    title: 'Name',
+  },
+  facets: {
+    title: 'Filters',
+    close: 'Close filters',
+    price: 'Price (CAD)',
+    min: 'Min',
+    max: 'Max',
+    clear: 'Clear all filters',
+    category: 'Category',
+    size: 'Size',
+    color: 'Colour',
+    fit: 'Fit',
+    tag: 'Tags',
+  },
+  product: {
+    addToCart: 'Add to Cart',
+    untitled: 'Untitled',
+    soldOut: '{title} (sold out)',
+    chooseOption: 'Choose {title} option',
+    notFound: 'Product not found',
+    loading: 'Loading product...',
+    unavailableTitle: 'Product unavailable',
+    unavailable: 'This product is no longer available.',
+    continue: 'Continue shopping',
+  },
+  faq: {
+    heading: 'Common Questions About Our Collection',
+    fabricsQuestion: 'What fabrics does CanadaClothes.ca use?',
+    fabricsAnswer:
+      'We source premium, certified sustainable materials including organic cotton, linen blends, and recycled fibers. All fabrics are tested for durability and comfort, with certifications from GOTS (Global Organic Textile Standard) and Fair Trade Certified.',
+    ethicsQuestion: 'Are CanadaClothes.ca products ethically made?',
+    ethicsAnswer:
+      'Yes. All products are manufactured in Canada by artisans earning fair wages. We partner directly with textile mills and manufacturers, ensuring transparent supply chains and supporting local economies.',
+    sizingQuestion: 'How should I size CanadaClothes.ca apparel?',
+    sizingAnswer:
+      'Our sizing follows Canadian standards. Most pieces run true to size. Each product includes detailed measurements, fabric composition, and care instructions. If unsure, order your typical size or contact support for personalized fitting advice.',
+  },
+  qav: {
+    heading: 'Questions About This Product',
+    source: 'Based on {category}',
+  },
+  order: {
+    title: 'Order status',
+    lookupHint: 'Enter your order number and the email address you checked out with.',
+    number: 'Order number',
+    email: 'Email',
+    find: 'Find my order',
+    continue: 'Continue shopping',
+    loading: 'Loading your order...',
+    notFound: 'We couldn’t find an order with that number and email address.',
+    lookupInvalid: 'Enter your order number and a valid email address.',
+    cancelled: 'This order was cancelled.',
+    tracking: 'Tracking',
+    shippedOn: 'Shipped {date}',
+    item: 'Item',
+    meta: 'Order #{number} · Placed {date}',
+    shipping: 'Shipping',
+    stages: {
+      placed: 'Order placed',
+      paid: 'Payment confirmed',
+      in_production: 'In production',
+      shipped: 'Shipped',
+      delivered: 'Delivered',
+    },
+  },
+  account: {
+    path: '/account',
+    link: 'Account',
+    title: 'Your account',
+    signInTitle: 'Sign in or create an account',
+    email: 'Email',
+    password: 'Password',
+    passwordHint: 'Not needed for a sign-in link',
+    signIn: 'Sign in',
+    signUp: 'Create account',
+    magicLink: 'Email me a sign-in link',
+    invalidEmail: 'Enter a valid email address',
+    passwordRequired: 'Enter a password of at least 6 characters',
+    confirmSent: 'Check your email: we sent a link to confirm {email}.',
+    linkSent: 'Check your email: we sent a sign-in link to {email}.',
+    signedInAs: 'Signed in as {email}',
+    signOut: 'Sign out',
+    loading: 'Loading your account…',
+    loadFailed: 'We couldn’t load your account. Please try again.',
+    orders: 'Orders',
+    noOrders: 'You haven’t placed any orders with {email} yet.',
+    orderMeta: 'Order #{number} · {date}',
+    items: { one: '{count} item', other: '{count} items' },
+    view: 'View order',
+    addresses: 'Saved addresses',
+    noAddresses: 'Addresses you ship to while signed in are saved here.',
+    default: 'Default',
+    makeDefault: 'Make default',
+    remove: 'Remove',
+    status: {
+      pending: 'Awaiting payment',
+      processing: 'Processing',
+      completed: 'Paid',
+      cancelled: 'Cancelled',
+    },
+  },
+  unsubscribe: {
+    title: 'Unsubscribe',
+    done: '{email} won’t get cart reminders from us anymore. We’ll still email you about your orders.',
+    invalid: 'This unsubscribe link isn’t valid. Use the link from your most recent email.',
+    back: 'Back to the shop',
+  },
+  footer: {
+    about: 'About',
+    aboutText: 'Premium Canadian-made apparel and accessories for the modern lifestyle.',
+    links: 'Links',
+    support: 'Support',
+    orderStatusPath: '/order',
+    orderStatus: 'Order status',
+    shipping: 'Shipping',
+    returns: 'Returns',
+    faq: 'FAQ',
+    rights: '© 2024 CanadaClothes.ca. All rights reserved.',
+    madeIn: 'Made in Canada 🍁',
+  },
+};
@@ -0,0 +1,294 @@
+// filepath: src/js/locales/fr.js
+// Messages de la boutique en français (voir i18n.js); mêmes clés que en.js
+
+export const messages = {
+  meta: {
+    title: 'CanadaClothes.ca - Mode haut de gamme fabriquée au Canada et vêtements durables',
+    description:
+      'Vêtements et accessoires haut de gamme fabriqués au Canada. Magasinez une mode durable avec plus de 5 angles par produit, des tailles détaillées et des tissus authentiques.',
+    ogTitle: 'CanadaClothes.ca - Mode canadienne haut de gamme',
+    ogDescription:
+      'Vêtements canadiens durables, faits à la main. Magasinez robes, chemises et accessoires d’une authenticité vérifiée.',
+    twitterDescription: 'Vêtements canadiens durables, faits à la main avec authenticité.',
+    ogLocale: 'fr_CA',
+    productDescription: 'Achetez {title} sur {siteName}',
+    orderTitle: 'Suivi de commande | {siteName}',
+    accountTitle: 'Votre compte | {siteName}',
+  },
+  lang: {
+    other: 'English',
+    otherCode: 'en',
+    switchLabel: 'View the site in English',
+  },
+  nav: {
+    shop: 'Boutique',
+    about: 'À propos',
+    contact: 'Contact',
+    homePath: '/fr/',
+    home: 'Accueil',
+    breadcrumb: 'Fil d’Ariane',
+  },
+  search: {
+    placeholder: 'Rechercher des produits',
+    suggestions: 'Suggestions',
+  },
+  cart: {
+    title: 'Panier',
+    open: 'Ouvrir le panier',
+    close: 'Fermer le panier',
+    empty: 'Votre panier est vide',
+    continue: 'Continuer vos achats',
+    shipTo: 'Livrer en',
+    provinceLabel: 'Province ou territoire',
+    provincePlaceholder: 'Province / territoire',
+    subtotal: 'Sous-total',
+    total: 'Total',
+    hint: 'Choisissez votre province pour voir les taxes. Livraison calculée au paiement',
+    shippingHint: 'Livraison calculée au paiement',
+    checkout: 'Passer à la caisse',
+    processing: 'Traitement…',
+    oneSize: 'Taille unique',
+    decrease: 'Diminuer la quantité',
+    increase: 'Augmenter la quantité',
+    remove: 'Retirer',
+    removeLabel: 'Retirer l’article',
+    priceChanged: 'Le prix était de {price}',
+    unavailable: 'Épuisé — retirez-le ou revenez plus tard',
+    removed: 'N’est plus offert',
+    recoveryDiscount: 'Votre rabais de {percent} % s’applique au moment de payer',
+    restoreFailed: 'Ce lien de panier n’est plus valide',
+  },
+  currency: {
+    label: 'Devise',
+    charged: 'Vous serez facturé {amount} (dollars canadiens)',
+  },
+  checkout: {
+    title: 'Paiement',
+    close: 'Fermer le paiement',
+    contact: 'Coordonnées',
+    email: 'Courriel',
+    shippingAddress: 'Adresse de livraison',
+    name: 'Nom complet',
+    line1: 'Adresse',
+    line2: 'Appartement, bureau, etc. (facultatif)',
+    city: 'Ville',
+    country: 'Pays',
+    province: 'Province',
+    state: 'État',
+    selectProvince: 'Choisissez une province',
+    selectState: 'Choisissez un État',
+    postalCode: 'Code postal',
+    zipCode: 'Code ZIP',
+    phone: 'Téléphone (facultatif)',
+    summaryHint: 'Entrez votre adresse pour voir la livraison et les taxes',
+    submit: 'Continuer vers le paiement',
+    invalidEmail: 'Entrez une adresse courriel valide',
+    failed: 'Échec du paiement : {message}',
+    free: 'Gratuite',
+    standardShipping: 'Livraison standard',
+    freeShipping: 'Livraison standard gratuite',
+    savedAddress: 'Adresses enregistrées',
+    newAddress: 'Nouvelle adresse',
+    saveAddress: 'Enregistrer cette adresse dans mon compte',
+    discount: 'Rabais',
+    codeDiscount: 'Rabais ({code})',
+    promoCode: 'Code promo',
+    applyCode: 'Appliquer',
+    removeCode: 'Retirer',
+    codeApplied: 'Code {code} appliqué',
+    codeNotCombined:
+      'Le code {code} ne peut pas s’ajouter à votre rabais de rappel, plus avantageux',
+    promoErrors: {
+      not_found: 'Ce code n’est pas valide',
+      not_started: 'Ce code n’est pas encore actif',
+      expired: 'Ce code est expiré',
+      used_up: 'Ce code a atteint sa limite d’utilisation',
+      already_used: 'Vous avez déjà utilisé ce code',
+      not_applicable: 'Ce code ne s’applique pas aux articles de votre panier',
+      min_subtotal: 'Ce code s’applique à partir de {amount} d’articles admissibles',
+      unavailable: 'Ce rabais n’est plus offert',
+    },
+  },
+  address: {
+    nameRequired: 'Le nom est obligatoire',
+    line1Required: 'L’adresse est obligatoire',
+    cityRequired: 'La ville est obligatoire',
+    countryUnsupported: 'Nous livrons au Canada et aux États-Unis',
+    selectProvince: 'Choisissez une province ou un territoire',
+    selectState: 'Choisissez un État',
+    postalCodeFormat: 'Entrez un code postal comme K1A 0B1',
+    postalCodeMismatch: 'Le code postal ne correspond pas à la province : {province}',
+    zipCodeFormat: 'Entrez un code ZIP comme 12345',
+    phoneFormat: 'Entrez un numéro de téléphone valide',
+  },
+  provinces: {
+    AB: 'Alberta',
+    BC: 'Colombie-Britannique',
+    MB: 'Manitoba',
+    NB: 'Nouveau-Brunswick',
+    NL: 'Terre-Neuve-et-Labrador',
+    NS: 'Nouvelle-Écosse',
+    NT: 'Territoires du Nord-Ouest',
+    NU: 'Nunavut',
+    ON: 'Ontario',
+    PE: 'Île-du-Prince-Édouard',
+    QC: 'Québec',
+    SK: 'Saskatchewan',
+    YT: 'Yukon',
+  },
+  tax: {
+    GST: 'TPS',
+    HST: 'TVH',
+    PST: 'TVP',
+    QST: 'TVQ',
+  },
+  products: {
+    loading: 'Chargement des produits…',
+    errorTitle: 'Impossible de charger les produits',
+    errorMessage: 'Veuillez réessayer plus tard',
+    retry: 'Réessayer',
+    heading: 'Mode haut de gamme fabriquée au Canada',
+    subtitle:
+      'Découvrez notre plus récente collection durable et éthique, pensée pour la vie d’aujourd’hui',
+    shown: '{loaded} sur {total}',
+    items: { one: '{shown} article', other: '{shown} articles' },
+    results: { one: '{shown} résultat pour « {q} »', other: '{shown} résultats pour « {q} »' },
+    noMatchQuery: 'Aucun produit ne correspond à « {q} ».',
+    noMatch: 'Aucun produit ne correspond à ces filtres.',
+    none: 'Aucun produit disponible',
+    categoryNotFound: 'Nous n’avons pas trouvé cette catégorie.',
+    clearSearch: 'Effacer la recherche',
+    loadMore: 'Voir plus',
+    loadingMore: 'Chargement…',
+    tryAgain: 'Réessayer',
+  },
+  sort: {
+    label: 'Trier par',
+    relevance: 'Pertinence',
+    newest: 'Nouveautés',
+    price: 'Prix croissant',
+    price_desc: 'Prix décroissant',
+    title: 'Nom',
+  },
+  facets: {
+    title: 'Filtres',
+    close: 'Fermer les filtres',
+    price: 'Prix ($ CA)',
+    min: 'Min.',
+    max: 'Max.',
+    clear: 'Effacer tous les filtres',
+    category: 'Catégorie',
+    size: 'Taille',
+    color: 'Couleur',
+    fit: 'Coupe',
+    tag: 'Étiquettes',
+  },
+  product: {
+    addToCart: 'Ajouter au panier',
+    untitled: 'Sans titre',
+    soldOut: '{title} (épuisé)',
+    chooseOption: 'Choisir une option pour {title}',
+    notFound: 'Produit introuvable',
+    loading: 'Chargement du produit…',
+    unavailableTitle: 'Produit non disponible',
+    unavailable: 'Ce produit n’est plus offert.',
+    continue: 'Continuer vos achats',
+  },
+  faq: {
+    heading: 'Questions fréquentes sur notre collection',
+    fabricsQuestion: 'Quels tissus CanadaClothes.ca utilise-t-il?',
+    fabricsAnswer:
+      'Nous choisissons des matières haut de gamme certifiées durables, dont le coton biologique, les mélanges de lin et les fibres recyclées. Tous nos tissus sont testés pour leur durabilité et leur confort, et certifiés GOTS (Global Organic Textile Standard) et Fair Trade.',
+    ethicsQuestion: 'Les produits CanadaClothes.ca sont-ils fabriqués de façon éthique?',
+    ethicsAnswer:
+      'Oui. Tous nos produits sont fabriqués au Canada par des artisans payés équitablement. Nous travaillons directement avec les filatures et les fabricants, pour une chaîne d’approvisionnement transparente qui soutient l’économie locale.',
+    sizingQuestion: 'Comment choisir ma taille chez CanadaClothes.ca?',
+    sizingAnswer:
+      'Nos tailles suivent les normes canadiennes et la plupart des pièces taillent normalement. Chaque produit indique ses mesures détaillées, la composition du tissu et les consignes d’entretien. En cas de doute, commandez votre taille habituelle ou écrivez au soutien pour des conseils personnalisés.',
+  },
+  qav: {
+    heading: 'Questions sur ce produit',
+    source: 'Sujet : {category}',
+  },
+  order: {
+    title: 'Suivi de commande',
+    lookupHint: 'Entrez votre numéro de commande et l’adresse courriel utilisée au paiement.',
+    number: 'Numéro de commande',
+    email: 'Courriel',
+    find: 'Trouver ma commande',
+    continue: 'Continuer vos achats',
+    loading: 'Chargement de votre commande…',
+    notFound: 'Nous n’avons trouvé aucune commande avec ce numéro et cette adresse courriel.',
+    lookupInvalid: 'Entrez votre numéro de commande et une adresse courriel valide.',
+    cancelled: 'Cette commande a été annulée.',
+    tracking: 'Suivi',
+    shippedOn: 'Expédiée le {date}',
+    item: 'Article',
+    meta: 'Commande no {number} · Passée le {date}',
+    shipping: 'Livraison',
+    stages: {
+      placed: 'Commande passée',
+      paid: 'Paiement confirmé',
+      in_production: 'En production',
+      shipped: 'Expédiée',
+      delivered: 'Livrée',
+    },
+  },
+  account: {
+    path: '/fr/account',
+    link: 'Compte',
+    title: 'Votre compte',
+    signInTitle: 'Connectez-vous ou créez un compte',
+    email: 'Courriel',
+    password: 'Mot de passe',
+    passwordHint: 'Inutile pour un lien de connexion',
+    signIn: 'Se connecter',
+    signUp: 'Créer un compte',
+    magicLink: 'M’envoyer un lien de connexion',
+    invalidEmail: 'Entrez une adresse courriel valide',
+    passwordRequired: 'Entrez un mot de passe d’au moins 6 caractères',
+    confirmSent: 'Consultez vos courriels : nous avons envoyé un lien pour confirmer {email}.',
+    linkSent: 'Consultez vos courriels : nous avons envoyé un lien de connexion à {email}.',
+    signedInAs: 'Connecté en tant que {email}',
+    signOut: 'Se déconnecter',
+    loading: 'Chargement de votre compte…',
+    loadFailed: 'Nous n’avons pas pu charger votre compte. Veuillez réessayer.',
+    orders: 'Commandes',
+    noOrders: 'Vous n’avez encore passé aucune commande avec {email}.',
+    orderMeta: 'Commande no {number} · {date}',
+    items: { one: '{count} article', other: '{count} articles' },
+    view: 'Voir la commande',
+    addresses: 'Adresses enregistrées',
+    noAddresses: 'Les adresses de livraison utilisées en étant connecté sont enregistrées ici.',
+    default: 'Par défaut',
+    makeDefault: 'Utiliser par défaut',
+    remove: 'Supprimer',
+    status: {
+      pending: 'En attente de paiement',
+      processing: 'En traitement',
+      completed: 'Payée',
+      cancelled: 'Annulée',
+    },
+  },
+  unsubscribe: {
+    title: 'Désabonnement',
+    done: '{email} ne recevra plus de rappels de panier. Nous vous écrirons tout de même au sujet de vos commandes.',
+    invalid:
+      'Ce lien de désabonnement n’est pas valide. Utilisez celui de votre plus récent courriel.',
+    back: 'Retour à la boutique',
+  },
+  footer: {
+    about: 'À propos',
+    aboutText:
+      'Vêtements et accessoires haut de gamme fabriqués au Canada, pour la vie d’aujourd’hui.',
+    links: 'Liens',
+    support: 'Soutien',
+    orderStatusPath: '/fr/order',
+    orderStatus: 'Suivi de commande',
+    shipping: 'Livraison',
+    returns: 'Retours',
+    faq: 'FAQ',
+    rights: '© 2024 CanadaClothes.ca. Tous droits réservés.',
+    madeIn: 'Fabriqué au Canada 🍁',
+  },
+};
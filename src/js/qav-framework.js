@@ -10,49 +10,84 @@
  * This is critical for AI Overviews (AIO) and Google's agentic search.
  */
 
+import { getLocale, translate } from './i18n.js';
+
 export class QAVFramework {
   /**
-   * Product-specific Q-A-V content
+   * Product-specific Q-A-V content, per locale
    * Maps product categories to relevant questions users ask
    */
   static productQAVContent = {
-    default: [
-      {
-        question: 'What are the best breathable fabrics for summer clothing?',
-        answer: 'Linen and cotton blends offer superior breathability. Our lab testing shows our linen blend reduces body temperature by 3-5°C compared to standard cotton, making it ideal for warm weather.',
-        atomic: true,
-        category: 'fabric-care'
-      },
-      {
-        question: 'How do I care for Canadian-made apparel to extend its lifespan?',
-        answer: 'Wash in cool water, air dry, and avoid excessive wringing. Canadian manufacturers often use high-quality materials that improve with age. Proper care can extend garment life by 2-3 years.',
-        atomic: true,
-        category: 'sustainability'
-      },
-      {
-        question: 'What makes sustainable fashion more expensive?',
-        answer: 'Ethical sourcing, fair labor wages, and quality materials increase costs. Our products use certified sustainable textiles (GOTS, Fair Trade) and support artisan communities.',
-        atomic: true,
-        category: 'trust'
-      }
-    ]
+    en: {
+      default: [
+        {
+          question: 'What are the best breathable fabrics for summer clothing?',
+          answer: 'Linen and cotton blends offer superior breathability. Our lab testing shows our linen blend reduces body temperature by 3-5°C compared to standard cotton, making it ideal for warm weather.',
+          atomic: true,
+          category: 'fabric-care'
+        },
+        {
+          question: 'How do I care for Canadian-made apparel to extend its lifespan?',
+          answer: 'Wash in cool water, air dry, and avoid excessive wringing. Canadian manufacturers often use high-quality materials that improve with age. Proper care can extend garment life by 2-3 years.',
+          atomic: true,
+          category: 'sustainability'
+        },
+        {
+          question: 'What makes sustainable fashion more expensive?',
+          answer: 'Ethical sourcing, fair labor wages, and quality materials increase costs. Our products use certified sustainable textiles (GOTS, Fair Trade) and support artisan communities.',
+          atomic: true,
+          category: 'trust'
+        }
+      ]
+    },
+    fr: {
+      default: [
+        {
+          question: 'Quels sont les tissus les plus respirants pour l’été?',
+          answer: 'Les mélanges de lin et de coton offrent la meilleure respirabilité. Nos essais en laboratoire montrent que notre mélange de lin abaisse la température corporelle de 3 à 5 °C par rapport au coton standard, ce qui le rend idéal par temps chaud.',
+          atomic: true,
+          category: 'entretien des tissus'
+        },
+        {
+          question: 'Comment entretenir des vêtements fabriqués au Canada pour qu’ils durent plus longtemps?',
+          answer: 'Lavez à l’eau froide, séchez à l’air libre et évitez de trop tordre. Les fabricants canadiens utilisent souvent des matières de qualité qui s’améliorent avec le temps. Un bon entretien peut prolonger la vie d’un vêtement de 2 à 3 ans.',
+          atomic: true,
+          category: 'durabilité'
+        },
+        {
+          question: 'Pourquoi la mode durable coûte-t-elle plus cher?',
+          answer: 'L’approvisionnement éthique, des salaires équitables et des matières de qualité augmentent les coûts. Nos produits utilisent des textiles certifiés durables (GOTS, Fair Trade) et soutiennent les communautés d’artisans.',
+          atomic: true,
+          category: 'confiance'
+        }
+      ]
+    }
   };
 
+  /**
+   * Questions for a locale; English when it has none
+   * @param {string} locale - 'en' or 'fr'
+   */
+  static getQAVContent(locale = getLocale()) {
+    const content = this.productQAVContent[locale] || this.productQAVContent.en;
+    return content.default || [];
+  }
+
   /**
    * Generate Q-A-V markup for product pages
-   * Used by app.js when rendering product details
+   * Used by app.js and api/_lib/product-page.js when rendering product details
    */
-  static generateProductQAVSection(product) {
-    const qaContent = this.productQAVContent.default || [];
+  static generateProductQAVSection(product, locale = getLocale()) {
+    const qaContent = this.getQAVContent(locale);
     
     return `
       <section class="qav-section" data-product-id="${product.id}">
-        <h2>Questions About This Product</h2>
+        <h2>${translate(locale, 'qav.heading')}</h2>
         ${qaContent.map((qa, i) => `
           <article class="qav-item" data-atomic="${qa.atomic}">
             <h3>${qa.question}</h3>
             <p class="atomic-answer">${qa.answer}</p>
-            <small class="qav-source">Based on ${qa.category}</small>
+            <small class="qav-source">${translate(locale, 'qav.source', { category: qa.category })}</small>
           </article>
         `).join('')}
       </section>
@@ -63,8 +98,8 @@ export class QAVFramework {
    * Generate FAQ Page Schema (Q-A-V for Google)
    * Used by SchemaManager to inject FAQPage schema
    */
-  static getFAQPageSchema() {
-    return this.productQAVContent.default.map(qa => ({
+  static getFAQPageSchema(locale = getLocale()) {
+    return this.getQAVContent(locale).map(qa => ({
       question: qa.question,
       answer: qa.answer,
       atomic: qa.atomic
@@ -90,5 +125,7 @@ export class QAVFramework {
   }
 }
 
-// Export for use in app.js
-window.QAVFramework = QAVFramework;
+// Global for scripts in index.html; absent when imported on the server
+if (typeof window !== 'undefined') {
+  window.QAVFramework = QAVFramework;
+}
@@ -0,0 +1,117 @@
+// filepath: src/js/router.js
+// History API router: matches paths to named routes and intercepts in-app links
+// Routes are written without a locale; /fr/... paths match them with locale 'fr'
+
+import { localeFromPath, stripLocale } from './i18n.js';
+
+export class Router {
+  /**
+   * @param {Array<{ name: string, path: string }>} routes - Paths like '/product/:id', tried in order
+   */
+  constructor(routes) {
+    this.routes = routes.map((route) => ({ ...route, ...Router.compile(route.path) }));
+    this.handler = null;
+    this.onPopState = () => this.dispatch();
+    this.onClick = (e) => this.handleLinkClick(e);
+  }
+
+  // '/product/:id' → a RegExp and its parameter names
+  static compile(path) {
+    const keys = [];
+    const pattern = path
+      .split('/')
+      .map((part) => {
+        if (part.startsWith(':')) {
+          keys.push(part.slice(1));
+          return '([^/]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+    return { regex: new RegExp(`^${pattern}/?$`), keys };
+  }
+
+  /**
+   * Route for a URL
+   * @param {string|URL} url - Path or absolute URL
+   * @returns {{ name: string, params: Object, query: URLSearchParams, path: string, locale: string }|null}
+   */
+  match(url) {
+    const { pathname, search } = new URL(url, window.location.origin);
+    const locale = localeFromPath(pathname);
+
+    for (const route of this.routes) {
+      const found = route.regex.exec(stripLocale(pathname));
+      if (found) {
+        const params = {};
+        route.keys.forEach((key, i) => {
+          params[key] = decodeURIComponent(found[i + 1]);
+        });
+        return {
+          name: route.name,
+          params,
+          query: new URLSearchParams(search),
+          path: `${pathname}${search}`,
+          locale,
+        };
+      }
+    }
+    return null;
+  }
+
+  current() {
+    return this.match(window.location.href);
+  }
+
+  /**
+   * Listen for back/forward and link clicks; handler(route) runs for each navigation
+   * @param {Function} handler - Called with the matched route (or null)
+   */
+  start(handler) {
+    this.handler = handler;
+    window.addEventListener('popstate', this.onPopState);
+    document.addEventListener('click', this.onClick);
+  }
+
+  stop() {
+    window.removeEventListener('popstate', this.onPopState);
+    document.removeEventListener('click', this.onClick);
+  }
+
+  /**
+   * Go to a path without reloading the page
+   * @param {string} path
+   * @param {Object} options - { replace: true to replace the current history entry }
+   */
+  navigate(path, { replace = false } = {}) {
+    if (replace) {
+      window.history.replaceState({}, '', path);
+    } else {
+      window.history.pushState({}, '', path);
+    }
+    this.dispatch();
+  }
+
+  dispatch() {
+    if (this.handler) {
+      this.handler(this.current());
+    }
+  }
+
+  // Same-origin links to a known route are handled in the page; anything else
+  // (new tab, downloads, other sites, unknown paths) is left to the browser
+  handleLinkClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)
+      return;
+
+    const link = e.target.closest('a[href]');
+    if (!link || link.target || link.hasAttribute('download')) return;
+    if (link.getAttribute('href').startsWith('#')) return;
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || !this.match(url)) return;
+
+    e.preventDefault();
+    this.navigate(`${url.pathname}${url.search}`);
+  }
+}
@@ -8,9 +8,16 @@
  * - Product (individual items)
  * - BreadcrumbList (site navigation, crawler guidance)
  * - FAQPage (Q-A-V framework)
+ *
+ * build* methods return plain objects and touch no browser APIs, so the
+ * product page render (api/pages/product.js) produces the same JSON-LD and
+ * meta tags as the browser; inject* methods add them to the page.
+ * Page builders take a locale ('en' or 'fr') for names, URLs and labels.
  */
 
-class SchemaManager {
+import { LOCALES, alternateLinks, getLocale, localizePath, localizeProduct, translate } from './i18n.js';
+
+export class SchemaManager {
   constructor(config = {}) {
     this.config = {
       organization: {
@@ -40,7 +47,11 @@ class SchemaManager {
    * Establishes brand authority for E-E-A-T
    */
   injectOrganizationSchema() {
-    const schema = {
+    this.injectSchema(this.buildOrganizationSchema());
+  }
+
+  buildOrganizationSchema() {
+    return {
       '@context': 'https://schema.org',
       '@type': 'Organization',
       '@id': `${this.config.organization.url}/#organization`,
@@ -67,7 +78,6 @@ class SchemaManager {
         'sameAs': 'https://www.linkedin.com/in/founder'
       }
     };
-    this.injectSchema(schema);
   }
 
   /**
@@ -77,8 +87,20 @@ class SchemaManager {
    * @param {Array} variants - Product variants (color, size, etc)
    */
   injectProductGroupSchema(product, variants = []) {
-    const baseUrl = window.location.origin;
-    const productUrl = `${baseUrl}/product/${product.id}`;
+    this.injectSchema(this.buildProductGroupSchema(product, variants, window.location.origin));
+  }
+
+  /**
+   * @param {Object} product - Storefront product
+   * @param {Array} variants - [{ sku, title, price, color, size, available }] (see buildSchemaVariants)
+   * @param {string} baseUrl - Site origin
+   * @param {string} locale - Language of the names, description and URLs
+   * @returns {Object} ProductGroup schema
+   */
+  buildProductGroupSchema(product, variants = [], baseUrl = this.config.organization.url, locale = getLocale()) {
+    product = localizeProduct(product, locale);
+    const productUrl = `${baseUrl}${localizePath(`/product/${encodeURIComponent(product.id)}`, locale)}`;
+    const description = SchemaManager.plainText(product.description);
 
     const variantItems = variants.map(variant => ({
       '@type': 'Product',
@@ -87,7 +109,7 @@ class SchemaManager {
       'name': `${product.title} - ${variant.title}`,
       'color': variant.color || undefined,
       'size': variant.size || undefined,
-      'description': product.description,
+      'description': description,
       'image': product.image,
       'brand': {
         '@type': 'Brand',
@@ -99,7 +121,7 @@ class SchemaManager {
         'priceCurrency': 'CAD',
         'price': (variant.price / 100).toFixed(2),
         'priceValidUntil': new Date(Date.now() + 30*24*60*60*1000).toISOString().split('T')[0],
-        'availability': 'InStock',
+        'availability': variant.available === false ? 'https://schema.org/OutOfStock' : 'https://schema.org/InStock',
         'seller': {
           '@type': 'Organization',
           'name': 'CanadaClothes.ca'
@@ -116,7 +138,7 @@ class SchemaManager {
       '@type': 'ProductGroup',
       '@id': `${productUrl}#product-group`,
       'name': product.title,
-      'description': product.description,
+      'description': description,
       'url': productUrl,
       'image': product.image,
       'brand': {
@@ -134,7 +156,119 @@ class SchemaManager {
       }
     };
 
-    this.injectSchema(schema);
+    return schema;
+  }
+
+  /**
+   * Variants for buildProductGroupSchema from a product's Printify variants
+   * Titles are Printify's "Navy / M"; the parts that are colours and sizes of
+   * the product become the variant's color and size
+   *
+   * @param {Object} product - Storefront product (variants, colors, sizes)
+   * @returns {Array} [{ sku, title, price, color, size, available }]
+   */
+  static buildSchemaVariants(product) {
+    return (product.variants || []).map(variant => {
+      const parts = (variant.title || '').split('/').map(part => part.trim());
+      return {
+        sku: `${product.id}-${variant.id}`,
+        title: variant.title,
+        price: variant.price,
+        color: parts.find(part => (product.colors || []).includes(part)),
+        size: parts.find(part => (product.sizes || []).includes(part)),
+        available: variant.available
+      };
+    });
+  }
+
+  /**
+   * JSON-LD of a product page: ProductGroup, BreadcrumbList and FAQPage
+   * @param {Object} product - Storefront product
+   * @param {Object} options - { baseUrl, faq: [{ question, answer, atomic }], locale }
+   * @returns {Array<Object>}
+   */
+  buildProductPageSchemas(product, { baseUrl = this.config.organization.url, faq = [], locale = getLocale() } = {}) {
+    const url = path => `${baseUrl}${localizePath(path, locale)}`;
+    const title = localizeProduct(product, locale).title;
+    const breadcrumbs = product.category && product.categorySlug
+      ? [{ name: product.category, url: url(`/category/${encodeURIComponent(product.categorySlug)}`) }]
+      : [];
+    breadcrumbs.push({ name: title, url: url(`/product/${encodeURIComponent(product.id)}`) });
+
+    return [
+      this.buildProductGroupSchema(product, SchemaManager.buildSchemaVariants(product), baseUrl, locale),
+      this.buildBreadcrumbSchema(breadcrumbs, baseUrl, locale),
+      ...(faq.length > 0 ? [this.buildFAQPageSchema(faq)] : [])
+    ];
+  }
+
+  /**
+   * Title, description, canonical URL, hreflang alternates and
+   * Open Graph/Twitter/Pinterest tags of a product page
+   * @param {Object} product - Storefront product
+   * @param {string} baseUrl - Site origin
+   * @param {string} locale - 'en' or 'fr'
+   * @returns {Object} { title, description, canonical, alternates: [{ hreflang, href }], tags: [{ attribute: 'property'|'name', key, content }] }
+   */
+  buildProductPageMeta(product, baseUrl = this.config.organization.url, locale = getLocale()) {
+    product = localizeProduct(product, locale);
+    const siteName = this.config.organization.name;
+    const path = `/product/${encodeURIComponent(product.id)}`;
+    const canonical = `${baseUrl}${localizePath(path, locale)}`;
+    const description = SchemaManager.plainText(product.description).slice(0, 160) ||
+      translate(locale, 'meta.productDescription', { title: product.title, siteName });
+    const price = ((product.price || 0) / 100).toFixed(2);
+    const available = (product.variants || []).length === 0 ||
+      product.variants.some(variant => variant.available !== false);
+
+    const tags = [
+      ['property', 'og:type', 'product'],
+      ['property', 'og:site_name', siteName],
+      ['property', 'og:title', product.title],
+      ['property', 'og:description', description],
+      ['property', 'og:url', canonical],
+      ['property', 'og:locale', translate(locale, 'meta.ogLocale')],
+      ...Object.keys(LOCALES)
+        .filter(other => other !== locale)
+        .map(other => ['property', 'og:locale:alternate', translate(other, 'meta.ogLocale')]),
+      ['property', 'og:image', product.image],
+      ['property', 'product:price:amount', price],
+      ['property', 'product:price:currency', 'CAD'],
+      ['property', 'product:availability', available ? 'in stock' : 'out of stock'],
+      ['name', 'twitter:card', 'summary_large_image'],
+      ['name', 'twitter:site', '@canadaclothes'],
+      ['name', 'twitter:title', product.title],
+      ['name', 'twitter:description', description],
+      ['name', 'twitter:image', product.image],
+      ['name', 'pinterest:description', description.slice(0, 125)]
+    ]
+      .filter(([, , content]) => content)
+      .map(([attribute, key, content]) => ({ attribute, key, content: String(content) }));
+
+    return {
+      title: `${product.title} | ${siteName}`,
+      description,
+      canonical,
+      alternates: alternateLinks(baseUrl, path),
+      tags
+    };
+  }
+
+  /**
+   * Text of an HTML fragment (Printify descriptions), on one line
+   * Works without a DOM, so server and browser agree
+   *
+   * @param {string} html
+   * @returns {string}
+   */
+  static plainText(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+    return String(html || '')
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => entities[name])
+      .replace(/\s+/g, ' ')
+      .trim();
   }
 
   /**
@@ -143,12 +277,16 @@ class SchemaManager {
    * @param {Array} breadcrumbs - [{name: 'Home', url: '/'}, ...]
    */
   injectBreadcrumbSchema(breadcrumbs = []) {
+    this.injectSchema(this.buildBreadcrumbSchema(breadcrumbs, window.location.origin));
+  }
+
+  buildBreadcrumbSchema(breadcrumbs = [], baseUrl = this.config.organization.url, locale = getLocale()) {
     const items = [
       {
         '@type': 'ListItem',
         'position': 1,
-        'name': 'Home',
-        'item': `${window.location.origin}/`
+        'name': translate(locale, 'nav.home'),
+        'item': `${baseUrl}${localizePath('/', locale)}`
       },
       ...breadcrumbs.map((crumb, i) => ({
         '@type': 'ListItem',
@@ -158,13 +296,11 @@ class SchemaManager {
       }))
     ];
 
-    const schema = {
+    return {
       '@context': 'https://schema.org',
       '@type': 'BreadcrumbList',
       'itemListElement': items
     };
-
-    this.injectSchema(schema);
   }
 
   /**
@@ -173,6 +309,10 @@ class SchemaManager {
    * @param {Array} qaItems - [{question: '...', answer: '...', atomic: true}]
    */
   injectFAQPageSchema(qaItems = []) {
+    this.injectSchema(this.buildFAQPageSchema(qaItems));
+  }
+
+  buildFAQPageSchema(qaItems = []) {
     const mainEntity = qaItems.map(item => ({
       '@type': 'Question',
       'name': item.question,
@@ -184,13 +324,11 @@ class SchemaManager {
       }
     }));
 
-    const schema = {
+    return {
       '@context': 'https://schema.org',
       '@type': 'FAQPage',
       'mainEntity': mainEntity
     };
-
-    this.injectSchema(schema);
   }
 
   /**
@@ -1835,5 +1973,7 @@ class SchemaManager {
   }
 }
 
-// Export for use in app.js
-window.SchemaManager = SchemaManager;
+// Global for the inline script in index.html; absent when imported on the server
+if (typeof window !== 'undefined') {
+  window.SchemaManager = SchemaManager;
+}
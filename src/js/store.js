@@ -1,10 +1,17 @@
 // filepath: src/js/store.js
 // State management for cart, products, user
 
+import { calculateTax, isValidProvince } from './tax.js';
+
 export class Store {
   constructor() {
     this.products = [];
     this.cart = [];
+    this.cartToken = null; // Anonymous token of the guest cart saved on the server
+    this.recovery = null; // Cart reminder the cart was restored from: { token, discountPercent }
+    this.promoCode = null; // Discount code entered at checkout, checked by the server
+    this.province = null; // Shipping province, for tax estimates
+    this.currency = null; // Currency the shopper picked to see prices in (charges stay CAD)
     this.user = null;
     this.loading = false;
     this.error = null;
@@ -15,41 +22,122 @@ export class Store {
     this.products = products || [];
   }
 
+  // Add a further page of products, skipping any already loaded
+  appendProducts(products) {
+    const loaded = new Set(this.products.map(p => String(p.id)));
+    this.products = this.products.concat((products || []).filter(p => !loaded.has(String(p.id))));
+  }
+
   getProduct(id) {
-    return this.products.find(p => p.id === id);
+    return this.products.find(p => String(p.id) === String(id));
+  }
+
+  // Variant management
+  // Without an explicit variant, the first available one is used
+  getVariant(product, variantId = null) {
+    const variants = product.variants || [];
+    if (variantId !== null && variantId !== undefined && variantId !== '') {
+      return variants.find(v => String(v.id) === String(variantId)) || null;
+    }
+    return variants.find(v => v.available !== false) || variants[0] || null;
+  }
+
+  // Cart lines are keyed by product and variant
+  static lineKey(productId, variantId) {
+    return `${productId}:${variantId ?? ''}`;
   }
 
   // Cart management
-  addToCart(product) {
+  addToCart(product, variantId = null) {
     if (!product || !product.id) {
       throw new Error('Invalid product');
     }
 
-    const existing = this.cart.find(item => item.id === product.id);
+    const variant = this.getVariant(product, variantId);
+    if ((product.variants || []).length > 0 && !variant) {
+      throw new Error('Invalid variant');
+    }
+    if (variant && variant.available === false) {
+      throw new Error(`${product.title} (${variant.title}) is unavailable`);
+    }
+
+    const key = Store.lineKey(product.id, variant ? variant.id : null);
+    const existing = this.cart.find(item => item.key === key);
     if (existing) {
       existing.qty++;
     } else {
       this.cart.push({
+        key,
         id: product.id,
+        variantId: variant ? variant.id : null,
+        variantTitle: variant ? variant.title : null,
         title: product.title,
-        price: product.price,
+        price: variant ? variant.price : product.price,
         image: product.image,
         qty: 1,
       });
     }
   }
 
-  updateQuantity(productId, change) {
-    const item = this.cart.find(i => i.id === productId);
+  updateQuantity(lineKey, change) {
+    const item = this.cart.find(i => i.key === lineKey);
     if (!item) return;
     item.qty += change;
     if (item.qty <= 0) {
-      this.removeFromCart(productId);
+      this.removeFromCart(lineKey);
     }
   }
 
-  removeFromCart(productId) {
-    this.cart = this.cart.filter(i => i.id !== productId);
+  removeFromCart(lineKey) {
+    this.cart = this.cart.filter(i => i.key !== lineKey);
+  }
+
+  /**
+   * Replace the cart with the one saved on the server (api/_lib/carts.js)
+   * Lines keep their revalidation status, so the cart can say what changed;
+   * titles and images already known locally are kept (they may be translated)
+   * @param {Array} lines - Cart lines from /api/cart
+   */
+  setCartFromServer(lines) {
+    const local = new Map(this.cart.map(item => [item.key, item]));
+    this.cart = (lines || []).map(line => {
+      const key = Store.lineKey(line.productId, line.variantId);
+      const known = local.get(key);
+      return {
+        key,
+        id: line.productId,
+        variantId: line.variantId ?? null,
+        variantTitle: line.variantTitle || known?.variantTitle || null,
+        title: known?.title || line.title || '',
+        price: line.price ?? known?.price ?? 0,
+        image: line.image || known?.image || '',
+        qty: line.quantity,
+        status: line.status,
+        previousPrice: line.previousPrice ?? null,
+      };
+    });
+  }
+
+  // Sold out and deleted lines stay in the cart to be seen, but can't be bought
+  static isPurchasable(item) {
+    return item.status !== 'unavailable' && item.status !== 'removed';
+  }
+
+  setCartToken(token) {
+    this.cartToken = token || null;
+  }
+
+  // The reminder's token goes with the order, for attribution and its discount
+  setRecovery(recovery) {
+    this.recovery = recovery && recovery.token
+      ? { token: recovery.token, discountPercent: recovery.discountPercent ?? null }
+      : null;
+  }
+
+  // Codes are stored upper-case; the server decides whether one applies
+  setPromoCode(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    this.promoCode = normalized || null;
   }
 
   // Cart calculations
@@ -58,7 +146,26 @@ export class Store {
   }
 
   getCartTotal() {
-    return this.cart.reduce((sum, item) => sum + item.price * item.qty, 0);
+    return this.getCheckoutItems().reduce((sum, item) => sum + item.total, 0);
+  }
+
+  // Tax on the cart subtotal, or null until a province is chosen
+  getCartTax() {
+    if (!this.province) return null;
+    return calculateTax(this.getCartTotal(), { province: this.province });
+  }
+
+  getCartGrandTotal() {
+    const tax = this.getCartTax();
+    return this.getCartTotal() + (tax ? tax.total : 0);
+  }
+
+  setProvince(province) {
+    this.province = isValidProvince(province) ? province : null;
+  }
+
+  setCurrency(currency) {
+    this.currency = currency || null;
   }
 
   getCartItems() {
@@ -68,6 +175,11 @@ export class Store {
     }));
   }
 
+  // Lines that go to checkout
+  getCheckoutItems() {
+    return this.getCartItems().filter(Store.isPurchasable);
+  }
+
   clearCart() {
     this.cart = [];
   }
@@ -98,6 +210,11 @@ export class Store {
   saveToLocalStorage() {
     try {
       localStorage.setItem('cart', JSON.stringify(this.cart));
+      localStorage.setItem('cartToken', this.cartToken || '');
+      localStorage.setItem('cartRecovery', this.recovery ? JSON.stringify(this.recovery) : '');
+      localStorage.setItem('promoCode', this.promoCode || '');
+      localStorage.setItem('province', this.province || '');
+      localStorage.setItem('currency', this.currency || '');
     } catch (e) {
       console.error('Failed to save cart to localStorage:', e);
     }
@@ -107,8 +224,18 @@ export class Store {
     try {
       const saved = localStorage.getItem('cart');
       if (saved) {
-        this.cart = JSON.parse(saved);
+        // Carts saved before variant support have no line key
+        this.cart = JSON.parse(saved).map(item => ({
+          ...item,
+          variantId: item.variantId ?? null,
+          key: item.key || Store.lineKey(item.id, item.variantId),
+        }));
       }
+      this.setCartToken(localStorage.getItem('cartToken'));
+      this.setRecovery(JSON.parse(localStorage.getItem('cartRecovery') || 'null'));
+      this.setPromoCode(localStorage.getItem('promoCode'));
+      this.setProvince(localStorage.getItem('province'));
+      this.setCurrency(localStorage.getItem('currency'));
     } catch (e) {
       console.error('Failed to load cart from localStorage:', e);
     }
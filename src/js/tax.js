@@ -0,0 +1,120 @@
+// filepath: src/js/tax.js
+// Canadian sales tax (GST/HST/PST/QST)
+// Pure functions shared by the cart drawer and api/_lib/orders.js
+
+import { getLocale, intlLocale, translate } from './i18n.js';
+
+export const PROVINCES = {
+  AB: 'Alberta',
+  BC: 'British Columbia',
+  MB: 'Manitoba',
+  NB: 'New Brunswick',
+  NL: 'Newfoundland and Labrador',
+  NS: 'Nova Scotia',
+  NT: 'Northwest Territories',
+  NU: 'Nunavut',
+  ON: 'Ontario',
+  PE: 'Prince Edward Island',
+  QC: 'Quebec',
+  SK: 'Saskatchewan',
+  YT: 'Yukon',
+};
+
+// Rates in thousandths of a percent (5% = 5000) so amounts stay integer math.
+// HST provinces charge HST *instead of* GST. Elsewhere the federal GST is
+// charged alongside the provincial tax (PST/RST/QST); since 2013 every
+// provincial tax is computed on the pre-GST price, so none of them compound.
+const TAX_RATES = {
+  AB: [{ type: 'GST', ratePcm: 5000 }],
+  BC: [
+    { type: 'GST', ratePcm: 5000 },
+    { type: 'PST', ratePcm: 7000 },
+  ],
+  MB: [
+    { type: 'GST', ratePcm: 5000 },
+    { type: 'PST', ratePcm: 7000 }, // Manitoba Retail Sales Tax
+  ],
+  NB: [{ type: 'HST', ratePcm: 15000 }],
+  NL: [{ type: 'HST', ratePcm: 15000 }],
+  NS: [{ type: 'HST', ratePcm: 14000 }],
+  NT: [{ type: 'GST', ratePcm: 5000 }],
+  NU: [{ type: 'GST', ratePcm: 5000 }],
+  ON: [{ type: 'HST', ratePcm: 13000 }],
+  PE: [{ type: 'HST', ratePcm: 15000 }],
+  QC: [
+    { type: 'GST', ratePcm: 5000 },
+    { type: 'QST', ratePcm: 9975 },
+  ],
+  SK: [
+    { type: 'GST', ratePcm: 5000 },
+    { type: 'PST', ratePcm: 6000 },
+  ],
+  YT: [{ type: 'GST', ratePcm: 5000 }],
+};
+
+/**
+ * Check a province/territory code
+ * @param {string} province - Two-letter code, e.g. 'ON'
+ * @returns {boolean}
+ */
+export function isValidProvince(province) {
+  return Object.prototype.hasOwnProperty.call(TAX_RATES, province);
+}
+
+/**
+ * Taxes that apply in a province
+ * @param {string} province - Two-letter code
+ * @returns {Array<{ type: string, rate: number }>} e.g. [{ type: 'HST', rate: 0.13 }]
+ */
+export function getTaxRates(province) {
+  if (!isValidProvince(province)) {
+    throw new Error(`Unknown province: ${province}`);
+  }
+  return TAX_RATES[province].map(({ type, ratePcm }) => ({ type, rate: ratePcm / 100000 }));
+}
+
+/**
+ * Calculate sales tax on an amount
+ *
+ * Each tax is computed on the full pre-tax amount and rounded half-up to
+ * the cent. Shipments outside Canada are zero-rated exports.
+ *
+ * @param {number} amount - Taxable amount in cents
+ * @param {Object} destination - { country: 'CA', province: 'ON' }
+ * @returns {{ lines: Array<{ type, jurisdiction, rate, amount }>, total: number }}
+ */
+export function calculateTax(amount, { country = 'CA', province } = {}) {
+  if (country !== 'CA') {
+    return { lines: [], total: 0 };
+  }
+
+  if (!isValidProvince(province)) {
+    throw new Error(`Unknown province: ${province}`);
+  }
+
+  const lines = TAX_RATES[province].map(({ type, ratePcm }) => ({
+    type,
+    jurisdiction: type === 'GST' ? 'CA' : `CA-${province}`,
+    rate: ratePcm / 100000,
+    amount: Math.round((amount * ratePcm) / 100000),
+  }));
+
+  return {
+    lines,
+    total: lines.reduce((sum, line) => sum + line.amount, 0),
+  };
+}
+
+/**
+ * Label for a tax line, e.g. "HST (13%)", "QST (9.975%)" or "TVQ (9,975 %)"
+ * @param {Object} line - { type, rate }
+ * @param {string} locale - 'en' or 'fr'
+ * @returns {string}
+ */
+export function taxLabel(line, locale = getLocale()) {
+  const rate = new Intl.NumberFormat(intlLocale(locale), {
+    style: 'percent',
+    maximumFractionDigits: 3,
+  }).format(line.rate);
+  return `${translate(locale, `tax.${line.type}`)} (${rate})`;
+}
@@ -1,18 +1,36 @@
 // filepath: src/js/utils.js
 // Utility functions
 
-export function formatPrice(cents) {
-  if (typeof cents !== 'number') {
-    return '$0.00 CAD';
-  }
-  const dollars = (cents / 100).toFixed(2);
-  return `$${dollars} CAD`;
+import { getLocale, intlLocale } from './i18n.js';
+import { BASE_CURRENCY, convertAmount, convertPrice, getCurrency, getRate } from './currency.js';
+
+// Currency that can be shown: one without a rate falls back to CAD
+function shownCurrency(currency) {
+  return getRate(currency) ? currency : BASE_CURRENCY;
+}
+
+// Item prices in CAD cents, e.g. "$25.00 CAD" (en), "25,00 $ CAD" (fr) or, converted
+// and rounded by the currency's rules, "$18.99 USD". quantity multiplies the shown price.
+export function formatPrice(cents, { locale = getLocale(), currency = getCurrency(), quantity = 1 } = {}) {
+  const shown = shownCurrency(currency);
+  const amount = typeof cents === 'number' ? convertPrice(cents, shown) * quantity : 0;
+  return `${formatCurrency(amount / 100, { locale, currency: shown })} ${shown}`;
 }
 
-export function formatCurrency(value) {
-  return new Intl.NumberFormat('en-CA', {
+// Subtotals, shipping, taxes and totals in CAD cents; converted amounts are
+// estimates of the CAD charge, e.g. "≈ $18.27 USD"
+export function formatAmount(cents, { locale = getLocale(), currency = getCurrency() } = {}) {
+  const shown = shownCurrency(currency);
+  const amount = typeof cents === 'number' ? convertAmount(cents, shown) : 0;
+  const formatted = `${formatCurrency(amount / 100, { locale, currency: shown })} ${shown}`;
+  return shown === BASE_CURRENCY ? formatted : `≈ ${formatted}`;
+}
+
+export function formatCurrency(value, { locale = getLocale(), currency = BASE_CURRENCY } = {}) {
+  return new Intl.NumberFormat(intlLocale(locale), {
     style: 'currency',
-    currency: 'CAD',
+    currency,
+    currencyDisplay: 'narrowSymbol',
   }).format(value);
 }
 
@@ -35,6 +53,36 @@ export function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// Tags sanitizeHtml keeps (attributes are always dropped); their content is
+// kept for any other tag, and dropped for these
+const SAFE_TAGS = new Set(['P', 'BR', 'UL', 'OL', 'LI', 'STRONG', 'B', 'EM', 'I', 'U', 'H3', 'H4', 'SPAN', 'DIV', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD']);
+const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'svg', 'math']);
+
+// Reduce untrusted HTML (e.g. Printify product descriptions) to basic formatting
+export function sanitizeHtml(html) {
+  const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+
+  const clean = node => {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) return;
+      if (child.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(child.tagName)) {
+        child.remove();
+        return;
+      }
+
+      clean(child);
+      if (SAFE_TAGS.has(child.tagName)) {
+        Array.from(child.attributes).forEach(attr => child.removeAttribute(attr.name));
+      } else {
+        child.replaceWith(...child.childNodes);
+      }
+    });
+  };
+
+  clean(doc.body);
+  return doc.body.innerHTML;
+}
+
 export function getImageUrl(url, fallback = 'https://via.placeholder.com/400x500?text=No+Image') {
   if (!url || typeof url !== 'string') {
     return fallback;
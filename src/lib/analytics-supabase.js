@@ -26,7 +26,7 @@ export async function syncAnalyticsEvent(productId, imageId, event) {
       engagement_score: event.engagement,
       load_time_ms: event.loadTime,
       viewport_position: event.details?.viewportPosition || null,
-      metadata: JSON.stringify(event.details)
+      metadata: event.details || null
     };
 
     const { data, error } = await insertAnalyticsEvent(analyticsEvent);
@@ -15,19 +15,21 @@ export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
 /**
  * Sign up a new user
+ * The session starts once the confirmation link is followed (to redirectTo)
  * @param {string} email - User email
  * @param {string} password - User password
- * @param {object} metadata - Additional user metadata
+ * @param {object} metadata - Additional user metadata (full_name goes on the profile)
+ * @param {string} redirectTo - Page the confirmation link opens
  * @returns {object} User and session data
  */
-export async function signUp(email, password, metadata = {}) {
+export async function signUp(email, password, metadata = {}, redirectTo = `${window.location.origin}/account`) {
   try {
     const { data, error } = await supabase.auth.signUp({
       email,
       password,
       options: {
         data: metadata,
-        emailRedirectTo: `${window.location.origin}/auth/callback`
+        emailRedirectTo: redirectTo
       }
     });
 
@@ -60,6 +62,27 @@ export async function signIn(email, password) {
   }
 }
 
+/**
+ * Email a sign-in link (creates the account on first use)
+ * @param {string} email - User email
+ * @param {string} redirectTo - Page the link opens, signed in
+ */
+export async function signInWithMagicLink(email, redirectTo = `${window.location.origin}/account`) {
+  try {
+    const { data, error } = await supabase.auth.signInWithOtp({
+      email,
+      options: {
+        emailRedirectTo: redirectTo
+      }
+    });
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
 /**
  * Sign out current user
  */
@@ -88,6 +111,17 @@ export async function getSession() {
   }
 }
 
+/**
+ * Follow sign-ins, sign-outs and token refreshes (including the session a
+ * confirmation or magic link brings back)
+ * @param {function} callback - Called with (event, session)
+ * @returns {function} Unsubscribe
+ */
+export function onAuthChange(callback) {
+  const { data } = supabase.auth.onAuthStateChange(callback);
+  return () => data.subscription.unsubscribe();
+}
+
 /**
  * Get current user
  */
@@ -180,15 +214,23 @@ export async function createUserProfile(userId, profile) {
 // ============================================
 // PRODUCT HELPERS
 // ============================================
+// Columns follow supabase/migrations/009_catalog_schema.sql: title, and
+// price in integer cents (CAD) like orders. The catalog is written by the
+// server's Printify sync; RLS only lets the browser read published products.
+
+// Facet filters → array columns (see api/_lib/facets.js)
+const FACET_ARRAY_COLUMNS = { tags: 'tags', sizes: 'sizes', colors: 'colors', fits: 'fits' };
 
 /**
  * Get all published products (with pagination)
  * @param {number} page - Page number
  * @param {number} pageSize - Items per page
- * @param {string} category - Filter by category
+ * @param {string|Object} filters - A category, or { category, tags, sizes, colors, fits }
+ *   where each is a value or an array of alternatives
  */
-export async function getPublishedProducts(page = 1, pageSize = 20, category = null) {
+export async function getPublishedProducts(page = 1, pageSize = 20, filters = null) {
   try {
+    const { category, ...facets } = typeof filters === 'string' ? { category: filters } : filters || {};
     let query = supabase
       .from('products')
       .select('*, product_images(*)', { count: 'exact' })
@@ -196,9 +238,16 @@ export async function getPublishedProducts(page = 1, pageSize = 20, category = n
       .order('created_at', { ascending: false });
 
     if (category) {
-      query = query.eq('category', category);
+      query = query.in('category', [].concat(category));
     }
 
+    Object.entries(FACET_ARRAY_COLUMNS).forEach(([key, column]) => {
+      const values = [].concat(facets[key] ?? []);
+      if (values.length > 0) {
+        query = query.overlaps(column, values);
+      }
+    });
+
     const start = (page - 1) * pageSize;
     const end = start + pageSize - 1;
 
@@ -282,7 +331,7 @@ export async function getShopProducts(shopId, page = 1, pageSize = 20) {
 /**
  * Create product (shop owner only)
  * @param {string} shopId - Shop owner ID
- * @param {object} product - Product data
+ * @param {object} product - Product data (title, price in cents, ...)
  */
 export async function createProduct(shopId, product) {
   try {
@@ -426,14 +475,13 @@ export async function deleteProductImage(imageId) {
  */
 export async function insertAnalyticsEvent(event) {
   try {
-    const { data, error } = await supabase
+    // Insert only: RLS doesn't let the storefront read analytics back
+    const { error } = await supabase
       .from('image_analytics')
-      .insert([event])
-      .select()
-      .single();
+      .insert([event]);
 
     if (error) throw error;
-    return { data, error: null };
+    return { data: event, error: null };
   } catch (error) {
     console.error('Insert analytics error:', error.message);
     return { data: null, error };
@@ -446,14 +494,13 @@ export async function insertAnalyticsEvent(event) {
  */
 export async function insertPerformanceMetrics(metrics) {
   try {
-    const { data, error } = await supabase
+    // Insert only: RLS doesn't let the storefront read analytics back
+    const { error } = await supabase
       .from('performance_metrics')
-      .insert([metrics])
-      .select()
-      .single();
+      .insert([metrics]);
 
     if (error) throw error;
-    return { data, error: null };
+    return { data: metrics, error: null };
   } catch (error) {
     console.error('Insert metrics error:', error.message);
     return { data: null, error };
@@ -466,14 +513,13 @@ export async function insertPerformanceMetrics(metrics) {
  */
 export async function insertSEOMetrics(metrics) {
   try {
-    const { data, error } = await supabase
+    // Insert only: RLS doesn't let the storefront read analytics back
+    const { error } = await supabase
       .from('seo_metrics')
-      .insert([metrics])
-      .select()
-      .single();
+      .insert([metrics]);
 
     if (error) throw error;
-    return { data, error: null };
+    return { data: metrics, error: null };
   } catch (error) {
     console.error('Insert SEO metrics error:', error.message);
     return { data: null, error };
@@ -562,51 +608,141 @@ export async function getSEOMetrics(productId) {
 // ORDER HELPERS
 // ============================================
 
+// Order columns a signed-in customer may read (supabase/migrations/015_customer_accounts.sql,
+// 024_customer_order_discounts.sql)
+const CUSTOMER_ORDER_COLUMNS = `
+  id, order_number, email, status, subtotal, shipping_total, shipping_method,
+  shipping_address, tax_total, discount_total, total, currency, fulfillment_status,
+  tracking_number, tracking_url, carrier, shipped_at, delivered_at, paid_at, created_at,
+  order_items(product_id, variant_id, product_title, variant_title, quantity, price_at_purchase),
+  order_taxes(tax_type, rate, amount),
+  order_discounts(code, target, amount)
+`;
+
 /**
- * Create order
+ * Get customer orders, newest first
+ * RLS only returns the signed-in customer's own orders, including guest
+ * orders placed with their confirmed email
  * @param {string} customerId - Customer ID
- * @param {object} order - Order data
  */
-export async function createOrder(customerId, order) {
+export async function getCustomerOrders(customerId) {
   try {
     const { data, error } = await supabase
       .from('orders')
-      .insert([{
-        customer_id: customerId,
-        order_number: `ORD-${Date.now()}`,
-        ...order
-      }])
-      .select()
-      .single();
+      .select(CUSTOMER_ORDER_COLUMNS)
+      .eq('customer_id', customerId)
+      .order('created_at', { ascending: false });
 
     if (error) throw error;
     return { data, error: null };
   } catch (error) {
-    console.error('Create order error:', error.message);
     return { data: null, error };
   }
 }
 
+// ============================================
+// SAVED ADDRESS HELPERS
+// ============================================
+// Addresses are stored as checkout sends them (src/js/address.js)
+
 /**
- * Get customer orders
- * @param {string} customerId - Customer ID
+ * Get saved shipping addresses, default first
+ * @param {string} userId - User ID
  */
-export async function getCustomerOrders(customerId) {
+export async function getCustomerAddresses(userId) {
   try {
     const { data, error } = await supabase
-      .from('orders')
-      .select('*, order_items(*, products(*))')
-      .eq('customer_id', customerId)
+      .from('customer_addresses')
+      .select('id, address, is_default, created_at')
+      .eq('user_id', userId)
+      .order('is_default', { ascending: false })
       .order('created_at', { ascending: false });
 
     if (error) throw error;
     return { data, error: null };
   } catch (error) {
-    console.error('Get orders error:', error.message);
     return { data: null, error };
   }
 }
 
+/**
+ * Save a shipping address
+ * @param {string} userId - User ID
+ * @param {object} address - Normalized address
+ * @param {object} options - { isDefault: make it the default address }
+ */
+export async function saveCustomerAddress(userId, address, { isDefault = false } = {}) {
+  try {
+    if (isDefault) {
+      const { error } = await supabase
+        .from('customer_addresses')
+        .update({ is_default: false })
+        .eq('user_id', userId)
+        .eq('is_default', true);
+      if (error) throw error;
+    }
+
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .insert([{
+        user_id: userId,
+        address,
+        is_default: isDefault
+      }])
+      .select('id, address, is_default, created_at')
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+/**
+ * Make a saved address the default
+ * @param {string} userId - User ID
+ * @param {string} addressId - Address ID
+ */
+export async function setDefaultCustomerAddress(userId, addressId) {
+  try {
+    const { error: clearError } = await supabase
+      .from('customer_addresses')
+      .update({ is_default: false })
+      .eq('user_id', userId)
+      .eq('is_default', true);
+    if (clearError) throw clearError;
+
+    const { error } = await supabase
+      .from('customer_addresses')
+      .update({ is_default: true })
+      .eq('id', addressId);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * Delete a saved address
+ * @param {string} addressId - Address ID
+ */
+export async function deleteCustomerAddress(addressId) {
+  try {
+    const { error } = await supabase
+      .from('customer_addresses')
+      .delete()
+      .eq('id', addressId);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    return { error };
+  }
+}
+
 // ============================================
 // STORAGE HELPERS
 // ============================================
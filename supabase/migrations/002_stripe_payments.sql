@@ -0,0 +1,17 @@
+-- filepath: supabase/migrations/002_stripe_payments.sql
+-- Stripe Checkout payment tracking on orders
+--
+-- Orders are created as 'pending' by /api/checkout/session and moved to
+-- 'processing', 'completed' or 'cancelled' by /api/webhooks/stripe.
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'cad',
+  ADD COLUMN IF NOT EXISTS stripe_session_id TEXT,
+  ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT,
+  ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_stripe_session_id
+  ON orders(stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_stripe_payment_intent_id
+  ON orders(stripe_payment_intent_id) WHERE stripe_payment_intent_id IS NOT NULL;
@@ -0,0 +1,57 @@
+-- filepath: supabase/migrations/003_printify_fulfillment.sql
+-- Printify fulfillment for paid orders
+--
+-- This migration adds:
+-- - order_items.variant_id: Printify variant to produce
+-- - orders.shipping_address and fulfillment/tracking columns
+-- - fulfillment_events: shipment and tracking events from Printify webhooks
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS variant_id BIGINT;
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shipping_address JSONB,
+  ADD COLUMN IF NOT EXISTS printify_order_id TEXT,
+  ADD COLUMN IF NOT EXISTS fulfillment_status TEXT NOT NULL DEFAULT 'unfulfilled',
+  ADD COLUMN IF NOT EXISTS fulfillment_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS fulfillment_error TEXT,
+  ADD COLUMN IF NOT EXISTS fulfillment_next_attempt_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS carrier TEXT,
+  ADD COLUMN IF NOT EXISTS tracking_number TEXT,
+  ADD COLUMN IF NOT EXISTS tracking_url TEXT,
+  ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE orders
+  ADD CONSTRAINT valid_fulfillment_status CHECK (
+    fulfillment_status IN ('unfulfilled', 'submitting', 'submitted', 'failed', 'in_production', 'shipped', 'delivered', 'cancelled')
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_printify_order_id
+  ON orders(printify_order_id) WHERE printify_order_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_fulfillment_retry
+  ON orders(fulfillment_next_attempt_at) WHERE fulfillment_status = 'failed';
+
+-- Shipment/tracking events received from Printify
+CREATE TABLE IF NOT EXISTS fulfillment_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  printify_event_id TEXT NOT NULL UNIQUE,
+  printify_order_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  carrier TEXT,
+  tracking_number TEXT,
+  tracking_url TEXT,
+  payload JSONB NOT NULL,
+  occurred_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fulfillment_events_order_id ON fulfillment_events(order_id);
+
+-- Server-only table (service role bypasses RLS)
+ALTER TABLE fulfillment_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "fulfillment_events_no_select" ON fulfillment_events
+  FOR SELECT USING (false);
@@ -0,0 +1,46 @@
+-- filepath: supabase/migrations/004_sales_tax.sql
+-- Canadian sales tax on orders
+--
+-- orders.total now includes tax. The per-tax breakdown is kept in
+-- order_taxes so GST/HST, PST and QST can be remitted separately.
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS subtotal INTEGER, -- in cents (CAD), before tax
+  ADD COLUMN IF NOT EXISTS tax_total INTEGER NOT NULL DEFAULT 0, -- in cents (CAD)
+  ADD COLUMN IF NOT EXISTS tax_province TEXT; -- two-letter code, NULL for exports
+
+CREATE TABLE IF NOT EXISTS order_taxes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  tax_type TEXT NOT NULL, -- GST, HST, PST, QST
+  jurisdiction TEXT NOT NULL, -- CA (federal) or CA-XX (provincial)
+  rate NUMERIC(7, 5) NOT NULL, -- e.g. 0.09975
+  taxable_amount INTEGER NOT NULL, -- in cents (CAD)
+  amount INTEGER NOT NULL, -- in cents (CAD)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_tax_type CHECK (tax_type IN ('GST', 'HST', 'PST', 'QST')),
+  CONSTRAINT tax_amount_non_negative CHECK (amount >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_taxes_order_id ON order_taxes(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_taxes_type_created ON order_taxes(tax_type, created_at);
+
+ALTER TABLE order_taxes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "order_taxes_no_select" ON order_taxes
+  FOR SELECT USING (false);
+
+-- Remittance summary: tax collected per type and jurisdiction per month,
+-- counting only paid orders
+CREATE OR REPLACE VIEW tax_remittance_summary AS
+SELECT
+  date_trunc('month', o.paid_at) AS period,
+  t.tax_type,
+  t.jurisdiction,
+  SUM(t.taxable_amount) AS taxable_amount,
+  SUM(t.amount) AS tax_collected
+FROM order_taxes t
+JOIN orders o ON o.id = t.order_id
+WHERE o.status = 'completed' AND o.paid_at IS NOT NULL
+GROUP BY 1, 2, 3;
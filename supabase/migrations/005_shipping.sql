@@ -0,0 +1,13 @@
+-- filepath: supabase/migrations/005_shipping.sql
+-- Shipping cost on orders
+--
+-- orders.shipping_address (added in 003) is now captured at checkout:
+-- { name, line1, line2, city, province, postalCode, country, phone }
+-- orders.total = subtotal + shipping_total + tax_total
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shipping_total INTEGER NOT NULL DEFAULT 0, -- in cents (CAD)
+  ADD COLUMN IF NOT EXISTS shipping_method TEXT;
+
+ALTER TABLE orders
+  ADD CONSTRAINT shipping_total_non_negative CHECK (shipping_total >= 0);
@@ -0,0 +1,13 @@
+-- filepath: supabase/migrations/006_order_lookup.sql
+-- Customer order lookup
+--
+-- GET /api/orders/:orderNumber shows the customer what they bought, so
+-- order items keep the product and variant titles as they were at checkout
+-- (NULL for orders placed before this migration).
+--
+-- orders stay unreadable to anon; the endpoint reads them with the service
+-- role after checking the status link token or the order's email.
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS product_title TEXT,
+  ADD COLUMN IF NOT EXISTS variant_title TEXT;
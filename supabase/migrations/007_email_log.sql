@@ -0,0 +1,47 @@
+-- filepath: supabase/migrations/007_email_log.sql
+-- Transactional order emails
+--
+-- orders.locale is the language the customer checked out in ('en' or 'fr').
+-- email_log records every order email; the unique (order_id, email_type)
+-- claim is what keeps an email from being sent twice.
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS locale TEXT NOT NULL DEFAULT 'en';
+
+ALTER TABLE orders
+  ADD CONSTRAINT valid_locale CHECK (locale IN ('en', 'fr'));
+
+CREATE TABLE IF NOT EXISTS email_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  email_type TEXT NOT NULL, -- order_confirmation, payment_received, order_shipped, order_cancelled
+  recipient TEXT NOT NULL,
+  locale TEXT NOT NULL DEFAULT 'en',
+  status TEXT NOT NULL DEFAULT 'sending', -- sending, sent, failed
+  subject TEXT,
+  transport TEXT, -- smtp, file, console
+  message_id TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT email_log_order_type_unique UNIQUE (order_id, email_type),
+  CONSTRAINT valid_email_type CHECK (
+    email_type IN ('order_confirmation', 'payment_received', 'order_shipped', 'order_cancelled')
+  ),
+  CONSTRAINT valid_email_status CHECK (status IN ('sending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_log_failed
+  ON email_log(updated_at) WHERE status = 'failed';
+
+CREATE TRIGGER update_email_log_updated_at BEFORE UPDATE ON email_log
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Server-only table (service role bypasses RLS)
+ALTER TABLE email_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "email_log_no_select" ON email_log
+  FOR SELECT USING (false);
@@ -0,0 +1,34 @@
+-- filepath: supabase/migrations/008_admin_orders.sql
+-- Staff order management
+--
+-- orders.refunded_total tracks how much of the order has been refunded.
+-- order_refunds records each Stripe refund issued from the admin page.
+-- Staff roles live in auth.users.raw_app_meta_data ->> 'role' (admin, support).
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS refunded_total INTEGER NOT NULL DEFAULT 0, -- in cents (CAD)
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE orders
+  ADD CONSTRAINT refunded_total_within_total CHECK (refunded_total >= 0 AND refunded_total <= total);
+
+CREATE TABLE IF NOT EXISTS order_refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  stripe_refund_id TEXT NOT NULL UNIQUE,
+  amount INTEGER NOT NULL, -- in cents (CAD)
+  reason TEXT,
+  status TEXT NOT NULL, -- Stripe refund status: pending, succeeded, failed, canceled
+  created_by TEXT, -- staff email
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT refund_amount_positive CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_refunds_order_id ON order_refunds(order_id);
+
+-- Server-only table (service role bypasses RLS)
+ALTER TABLE order_refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "order_refunds_no_select" ON order_refunds
+  FOR SELECT USING (false);
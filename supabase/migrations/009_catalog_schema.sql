@@ -0,0 +1,212 @@
+-- filepath: supabase/migrations/009_catalog_schema.sql
+-- Catalog, product images and storefront analytics
+--
+-- 001 created products(title, price INTEGER cents, variants JSONB), while the
+-- Printify sync and the src/lib/supabase.js helpers expected name, shop_id,
+-- sku, a dollar price, category, is_published and printify_product_id plus
+-- five tables that were never created. This migration settles on one schema:
+--
+-- - products keeps title and price in integer cents (CAD), like orders and
+--   order_items; the missing catalog columns are added
+-- - product_images, image_analytics, performance_metrics, seo_metrics and
+--   product_reviews are created with the columns the helpers write
+--
+-- Databases where products was created by hand with name/price in dollars
+-- are converted in place.
+
+-- Legacy hand-made products tables: name → title, dollars → cents
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'products' AND column_name = 'name'
+  ) AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'products' AND column_name = 'title'
+  ) THEN
+    ALTER TABLE products RENAME COLUMN name TO title;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'products' AND column_name = 'price'
+      AND data_type IN ('numeric', 'real', 'double precision')
+  ) THEN
+    ALTER TABLE products ALTER COLUMN price TYPE INTEGER USING round(price * 100);
+  END IF;
+END $$;
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS shop_id TEXT, -- Printify shop ID
+  ADD COLUMN IF NOT EXISTS printify_product_id TEXT,
+  ADD COLUMN IF NOT EXISTS sku TEXT,
+  ADD COLUMN IF NOT EXISTS category TEXT,
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS is_published BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS stock_quantity INTEGER, -- NULL: print on demand, not tracked
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_printify_product_id
+  ON products(printify_product_id) WHERE printify_product_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_products_published_created
+  ON products(created_at DESC) WHERE is_published;
+CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
+CREATE INDEX IF NOT EXISTS idx_products_tags ON products USING GIN (tags);
+
+-- Product images (one row per Printify mockup, in display order)
+CREATE TABLE IF NOT EXISTS product_images (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  image_url TEXT NOT NULL,
+  alt_text TEXT,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  variant_ids BIGINT[] NOT NULL DEFAULT '{}', -- Printify variants shown in this mockup
+  width INTEGER,
+  height INTEGER,
+  format TEXT, -- jpg, png, webp
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT product_images_order_unique UNIQUE (product_id, display_order)
+);
+
+CREATE TRIGGER update_product_images_updated_at BEFORE UPDATE ON product_images
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Image engagement events from the storefront (src/lib/analytics-supabase.js)
+CREATE TABLE IF NOT EXISTS image_analytics (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  image_id TEXT, -- product_images.id or the storefront's image key
+  event_type TEXT NOT NULL, -- view, download, interaction, ...
+  event_timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  session_id TEXT,
+  device_type TEXT,
+  duration_ms INTEGER,
+  engagement_score NUMERIC(6, 2),
+  load_time_ms INTEGER,
+  viewport_position TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_analytics_product_time
+  ON image_analytics(product_id, event_timestamp DESC);
+
+-- Core Web Vitals and image timings per product page
+CREATE TABLE IF NOT EXISTS performance_metrics (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  image_id TEXT,
+  lcp_ms NUMERIC(10, 2),
+  cls_value NUMERIC(8, 4),
+  inp_ms NUMERIC(10, 2),
+  load_time_ms NUMERIC(10, 2),
+  render_time_ms NUMERIC(10, 2),
+  decode_time_ms NUMERIC(10, 2),
+  transfer_size INTEGER, -- bytes
+  decoded_size INTEGER, -- bytes
+  compression_ratio NUMERIC(8, 4),
+  quality_score NUMERIC(6, 2),
+  performance_grade TEXT,
+  network_type TEXT,
+  bandwidth_mbps NUMERIC(10, 2),
+  measured_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_performance_metrics_product_time
+  ON performance_metrics(product_id, measured_at DESC);
+
+-- Image search visibility snapshots
+CREATE TABLE IF NOT EXISTS seo_metrics (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  image_id TEXT,
+  search_impressions INTEGER NOT NULL DEFAULT 0,
+  search_clicks INTEGER NOT NULL DEFAULT 0,
+  click_through_rate NUMERIC(6, 4),
+  average_rank NUMERIC(8, 2),
+  google_lens_compliant BOOLEAN NOT NULL DEFAULT false,
+  seo_score NUMERIC(6, 2),
+  metadata_quality NUMERIC(6, 2),
+  schema_valid BOOLEAN NOT NULL DEFAULT false,
+  traffic_estimate NUMERIC(12, 2),
+  measured_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_seo_metrics_product_time
+  ON seo_metrics(product_id, measured_at DESC);
+
+-- Customer reviews (shown once approved)
+CREATE TABLE IF NOT EXISTS product_reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  author_name TEXT NOT NULL,
+  rating SMALLINT NOT NULL,
+  title TEXT,
+  body TEXT,
+  is_approved BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_rating CHECK (rating BETWEEN 1 AND 5)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product
+  ON product_reviews(product_id, created_at DESC) WHERE is_approved;
+
+CREATE TRIGGER update_product_reviews_updated_at BEFORE UPDATE ON product_reviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security
+-- The catalog is written only by the server (service role bypasses RLS).
+ALTER TABLE products ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_images ENABLE ROW LEVEL SECURITY;
+ALTER TABLE image_analytics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE performance_metrics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seo_metrics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "products_select_published" ON products
+  FOR SELECT USING (is_published);
+
+CREATE POLICY "product_images_select_published" ON product_images
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM products p WHERE p.id = product_id AND p.is_published)
+  );
+
+-- Analytics are written by the storefront and read by staff (see api/_lib/admin-auth.js)
+CREATE POLICY "image_analytics_insert" ON image_analytics
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "image_analytics_select_staff" ON image_analytics
+  FOR SELECT TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') IN ('admin', 'support'));
+
+CREATE POLICY "performance_metrics_insert" ON performance_metrics
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "performance_metrics_select_staff" ON performance_metrics
+  FOR SELECT TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') IN ('admin', 'support'));
+
+CREATE POLICY "seo_metrics_insert" ON seo_metrics
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "seo_metrics_select_staff" ON seo_metrics
+  FOR SELECT TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') IN ('admin', 'support'));
+
+CREATE POLICY "product_reviews_select_approved" ON product_reviews
+  FOR SELECT USING (is_approved);
+
+-- Signed-in customers post reviews as themselves; approval is server-side
+CREATE POLICY "product_reviews_insert_own" ON product_reviews
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid() AND NOT is_approved);
+
+GRANT SELECT ON products, product_images, product_reviews TO anon, authenticated;
+GRANT INSERT ON image_analytics, performance_metrics, seo_metrics TO anon, authenticated;
+GRANT SELECT ON image_analytics, performance_metrics, seo_metrics TO authenticated;
+GRANT INSERT ON product_reviews TO authenticated;
@@ -0,0 +1,46 @@
+-- filepath: supabase/migrations/010_catalog_sync.sql
+-- Incremental Printify catalog sync
+--
+-- products.printify_updated_at is Printify's updated_at at the last sync;
+-- a product is rewritten only when it changes. Products deleted in Printify
+-- keep their row (orders and analytics refer to them) with deleted_at set
+-- and is_published false.
+--
+-- catalog_sync_runs records every sync with its trigger, counts and errors.
+-- Only one full sync runs at a time (idx_catalog_sync_runs_one_full).
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS printify_updated_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS catalog_sync_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trigger TEXT NOT NULL, -- webhook, cron, admin
+  scope TEXT NOT NULL, -- full, or a single Printify product ID
+  status TEXT NOT NULL DEFAULT 'running', -- running, succeeded, failed
+  triggered_by TEXT, -- staff email for admin runs, event ID for webhooks
+  products_seen INTEGER NOT NULL DEFAULT 0,
+  created_count INTEGER NOT NULL DEFAULT 0,
+  updated_count INTEGER NOT NULL DEFAULT 0,
+  unchanged_count INTEGER NOT NULL DEFAULT 0,
+  unpublished_count INTEGER NOT NULL DEFAULT 0,
+  deleted_count INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]', -- [{ productId, message }]
+  error TEXT, -- why a failed run stopped
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+
+  CONSTRAINT valid_sync_trigger CHECK (trigger IN ('webhook', 'cron', 'admin')),
+  CONSTRAINT valid_sync_status CHECK (status IN ('running', 'succeeded', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_catalog_sync_runs_started ON catalog_sync_runs(started_at DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_catalog_sync_runs_one_full
+  ON catalog_sync_runs(scope) WHERE status = 'running' AND scope = 'full';
+
+-- Server-only table (service role bypasses RLS)
+ALTER TABLE catalog_sync_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "catalog_sync_runs_no_select" ON catalog_sync_runs
+  FOR SELECT USING (false);
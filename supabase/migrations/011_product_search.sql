@@ -0,0 +1,106 @@
+-- filepath: supabase/migrations/011_product_search.sql
+-- Product search (GET /api/search, and q on GET /api/products)
+--
+-- Each product gets a weighted search_vector (title A, tags B, variant
+-- names C, description D) and a search_text used for trigram matching, both
+-- kept current by a trigger. Text is lowercased and unaccented first, so
+-- "chandail", "Chandail" and "chandaïl" match alike; the 'simple' config is
+-- used because the catalog mixes English and French.
+--
+-- search_products() ranks published products: prefix matches on the vector
+-- (for type-ahead) plus trigram word similarity (for typos).
+--
+-- The English-only idx_products_title from 001 was never queried and is
+-- replaced by idx_products_search_vector.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- unaccent() is only STABLE; naming the dictionary makes this safe to index
+CREATE OR REPLACE FUNCTION search_normalize(input TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE PARALLEL SAFE
+SET search_path = public, extensions
+AS $$
+  SELECT trim(regexp_replace(lower(unaccent('unaccent', coalesce(input, ''))), '[^[:alnum:]]+', ' ', 'g'));
+$$;
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS search_text TEXT NOT NULL DEFAULT '', -- title, tags and variant names
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION products_search_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public, extensions
+AS $$
+DECLARE
+  variant_names TEXT;
+  tag_names TEXT := array_to_string(NEW.tags, ' ');
+BEGIN
+  IF jsonb_typeof(NEW.variants) = 'array' THEN
+    SELECT string_agg(variant ->> 'title', ' ') INTO variant_names
+    FROM jsonb_array_elements(NEW.variants) AS variant;
+  END IF;
+
+  NEW.search_text := search_normalize(concat_ws(' ', NEW.title, tag_names, variant_names));
+  NEW.search_vector :=
+    setweight(to_tsvector('simple', search_normalize(NEW.title)), 'A') ||
+    setweight(to_tsvector('simple', search_normalize(tag_names)), 'B') ||
+    setweight(to_tsvector('simple', search_normalize(variant_names)), 'C') ||
+    -- Printify descriptions are HTML
+    setweight(to_tsvector('simple',
+      search_normalize(regexp_replace(coalesce(NEW.description, ''), '<[^>]*>', ' ', 'g'))), 'D');
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_search_update ON products;
+CREATE TRIGGER products_search_update BEFORE INSERT OR UPDATE ON products
+    FOR EACH ROW EXECUTE FUNCTION products_search_update();
+
+-- Backfill existing rows through the trigger
+UPDATE products SET title = title;
+
+DROP INDEX IF EXISTS idx_products_title;
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_search_text ON products USING GIN (search_text gin_trgm_ops);
+
+-- Published products matching a query, best first
+--
+-- Every word must prefix-match a word of the product, or the whole query
+-- must be trigram-similar to part of the title/tags/variant names
+-- (word_similarity >= 0.3 catches a wrong or swapped letter or two).
+CREATE OR REPLACE FUNCTION search_products(search_query TEXT, result_limit INTEGER DEFAULT 20)
+RETURNS TABLE (product_id TEXT, rank REAL)
+LANGUAGE sql
+STABLE
+SET search_path = public, extensions
+SET pg_trgm.word_similarity_threshold = 0.3
+AS $$
+  WITH query AS (
+    SELECT
+      normalized,
+      (
+        SELECT to_tsquery('simple', string_agg(quote_literal(word) || ':*', ' & '))
+        FROM regexp_split_to_table(normalized, ' ') AS word
+        WHERE word <> ''
+      ) AS prefix_query
+    FROM (SELECT search_normalize(search_query) AS normalized) AS input
+  )
+  SELECT
+    p.id,
+    (ts_rank(p.search_vector, query.prefix_query) + word_similarity(query.normalized, p.search_text))::REAL
+  FROM products p
+  CROSS JOIN query
+  WHERE query.normalized <> ''
+    AND p.is_published
+    AND p.deleted_at IS NULL
+    AND (p.search_vector @@ query.prefix_query OR query.normalized <% p.search_text)
+  ORDER BY 2 DESC, p.id
+  LIMIT LEAST(GREATEST(result_limit, 1), 100);
+$$;
+
+GRANT EXECUTE ON FUNCTION search_products(TEXT, INTEGER) TO anon, authenticated;
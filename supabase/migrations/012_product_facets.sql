@@ -0,0 +1,20 @@
+-- filepath: supabase/migrations/012_product_facets.sql
+-- Variant options for faceted browsing
+--
+-- sizes, colors and fits hold the option values of a product's enabled
+-- Printify variants (see variantOptions() in api/_lib/catalog.js). Together
+-- with category and tags they are the facets of GET /api/products.
+--
+-- Existing rows are filled by the next catalog sync: clearing
+-- printify_updated_at makes it rewrite every product.
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS sizes TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS colors TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS fits TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_products_sizes ON products USING GIN (sizes);
+CREATE INDEX IF NOT EXISTS idx_products_colors ON products USING GIN (colors);
+CREATE INDEX IF NOT EXISTS idx_products_fits ON products USING GIN (fits);
+
+UPDATE products SET printify_updated_at = NULL WHERE source = 'printify';
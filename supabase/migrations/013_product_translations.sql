@@ -0,0 +1,10 @@
+-- filepath: supabase/migrations/013_product_translations.sql
+-- Product titles and descriptions in French
+--
+-- translations holds { "fr": { "title": ..., "description": ... } }, edited
+-- through PUT /api/admin/catalog/translations. The catalog sync upserts only
+-- the Printify columns (toProductRow() in api/_lib/catalog.js), so a resync
+-- never overwrites them; products without one show the Printify original.
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}';
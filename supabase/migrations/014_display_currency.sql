@@ -0,0 +1,34 @@
+-- filepath: supabase/migrations/014_display_currency.sql
+-- Prices shown in other currencies (charges stay in CAD)
+--
+-- fx_rates holds the latest exchange rates from the FX provider as one row,
+-- shared by every function instance (see api/_lib/fx-rates.js): units of each
+-- currency per 1 CAD, e.g. { "USD": 0.7312, "EUR": 0.6621 }.
+--
+-- orders.display_currency and display_rate record what the customer was
+-- shown at checkout. All amounts on the order are still CAD cents, as charged.
+-- display_rate is NULL when no rate was available for the currency.
+
+CREATE TABLE IF NOT EXISTS fx_rates (
+  id INTEGER PRIMARY KEY DEFAULT 1,
+  base TEXT NOT NULL DEFAULT 'CAD',
+  rates JSONB NOT NULL,
+  rate_date DATE, -- the provider's publication date
+  provider TEXT NOT NULL, -- frankfurter, fixture
+  fetched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fx_rates_one_row CHECK (id = 1)
+);
+
+-- Server-only table (service role bypasses RLS)
+ALTER TABLE fx_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "fx_rates_no_select" ON fx_rates
+  FOR SELECT USING (false);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS display_currency TEXT NOT NULL DEFAULT 'CAD',
+  ADD COLUMN IF NOT EXISTS display_rate NUMERIC(12, 6) DEFAULT 1;
+
+ALTER TABLE orders
+  ADD CONSTRAINT valid_display_currency CHECK (display_currency IN ('CAD', 'USD', 'EUR', 'GBP'));
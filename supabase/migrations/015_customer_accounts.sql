@@ -0,0 +1,177 @@
+-- filepath: supabase/migrations/015_customer_accounts.sql
+-- Customer accounts: profiles, saved shipping addresses and order history
+--
+-- Customers sign in with Supabase Auth (password or magic link) and read
+-- their own orders straight from the browser under RLS; checkout itself is
+-- unchanged and still goes through the server.
+--
+-- orders.customer_id links an order to an account. Orders are linked by
+-- email address, and only to accounts whose address is confirmed, so signing
+-- up with someone else's email doesn't reveal their orders:
+-- - guest orders placed before the account existed are linked when the
+--   account's email is confirmed (or changed and confirmed again)
+-- - orders placed later with that email are linked as they are inserted
+
+-- Profiles (one per auth user, created with the user)
+CREATE TABLE IF NOT EXISTS user_profiles (
+  id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  full_name TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_user_profiles_updated_at BEFORE UPDATE ON user_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Saved shipping addresses, in the shape of orders.shipping_address
+-- (src/js/address.js: name, line1, line2, city, province, postalCode, country, phone)
+CREATE TABLE IF NOT EXISTS customer_addresses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  address JSONB NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_addresses_user_id ON customer_addresses(user_id);
+
+-- At most one default address per customer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default
+  ON customer_addresses(user_id) WHERE is_default;
+
+CREATE TRIGGER update_customer_addresses_updated_at BEFORE UPDATE ON customer_addresses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_customer_id ON orders(customer_id, created_at DESC);
+
+-- Link unlinked orders placed with an email address to an account
+CREATE OR REPLACE FUNCTION link_customer_orders(p_user_id UUID, p_email TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  linked INTEGER;
+BEGIN
+  UPDATE orders
+  SET customer_id = p_user_id
+  WHERE customer_id IS NULL
+    AND lower(email) = lower(p_email);
+
+  GET DIAGNOSTICS linked = ROW_COUNT;
+  RETURN linked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION link_customer_orders(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- New auth users get a profile; confirmed addresses pick up their guest orders
+CREATE OR REPLACE FUNCTION handle_auth_user_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO public.user_profiles (id, email, full_name)
+    VALUES (NEW.id, NEW.email, COALESCE(NEW.raw_user_meta_data ->> 'full_name', ''))
+    ON CONFLICT (id) DO NOTHING;
+  ELSIF NEW.email IS DISTINCT FROM OLD.email THEN
+    UPDATE public.user_profiles SET email = NEW.email WHERE id = NEW.id;
+  END IF;
+
+  IF NEW.email IS NOT NULL AND NEW.email_confirmed_at IS NOT NULL THEN
+    PERFORM public.link_customer_orders(NEW.id, NEW.email);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER on_auth_user_change
+  AFTER INSERT OR UPDATE OF email, email_confirmed_at ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION handle_auth_user_change();
+
+-- Orders placed with a confirmed account's email belong to it
+CREATE OR REPLACE FUNCTION link_new_order_to_customer()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.customer_id IS NULL THEN
+    SELECT id INTO NEW.customer_id
+    FROM auth.users
+    WHERE lower(email) = lower(NEW.email)
+      AND email_confirmed_at IS NOT NULL
+    LIMIT 1;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER link_order_to_customer BEFORE INSERT ON orders
+    FOR EACH ROW EXECUTE FUNCTION link_new_order_to_customer();
+
+-- Profiles that existed before this migration
+INSERT INTO user_profiles (id, email, full_name)
+SELECT id, email, COALESCE(raw_user_meta_data ->> 'full_name', '')
+FROM auth.users
+WHERE email IS NOT NULL
+ON CONFLICT (id) DO NOTHING;
+
+SELECT link_customer_orders(id, email)
+FROM auth.users
+WHERE email IS NOT NULL AND email_confirmed_at IS NOT NULL;
+
+-- Row Level Security
+ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_addresses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "user_profiles_select_own" ON user_profiles
+  FOR SELECT TO authenticated USING (id = auth.uid());
+
+CREATE POLICY "user_profiles_update_own" ON user_profiles
+  FOR UPDATE TO authenticated USING (id = auth.uid()) WITH CHECK (id = auth.uid());
+
+CREATE POLICY "customer_addresses_select_own" ON customer_addresses
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+
+CREATE POLICY "customer_addresses_insert_own" ON customer_addresses
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "customer_addresses_update_own" ON customer_addresses
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "customer_addresses_delete_own" ON customer_addresses
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
+
+-- Signed-in customers read their own orders; everyone else still reads none
+DROP POLICY IF EXISTS "orders_no_select" ON orders;
+DROP POLICY IF EXISTS "order_items_no_select" ON order_items;
+DROP POLICY IF EXISTS "order_taxes_no_select" ON order_taxes;
+
+CREATE POLICY "orders_select_own" ON orders
+  FOR SELECT TO authenticated USING (customer_id = auth.uid());
+
+CREATE POLICY "order_items_select_own" ON order_items
+  FOR SELECT TO authenticated USING (
+    EXISTS (SELECT 1 FROM orders o WHERE o.id = order_id AND o.customer_id = auth.uid())
+  );
+
+CREATE POLICY "order_taxes_select_own" ON order_taxes
+  FOR SELECT TO authenticated USING (
+    EXISTS (SELECT 1 FROM orders o WHERE o.id = order_id AND o.customer_id = auth.uid())
+  );
+
+GRANT SELECT, UPDATE (full_name, updated_at) ON user_profiles TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON customer_addresses TO authenticated;
+
+-- What the customer sees of an order; payment, fulfillment and staff columns
+-- (Stripe and Printify ids, errors, notes, IP address) stay server-only
+REVOKE SELECT ON orders FROM anon, authenticated;
+GRANT SELECT (
+  id, order_number, customer_id, email, status, subtotal, shipping_total, shipping_method,
+  shipping_address, tax_total, total, currency, display_currency, display_rate, locale,
+  fulfillment_status, carrier, tracking_number, tracking_url, shipped_at, delivered_at,
+  paid_at, cancelled_at, refunded_total, created_at
+) ON orders TO authenticated;
+
+GRANT SELECT ON order_items, order_taxes TO authenticated;
@@ -0,0 +1,33 @@
+-- filepath: supabase/migrations/016_carts.sql
+-- Carts saved on the server, so they follow the shopper across devices
+--
+-- A guest cart is found by an anonymous token the storefront keeps in
+-- localStorage; only its SHA-256 is stored. An account cart is found by
+-- user_id. When a guest signs in, their guest cart is merged into the
+-- account cart and deleted (see api/_lib/carts.js).
+--
+-- items: [{ productId, variantId, quantity, price }], price being the unit
+-- price in cents (CAD) the shopper was last shown, so a later load can tell
+-- them what changed.
+
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  token_hash TEXT UNIQUE, -- guest carts
+  user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE, -- account carts
+  items JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT cart_has_owner CHECK (token_hash IS NOT NULL OR user_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_carts_updated_at ON carts(updated_at);
+
+CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON carts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Server-only table (service role bypasses RLS)
+ALTER TABLE carts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "carts_no_select" ON carts
+  FOR SELECT USING (false);
@@ -0,0 +1,92 @@
+-- filepath: supabase/migrations/017_cart_recovery.sql
+-- Abandoned cart recovery
+--
+-- Carts that know whose they are (carts.email: the account's address, or the
+-- one a guest typed at checkout) and sit idle for CART_RECOVERY_AFTER_HOURS
+-- with no order placed since get one reminder email with a signed link that
+-- restores the cart (see api/_lib/cart-recovery.js).
+--
+-- cart_recoveries records each reminder; its unique cart_id is what keeps a
+-- cart from being reminded twice. Carts found abandoned but not reminded
+-- (unsubscribed, ordered since, nothing left to buy) are recorded as
+-- 'skipped' so later runs don't check them again. Orders placed from a
+-- restored cart carry cart_recovery_id, which is how recovered revenue is
+-- counted.
+--
+-- A reminder may come with a single-use percentage discount: it applies to one
+-- order only, enforced by idx_orders_recovery_discount_once (a cancelled
+-- order, e.g. an abandoned Stripe Checkout, gives it back).
+--
+-- email_unsubscribes lists addresses that opted out of these emails. Order
+-- emails are transactional and still go out.
+
+ALTER TABLE carts
+  ADD COLUMN IF NOT EXISTS email TEXT,
+  ADD COLUMN IF NOT EXISTS locale TEXT NOT NULL DEFAULT 'en';
+
+ALTER TABLE carts
+  ADD CONSTRAINT valid_cart_locale CHECK (locale IN ('en', 'fr'));
+
+CREATE INDEX IF NOT EXISTS idx_carts_recoverable
+  ON carts(updated_at) WHERE email IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS cart_recoveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  cart_id UUID UNIQUE REFERENCES carts(id) ON DELETE SET NULL,
+  email TEXT NOT NULL,
+  locale TEXT NOT NULL DEFAULT 'en',
+  items JSONB NOT NULL, -- the cart as reminded, restored if the cart is gone by then
+  subtotal INTEGER NOT NULL, -- cents (CAD)
+  discount_percent INTEGER, -- NULL: no discount offered
+  status TEXT NOT NULL DEFAULT 'sending', -- sending, sent, failed, skipped
+  skip_reason TEXT, -- unsubscribed, ordered, unavailable
+  attempts INTEGER NOT NULL DEFAULT 1,
+  message_id TEXT,
+  error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  restored_at TIMESTAMP WITH TIME ZONE, -- first time the link was opened
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_recovery_status CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+  CONSTRAINT valid_discount_percent CHECK (
+    discount_percent IS NULL OR (discount_percent > 0 AND discount_percent < 100)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_recoveries_sent_at
+  ON cart_recoveries(sent_at) WHERE status = 'sent';
+
+CREATE INDEX IF NOT EXISTS idx_cart_recoveries_failed
+  ON cart_recoveries(updated_at) WHERE status = 'failed';
+
+CREATE TRIGGER update_cart_recoveries_updated_at BEFORE UPDATE ON cart_recoveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS cart_recovery_id UUID REFERENCES cart_recoveries(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS discount_total INTEGER NOT NULL DEFAULT 0; -- cents, before tax
+
+CREATE INDEX IF NOT EXISTS idx_orders_cart_recovery_id
+  ON orders(cart_recovery_id) WHERE cart_recovery_id IS NOT NULL;
+
+-- A reminder's discount is used by at most one live order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_recovery_discount_once
+  ON orders(cart_recovery_id)
+  WHERE cart_recovery_id IS NOT NULL AND discount_total > 0 AND status <> 'cancelled';
+
+CREATE TABLE IF NOT EXISTS email_unsubscribes (
+  email TEXT PRIMARY KEY, -- lowercase
+  source TEXT NOT NULL DEFAULT 'link', -- link, one_click (List-Unsubscribe-Post), staff
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Server-only tables (service role bypasses RLS)
+ALTER TABLE cart_recoveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_unsubscribes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "cart_recoveries_no_select" ON cart_recoveries
+  FOR SELECT USING (false);
+
+CREATE POLICY "email_unsubscribes_no_select" ON email_unsubscribes
+  FOR SELECT USING (false);
@@ -0,0 +1,158 @@
+-- filepath: supabase/migrations/018_promotions.sql
+-- Discount codes
+--
+-- A promotion is a code customers enter at checkout (stored upper-case):
+--   percentage    - value percent off the goods it covers
+--   fixed_amount  - value cents off the goods it covers (at most their price)
+--   free_shipping - the base shipping rate is waived (remote surcharges still apply)
+-- It covers the whole cart, or only the products in product_ids and the
+-- categories in categories (products.category) when either is set. It applies
+-- once the goods it covers reach min_subtotal, between starts_at and ends_at.
+-- max_uses limits it overall and max_uses_per_customer per email address;
+-- cancelled orders don't count (see api/_lib/promotions.js).
+--
+-- order_discounts records each discount an order got: a promotion code, or a
+-- cart reminder's single-use discount (017). Goods discounts add up to
+-- orders.discount_total; a free shipping line records the rate waived, which
+-- is already left out of orders.shipping_total. check_order_discount() holds
+-- both kinds to their limits as the lines are written, so two orders placed
+-- at once can't both take the last use; it replaces
+-- idx_orders_recovery_discount_once.
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code TEXT NOT NULL UNIQUE, -- upper-case
+  description TEXT, -- staff-facing
+  type TEXT NOT NULL, -- percentage, fixed_amount, free_shipping
+  value INTEGER NOT NULL DEFAULT 0, -- percent, or cents (CAD); 0 for free_shipping
+  min_subtotal INTEGER NOT NULL DEFAULT 0, -- cents, of the goods it covers
+  product_ids TEXT[] NOT NULL DEFAULT '{}',
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  max_uses INTEGER, -- NULL: unlimited
+  max_uses_per_customer INTEGER, -- NULL: unlimited
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_promotion_code CHECK (code ~ '^[A-Z0-9_-]{3,32}$'),
+  CONSTRAINT valid_promotion_type CHECK (type IN ('percentage', 'fixed_amount', 'free_shipping')),
+  CONSTRAINT valid_promotion_value CHECK (
+    (type = 'percentage' AND value BETWEEN 1 AND 100) OR
+    (type = 'fixed_amount' AND value > 0) OR
+    (type = 'free_shipping' AND value = 0)
+  ),
+  CONSTRAINT valid_promotion_limits CHECK (
+    min_subtotal >= 0 AND
+    (max_uses IS NULL OR max_uses > 0) AND
+    (max_uses_per_customer IS NULL OR max_uses_per_customer > 0)
+  ),
+  CONSTRAINT valid_promotion_window CHECK (
+    starts_at IS NULL OR ends_at IS NULL OR starts_at < ends_at
+  )
+);
+
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS order_discounts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL,
+  cart_recovery_id UUID REFERENCES cart_recoveries(id) ON DELETE SET NULL,
+  code TEXT, -- the promotion's code, kept if the promotion is deleted
+  type TEXT NOT NULL, -- percentage, fixed_amount, free_shipping
+  target TEXT NOT NULL, -- items or shipping
+  amount INTEGER NOT NULL, -- cents (CAD) taken off
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_discount_target CHECK (target IN ('items', 'shipping')),
+  CONSTRAINT valid_discount_amount CHECK (amount >= 0),
+  CONSTRAINT discount_has_source CHECK (promotion_id IS NOT NULL OR cart_recovery_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_discounts_order_id ON order_discounts(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_discounts_promotion_id
+  ON order_discounts(promotion_id) WHERE promotion_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_order_discounts_cart_recovery_id
+  ON order_discounts(cart_recovery_id) WHERE cart_recovery_id IS NOT NULL;
+
+-- Reminder discounts given before this migration
+INSERT INTO order_discounts (order_id, cart_recovery_id, type, target, amount, created_at)
+SELECT id, cart_recovery_id, 'percentage', 'items', discount_total, created_at
+FROM orders
+WHERE cart_recovery_id IS NOT NULL AND discount_total > 0;
+
+DROP INDEX IF EXISTS idx_orders_recovery_discount_once;
+
+-- Refuse a discount line past its promotion's limits, or a reminder discount
+-- already used by a live order. Locking the promotion or reminder row first
+-- makes concurrent orders take turns.
+CREATE OR REPLACE FUNCTION check_order_discount()
+RETURNS TRIGGER AS $$
+DECLARE
+  promotion promotions%ROWTYPE;
+  order_email TEXT;
+  used INTEGER;
+BEGIN
+  IF NEW.cart_recovery_id IS NOT NULL AND NEW.amount > 0 THEN
+    PERFORM 1 FROM cart_recoveries WHERE id = NEW.cart_recovery_id FOR UPDATE;
+
+    IF EXISTS (
+      SELECT 1 FROM order_discounts d JOIN orders o ON o.id = d.order_id
+      WHERE d.cart_recovery_id = NEW.cart_recovery_id
+        AND d.amount > 0
+        AND o.status <> 'cancelled'
+    ) THEN
+      RAISE EXCEPTION 'DISCOUNT_UNAVAILABLE: reminder discount already used';
+    END IF;
+  END IF;
+
+  IF NEW.promotion_id IS NOT NULL THEN
+    SELECT * INTO promotion FROM promotions WHERE id = NEW.promotion_id FOR UPDATE;
+    SELECT email INTO order_email FROM orders WHERE id = NEW.order_id;
+
+    IF promotion.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO used
+      FROM order_discounts d JOIN orders o ON o.id = d.order_id
+      WHERE d.promotion_id = NEW.promotion_id AND o.status <> 'cancelled';
+
+      IF used >= promotion.max_uses THEN
+        RAISE EXCEPTION 'DISCOUNT_UNAVAILABLE: promotion % is used up', promotion.code;
+      END IF;
+    END IF;
+
+    IF promotion.max_uses_per_customer IS NOT NULL THEN
+      SELECT count(*) INTO used
+      FROM order_discounts d JOIN orders o ON o.id = d.order_id
+      WHERE d.promotion_id = NEW.promotion_id
+        AND o.status <> 'cancelled'
+        AND lower(o.email) = lower(order_email);
+
+      IF used >= promotion.max_uses_per_customer THEN
+        RAISE EXCEPTION 'DISCOUNT_UNAVAILABLE: promotion % already used by this customer', promotion.code;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER check_order_discount_limits BEFORE INSERT ON order_discounts
+    FOR EACH ROW EXECUTE FUNCTION check_order_discount();
+
+-- Row Level Security: promotions are server-only; customers read the
+-- discounts of their own orders, like their items and taxes
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_discounts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "promotions_no_select" ON promotions
+  FOR SELECT USING (false);
+
+CREATE POLICY "order_discounts_select_own" ON order_discounts
+  FOR SELECT TO authenticated USING (
+    EXISTS (SELECT 1 FROM orders o WHERE o.id = order_id AND o.customer_id = auth.uid())
+  );
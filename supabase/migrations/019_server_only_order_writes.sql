@@ -0,0 +1,14 @@
+-- filepath: supabase/migrations/019_server_only_order_writes.sql
+-- Orders are written by the server only
+--
+-- 001 let the browser insert orders and order_items directly (anon key,
+-- WITH CHECK (true)), from before orders were priced on the server. Anyone
+-- with the public key could write an order with any price, total, status or
+-- paid_at and skip api/_lib/orders.js entirely. Orders are now placed through
+-- /api/checkout/session (and /api/orders), which use the service role.
+
+DROP POLICY IF EXISTS "orders_insert" ON orders;
+DROP POLICY IF EXISTS "order_items_insert" ON order_items;
+
+REVOKE INSERT ON orders, order_items FROM anon, authenticated;
+REVOKE USAGE, SELECT ON SEQUENCE orders_order_number_seq FROM anon;
@@ -0,0 +1,12 @@
+-- filepath: supabase/migrations/020_tax_summary_access.sql
+-- Keep the tax remittance summary server-only
+--
+-- Views run with their owner's rights unless told otherwise, so
+-- tax_remittance_summary (004) read order_taxes and orders past their RLS,
+-- and Supabase's default grants let anon and authenticated select from it.
+-- It now runs as the caller (Postgres 15+), and only the service role can
+-- read it.
+
+ALTER VIEW tax_remittance_summary SET (security_invoker = true);
+
+REVOKE ALL ON tax_remittance_summary FROM anon, authenticated;
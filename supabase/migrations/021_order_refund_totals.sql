@@ -0,0 +1,29 @@
+-- filepath: supabase/migrations/021_order_refund_totals.sql
+-- Keep orders.refunded_total in step with order_refunds
+--
+-- refundOrder() used to add a refund to the refunded_total it had read, only
+-- if nobody else had changed it meanwhile, and ignored the update when they
+-- had: two refunds issued at once left one out. sync_order_refunded_total()
+-- recomputes the total from the recorded refunds instead, so it is right
+-- however many refunds are recorded at once, and calling it again after a
+-- retried request fixes a total that was missed.
+
+CREATE OR REPLACE FUNCTION sync_order_refunded_total(p_order_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  refunded INTEGER;
+BEGIN
+  UPDATE orders
+  SET refunded_total = (
+    SELECT COALESCE(SUM(amount), 0)
+    FROM order_refunds
+    WHERE order_id = p_order_id AND status NOT IN ('failed', 'canceled')
+  )
+  WHERE id = p_order_id
+  RETURNING refunded_total INTO refunded;
+
+  RETURN refunded;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION sync_order_refunded_total(UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,36 @@
+-- filepath: supabase/migrations/022_product_cache_updates.sql
+-- Update one product in the product_cache snapshot in a single statement
+--
+-- A product webhook used to read the snapshot, swap its product in and write
+-- the whole array back, so two webhooks handled at once could each write a
+-- snapshot missing the other's change. replace_cached_product() does the swap
+-- inside one UPDATE, which works on the row as it is once its lock is held.
+
+CREATE OR REPLACE FUNCTION replace_cached_product(p_product_id TEXT, p_product JSONB)
+RETURNS VOID AS $$
+BEGIN
+  -- The new version takes the old one's place, or goes first; a null
+  -- p_product (deleted or unpublished) only removes it. No snapshot, no-op.
+  UPDATE product_cache
+  SET products = (
+    SELECT COALESCE(jsonb_agg(product ORDER BY position), '[]'::jsonb)
+    FROM (
+      SELECT value AS product, ordinality AS position
+      FROM jsonb_array_elements(products) WITH ORDINALITY
+      WHERE value->>'id' IS DISTINCT FROM p_product_id
+      UNION ALL
+      SELECT p_product, COALESCE((
+        SELECT ordinality
+        FROM jsonb_array_elements(products) WITH ORDINALITY
+        WHERE value->>'id' = p_product_id
+        LIMIT 1
+      ), 0)
+      WHERE p_product IS NOT NULL
+    ) merged
+  ),
+  cached_at = NOW()
+  WHERE id = 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION replace_cached_product(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,18 @@
+-- filepath: supabase/migrations/023_cart_reminder_limits.sql
+-- Abandoned cart reminders only go to customers' confirmed addresses
+--
+-- A guest could type any address at checkout and have a reminder, and a
+-- single-use discount, sent to it for each cart they started. Reminders now
+-- go only to account carts (carts.email is the account's confirmed address),
+-- and at most one per address every 7 days, with a discount at most once per
+-- address every 90 days (see api/_lib/cart-recovery.js). Carts skipped for
+-- the first of those are recorded with skip_reason 'reminded'.
+
+UPDATE carts SET email = NULL WHERE user_id IS NULL AND email IS NOT NULL;
+
+ALTER TABLE carts
+  ADD CONSTRAINT cart_email_needs_account CHECK (email IS NULL OR user_id IS NOT NULL);
+
+DROP INDEX IF EXISTS idx_carts_recoverable;
+CREATE INDEX IF NOT EXISTS idx_carts_recoverable
+  ON carts(updated_at) WHERE email IS NOT NULL AND user_id IS NOT NULL;
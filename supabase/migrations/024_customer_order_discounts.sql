@@ -0,0 +1,15 @@
+-- filepath: supabase/migrations/024_customer_order_discounts.sql
+-- Let customers read the discounts on their own orders
+--
+-- 015_customer_accounts.sql grants signed-in customers a column list on
+-- orders; discount_total (017) and order_discounts (018) came later and were
+-- never added to it, so the account page couldn't show what an order saved.
+-- Row access is unchanged: orders_select_own and order_discounts_select_own
+-- already limit customers to their own orders. Promotion and reminder ids
+-- stay server-only.
+
+GRANT SELECT (discount_total) ON orders TO authenticated;
+
+REVOKE SELECT ON order_discounts FROM anon, authenticated;
+GRANT SELECT (id, order_id, code, type, target, amount, created_at)
+  ON order_discounts TO authenticated;